@@ -0,0 +1,113 @@
+/**
+ * Headless (Node) entry point for the Civilisation Engine.
+ * Loads the same browser scripts as index.html; they attach to globalThis when there is no window.
+ * Usage: var civ = require("./Headless.js"); var run = civ.createRun(config, seed); run = civ.advanceRun(run, 25);
+ */
+"use strict";
+
+require("./data/SharedData.js");
+require("./logic/Validation.js");
+require("./logic/ContentPack.js");
+require("./logic/Technology.js");
+require("./logic/Territory.js");
+require("./logic/Economy.js");
+require("./logic/Demography.js");
+require("./logic/Climate.js");
+require("./logic/Identity.js");
+require("./logic/Rulers.js");
+require("./logic/Diplomacy.js");
+require("./logic/Wars.js");
+require("./logic/Secession.js");
+require("./logic/Space.js");
+require("./logic/Player.js");
+require("./logic/Institutions.js");
+require("./logic/Regimes.js");
+require("./logic/Simulation.js");
+require("./logic/Scenario.js");
+require("./logic/Statistics.js");
+require("./logic/Timeline.js");
+require("./logic/HistoryRun.js");
+require("./logic/Batch.js");
+require("./logic/Session.js");
+require("./logic/Chronicle.js");
+
+var g = globalThis;
+
+/** Runs `turns` turns of `dt` years from a fresh world. */
+function runHistory(config, seed, turns, dt) {
+  var run = g.createRun(config, seed);
+  for (var i = 0; i < turns; i++) run = g.advanceRun(run, dt);
+  return run;
+}
+
+module.exports = {
+  LEVELS: g.LEVELS,
+  TECHS: g.TECHS,
+  REGIMES: g.REGIMES,
+  TRANSITIONS: g.TRANSITIONS,
+  REGIME_TRANSITIONS_LIST: g.REGIME_TRANSITIONS_LIST,
+  CLIMATES: g.CLIMATES,
+  TERRAINS: g.TERRAINS,
+  RESOURCES: g.RESOURCES,
+  createMulberry32: g.createMulberry32,
+  validateTables: g.validateTables,
+  formatIssue: g.formatIssue,
+  parsePack: g.parsePack,
+  activatePack: g.activatePack,
+  activePack: g.activePack,
+  generateCulture: g.generateCulture,
+  buildRelations: g.buildRelations,
+  updateRelations: g.updateRelations,
+  advanceWars: g.advanceWars,
+  generateMap: g.generateMap,
+  techLevelFromTechs: g.techLevelFromTechs,
+  availableTechs: g.availableTechs,
+  researchPath: g.researchPath,
+  dependentTechs: g.dependentTechs,
+  barrierBetween: g.barrierBetween,
+  settleEconomy: g.settleEconomy,
+  carryingCapacity: g.carryingCapacity,
+  DISASTERS: g.DISASTERS,
+  createClimate: g.createClimate,
+  advanceClimate: g.advanceClimate,
+  WORLDS: g.WORLDS,
+  createGalaxy: g.createGalaxy,
+  advanceSpace: g.advanceSpace,
+  travelYears: g.travelYears,
+  TAX_POLICIES: g.TAX_POLICIES,
+  createPlayer: g.createPlayer,
+  reformPath: g.reformPath,
+  reformStep: g.reformStep,
+  closeOrders: g.closeOrders,
+  identityOverlap: g.identityOverlap,
+  transitionOdds: g.transitionOdds,
+  sliderMisfit: g.sliderMisfit,
+  driftSliders: g.driftSliders,
+  simulateTurn: g.simulateTurn,
+  createRun: g.createRun,
+  advanceRun: g.advanceRun,
+  runAt: g.runAt,
+  branchRun: g.branchRun,
+  timelineYears: g.timelineYears,
+  parseScenario: g.parseScenario,
+  createScenarioRun: g.createScenarioRun,
+  runHistory: runHistory,
+  serializeSession: g.serializeSession,
+  parseSession: g.parseSession,
+  writeChronicle: g.writeChronicle,
+  cultureChronicle: g.cultureChronicle,
+  exportNarrativeMarkdown: g.exportNarrativeMarkdown,
+  exportChronicleMarkdown: g.exportChronicleMarkdown,
+  exportChronicleCsv: g.exportChronicleCsv,
+  STAT_METRICS: g.STAT_METRICS,
+  metricSeries: g.metricSeries,
+  worldSeries: g.worldSeries,
+  regimeSpans: g.regimeSpans,
+  exportSeriesCsv: g.exportSeriesCsv,
+  summarizeRun: g.summarizeRun,
+  mergeSummaries: g.mergeSummaries,
+  batchReport: g.batchReport,
+  summarizeSeed: g.summarizeSeed,
+  runBatch: g.runBatch,
+  exportBatchCsv: g.exportBatchCsv,
+};
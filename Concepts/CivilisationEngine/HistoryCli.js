@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * Civilisation Engine CLI: generate a world, run N turns of dt years, write the run as JSON.
+ * Flags override values read from --config. With --scenario the world comes from a scenario file (logic/Scenario.js)
+ * instead, and only --turns, --dt and --out apply. With --runs N it runs N seeds from --seed and writes the batch
+ * report (logic/Batch.js) instead of a run, as CSV when --out ends in .csv. Without --out the JSON goes to stdout.
+ * --pack loads a content pack (logic/ContentPack.js) first; every mode runs with it. --chronicle file.md also writes
+ * the run as a prose chronicle (logic/Chronicle.js).
+ */
+"use strict";
+
+var fs = require("fs");
+var civ = require("./Headless.js");
+
+var USAGE = [
+  "Usage: node HistoryCli.js [--config world.json] [--scale regional] [--climates Temperate,Arid]",
+  "                          [--terrains Plains,Riverine] [--tech 3] [--seed 42]",
+  "                          [--turns 40] [--dt 25] [--out run.json]",
+  "       node HistoryCli.js --scenario scenario.json [--turns 40] [--dt 25] [--out run.json]",
+  "       node HistoryCli.js --runs 100 [world flags as above] [--out report.json|report.csv]",
+  "       any of the above with --pack pack.json; runs also with --chronicle chronicle.md",
+].join("\n");
+
+var DEFAULTS = { scale: "regional", climates: ["Temperate"], terrains: ["Plains", "Riverine"], techLevel: 3, seed: 42, turns: 40, dt: 25 };
+
+function fail(msg) {
+  process.stderr.write("HistoryCli: " + msg + "\n" + USAGE + "\n");
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  var out = {};
+  for (var i = 0; i < argv.length; i++) {
+    var a = argv[i];
+    if (a === "--help" || a === "-h") { out.help = true; continue; }
+    if (a.indexOf("--") !== 0) fail("unexpected argument " + a);
+    if (i + 1 >= argv.length) fail("missing value for " + a);
+    out[a.slice(2)] = argv[++i];
+  }
+  return out;
+}
+
+function toInt(name, v) {
+  var n = parseInt(v, 10);
+  if (isNaN(n)) fail("--" + name + " must be an integer, got " + v);
+  return n;
+}
+
+function list(v) {
+  return String(v).split(",").map(function (s) { return s.trim(); }).filter(Boolean);
+}
+
+function readOptions(args) {
+  var opts = {};
+  var k;
+  for (k in DEFAULTS) opts[k] = DEFAULTS[k];
+  if (args.config) {
+    var file;
+    try { file = JSON.parse(fs.readFileSync(args.config, "utf8")); } catch (e) { fail("cannot read config " + args.config + ": " + e.message); }
+    for (k in file) opts[k] = file[k];
+  }
+  if (args.scale) opts.scale = args.scale;
+  if (args.climates) opts.climates = list(args.climates);
+  if (args.terrains) opts.terrains = list(args.terrains);
+  if (args.tech) opts.techLevel = toInt("tech", args.tech);
+  if (args.seed) opts.seed = toInt("seed", args.seed);
+  if (args.turns) opts.turns = toInt("turns", args.turns);
+  if (args.dt) opts.dt = toInt("dt", args.dt);
+  if (args.runs) opts.runs = toInt("runs", args.runs);
+
+  if (["local", "regional", "continental", "planetary"].indexOf(opts.scale) < 0) fail("unknown scale " + opts.scale);
+  if (!opts.climates.length || opts.climates.some(function (c) { return civ.CLIMATES.indexOf(c) < 0; })) fail("climates must be from " + civ.CLIMATES.join(", "));
+  if (!opts.terrains.length || opts.terrains.some(function (t) { return civ.TERRAINS.indexOf(t) < 0; })) fail("terrains must be from " + civ.TERRAINS.join(", "));
+  if (opts.techLevel < 1 || opts.techLevel > 15) fail("tech must be 1–15");
+  if (opts.turns < 0 || opts.dt < 1) fail("turns must be >= 0 and dt >= 1");
+  if (opts.runs !== undefined && opts.runs < 1) fail("runs must be >= 1");
+  return opts;
+}
+
+function main() {
+  var args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    process.stdout.write(USAGE + "\n");
+    return;
+  }
+  if (args.pack) {
+    try { civ.activatePack(fs.readFileSync(args.pack, "utf8")); } catch (e) { fail("cannot load pack " + args.pack + ": " + (e.problems ? "\n  " + e.problems.join("\n  ") : e.message)); }
+  }
+  var opts = readOptions(args);
+  if (opts.runs) {
+    var world = { scale: opts.scale, climates: opts.climates, terrains: opts.terrains, techLevel: opts.techLevel };
+    var report = civ.runBatch(world, opts.seed, opts.runs, opts.turns, opts.dt, function (done) {
+      process.stderr.write("\rRun " + done + "/" + opts.runs + (done === opts.runs ? "\n" : ""));
+    });
+    var text = args.out && /\.csv$/i.test(args.out) ? civ.exportBatchCsv(report) : JSON.stringify(report, null, 2) + "\n";
+    if (args.out) fs.writeFileSync(args.out, text);
+    else process.stdout.write(text);
+    return;
+  }
+  var run;
+  if (args.scenario) {
+    try { run = civ.createScenarioRun(fs.readFileSync(args.scenario, "utf8")); } catch (e) { fail("cannot load scenario " + args.scenario + ": " + e.message); }
+    for (var i = 0; i < opts.turns; i++) run = civ.advanceRun(run, opts.dt);
+  } else {
+    var config = { scale: opts.scale, climates: opts.climates, terrains: opts.terrains, techLevel: opts.techLevel };
+    run = civ.runHistory(config, opts.seed, opts.turns, opts.dt);
+  }
+  if (args.chronicle) fs.writeFileSync(args.chronicle, civ.exportNarrativeMarkdown(run));
+  var json = JSON.stringify(run, null, 2);
+  if (args.out) fs.writeFileSync(args.out, json + "\n");
+  else process.stdout.write(json + "\n");
+}
+
+main();
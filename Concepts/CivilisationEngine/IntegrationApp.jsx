@@ -11,6 +11,9 @@ var R_BRACKETS = window.R_BRACKETS;
 var CLIMATES = window.CLIMATES;
 var TERRAINS = window.TERRAINS;
 var buildTechLayout = window.buildTechLayout;
+var availableTechs = window.availableTechs;
+var researchPath = window.researchPath;
+var dependentTechs = window.dependentTechs;
 var buildRegimeLayout = window.buildRegimeLayout;
 var TT_NW = window.TT_NW;
 var TT_NH = window.TT_NH;
@@ -21,12 +24,88 @@ var RR = window.RR;
 var RNW = window.RNW;
 var RNH = window.RNH;
 var RPAD = window.RPAD;
-var generateCulture = window.generateCulture;
-var buildRelations = window.buildRelations;
-var simulateTurn = window.simulateTurn;
-var techsForLevel = window.techsForLevel;
-var pick = window.pick;
-var rand = window.rand;
+var createRun = window.createRun;
+var advanceRun = window.advanceRun;
+var runAt = window.runAt;
+var branchRun = window.branchRun;
+var timelineYears = window.timelineYears;
+var createScenarioRun = window.createScenarioRun;
+var parsePack = window.parsePack;
+var activatePack = window.activatePack;
+var activePack = window.activePack;
+var AUTOSAVE_KEY = window.AUTOSAVE_KEY;
+var serializeSession = window.serializeSession;
+var parseSession = window.parseSession;
+var exportChronicleMarkdown = window.exportChronicleMarkdown;
+var exportChronicleCsv = window.exportChronicleCsv;
+var exportNarrativeMarkdown = window.exportNarrativeMarkdown;
+var cultureChronicle = window.cultureChronicle;
+var exportSeriesCsv = window.exportSeriesCsv;
+var STAT_METRICS = window.STAT_METRICS;
+var metricSeries = window.metricSeries;
+var worldSeries = window.worldSeries;
+var regimeSpans = window.regimeSpans;
+var summarizeSeed = window.summarizeSeed;
+var mergeSummaries = window.mergeSummaries;
+var batchReport = window.batchReport;
+var exportBatchCsv = window.exportBatchCsv;
+var borderSegments = window.borderSegments;
+var provinceCount = window.provinceCount;
+var transitionOdds = window.transitionOdds;
+var sliderMisfit = window.sliderMisfit;
+var carryingCapacity = window.carryingCapacity;
+var DISASTERS = window.DISASTERS;
+var STARS = window.STARS;
+var WORLDS = window.WORLDS;
+var federationOf = window.federationOf;
+var TAX_POLICIES = window.TAX_POLICIES;
+var WAR_GOALS = window.WAR_GOALS;
+var createPlayer = window.createPlayer;
+var reformPath = window.reformPath;
+var sharesBy = window.sharesBy;
+var religiousTension = window.religiousTension;
+
+var DEFAULT_CONFIG = { scale: "regional", climates: ["Temperate"], terrains: ["Plains", "Riverine"], techLevel: 3 };
+var TERRAIN_COLORS = { Coastal: "#164e63", Riverine: "#14532d", Mountain: "#44403c", Plains: "#3f6212", Forest: "#052e16", Desert: "#78350f", Island: "#155e75" };
+
+function formatPop(n) {
+  return n >= 1e9 ? (n / 1e9).toFixed(1) + "B" : n >= 1e6 ? (n / 1e6).toFixed(1) + "M" : Math.round(n / 1000) + "K";
+}
+
+/** "███░░ 3.2" for a 1–5 slider. */
+function sliderBar(v) {
+  var n = Math.round(v);
+  return "█".repeat(n) + "░".repeat(5 - n) + " " + v.toFixed(1);
+}
+
+/** "A 72% · B 25% · others 3%" for a { name: share } map, largest first. */
+function formatShares(shares) {
+  var keys = Object.keys(shares).sort(function (x, y) { return shares[y] - shares[x]; });
+  var shown = keys.filter(function (k, i) { return i === 0 || shares[k] >= 0.03; });
+  var rest = keys.slice(shown.length).reduce(function (sum, k) { return sum + shares[k]; }, 0);
+  return shown.map(function (k) { return k + " " + Math.round(shares[k] * 100) + "%"; }).join(" · ") + (rest >= 0.005 ? " · others " + Math.round(rest * 100) + "%" : "");
+}
+
+/** An event's cause and effects, for its tooltip in the event log. */
+function eventNote(e) {
+  var out = [];
+  if (e.cause) out.push("Cause: " + e.cause);
+  if (e.effects && e.effects.length) out.push("Effects: " + e.effects.join("; "));
+  return out.join("\n") || undefined;
+}
+
+function ownerColor(id) {
+  return "hsl(" + ((id * 67) % 360) + ", 60%, 50%)";
+}
+
+function downloadText(filename, text, mime) {
+  var url = URL.createObjectURL(new Blob([text], { type: mime }));
+  var a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
 
 function TechTreeTab() {
   var layout = React.useMemo(buildTechLayout, []);
@@ -42,22 +121,47 @@ function TechTreeTab() {
   var unlocked = _s2[0];
   var setUnlocked = _s2[1];
 
+  var _s3 = React.useState(false);
+  var goalMode = _s3[0];
+  var setGoalMode = _s3[1];
+  var _s4 = React.useState(null);
+  var goal = _s4[0];
+  var setGoal = _s4[1];
+  var _s5 = React.useState(null);
+  var relock = _s5[0];
+  var setRelock = _s5[1];
+
+  var knownMap = function () { var k = {}; unlocked.forEach(function (id) { k[id] = true; }); return k; };
+  var path = React.useMemo(function () { return goal ? researchPath(goal, knownMap()) : []; }, [goal, unlocked]);
+  var onPath = {};
+  path.forEach(function (id, i) { onPath[id] = i + 1; });
+  var perEra = LEVELS.map(function (lvl) {
+    return { lvl: lvl, n: path.filter(function (id) { return TECHS.find(function (t) { return t.id === id; }).level === lvl.id; }).length };
+  }).filter(function (e) { return e.n > 0; });
+
   var canUnlock = function (t) { return !unlocked.has(t.id) && t.req.every(function (r) { return unlocked.has(r); }); };
-  var toggle = function (t) {
-    if (unlocked.has(t.id)) {
-      var rem = new Set([t.id]);
-      var ch = true;
-      while (ch) {
-        ch = false;
-        TECHS.forEach(function (x) {
-          if (!rem.has(x.id) && x.req.some(function (r) { return rem.has(r); })) { rem.add(x.id); ch = true; }
-        });
-      }
-      setUnlocked(function (p) { var n = new Set(p); rem.forEach(function (id) { n.delete(id); }); return n; });
+  var lock = function (ids) {
+    setUnlocked(function (p) { var n = new Set(p); ids.forEach(function (id) { n.delete(id); }); return n; });
+    setRelock(null);
+  };
+  var unlockPath = function (id) {
+    var add = researchPath(id, knownMap());
+    setUnlocked(function (p) { return new Set([...p, ...add]); });
+  };
+  var toggle = function (t, e) {
+    if (e.shiftKey) {
+      unlockPath(t.id);
+    } else if (goalMode) {
+      setGoal(goal === t.id ? null : t.id);
+    } else if (unlocked.has(t.id)) {
+      var deps = dependentTechs(t.id, knownMap());
+      if (deps.length) setRelock({ id: t.id, deps: deps });
+      else lock([t.id]);
     } else if (canUnlock(t)) {
       setUnlocked(function (p) { return new Set([...p, t.id]); });
     }
   };
+  var techById = function (id) { return TECHS.find(function (t) { return t.id === id; }); };
 
   var edges = React.useMemo(function () {
     var e = [];
@@ -84,9 +188,26 @@ function TechTreeTab() {
     <div style={{ background: "#0f0f1a", height: "100%", overflow: "hidden", fontFamily: "sans-serif", position: "relative" }}>
       <div style={{ padding: "6px 10px", color: "#9ca3af", fontSize: 11, borderBottom: "1px solid #1f2937", display: "flex", gap: 12, alignItems: "center" }}>
         <span>Unlocked: {unlocked.size}/{TECHS.length}</span>
-        {unlocked.size > 0 && <button type="button" onClick={function () { setUnlocked(new Set()); }} style={{ background: "#374151", color: "#f87171", border: "none", borderRadius: 4, padding: "2px 8px", cursor: "pointer", fontSize: 11 }}>Reset</button>}
-        <span style={{ color: "#4b5563" }}>Click blue nodes to unlock · click green to re-lock</span>
+        {unlocked.size > 0 && <button type="button" onClick={function () { setUnlocked(new Set()); setRelock(null); }} style={{ background: "#374151", color: "#f87171", border: "none", borderRadius: 4, padding: "2px 8px", cursor: "pointer", fontSize: 11 }}>Reset</button>}
+        <button type="button" onClick={function () { setGoalMode(!goalMode); setGoal(null); }} style={{ background: goalMode ? "#f59e0b" : "#374151", color: goalMode ? "#111827" : "#d1d5db", border: "none", borderRadius: 4, padding: "2px 8px", cursor: "pointer", fontSize: 11 }}>🎯 Goal</button>
+        <span style={{ color: "#4b5563" }}>{goalMode ? "Click any tech to plan its path" : "Click blue nodes to unlock"} · shift-click to unlock a whole path{goalMode ? "" : " · click green to re-lock"}</span>
       </div>
+      {goal && (
+        <div style={{ padding: "4px 10px", fontSize: 11, color: "#d1d5db", borderBottom: "1px solid #1f2937", display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+          <span style={{ color: "#f59e0b", fontWeight: "bold" }}>🎯 {techById(goal).name}</span>
+          {path.length === 0 ? <span style={{ color: "#22c55e" }}>unlocked</span> : <span>{path.length} to research:</span>}
+          {perEra.map(function (e) { return <span key={e.lvl.id} style={{ background: e.lvl.color, borderRadius: 3, padding: "0 5px", color: "#f3f4f6" }}>{e.lvl.label} {e.n}</span>; })}
+          {path.length > 0 && <button type="button" onClick={function () { unlockPath(goal); }} style={{ background: "#1e3a5f", color: "#93c5fd", border: "none", borderRadius: 4, padding: "2px 8px", cursor: "pointer", fontSize: 11 }}>Unlock path</button>}
+          <button type="button" onClick={function () { setGoal(null); }} style={{ background: "#374151", color: "#9ca3af", border: "none", borderRadius: 4, padding: "2px 8px", cursor: "pointer", fontSize: 11 }}>Clear</button>
+        </div>
+      )}
+      {relock && (
+        <div style={{ padding: "4px 10px", fontSize: 11, color: "#fca5a5", borderBottom: "1px solid #1f2937", display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+          <span>Re-locking {techById(relock.id).name} also re-locks {relock.deps.length}: {relock.deps.map(function (id) { return techById(id).name; }).join(", ")}</span>
+          <button type="button" onClick={function () { lock([relock.id].concat(relock.deps)); }} style={{ background: "#7f1d1d", color: "#fecaca", border: "none", borderRadius: 4, padding: "2px 8px", cursor: "pointer", fontSize: 11 }}>Re-lock all</button>
+          <button type="button" onClick={function () { setRelock(null); }} style={{ background: "#374151", color: "#9ca3af", border: "none", borderRadius: 4, padding: "2px 8px", cursor: "pointer", fontSize: 11 }}>Cancel</button>
+        </div>
+      )}
       <div style={{ overflowX: "auto", overflowY: "auto", height: "calc(100% - 32px)" }}>
         <svg width={totalW} height={totalH}>
           {LEVELS.map(function (lvl) {
@@ -107,9 +228,9 @@ function TechTreeTab() {
             );
           })}
           {edges.map(function (e, i) {
-            var hl = hovered === e.from || hovered === e.to;
+            var hl = hovered === e.from || hovered === e.to || (onPath[e.to] && (onPath[e.from] || unlocked.has(e.from)));
             var stroke = e.active ? "#22c55e" : e.partial ? "#fbbf24" : "#374151";
-            return <path key={i} d={"M" + e.x1 + "," + e.y1 + " C" + e.mx + "," + e.y1 + " " + e.mx + "," + e.y2 + " " + e.x2 + "," + e.y2} fill="none" stroke={hl ? "#f59e0b" : stroke} strokeWidth={hl ? 2 : 1.5} opacity={hl ? 1 : hovered ? 0.2 : 0.75} strokeDasharray={e.active || e.partial ? "" : "4,3"} />;
+            return <path key={i} d={"M" + e.x1 + "," + e.y1 + " C" + e.mx + "," + e.y1 + " " + e.mx + "," + e.y2 + " " + e.x2 + "," + e.y2} fill="none" stroke={hl ? "#f59e0b" : stroke} strokeWidth={hl ? 2 : 1.5} opacity={hl ? 1 : hovered || goal ? 0.2 : 0.75} strokeDasharray={e.active || e.partial ? "" : "4,3"} />;
           })}
           {TECHS.map(function (t) {
             var p = pos[t.id];
@@ -117,11 +238,14 @@ function TechTreeTab() {
             var isU = unlocked.has(t.id);
             var canU = canUnlock(t);
             var isH = hovered === t.id;
+            var step = onPath[t.id];
+            var doomed = relock && (relock.id === t.id || relock.deps.indexOf(t.id) >= 0);
             return (
-              <g key={t.id} onClick={function () { toggle(t); }} onMouseEnter={function () { setHovered(t.id); }} onMouseLeave={function () { setHovered(null); }} style={{ cursor: isU || canU ? "pointer" : "default" }}>
-                <rect x={p.x + 1} y={p.y + 2} width={TT_NW} height={TT_NH} rx={3} fill={isU ? "#14532d" : canU ? "#1e3a5f" : "#1f2937"} stroke={isU ? "#22c55e" : canU ? "#3b82f6" : isH ? "#6b7280" : "#374151"} strokeWidth={isH ? 2 : 1.5} opacity={!isU && !canU && hovered && !isH ? 0.3 : 1} />
+              <g key={t.id} onClick={function (e) { toggle(t, e); }} onMouseEnter={function () { setHovered(t.id); }} onMouseLeave={function () { setHovered(null); }} style={{ cursor: "pointer" }}>
+                <rect x={p.x + 1} y={p.y + 2} width={TT_NW} height={TT_NH} rx={3} fill={doomed ? "#7f1d1d" : isU ? "#14532d" : canU ? "#1e3a5f" : "#1f2937"} stroke={step ? "#f59e0b" : isU ? "#22c55e" : canU ? "#3b82f6" : isH ? "#6b7280" : "#374151"} strokeWidth={isH || step ? 2 : 1.5} opacity={!isU && !canU && !step && (hovered || goal) && !isH ? 0.3 : 1} />
                 <text x={p.x + 7} y={p.y + 13} fill={isU ? "#86efac" : canU ? "#93c5fd" : "#9ca3af"} fontSize={8.5} fontWeight="bold">{t.name}</text>
                 {isU && <text x={p.x + TT_NW - 4} y={p.y + 13} textAnchor="end" fill="#22c55e" fontSize={9}>✓</text>}
+                {step && <text x={p.x + TT_NW - 4} y={p.y + 13} textAnchor="end" fill="#f59e0b" fontSize={8} fontWeight="bold">{step}</text>}
               </g>
             );
           })}
@@ -132,14 +256,116 @@ function TechTreeTab() {
           <div style={{ color: "#fbbf24", fontWeight: "bold", fontSize: 12, marginBottom: 2 }}>{hov.name}</div>
           <div style={{ color: "#9ca3af", fontSize: 10, marginBottom: 4 }}>Level {hov.level} — {LEVELS[hov.level - 1] ? LEVELS[hov.level - 1].sublabel : ""}</div>
           {hov.req.length > 0 && <div style={{ fontSize: 10, color: "#6b7280" }}>Requires: {hov.req.map(function (r) { var tt = TECHS.find(function (x) { return x.id === r; }); return <span key={r} style={{ color: unlocked.has(r) ? "#22c55e" : "#f87171", marginRight: 4 }}>{tt ? tt.name : r}</span>; })}</div>}
-          <div style={{ fontSize: 10, color: "#6b7280", marginTop: 4 }}>{unlocked.has(hov.id) ? "✅ Unlocked" : canUnlock(hov) ? "🔵 Available" : "🔒 Locked"}</div>
+          <div style={{ fontSize: 10, color: "#6b7280", marginTop: 4 }}>{unlocked.has(hov.id) ? "✅ Unlocked" : canUnlock(hov) ? "🔵 Available" : "🔒 Locked — " + researchPath(hov.id, knownMap()).length + " techs away"}</div>
         </div>
       )}
     </div>
   );
 }
 
-function RegimeChartTab() {
+/** Compact tech tree for one culture: known techs lit, researchable ones outlined. */
+function CultureTechTree(props) {
+  // Laid out again when a content pack changes the techs.
+  var layout = React.useMemo(buildTechLayout, [activePack()]);
+  var known = {};
+  props.techs.forEach(function (id) { known[id] = true; });
+  var avail = {};
+  availableTechs(known).forEach(function (t) { avail[t.id] = true; });
+  var k = 0.16;
+  return (
+    <svg width={layout.totalW * k} height={layout.totalH * k} style={{ background: "#030712", borderRadius: 4, display: "block" }}>
+      {LEVELS.map(function (lvl) {
+        var w = [...layout.lvlCols[lvl.id]].length * window.TT_COL - 6;
+        return <rect key={lvl.id} x={layout.startX[lvl.id] * k} y={0} width={w * k} height={layout.totalH * k} fill={lvl.color} fillOpacity={0.18} />;
+      })}
+      {TECHS.map(function (t) {
+        var p = layout.pos[t.id];
+        if (!p) return null;
+        return (
+          <rect key={t.id} x={p.x * k} y={p.y * k} width={TT_NW * k} height={TT_NH * k} rx={1} fill={known[t.id] ? "#22d3ee" : "#1f2937"} stroke={avail[t.id] ? "#3b82f6" : "none"} strokeWidth={1}>
+            <title>{t.name + " (Level " + t.level + ")" + (known[t.id] ? " ✓" : avail[t.id] ? " — researchable" : "")}</title>
+          </rect>
+        );
+      })}
+    </svg>
+  );
+}
+
+/** A culture's rulers by house, each heir indented under the ruler they succeeded; the reigning ruler's heirs last. */
+function DynastyTree(props) {
+  var people = props.culture.rulers.concat([props.culture.ruler]);
+  var depth = {};
+  people.forEach(function (p) { depth[p.id] = p.parent !== null && depth[p.parent] !== undefined ? depth[p.parent] + 1 : 0; });
+  var pad = function (d) { return Math.min(d, 8) * 12; };
+  return (
+    <div style={{ maxHeight: 180, overflowY: "auto", fontSize: 11 }}>
+      {people.map(function (p, i) {
+        var houseStart = i === 0 || people[i - 1].house !== p.house;
+        var current = p === props.culture.ruler;
+        return (
+          <div key={p.id}>
+            {houseStart && <div style={{ color: "#fbbf24", marginTop: i ? 4 : 0 }}>{p.house || "Elected rulers"}</div>}
+            <div style={{ paddingLeft: pad(depth[p.id]), color: current ? "#fde047" : "#d1d5db", fontWeight: current ? 600 : 400 }}>
+              {depth[p.id] ? "└ " : ""}{p.title} <span style={{ color: "#6b7280" }}>Y{p.from}–{p.to !== null ? "Y" + p.to : "now"} · {p.how}{p.end ? " · " + p.end : ""}{p.traits.length ? " · " + p.traits.join(", ") : ""}</span>
+            </div>
+          </div>
+        );
+      })}
+      {props.culture.ruler.heirs.map(function (h, i) {
+        return <div key={"heir" + i} style={{ paddingLeft: pad((depth[props.culture.ruler.id] || 0) + 1), color: "#9ca3af" }}>└ heir: {h.name} (born Y{h.born}) <span style={{ color: "#6b7280" }}>{h.traits.join(", ")}</span></div>;
+      })}
+    </div>
+  );
+}
+
+/** Cultures as points in slider space, one panel per pair of sliders; the box is the active regime's ranges. */
+function SliderSpace(props) {
+  var S = 150;
+  var P = 20;
+  var at = function (v) { return P + (v - 1) / 4 * (S - P * 2); };
+  var up = function (v) { return S - at(v); };
+  var regime = props.regime ? REGIMES[props.regime] : null;
+  var pairs = [["coercion", "capacity"], ["coercion", "inclusiveness"], ["capacity", "inclusiveness"]];
+  return (
+    <div style={{ display: "flex", gap: 10, padding: "4px 10px 10px", alignItems: "flex-start" }}>
+      <div style={{ width: 110, fontSize: 11 }}>
+        <div style={{ color: "#f59e0b", fontWeight: "bold" }}>Slider space</div>
+        <div style={{ color: "#6b7280", fontSize: 9, marginTop: 4 }}>Every culture by its sliders, coloured by regime. The box is the highlighted regime's ranges; a ringed point has left its own. Click a point for its odds.</div>
+      </div>
+      {pairs.map(function (pr) {
+        var x = pr[0];
+        var y = pr[1];
+        return (
+          <svg key={x + y} width={S} height={S} style={{ background: "#1f2937", borderRadius: 8 }}>
+            {[1, 2, 3, 4, 5].map(function (v) {
+              return (
+                <g key={v}>
+                  <line x1={at(v)} y1={up(1)} x2={at(v)} y2={up(5)} stroke="#374151" strokeWidth={0.5} />
+                  <line x1={at(1)} y1={up(v)} x2={at(5)} y2={up(v)} stroke="#374151" strokeWidth={0.5} />
+                </g>
+              );
+            })}
+            {regime && <rect x={at(regime[x][0]) - 3} y={up(regime[y][1]) - 3} width={at(regime[x][1]) - at(regime[x][0]) + 6} height={up(regime[y][0]) - up(regime[y][1]) + 6} fill="#fbbf24" fillOpacity={0.12} stroke="#fbbf24" strokeWidth={1} rx={2} />}
+            <text x={S / 2} y={S - 5} textAnchor="middle" fill="#9ca3af" fontSize={9}>{x} →</text>
+            <text x={9} y={S / 2} textAnchor="middle" fill="#9ca3af" fontSize={9} transform={"rotate(-90 9 " + S / 2 + ")"}>{y} →</text>
+            {props.cultures.map(function (c) {
+              var isSel = c.id === props.selected;
+              var strained = sliderMisfit(c.sliders, REGIMES[c.regime]) > 0;
+              return (
+                <circle key={c.id} cx={at(c.sliders[x])} cy={up(c.sliders[y])} r={isSel ? 5 : 3.5} fill={regimeColor(c.regime)} stroke={isSel ? "#f3f4f6" : strained ? "#fda4af" : "none"} strokeWidth={isSel ? 2 : 1} opacity={props.selected !== null && !isSel ? 0.6 : 0.9} onClick={function () { props.onPick(c.id); }} style={{ cursor: "pointer" }}>
+                  <title>{c.name + " — " + REGIMES[c.regime].name + " · C " + c.sliders.coercion.toFixed(1) + " Cap " + c.sliders.capacity.toFixed(1) + " I " + c.sliders.inclusiveness.toFixed(1)}</title>
+                </circle>
+              );
+            })}
+          </svg>
+        );
+      })}
+    </div>
+  );
+}
+
+function RegimeChartTab(props) {
+  var cultures = props.cultures || [];
   var layout = React.useMemo(buildRegimeLayout, []);
   var pos = layout.pos;
   var totalW = layout.totalW;
@@ -150,7 +376,13 @@ function RegimeChartTab() {
   var _s2 = React.useState(null);
   var sel = _s2[0];
   var setSel = _s2[1];
-  var active = hov || sel;
+  var _s3 = React.useState(null);
+  var cultureId = _s3[0];
+  var setCultureId = _s3[1];
+  var culture = cultures.find(function (c) { return c.id === cultureId; }) || null;
+  var odds = culture ? transitionOdds(culture, 25) : [];
+  var misfit = culture ? sliderMisfit(culture.sliders, REGIMES[culture.regime]) : 0;
+  var active = hov || sel || (culture && culture.regime);
 
   var nodeX = function (col) { return RPAD + col * (RC + 14); };
   var nodeY = function (row) { return RPAD + 52 + row * (RR + 8); };
@@ -165,14 +397,23 @@ function RegimeChartTab() {
     var y2 = nodeY(tp.row) + RNH / 2;
     var sc = fp.col === tp.col;
     var isHL = active && (t.from === active || t.to === active);
-    return { from: t.from, to: t.to, label: t.label, x1: x1, y1: y1, x2: x2, y2: y2, mx: sc ? x1 + 55 : (x1 + x2) / 2, sc: sc, isHL: isHL, isFrom: active && t.from === active, idx: i };
+    var o = culture && t.from === culture.regime && active === culture.regime ? odds.find(function (x) { return x.to === t.to && x.label === t.label; }) : null;
+    return { from: t.from, to: t.to, label: o ? t.label + " · " + (o.chance > 0 ? Math.round(o.chance * 100) + "%" : "blocked") : t.label, blocked: o && o.chance === 0, x1: x1, y1: y1, x2: x2, y2: y2, mx: sc ? x1 + 55 : (x1 + x2) / 2, sc: sc, isHL: isHL, isFrom: active && t.from === active, idx: i };
   }).filter(Boolean);
 
   var rdata = function (id) { return REGIMES[id] || { name: id, icon: "?", coercion: [1, 1], capacity: [1, 1], inclusiveness: [1, 1], minLvl: 1, maxLvl: 15 }; };
 
   return (
     <div style={{ background: "#0f0f1a", height: "100%", overflow: "hidden", fontFamily: "sans-serif", position: "relative" }}>
-      <div style={{ padding: "6px 10px", color: "#9ca3af", fontSize: 11, borderBottom: "1px solid #1f2937" }}>Hover or click a regime to see transitions. Yellow = outgoing, blue = incoming.</div>
+      <div style={{ padding: "6px 10px", color: "#9ca3af", fontSize: 11, borderBottom: "1px solid #1f2937", display: "flex", alignItems: "center", gap: 10 }}>
+        <span>Hover or click a regime to see transitions. Yellow = outgoing, blue = incoming.</span>
+        {cultures.length > 0 && (
+          <select value={cultureId === null ? "" : cultureId} onChange={function (e) { setCultureId(e.target.value === "" ? null : Number(e.target.value)); setSel(null); }} style={{ marginLeft: "auto", background: "#1f2937", color: "#e5e7eb", border: "1px solid #374151", borderRadius: 4, fontSize: 11, padding: "1px 4px" }}>
+            <option value="">Culture odds: none</option>
+            {cultures.map(function (c) { return <option key={c.id} value={c.id}>{c.name} ({REGIMES[c.regime].name})</option>; })}
+          </select>
+        )}
+      </div>
       <div style={{ overflowX: "auto", overflowY: "auto", height: "calc(100% - 32px)" }}>
         <svg width={totalW} height={totalH}>
           <defs>
@@ -197,7 +438,7 @@ function RegimeChartTab() {
             var d = a.sc ? "M" + a.x1 + "," + a.y1 + " C" + a.mx + "," + a.y1 + " " + a.mx + "," + a.y2 + " " + a.x1 + "," + a.y2 : "M" + a.x1 + "," + a.y1 + " C" + a.mx + "," + a.y1 + " " + a.mx + "," + a.y2 + " " + a.x2 + "," + a.y2;
             return (
               <g key={a.idx} opacity={fade ? 0.1 : 0.85}>
-                <path d={d} fill="none" stroke={stroke} strokeWidth={a.isHL ? 2 : 1} strokeDasharray={a.isHL ? "" : "3,3"} markerEnd={"url(#" + mId + ")"} />
+                <path d={d} fill="none" stroke={stroke} strokeWidth={a.isHL ? 2 : 1} strokeDasharray={a.isHL && !a.blocked ? "" : "3,3"} markerEnd={"url(#" + mId + ")"} />
                 {a.isHL && <text x={(a.x1 + a.x2) / 2} y={Math.min(a.y1, a.y2) - 3} textAnchor="middle" fill="#fbbf24" fontSize={7}>{a.label}</text>}
               </g>
             );
@@ -225,7 +466,27 @@ function RegimeChartTab() {
             });
           })()}
         </svg>
+        {cultures.length > 0 && <SliderSpace cultures={cultures} regime={active} selected={cultureId} onPick={function (id) { setCultureId(id); setSel(null); }} />}
       </div>
+      {culture && !hov && !sel && (
+        <div style={{ position: "fixed", bottom: 12, right: 12, background: "#1f2937", border: "1px solid #374151", borderRadius: 8, padding: "10px 14px", maxWidth: 340, zIndex: 200, boxShadow: "0 4px 24px rgba(0,0,0,0.8)" }}>
+          <div style={{ color: "#fbbf24", fontWeight: "bold", fontSize: 13, marginBottom: 3 }}>{culture.name}: {REGIMES[culture.regime].icon} {REGIMES[culture.regime].name}</div>
+          <div style={{ color: "#9ca3af", fontSize: 10, marginBottom: 5 }}>Level {culture.techLevel} | C:{culture.sliders.coercion.toFixed(1)} Cap:{culture.sliders.capacity.toFixed(1)} I:{culture.sliders.inclusiveness.toFixed(1)}{misfit > 0 ? " (strain " + misfit.toFixed(1) + ")" : ""} | rev {culture.drivers.revBase} threat {culture.drivers.threat} scale {culture.drivers.scale} | {culture.drivers.legitimacy} | stability {Math.round(culture.stability)}</div>
+          {odds.length === 0 && <div style={{ color: "#6b7280", fontSize: 10 }}>No modelled transitions out of this regime.</div>}
+          {odds.map(function (o, i) {
+            var rr = REGIMES[o.to];
+            return (
+              <div key={i} style={{ fontSize: 10, marginBottom: 3 }}>
+                <span style={{ color: o.chance > 0 ? "#fbbf24" : "#6b7280", fontWeight: "bold" }}>{o.chance > 0 ? Math.round(o.chance * 100) + "%" : "—"}</span>{" "}
+                <span style={{ color: "#93c5fd" }}>{rr ? rr.icon + " " + rr.name : o.to}</span> <span style={{ color: "#9ca3af" }}>({o.label})</span>
+                {o.pull > 1 && <span style={{ color: "#fda4af" }}> ×{o.pull.toFixed(1)} strain</span>}
+                {o.unmet.length > 0 && <div style={{ color: "#6b7280", marginLeft: 12 }}>{o.unmet.join("; ")}</div>}
+              </div>
+            );
+          })}
+          <div style={{ color: "#4b5563", fontSize: 9, marginTop: 4 }}>Chance per 25-year turn.</div>
+        </div>
+      )}
       {(hov || sel) && (function () {
         var r = rdata(hov || sel);
         var out = REGIME_TRANSITIONS_LIST.filter(function (t) { return t.from === (hov || sel); });
@@ -243,50 +504,213 @@ function RegimeChartTab() {
   );
 }
 
-function HistoryTab() {
-  var _cfg = React.useState({ scale: "regional", climates: ["Temperate"], terrains: ["Plains", "Riverine"], techLevel: 3 });
+/**
+ * The galaxy around the homeworld (logic/Space.js): stars by class, colonies as rings in their owner's colour, and
+ * relations between worlds. Clicking a colony, or the home system, selects it.
+ */
+function GalaxyMap(props) {
+  var galaxy = props.galaxy;
+  var cultures = props.cultures;
+  var reach = galaxy.systems.reduce(function (m, s) { return Math.max(m, Math.abs(s.x), Math.abs(s.y)); }, 1);
+  var k = 180 / reach;
+  var px = function (x) { return 300 + x * k; };
+  var py = function (y) { return 200 + y * k; };
+  var at = function (c) { return c.colony || { system: 0, x: 0, y: 0 }; };
+  var home = cultures.filter(function (c) { return !c.colony; });
+  return (
+    <svg viewBox="0 0 600 400" style={{ width: "100%", maxHeight: 320, background: "#030712", borderRadius: 4, border: "1px solid #374151" }}>
+      {props.relations.map(function (r, i) {
+        var a = cultures.find(function (c) { return c.id === r.a; });
+        var b = cultures.find(function (c) { return c.id === r.b; });
+        if (!a || !b || !r.travel || at(a).system === at(b).system) return null;
+        var color = r.status === "War" ? "#ef4444" : r.status === "Alliance" ? "#22c55e" : r.status === "Trade Partners" ? "#3b82f6" : r.status === "Vassal" ? "#a855f7" : "#374151";
+        return <line key={i} x1={px(at(a).x)} y1={py(at(a).y)} x2={px(at(b).x)} y2={py(at(b).y)} stroke={color} strokeWidth={r.status === "War" ? 2 : 1} strokeOpacity={0.7} strokeDasharray={r.status === "Hostile" ? "4" : ""}><title>{a.name + " – " + b.name + ": " + r.status + ", " + r.travel + " years apart"}</title></line>;
+      })}
+      {galaxy.systems.map(function (s) {
+        var star = STARS[s.star] || STARS.G;
+        var settled = s.planets.filter(function (p) { return p.colony !== null; });
+        var note = s.name + " (" + s.star + " star, " + Math.round(Math.sqrt(s.x * s.x + s.y * s.y)) + " ly)\n" + s.planets.map(function (p) {
+          var owner = p.colony !== null ? cultures.find(function (c) { return c.id === p.colony; }) : null;
+          return p.kind === "Homeworld" ? p.name + ": " + home.length + " peoples" : p.name + ": " + (WORLDS[p.kind] ? WORLDS[p.kind].icon + " " : "") + p.kind + ", " + Math.round(p.habitability * 100) + "% habitable" + (owner ? " · " + owner.name : "");
+        }).join("\n");
+        return (
+          <g key={s.id}>
+            <title>{note}</title>
+            {s.id === 0 && <circle cx={px(0)} cy={py(0)} r={9} fill="none" stroke="#fbbf24" strokeWidth={props.selected !== null && home.some(function (c) { return c.id === props.selected; }) ? 2 : 1} onClick={function () { if (home.length) props.onSelect(home[0].id); }} style={{ cursor: "pointer" }} />}
+            {settled.map(function (p, j) {
+              var owner = cultures.find(function (c) { return c.id === p.colony; });
+              if (!owner) return null;
+              return <circle key={j} cx={px(s.x)} cy={py(s.y)} r={5 + j * 3} fill="none" stroke={ownerColor(owner.id)} strokeWidth={props.selected === owner.id ? 3 : 1.5} onClick={function () { props.onSelect(owner.id); }} style={{ cursor: "pointer" }} />;
+            })}
+            <circle cx={px(s.x)} cy={py(s.y)} r={s.id === 0 ? 4 : 2.5} fill={star.color} />
+            <text x={px(s.x)} y={py(s.y) - 7 - settled.length * 3} textAnchor="middle" fontSize="8" fill={settled.length || s.id === 0 ? "#d1d5db" : "#6b7280"}>{s.id === 0 ? "Home" : s.name}</text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+/** The autosave is offered once per page load, not again each time switching tabs remounts HistoryTab. */
+var autosaveOffered = false;
+
+function HistoryTab(props) {
+  var _cfg = React.useState(props.run ? props.run.config : DEFAULT_CONFIG);
   var config = _cfg[0];
   var setConfig = _cfg[1];
-  var _cultures = React.useState([]);
-  var cultures = _cultures[0];
-  var setCultures = _cultures[1];
-  var _relations = React.useState([]);
-  var relations = _relations[0];
-  var setRelations = _relations[1];
-  var _history = React.useState([]);
-  var history = _history[0];
-  var setHistory = _history[1];
-  var _year = React.useState(0);
-  var year = _year[0];
-  var setYear = _year[1];
+  var run = props.run;
+  var setRun = props.onRun;
   var _selected = React.useState(null);
   var selected = _selected[0];
   var setSelected = _selected[1];
   var _dt = React.useState(25);
   var dt = _dt[0];
   var setDt = _dt[1];
+  var _seed = React.useState(props.run ? props.run.seed : 42);
+  var seed = _seed[0];
+  var setSeed = _seed[1];
+
+  var _openWar = React.useState(null);
+  var openWar = _openWar[0];
+  var setOpenWar = _openWar[1];
+
+  var _sessionMsg = React.useState(null);
+  var sessionMsg = _sessionMsg[0];
+  var setSessionMsg = _sessionMsg[1];
+  // The timeline year on show (null for the present) and the seed a branch from it plays on with.
+  var _viewYear = React.useState(null);
+  var viewYear = _viewYear[0];
+  var setViewYear = _viewYear[1];
+  var _branchSeed = React.useState(7);
+  var branchSeed = _branchSeed[0];
+  var setBranchSeed = _branchSeed[1];
+  // Which map is on show: the homeworld ("planet") or the galaxy around it.
+  var _mapView = React.useState("planet");
+  var mapView = _mapView[0];
+  var setMapView = _mapView[1];
+  var fileInput = React.useRef(null);
+  var scenarioInput = React.useRef(null);
+
+  var restore = function (text, source) {
+    try {
+      var loaded = parseSession(text);
+      // A run replays with the content it was made with.
+      if (props.onPack) props.onPack(loaded.run.pack || null);
+      setRun(loaded.run);
+      setViewYear(null);
+      setConfig(loaded.run.config);
+      setSeed(loaded.run.seed);
+      if (loaded.dt) setDt(loaded.dt);
+      setSelected(null);
+      setSessionMsg({ ok: true, text: "Restored year " + loaded.run.year + " from " + source });
+    } catch (e) {
+      setSessionMsg({ ok: false, text: source + ": " + e.message });
+    }
+  };
+
+  React.useEffect(function () {
+    if (run || autosaveOffered) return;
+    autosaveOffered = true;
+    var saved = null;
+    try { saved = window.localStorage.getItem(AUTOSAVE_KEY); } catch (e) { saved = null; }
+    if (saved) restore(saved, "autosave");
+  }, []);
+
+  React.useEffect(function () {
+    if (!run) return;
+    try {
+      window.localStorage.setItem(AUTOSAVE_KEY, serializeSession(run, dt));
+    } catch (e) {
+      // A long timeline can outgrow the browser's storage; the run itself still fits without it.
+      try {
+        window.localStorage.setItem(AUTOSAVE_KEY, serializeSession(Object.assign({}, run, { timeline: [] }), dt));
+        setSessionMsg({ ok: false, text: "Autosaved without the timeline (too large); Save .json keeps it" });
+      } catch (e2) {
+        setSessionMsg({ ok: false, text: "Autosave failed: " + e2.message });
+      }
+    }
+  }, [run, dt]);
+
+  var loadFile = function (e) {
+    var file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    file.text().then(function (text) { restore(text, file.name); });
+  };
+
+  var loadScenario = function (e) {
+    var file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    file.text().then(function (text) {
+      try {
+        var started = createScenarioRun(text);
+        setRun(started);
+        setViewYear(null);
+        setConfig(started.config);
+        setSeed(started.seed);
+        setSelected(null);
+        setOpenWar(null);
+        setSessionMsg({ ok: true, text: "Started " + started.scenario.name + " from " + file.name });
+      } catch (err) {
+        setSessionMsg({ ok: false, text: file.name + ": " + err.message });
+      }
+    });
+  };
+
+  var fileStem = function () { return "civ-seed" + run.seed + "-y" + run.year; };
+
+  var years = run ? timelineYears(run) : [];
+  var past = run && viewYear !== null && viewYear !== run.year && years.indexOf(viewYear) >= 0;
+  var view = React.useMemo(function () { return past ? runAt(run, viewYear) : run; }, [run, past ? viewYear : null]);
+
+  var cultures = view ? view.cultures : [];
+  var relations = view ? view.relations : [];
+  var history = view ? view.history : [];
+  var year = view ? view.year : 0;
+  var map = view ? view.map : null;
+  var wars = view ? view.wars : [];
+  var climate = view ? view.climate : null;
+  var galaxy = view ? view.galaxy : null;
+  var borders = React.useMemo(function () { return map ? borderSegments(map) : []; }, [map]);
 
   var generate = React.useCallback(function () {
-    var count = { local: rand(2, 4), regional: rand(5, 9), continental: rand(10, 16), planetary: rand(16, 24) }[config.scale];
-    var cs = [];
-    for (var i = 0; i < count; i++) cs.push(generateCulture(i, pick(config.climates), pick(config.terrains), config.techLevel));
-    setCultures(cs);
-    setRelations(buildRelations(cs));
-    setHistory([{ year: 0, dt: 0, events: [{ type: "start", desc: "History begins..." }] }]);
-    setYear(0);
+    setRun(createRun(config, seed));
+    setViewYear(null);
     setSelected(null);
-  }, [config]);
+    setOpenWar(null);
+  }, [config, seed]);
 
   var advance = function () {
-    var ny = year + dt;
-    var result = simulateTurn(cultures, relations, ny, dt);
-    setCultures(result.cultures);
-    setRelations(buildRelations(result.cultures));
-    setHistory(function (h) { return h.concat([{ year: ny, dt: dt, events: result.events }]); });
-    setYear(ny);
+    setRun(advanceRun(run, dt));
+    setViewYear(null);
+  };
+
+  var branch = function () {
+    setRun(branchRun(run, year, branchSeed));
+    setSeed(branchSeed);
+    setViewYear(null);
+    setOpenWar(null);
+    setSessionMsg({ ok: true, text: "Branched at year " + year + " with seed " + branchSeed });
+  };
+
+  // The played culture and what its orders may name: cultures it has dealings with and regimes a reform can reach.
+  var player = view ? view.player : null;
+  var played = player ? cultures.find(function (c) { return c.id === player.culture; }) : null;
+  var contacts = played ? relations.filter(function (r) { return r.a === played.id || r.b === played.id; }).map(function (r) {
+    return { rel: r, culture: cultures.find(function (c) { return c.id === (r.a === played.id ? r.b : r.a); }) };
+  }).filter(function (x) { return x.culture; }) : [];
+  var reformable = played ? Object.keys(REGIMES).filter(function (id) { return id !== played.regime && reformPath(played.regime, id, played.techLevel); }) : [];
+  var setOrders = function (change) {
+    setRun(Object.assign({}, run, { player: { culture: run.player.culture, orders: Object.assign({}, run.player.orders, change) } }));
+  };
+  var play = function (id) {
+    setRun(Object.assign({}, run, { player: id === null ? null : createPlayer(id) }));
   };
 
   var sel = cultures.find(function (c) { return c.id === selected; });
+  var parent = sel && sel.origin ? cultures.find(function (c) { return c.id === sel.origin.parent; }) : null;
+  var successors = sel ? cultures.filter(function (c) { return c.origin && c.origin.parent === sel.id; }) : [];
   var era = LEVELS[Math.min(14, Math.floor(year / 200))] ? LEVELS[Math.min(14, Math.floor(year / 200))].sublabel : "Ancient";
 
   var eventColor = function (type) {
@@ -295,16 +719,32 @@ function HistoryTab() {
     if (type === "crisis") return "#fb923c";
     if (type === "cultural") return "#60a5fa";
     if (type === "tech") return "#22d3ee";
+    if (type === "diffusion") return "#67e8f9";
     if (type === "growth") return "#86efac";
     if (type === "ruler") return "#fde047";
     if (type === "battle") return "#fca5a5";
     if (type === "independence") return "#6ee7b7";
+    if (type === "diplomacy") return "#a5b4fc";
+    if (type === "territory") return "#fdba74";
+    if (type === "war") return "#ef4444";
+    if (type === "peace") return "#34d399";
+    if (type === "secession") return "#f472b6";
+    if (type === "migration") return "#fcd34d";
+    if (type === "scenario") return "#e879f9";
+    if (type === "disaster") return "#eab308";
+    if (type === "climate") return "#7dd3fc";
+    if (type === "institutions") return "#fda4af";
+    if (type === "branch") return "#2dd4bf";
+    if (type === "colony") return "#818cf8";
+    if (type === "federation") return "#38bdf8";
+    if (type === "policy") return "#fbbf24";
     return "#9ca3af";
   };
 
   var leftPanel = { width: 240, flexShrink: 0, display: "flex", flexDirection: "column", gap: 8, overflowY: "auto", padding: 8, background: "#111827", fontSize: 12 };
   var box = { background: "#1f2937", borderRadius: 8, padding: 8 };
   var btnAmber = { width: "100%", background: "#b45309", color: "#fff", border: "none", borderRadius: 4, padding: "6px 8px", cursor: "pointer", fontWeight: 600 };
+  var btnSmall = { background: "#374151", color: "#f3f4f6", border: "none", borderRadius: 4, padding: "4px 6px", cursor: "pointer", fontSize: 11 };
   var btnGreen = { width: "100%", background: "#15803d", color: "#fff", border: "none", borderRadius: 4, padding: "6px 8px", cursor: "pointer", fontWeight: 600 };
 
   return (
@@ -339,30 +779,184 @@ function HistoryTab() {
               return <button key={t} type="button" onClick={function () { setConfig(function (c) { var list = c.terrains.indexOf(t) >= 0 ? c.terrains.filter(function (x) { return x !== t; }) : c.terrains.concat([t]); return { scale: c.scale, climates: c.climates, terrains: list, techLevel: c.techLevel }; }); }} style={{ padding: "2px 6px", borderRadius: 4, fontSize: 11, background: on ? "#b45309" : "#374151", border: "none", color: "#f3f4f6", cursor: "pointer" }}>{t}</button>;
             })}
           </div>
+          <label style={{ display: "block", marginTop: 8, marginBottom: 8 }}>
+            Seed
+            <div style={{ display: "flex", gap: 4, marginTop: 4 }}>
+              <input type="number" value={seed} onChange={function (e) { setSeed(parseInt(e.target.value, 10) || 0); }} style={{ flex: 1, minWidth: 0, background: "#374151", color: "#f3f4f6", border: "none", borderRadius: 4, padding: "4px 6px", fontSize: 12, fontFamily: "monospace" }} />
+              <button type="button" onClick={function () { setSeed(Math.floor(Math.random() * 99999)); }} style={{ background: "#374151", color: "#f3f4f6", border: "none", borderRadius: 4, padding: "2px 8px", cursor: "pointer", fontSize: 11 }}>🎲</button>
+            </div>
+            <div style={{ color: "#6b7280", fontSize: 10, marginTop: 2 }}>Same seed + config + advance steps = same history</div>
+          </label>
           <button type="button" onClick={generate} style={btnAmber}>🌍 Generate World</button>
+          {!run && <button type="button" onClick={function () { fileInput.current.click(); }} style={{ ...btnSmall, width: "100%", marginTop: 4 }}>📂 Load Session…</button>}
+          <button type="button" onClick={function () { scenarioInput.current.click(); }} style={{ ...btnSmall, width: "100%", marginTop: 4 }}>🎬 Load Scenario…</button>
+          <input ref={fileInput} type="file" accept=".json,application/json" onChange={loadFile} style={{ display: "none" }} />
+          <input ref={scenarioInput} type="file" accept=".json,application/json" onChange={loadScenario} style={{ display: "none" }} />
+          {sessionMsg && <div style={{ color: sessionMsg.ok ? "#86efac" : "#f87171", fontSize: 11, marginTop: 4 }}>{sessionMsg.text}</div>}
         </div>
 
         {cultures.length > 0 && (
           <>
             <div style={box}>
               <div style={{ color: "#f59e0b", fontWeight: "bold", marginBottom: 8 }}>⏳ Year {year} · {era}</div>
-              <label style={{ display: "block", marginBottom: 8 }}>
-                Advance: {dt} years
-                <input type="range" min="5" max="200" step="5" value={dt} onChange={function (e) { setDt(+e.target.value); }} style={{ width: "100%" }} />
-              </label>
-              <button type="button" onClick={advance} style={btnGreen}>⏩ Advance {dt} Years</button>
+              {climate && (
+                <div style={{ marginBottom: 8, color: climate.iceAge || climate.anomaly <= -0.7 ? "#7dd3fc" : climate.anomaly >= 0.7 ? "#fb923c" : "#9ca3af" }}>
+                  🌡 Climate {climate.anomaly > 0 ? "+" : ""}{climate.anomaly.toFixed(1)} · {climate.iceAge ? "ice age" : climate.anomaly <= -0.7 ? "cold spell" : climate.anomaly >= 0.7 ? "warm spell" : "mild"}
+                  {climate.disasters.length > 0 && <span style={{ color: "#eab308" }}> · {climate.disasters.map(function (d) { return DISASTERS[d.type].icon; }).join("")}</span>}
+                </div>
+              )}
+              {!past && (
+                <>
+                  <label style={{ display: "block", marginBottom: 8 }}>
+                    Advance: {dt} years
+                    <input type="range" min="5" max="200" step="5" value={dt} onChange={function (e) { setDt(+e.target.value); }} style={{ width: "100%" }} />
+                  </label>
+                  <button type="button" onClick={advance} style={btnGreen}>⏩ Advance {dt} Years</button>
+                </>
+              )}
+              {past && <div style={{ color: "#2dd4bf", fontSize: 11 }}>Viewing the past · the present is year {run.year}</div>}
             </div>
+            {played && !past && (
+              <div style={box}>
+                <div style={{ color: "#f59e0b", fontWeight: "bold", marginBottom: 8 }}>🎮 Playing <span onClick={function () { setSelected(played.id); }} style={{ cursor: "pointer", textDecoration: "underline" }}>{played.name}</span></div>
+                <label style={{ display: "block", marginBottom: 4 }}>
+                  Taxes
+                  <select value={player.orders.taxes || ""} onChange={function (e) { setOrders({ taxes: e.target.value || null }); }} style={{ width: "100%", marginTop: 2, background: "#374151", color: "#f3f4f6", border: "none", borderRadius: 4, padding: "4px 6px", fontSize: 12 }}>
+                    <option value="">Keep as they are</option>
+                    {Object.keys(TAX_POLICIES).map(function (k) { return <option key={k} value={k}>{k === "raise" ? "Raise" : "Lower"} (revenue ×{TAX_POLICIES[k].rate}, stability {TAX_POLICIES[k].stability > 0 ? "+" : ""}{TAX_POLICIES[k].stability})</option>; })}
+                  </select>
+                </label>
+                <label style={{ display: "block", marginBottom: 4 }}>
+                  <input type="checkbox" checked={player.orders.research} onChange={function (e) { setOrders({ research: e.target.checked }); }} /> Fund research
+                </label>
+                <label style={{ display: "block", marginBottom: 4 }}>
+                  Reform toward
+                  <select value={player.orders.reform || ""} onChange={function (e) { setOrders({ reform: e.target.value || null }); }} style={{ width: "100%", marginTop: 2, background: "#374151", color: "#f3f4f6", border: "none", borderRadius: 4, padding: "4px 6px", fontSize: 12 }}>
+                    <option value="">No reform</option>
+                    {reformable.map(function (id) { return <option key={id} value={id}>{REGIMES[id].icon} {REGIMES[id].name} ({reformPath(played.regime, id, played.techLevel).length - 1} steps)</option>; })}
+                  </select>
+                </label>
+                <label style={{ display: "block", marginBottom: 4 }}>
+                  Declare war on
+                  <div style={{ display: "flex", gap: 4, marginTop: 2 }}>
+                    <select value={player.orders.war ? player.orders.war.target : ""} onChange={function (e) { setOrders({ war: e.target.value === "" ? null : { target: +e.target.value, goal: player.orders.war ? player.orders.war.goal : undefined } }); }} style={{ flex: 1, minWidth: 0, background: "#374151", color: "#f3f4f6", border: "none", borderRadius: 4, padding: "4px 6px", fontSize: 12 }}>
+                      <option value="">No one</option>
+                      {contacts.filter(function (x) { return x.rel.status !== "War" && x.rel.status !== "Vassal"; }).map(function (x) { return <option key={x.culture.id} value={x.culture.id}>{x.culture.name} ({x.rel.status})</option>; })}
+                    </select>
+                    <select value={player.orders.war && player.orders.war.goal ? player.orders.war.goal : ""} disabled={!player.orders.war} onChange={function (e) { setOrders({ war: { target: player.orders.war.target, goal: e.target.value || undefined } }); }} style={{ width: 80, background: "#374151", color: "#f3f4f6", border: "none", borderRadius: 4, padding: "4px 6px", fontSize: 12 }}>
+                      <option value="">any goal</option>
+                      {Object.keys(WAR_GOALS).map(function (g) { return <option key={g} value={g}>{g}</option>; })}
+                    </select>
+                  </div>
+                </label>
+                <label style={{ display: "block", marginBottom: 4 }}>
+                  Propose an alliance to
+                  <select value={player.orders.alliance === null ? "" : player.orders.alliance} onChange={function (e) { setOrders({ alliance: e.target.value === "" ? null : +e.target.value }); }} style={{ width: "100%", marginTop: 2, background: "#374151", color: "#f3f4f6", border: "none", borderRadius: 4, padding: "4px 6px", fontSize: 12 }}>
+                    <option value="">No one</option>
+                    {contacts.filter(function (x) { return x.rel.status !== "Alliance" && x.rel.status !== "War"; }).map(function (x) { return <option key={x.culture.id} value={x.culture.id}>{x.culture.name} ({x.rel.status}, tension {x.rel.tension.toFixed(1)})</option>; })}
+                  </select>
+                </label>
+                <div style={{ color: "#6b7280", fontSize: 10, marginBottom: 4 }}>Orders apply on the next advance; war and alliance once, the rest until changed</div>
+                <button type="button" onClick={function () { play(null); }} style={{ ...btnSmall, width: "100%" }}>Stop playing</button>
+              </div>
+            )}
+            {years.length > 1 && (
+              <div style={box}>
+                <div style={{ color: "#f59e0b", fontWeight: "bold", marginBottom: 8 }}>🕰 Timeline</div>
+                <input type="range" min="0" max={years.length - 1} step="1" value={years.indexOf(year)} onChange={function (e) { var y = years[+e.target.value]; setViewYear(y === run.year ? null : y); }} style={{ width: "100%" }} />
+                <div style={{ display: "flex", justifyContent: "space-between", color: "#6b7280", fontSize: 10 }}>
+                  <span>{years[0]}</span>
+                  <span>{years.length} snapshots</span>
+                  <span>{run.year}</span>
+                </div>
+                {past && <button type="button" onClick={function () { setViewYear(null); }} style={{ ...btnSmall, width: "100%", marginTop: 4 }}>▶ Back to year {run.year}</button>}
+                <div style={{ display: "flex", gap: 4, marginTop: 6 }}>
+                  <input type="number" value={branchSeed} onChange={function (e) { setBranchSeed(parseInt(e.target.value, 10) || 0); }} style={{ flex: 1, minWidth: 0, background: "#374151", color: "#f3f4f6", border: "none", borderRadius: 4, padding: "4px 6px", fontSize: 12, fontFamily: "monospace" }} />
+                  <button type="button" onClick={function () { setBranchSeed(Math.floor(Math.random() * 99999)); }} style={{ background: "#374151", color: "#f3f4f6", border: "none", borderRadius: 4, padding: "2px 8px", cursor: "pointer", fontSize: 11 }}>🎲</button>
+                </div>
+                <button type="button" onClick={branch} style={{ ...btnSmall, width: "100%", marginTop: 4 }}>⑂ Branch from year {year}</button>
+                <div style={{ color: "#6b7280", fontSize: 10, marginTop: 2 }}>Forks a new run from this snapshot with the seed above; later turns are dropped</div>
+              </div>
+            )}
+            <div style={box}>
+              <div style={{ color: "#f59e0b", fontWeight: "bold", marginBottom: 8 }}>💾 Session</div>
+              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 4 }}>
+                <button type="button" onClick={function () { downloadText(fileStem() + ".json", serializeSession(run, dt), "application/json"); }} style={btnSmall}>Save .json</button>
+                <button type="button" onClick={function () { fileInput.current.click(); }} style={btnSmall}>Load…</button>
+                <button type="button" onClick={function () { downloadText(fileStem() + ".md", exportChronicleMarkdown(run), "text/markdown"); }} style={btnSmall}>Chronicle .md</button>
+                <button type="button" onClick={function () { downloadText(fileStem() + ".csv", exportChronicleCsv(run), "text/csv"); }} style={btnSmall}>Chronicle .csv</button>
+                <button type="button" onClick={function () { downloadText(fileStem() + "-narrative.md", exportNarrativeMarkdown(run), "text/markdown"); }} style={{ ...btnSmall, gridColumn: "span 2" }}>Narrative .md</button>
+              </div>
+              <div style={{ color: "#6b7280", fontSize: 10, marginTop: 4 }}>Autosaved to this browser after every turn</div>
+            </div>
+            {view.scenario && (
+              <div style={box}>
+                <div style={{ color: "#f59e0b", fontWeight: "bold", marginBottom: 8 }}>🎬 {view.scenario.name}</div>
+                {view.scenario.events.slice().sort(function (a, b) { return a.year - b.year; }).slice(0, 5).map(function (a, i) {
+                  var who = typeof a.culture === "number" ? (cultures.find(function (c) { return c.id === a.culture; }) || { name: a.culture }).name : a.culture === "*" ? "all" : a.culture;
+                  return <div key={i} style={{ fontSize: 11, color: "#e879f9" }}><span style={{ color: "#6b7280" }}>Y{a.year}:</span> {a.action} · {who}{a.text ? " — " + a.text : ""}</div>;
+                })}
+                {view.scenario.events.length > 5 && <div style={{ color: "#6b7280", fontSize: 11 }}>+{view.scenario.events.length - 5} more scheduled</div>}
+                {view.scenario.events.length === 0 && <div style={{ color: "#6b7280", fontSize: 11 }}>No events left to come</div>}
+                {view.scenario.triggers.length > 0 && <div style={{ color: "#9ca3af", fontSize: 10, marginTop: 4 }}>Triggers: {view.scenario.triggers.filter(function (t, i) { return !t.once || view.scenario.fired.indexOf(i) < 0; }).length} armed · {view.scenario.fired.length} fired</div>}
+              </div>
+            )}
+            {wars.length > 0 && (
+              <div style={box}>
+                <div style={{ color: "#f59e0b", fontWeight: "bold", marginBottom: 8 }}>⚔️ Wars</div>
+                <div style={{ maxHeight: 220, overflowY: "auto" }}>
+                  {wars.slice().sort(function (a, b) { return (a.ended === null ? 0 : 1) - (b.ended === null ? 0 : 1) || b.started - a.started; }).map(function (w) {
+                    var names = function (ids) { return ids.map(function (id) { var c = cultures.find(function (x) { return x.id === id; }); return c ? c.name : id; }).join(", "); };
+                    var open = openWar === w.id;
+                    return (
+                      <div key={w.id} style={{ background: "#374151", borderRadius: 4, padding: 6, marginBottom: 4 }}>
+                        <div onClick={function () { setOpenWar(open ? null : w.id); }} style={{ cursor: "pointer" }}>
+                          <div style={{ color: w.ended === null ? "#f87171" : "#9ca3af", fontWeight: 600 }}>{open ? "▾" : "▸"} {w.name}</div>
+                          <div style={{ color: "#9ca3af", fontSize: 10 }}>Y{w.started}–{w.ended === null ? "" : w.ended} · {w.goal} · score {w.score > 0 ? "+" : ""}{w.score}</div>
+                          <div style={{ height: 4, background: "#1f2937", borderRadius: 2, marginTop: 2, position: "relative" }}>
+                            <div style={{ position: "absolute", left: w.score >= 0 ? "50%" : 50 + w.score / 2 + "%", width: Math.abs(w.score) / 2 + "%", height: 4, background: w.score >= 0 ? "#f87171" : "#60a5fa", borderRadius: 2 }} />
+                          </div>
+                        </div>
+                        {open && (
+                          <div style={{ marginTop: 4, fontSize: 11 }}>
+                            <div style={{ color: "#fca5a5" }}>Attackers: {names(w.attackers)}</div>
+                            <div style={{ color: "#93c5fd" }}>Defenders: {names(w.defenders)}</div>
+                            {history.map(function (h) {
+                              return h.events.filter(function (e) { return e.war === w.id; }).map(function (e, j) {
+                                return <div key={h.year + ":" + j} title={eventNote(e)} style={{ color: eventColor(e.type) }}><span style={{ color: "#6b7280" }}>Y{h.year}:</span> {e.desc}</div>;
+                              });
+                            })}
+                          </div>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
             <div style={{ ...box, flex: 1, overflow: "hidden", display: "flex", flexDirection: "column" }}>
               <div style={{ color: "#f59e0b", fontWeight: "bold", marginBottom: 8 }}>📜 Timeline</div>
               <div style={{ flex: 1, overflowY: "auto" }}>
                 {history.slice().reverse().map(function (h, i) {
+                  // Each war gets one line per turn (its latest event); the full thread is under Wars.
+                  var lines = [];
+                  var seen = {};
+                  h.events.forEach(function (e) {
+                    if (e.war === undefined) { lines.push(e); return; }
+                    var w = wars.find(function (x) { return x.id === e.war; });
+                    var line = Object.assign({}, e, { desc: "⚔️ " + (w ? w.name : "War") + ": " + e.desc });
+                    if (seen[e.war] !== undefined) lines[seen[e.war]] = line;
+                    else { seen[e.war] = lines.length; lines.push(line); }
+                  });
+                  // The player's orders come first, with what they did.
+                  lines = lines.filter(function (e) { return e.type === "policy"; }).concat(lines.filter(function (e) { return e.type !== "policy"; }));
                   return (
                     <div key={i} style={{ background: "#374151", borderRadius: 4, padding: 6, marginBottom: 4 }}>
                       <div style={{ color: "#f59e0b", fontWeight: 600 }}>Year {h.year}{h.dt > 0 ? " (+" + h.dt + "y)" : ""}</div>
-                      {h.events.slice(0, 6).map(function (e, j) {
-                        return <div key={j} style={{ color: eventColor(e.type) }}>{e.desc}</div>;
+                      {lines.slice(0, 6).map(function (e, j) {
+                        return <div key={j} title={eventNote(e)} onClick={e.war !== undefined ? function () { setOpenWar(e.war); } : undefined} style={{ color: eventColor(e.type), cursor: e.war !== undefined ? "pointer" : "default" }}>{e.scripted ? "🎬 " : e.type === "policy" ? "🎮 " : ""}{e.desc}{e.type === "policy" && e.effects.length ? " → " + e.effects.join("; ") : ""}</div>;
                       })}
-                      {h.events.length > 6 && <div style={{ color: "#6b7280" }}>+{h.events.length - 6} more</div>}
+                      {lines.length > 6 && <div style={{ color: "#6b7280" }}>+{lines.length - 6} more</div>}
                     </div>
                   );
                 })}
@@ -374,18 +968,47 @@ function HistoryTab() {
 
       <div style={{ flex: 1, display: "flex", flexDirection: "column", gap: 8, overflow: "hidden", padding: 8 }}>
         <div style={box}>
-          <div style={{ color: "#f59e0b", fontWeight: "bold", marginBottom: 8 }}>🗺️ World Map</div>
-          <svg viewBox="0 0 600 400" style={{ width: "100%", maxHeight: 320, background: "#030712", borderRadius: 4, border: "1px solid #374151" }}>
+          <div style={{ display: "flex", alignItems: "center", gap: 6, marginBottom: 8 }}>
+            <div style={{ color: "#f59e0b", fontWeight: "bold", flex: 1 }}>{mapView === "galaxy" && galaxy ? "🌌 Galaxy Map" : "🗺️ World Map"}</div>
+            {galaxy && [["planet", "🗺 Planet"], ["galaxy", "🌌 Galaxy"]].map(function (v) {
+              return <button key={v[0]} onClick={function () { setMapView(v[0]); }} style={{ ...btnSmall, background: mapView === v[0] ? "#b45309" : "#374151" }}>{v[1]}</button>;
+            })}
+          </div>
+          {mapView === "galaxy" && galaxy ? <GalaxyMap galaxy={galaxy} cultures={cultures} relations={relations} selected={selected} onSelect={setSelected} /> : <svg viewBox="0 0 600 400" style={{ width: "100%", maxHeight: 320, background: "#030712", borderRadius: 4, border: "1px solid #374151" }}>
+            {map && map.terrain.map(function (t, i) {
+              var o = map.owner[i];
+              var x = (i % map.cols) * map.cell;
+              var y = Math.floor(i / map.cols) * map.cell;
+              return (
+                <g key={"t" + i}>
+                  <rect x={x} y={y} width={map.cell} height={map.cell} fill={TERRAIN_COLORS[t] || "#1f2937"} opacity={0.55} />
+                  {o !== null && <rect x={x} y={y} width={map.cell} height={map.cell} fill={ownerColor(o)} opacity={selected === o ? 0.45 : 0.25} />}
+                </g>
+              );
+            })}
+            {borders.length > 0 && <path d={borders.map(function (s) { return "M" + s.x1 + "," + s.y1 + "L" + s.x2 + "," + s.y2; }).join("")} stroke="#e5e7eb" strokeWidth={1.2} strokeOpacity={0.7} fill="none" />}
+            {climate && climate.iceAge && <rect x={0} y={0} width={600} height={400} fill="#bae6fd" opacity={0.12} />}
+            {climate && climate.disasters.map(function (d) {
+              var k = DISASTERS[d.type];
+              var color = d.type === "flood" ? "#3b82f6" : d.type === "volcano" ? "#ef4444" : "#eab308";
+              return (
+                <g key={"d" + d.id}>
+                  <title>{k.label + " (Y" + d.from + (d.until > d.from ? "–" + d.until : "") + ", harvest −" + Math.round(d.severity * 100) + "%)"}</title>
+                  <circle cx={d.x} cy={d.y} r={d.radius} fill={color} fillOpacity={0.12} stroke={color} strokeOpacity={0.6} strokeDasharray="5 4" />
+                  <text x={d.x} y={d.y - d.radius + 14} textAnchor="middle" fontSize="12">{k.icon}</text>
+                </g>
+              );
+            })}
             {relations.map(function (r, i) {
               var a = cultures.find(function (c) { return c.id === r.a; });
               var b = cultures.find(function (c) { return c.id === r.b; });
-              if (!a || !b) return null;
+              if (!a || !b || a.colony || b.colony) return null;
               var color = r.status === "War" ? "#ef4444" : r.status === "Alliance" ? "#22c55e" : r.status === "Trade Partners" ? "#3b82f6" : r.status === "Vassal" ? "#a855f7" : "#374151";
               var mx = (a.x + b.x) / 2;
               var my = (a.y + b.y) / 2;
               return <g key={i}><line x1={a.x} y1={a.y} x2={b.x} y2={b.y} stroke={color} strokeWidth={r.status === "War" ? 2 : 1} strokeDasharray={r.status === "Hostile" ? "4" : ""} /><text x={mx} y={my} textAnchor="middle" fontSize="10">{r.icon}</text></g>;
             })}
-            {cultures.map(function (c) {
+            {cultures.filter(function (c) { return !c.colony; }).map(function (c) {
               var r = REGIMES[c.regime] || REGIMES.failed;
               var fill = c.stability > 65 ? "#166534" : c.stability > 40 ? "#854d0e" : "#7f1d1d";
               var rad = 10 + c.sliders.capacity * 2 + c.vassals.length * 2;
@@ -398,69 +1021,140 @@ function HistoryTab() {
                 </g>
               );
             })}
-          </svg>
-          <div style={{ display: "flex", flexWrap: "wrap", gap: 12, marginTop: 8, justifyContent: "center", fontSize: 11, color: "#9ca3af" }}>
+          </svg>}
+          {mapView === "galaxy" && galaxy ? (
+            <div style={{ display: "flex", flexWrap: "wrap", gap: 12, marginTop: 8, justifyContent: "center", fontSize: 11, color: "#9ca3af" }}>
+              {Object.keys(STARS).map(function (k) { return <span key={k}><span style={{ display: "inline-block", width: 8, height: 8, borderRadius: "50%", background: STARS[k].color, marginRight: 4 }} />{k}</span>; })}
+              <span>◯ Colony</span>
+              <span style={{ color: "#ef4444" }}>— War</span>
+              <span style={{ color: "#22c55e" }}>— Alliance</span>
+              <span style={{ color: "#a855f7" }}>— Vassal</span>
+              <span>{cultures.filter(function (c) { return c.colony; }).length} colonies · {galaxy.federations.filter(function (f) { return f.ended === null; }).length} federations</span>
+            </div>
+          ) : <div style={{ display: "flex", flexWrap: "wrap", gap: 12, marginTop: 8, justifyContent: "center", fontSize: 11, color: "#9ca3af" }}>
             <span><span style={{ display: "inline-block", width: 8, height: 8, borderRadius: "50%", background: "#166534", marginRight: 4 }} />Stable</span>
             <span><span style={{ display: "inline-block", width: 8, height: 8, borderRadius: "50%", background: "#854d0e", marginRight: 4 }} />Unstable</span>
             <span><span style={{ display: "inline-block", width: 8, height: 8, borderRadius: "50%", background: "#7f1d1d", marginRight: 4 }} />Crisis</span>
             <span style={{ color: "#ef4444" }}>— War</span>
             <span style={{ color: "#22c55e" }}>— Alliance</span>
             <span style={{ color: "#a855f7" }}>— Vassal</span>
-          </div>
+            <span style={{ color: "#e5e7eb" }}>▭ Borders</span>
+            <span style={{ color: "#eab308" }}>◌ Disaster</span>
+          </div>}
         </div>
 
         {sel && (function () {
           var r = REGIMES[sel.regime] || REGIMES.failed;
-          var techsUnlocked = techsForLevel(sel.techLevel);
-          var unlockCount = techsUnlocked.size;
           return (
             <div style={{ ...box, overflowY: "auto", flex: 1 }}>
-              <div style={{ color: "#f59e0b", fontWeight: "bold", marginBottom: 8 }}>{r.icon} {sel.name} — {r.name}</div>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", marginBottom: 8 }}>
+                <div style={{ color: "#f59e0b", fontWeight: "bold" }}>{r.icon} {sel.name} — {r.name}</div>
+                {!past && (!player || player.culture !== sel.id) && <button type="button" onClick={function () { play(sel.id); }} style={btnSmall}>🎮 Play this culture</button>}
+              </div>
               <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 12, fontSize: 12 }}>
                 <div>
                   <div style={{ color: "#f59e0b", fontWeight: 600, marginBottom: 4 }}>🗺 Geography</div>
                   <div>{sel.climate} · {sel.terrain}</div>
+                  {sel.colony ? <div>On {sel.colony.world} ({sel.colony.kind}) · {Object.keys(sel.colony.land).reduce(function (n, t) { return n + sel.colony.land[t]; }, 0)} provinces</div> : <div>{provinceCount(map, sel.id)} provinces</div>}
                   <div style={{ color: "#9ca3af" }}>{sel.resources.join(", ")}</div>
+                  {sel.harvest && sel.harvest.factor !== 1 && <div style={{ color: sel.harvest.factor < 0.8 ? "#fb923c" : "#9ca3af" }}>Harvest: {Math.round(sel.harvest.factor * 100)}%{sel.harvest.causes.length ? " (" + sel.harvest.causes.join(", ") + ")" : ""}</div>}
                   <div style={{ color: "#f59e0b", fontWeight: 600, marginTop: 8, marginBottom: 4 }}>👥 Society</div>
-                  <div>Pop: {sel.population >= 1e9 ? (sel.population / 1e9).toFixed(1) + "B" : (sel.population / 1e6).toFixed(1) + "M"}</div>
-                  <div>Religion: {sel.religion}</div>
-                  <div>Language: {sel.language}</div>
+                  <div>Pop: {formatPop(sel.population)} <span style={{ color: "#6b7280" }}>/ {formatPop(carryingCapacity(sel))} capacity</span></div>
+                  {sel.migration && (sel.migration.arrived > 0 || sel.migration.left > 0) && <div style={{ color: "#9ca3af" }}>Migrants: +{formatPop(sel.migration.arrived)} / −{formatPop(sel.migration.left)}</div>}
+                  <div>Religion: {formatShares(sharesBy(sel, "religion"))}</div>
+                  {religiousTension(sel) >= 0.1 && <div style={{ color: religiousTension(sel) >= 0.4 ? "#fb923c" : "#9ca3af" }}>Religious tension: {Math.round(religiousTension(sel) * 100)}%</div>}
+                  <div>Language: {formatShares(sharesBy(sel, "language"))}</div>
                   <div>Influence: {sel.culturalInfluence}</div>
                 </div>
                 <div>
                   <div style={{ color: "#f59e0b", fontWeight: 600, marginBottom: 4 }}>👑 Political</div>
                   <div>{r.name}</div>
-                  <div style={{ color: "#9ca3af" }}>{sel.ruler} · {sel.dynasty}</div>
+                  <div style={{ color: "#9ca3af" }}>{sel.ruler.title}, {year - sel.ruler.born} · {sel.dynasty || "elected"}</div>
                   <div>Stability: <span style={{ color: sel.stability > 65 ? "#86efac" : sel.stability > 40 ? "#fde047" : "#f87171" }}>{Math.round(sel.stability)}%</span></div>
                   <div>Legitimacy: {sel.drivers.legitimacy}</div>
                   <div style={{ fontFamily: "monospace", marginTop: 4, color: "#d1d5db" }}>
-                    <div>C: {"█".repeat(sel.sliders.coercion)}{"░".repeat(5 - sel.sliders.coercion)}</div>
-                    <div>A: {"█".repeat(sel.sliders.capacity)}{"░".repeat(5 - sel.sliders.capacity)}</div>
-                    <div>I: {"█".repeat(sel.sliders.inclusiveness)}{"░".repeat(5 - sel.sliders.inclusiveness)}</div>
+                    {[["C", "coercion"], ["A", "capacity"], ["I", "inclusiveness"]].map(function (s) {
+                      var v = sel.sliders[s[1]];
+                      var fits = v >= r[s[1]][0] && v <= r[s[1]][1];
+                      return <div key={s[1]} title={s[1] + ": regime range " + r[s[1]][0] + "–" + r[s[1]][1]} style={{ color: fits ? "#d1d5db" : "#fda4af" }}>{s[0]}: {sliderBar(v)}</div>;
+                    })}
                   </div>
                   {sel.vassalOf !== null && <div style={{ color: "#c084fc", marginTop: 4 }}>Vassal of {cultures.find(function (c) { return c.id === sel.vassalOf; }) ? cultures.find(function (c) { return c.id === sel.vassalOf; }).name : ""}</div>}
+                  {federationOf(galaxy, sel) && <div style={{ color: "#38bdf8", marginTop: 4 }}>Member of the {federationOf(galaxy, sel).name}</div>}
+                  {sel.colony && <div style={{ color: "#818cf8", marginTop: 4 }}>Colony of <span onClick={function () { setSelected(sel.colony.parent); }} style={{ cursor: "pointer", textDecoration: "underline" }}>{parent ? parent.name : "#" + sel.colony.parent}</span> since Y{sel.colony.founded}</div>}
+                  {sel.origin && !sel.colony && <div style={{ color: "#f9a8d4", marginTop: 4 }}>Broke away from <span onClick={function () { setSelected(sel.origin.parent); }} style={{ cursor: "pointer", textDecoration: "underline" }}>{parent ? parent.name : "#" + sel.origin.parent}</span> in Y{sel.origin.year} ({sel.origin.cause})</div>}
+                  {successors.length > 0 && <div style={{ color: "#f9a8d4" }}>Successors: {successors.map(function (c) { return <span key={c.id} onClick={function () { setSelected(c.id); }} style={{ cursor: "pointer", textDecoration: "underline", marginRight: 4 }}>{c.name}</span>; })}</div>}
                   {sel.vassals.length > 0 && <div style={{ color: "#d8b4fe" }}>Vassals: {sel.vassals.map(function (v) { return cultures.find(function (c) { return c.id === v; }) ? cultures.find(function (c) { return c.id === v; }).name : v; }).join(", ")}</div>}
                 </div>
                 <div>
                   <div style={{ color: "#f59e0b", fontWeight: 600, marginBottom: 4 }}>🔬 Technology</div>
                   <div style={{ color: "#22d3ee", fontWeight: "bold" }}>Level {sel.techLevel}: {LEVELS[sel.techLevel - 1] ? LEVELS[sel.techLevel - 1].sublabel : ""}</div>
-                  <div style={{ color: "#9ca3af" }}>{unlockCount} techs available</div>
+                  <div style={{ color: "#9ca3af" }}>{sel.techs.length}/{TECHS.length} techs known</div>
                   <div style={{ color: "#f59e0b", fontWeight: 600, marginTop: 8, marginBottom: 4 }}>💰 Economy</div>
                   <div>{sel.economy.join(", ")}</div>
                   <div>GDP: {(sel.gdp / 1e9).toFixed(1)}B</div>
                   <div>Trade: {(sel.tradeIncome / 1e6).toFixed(0)}M</div>
+                  <div>Treasury: <span style={{ color: sel.treasury < 0 ? "#f87171" : "#d1d5db" }}>{(sel.treasury / 1e9).toFixed(2)}B</span></div>
                   <div style={{ color: "#f59e0b", fontWeight: 600, marginTop: 8, marginBottom: 4 }}>⚔️ Military</div>
                   <div>{(sel.military / 1000).toFixed(0)}K troops</div>
+                  {wars.filter(function (w) { return w.ended === null && (w.attackers.indexOf(sel.id) >= 0 || w.defenders.indexOf(sel.id) >= 0); }).map(function (w) {
+                    var ours = w.attackers.indexOf(sel.id) >= 0 ? w.score : -w.score;
+                    return <div key={w.id} onClick={function () { setOpenWar(w.id); }} style={{ color: ours >= 0 ? "#86efac" : "#f87171", cursor: "pointer" }}>{w.name} ({ours > 0 ? "+" : ""}{ours})</div>;
+                  })}
+                  {sel.tribute && <div style={{ color: "#fdba74" }}>Pays {Math.round(sel.tribute.share * 100)}% tribute to {cultures.find(function (c) { return c.id === sel.tribute.to; }) ? cultures.find(function (c) { return c.id === sel.tribute.to; }).name : ""} until Y{sel.tribute.until}</div>}
                   <div style={{ color: "#f59e0b", fontWeight: 600, marginTop: 8, marginBottom: 4 }}>🤝 Relations</div>
                   {relations.filter(function (rel) { return rel.a === sel.id || rel.b === sel.id; }).map(function (rel, i) {
                     var other = cultures.find(function (c) { return c.id === (rel.a === sel.id ? rel.b : rel.a); });
                     var col = rel.status === "War" ? "#f87171" : rel.status === "Hostile" ? "#fb923c" : rel.status === "Alliance" ? "#86efac" : rel.status === "Trade Partners" ? "#60a5fa" : rel.status === "Vassal" ? "#c084fc" : "#9ca3af";
-                    return <div key={i} style={{ color: col }}>{other ? other.name : ""}: {rel.status} {rel.icon}</div>;
+                    var barrierNote = rel.border > 0 ? "border: " + rel.barrier : rel.travel ? rel.travel + " years through space" : "via " + rel.barrier;
+                    var last = rel.changes.length ? rel.changes[rel.changes.length - 1] : null;
+                    return (
+                      <div key={i} style={{ color: col }} title={rel.changes.map(function (ch) { return "Y" + ch.year + ": " + ch.from + " → " + ch.to + " — " + ch.reason; }).join("\n")}>
+                        {other ? other.name : ""}: {rel.status} <span title={barrierNote}>{rel.icon}</span>
+                        <span style={{ color: "#6b7280", fontSize: 10 }}> since Y{rel.since} · faith {Math.round(rel.relOverlap * 100)}% · tongue {Math.round(rel.langOverlap * 100)}%{rel.grievances >= 1 ? " · grievances " + rel.grievances.toFixed(1) : ""}{last ? " · " + last.reason : ""}</span>
+                      </div>
+                    );
                   })}
                 </div>
               </div>
+              {sel.ledger && Object.keys(sel.ledger).length > 0 && (
+                <div style={{ marginTop: 12, paddingTop: 8, borderTop: "1px solid #374151" }}>
+                  <div style={{ color: "#f59e0b", fontWeight: 600, marginBottom: 4 }}>📦 Resources <span style={{ color: "#6b7280", fontWeight: 400, fontSize: 10 }}>per year · Food pools Grain, Livestock and Fish</span></div>
+                  <table style={{ fontSize: 11, borderCollapse: "collapse", color: "#d1d5db" }}>
+                    <thead>
+                      <tr style={{ color: "#6b7280" }}>{["", "Made", "Used", "Trade", "Balance"].map(function (h) { return <th key={h} style={{ textAlign: h ? "right" : "left", padding: "0 8px 2px 0", fontWeight: 400 }}>{h}</th>; })}</tr>
+                    </thead>
+                    <tbody>
+                      {Object.keys(sel.ledger).map(function (res) {
+                        var l = sel.ledger[res];
+                        var trade = l.imported - l.exported;
+                        var bal = l.made + trade - l.used;
+                        var cell = { textAlign: "right", padding: "0 8px 0 0" };
+                        return (
+                          <tr key={res}>
+                            <td style={{ padding: "0 8px 0 0" }}>{res}</td>
+                            <td style={cell}>{l.made.toFixed(1)}</td>
+                            <td style={cell}>{l.used.toFixed(1)}</td>
+                            <td style={{ ...cell, color: trade > 0 ? "#60a5fa" : trade < 0 ? "#fde047" : "#6b7280" }}>{trade === 0 ? "–" : (trade > 0 ? "+" : "") + trade.toFixed(1)}</td>
+                            <td style={{ ...cell, color: bal < 0 ? "#f87171" : "#86efac" }}>{bal.toFixed(1)}</td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+              <div style={{ marginTop: 12, paddingTop: 8, borderTop: "1px solid #374151" }}>
+                <div style={{ color: "#f59e0b", fontWeight: 600, marginBottom: 4 }}>👑 Dynasty tree <span style={{ color: "#6b7280", fontWeight: 400, fontSize: 10 }}>last {sel.rulers.length + 1} rulers · succession by {REGIMES[sel.regime].succession} rule</span></div>
+                <DynastyTree culture={sel} />
+              </div>
+              <div style={{ marginTop: 12, paddingTop: 8, borderTop: "1px solid #374151" }}>
+                <div style={{ color: "#f59e0b", fontWeight: 600, marginBottom: 4 }}>🔬 Known techs <span style={{ color: "#6b7280", fontWeight: 400, fontSize: 10 }}>cyan = known · blue outline = researchable · hover for names</span></div>
+                <div style={{ overflowX: "auto" }}><CultureTechTree techs={sel.techs} /></div>
+              </div>
               <div style={{ marginTop: 12, paddingTop: 8, borderTop: "1px solid #374151" }}>
                 <div style={{ color: "#f59e0b", fontWeight: 600, marginBottom: 4 }}>📖 Chronicle of {sel.name}</div>
+                <div style={{ color: "#e5e7eb", lineHeight: 1.4, marginBottom: 6 }}>{cultureChronicle(view, sel.id)}</div>
                 <div style={{ maxHeight: 112, overflowY: "auto" }}>
                   {sel.history.slice().reverse().map(function (h, i) {
                     return <div key={i} style={{ color: "#d1d5db" }}><span style={{ color: "#6b7280" }}>Y{h.year}:</span> {h.event}</div>;
@@ -475,11 +1169,391 @@ function HistoryTab() {
   );
 }
 
+/** Regime ids of the active content pack, in table order. */
+function regimeKeys() {
+  return Object.keys(REGIMES);
+}
+
+function regimeColor(key) {
+  var keys = regimeKeys();
+  return key === "failed" ? "#4b5563" : "hsl(" + Math.round(keys.indexOf(key) * 360 / keys.length) + ", 55%, 48%)";
+}
+
+function formatStat(key, v) {
+  if (key === "stability") return String(Math.round(v));
+  if (key === "techLevel") return v.toFixed(1);
+  return formatPop(v);
+}
+
+/** Line chart of `lines` ([{ id, label, color, points: [{ year, value }] }]); `focus` is drawn on top, the rest dimmed. */
+function LineChart(props) {
+  var W = 760;
+  var H = 220;
+  var L = 48;
+  var B = 18;
+  var all = [];
+  props.lines.forEach(function (l) { l.points.forEach(function (p) { all.push(p); }); });
+  if (!all.length) return null;
+  var x0 = Math.min.apply(null, all.map(function (p) { return p.year; }));
+  var x1 = Math.max.apply(null, all.map(function (p) { return p.year; }));
+  var log = props.log;
+  var ys = all.map(function (p) { return log ? Math.log10(Math.max(1, p.value)) : p.value; });
+  var y0 = log ? Math.floor(Math.min.apply(null, ys)) : 0;
+  var y1 = Math.max(y0 + 1e-9, Math.max.apply(null, ys));
+  var px = function (year) { return L + (x1 > x0 ? (year - x0) / (x1 - x0) : 0.5) * (W - L - 8); };
+  var py = function (v) { return 6 + (1 - ((log ? Math.log10(Math.max(1, v)) : v) - y0) / (y1 - y0)) * (H - B - 6); };
+  var label = function (t) { return formatStat(props.metric, log ? Math.pow(10, t) : t); };
+  var ticks = [0, 0.5, 1].map(function (f) { return y0 + (y1 - y0) * f; });
+  var ordered = props.lines.filter(function (l) { return l.id !== props.focus; }).concat(props.lines.filter(function (l) { return l.id === props.focus; }));
+  return (
+    <svg viewBox={"0 0 " + W + " " + H} style={{ width: "100%", background: "#030712", borderRadius: 4, border: "1px solid #374151" }}>
+      {ticks.map(function (t, i) {
+        var y = 6 + (1 - (t - y0) / (y1 - y0)) * (H - B - 6);
+        return <g key={i}><line x1={L} y1={y} x2={W - 8} y2={y} stroke="#1f2937" /><text x={L - 4} y={y + 3} textAnchor="end" fontSize="9" fill="#6b7280">{label(t)}</text></g>;
+      })}
+      <text x={L} y={H - 4} fontSize="9" fill="#6b7280">Y{x0}</text>
+      <text x={W - 8} y={H - 4} textAnchor="end" fontSize="9" fill="#6b7280">Y{x1}</text>
+      {ordered.map(function (l) {
+        var d = l.points.map(function (p, i) { return (i ? "L" : "M") + px(p.year).toFixed(1) + "," + py(p.value).toFixed(1); }).join("");
+        var dim = props.focus !== null && props.focus !== undefined && l.id !== props.focus;
+        return <path key={l.id} d={d} fill="none" stroke={l.color} strokeWidth={l.id === props.focus ? 2.5 : 1.5} strokeOpacity={dim ? 0.25 : 0.9}><title>{l.label}</title></path>;
+      })}
+    </svg>
+  );
+}
+
+/** Trends over the run from `run.series`: a line chart per metric, each culture's regimes over time, and world totals. */
+function ChartsTab(props) {
+  var run = props.run;
+  var _metric = React.useState("population");
+  var metric = _metric[0];
+  var setMetric = _metric[1];
+  var _view = React.useState("cultures");
+  var view = _view[0];
+  var setView = _view[1];
+  var _log = React.useState(false);
+  var log = _log[0];
+  var setLog = _log[1];
+  var _focus = React.useState(null);
+  var focus = _focus[0];
+  var setFocus = _focus[1];
+  var world = React.useMemo(function () { return run ? worldSeries(run.series) : []; }, [run]);
+
+  if (!run) return <div style={{ color: "#9ca3af", padding: 24, fontFamily: "sans-serif" }}>Generate or load a world in the History tab to see its charts.</div>;
+
+  var m = STAT_METRICS.find(function (x) { return x.key === metric; });
+  var first = run.series[0].year;
+  var last = run.series[run.series.length - 1].year;
+  var span = Math.max(1, last - first);
+  var btnSmall = { background: "#374151", color: "#f3f4f6", border: "none", borderRadius: 4, padding: "4px 8px", cursor: "pointer", fontSize: 11 };
+  var on = function (active) { return { ...btnSmall, background: active ? "#b45309" : "#374151" }; };
+  var box = { background: "#1f2937", borderRadius: 8, padding: 8 };
+  var lines = view === "world"
+    ? [{ id: "world", label: "World", color: "#fbbf24", points: world.map(function (w) { return { year: w.year, value: w[metric] }; }) }]
+    : run.cultures.map(function (c) { return { id: c.id, label: c.name, color: ownerColor(c.id), points: metricSeries(run.series, c.id, metric) }; });
+
+  return (
+    <div style={{ height: "100%", overflowY: "auto", background: "#111827", color: "#f3f4f6", fontFamily: "sans-serif", fontSize: 12, padding: 8, display: "flex", flexDirection: "column", gap: 8 }}>
+      <div style={{ ...box, display: "flex", flexWrap: "wrap", gap: 4, alignItems: "center" }}>
+        {STAT_METRICS.map(function (x) { return <button key={x.key} type="button" onClick={function () { setMetric(x.key); }} style={on(metric === x.key)}>{x.label}</button>; })}
+        <span style={{ width: 12 }} />
+        <button type="button" onClick={function () { setView("cultures"); }} style={on(view === "cultures")}>Cultures</button>
+        <button type="button" onClick={function () { setView("world"); }} style={on(view === "world")}>World</button>
+        <label style={{ marginLeft: 8, color: "#9ca3af" }}><input type="checkbox" checked={log} onChange={function (e) { setLog(e.target.checked); }} /> log scale</label>
+        <span style={{ flex: 1 }} />
+        <button type="button" onClick={function () { downloadText("civ-seed" + run.seed + "-y" + run.year + "-series.csv", exportSeriesCsv(run), "text/csv"); }} style={btnSmall}>Series .csv</button>
+      </div>
+
+      <div style={box}>
+        <div style={{ color: "#f59e0b", fontWeight: "bold", marginBottom: 8 }}>📈 {m.label}{view === "world" ? (m.world === "sum" ? " — world total" : " — world average, weighted by population") : " by culture"}</div>
+        <LineChart lines={lines} metric={metric} log={log} focus={view === "world" ? null : focus} />
+        {view === "cultures" && (
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 8, marginTop: 6 }}>
+            {run.cultures.map(function (c) {
+              return <span key={c.id} onMouseEnter={function () { setFocus(c.id); }} onMouseLeave={function () { setFocus(null); }} style={{ cursor: "default", color: focus === c.id ? "#f3f4f6" : "#9ca3af" }}><span style={{ display: "inline-block", width: 10, height: 3, background: ownerColor(c.id), marginRight: 4, verticalAlign: "middle" }} />{c.name}</span>;
+            })}
+          </div>
+        )}
+      </div>
+
+      <div style={box}>
+        <div style={{ color: "#f59e0b", fontWeight: "bold", marginBottom: 8 }}>{view === "world" ? "🌍 Regimes in the world" : "👑 Regime timeline"}</div>
+        {view === "world" ? (
+          <svg viewBox="0 0 760 80" style={{ width: "100%" }}>
+            {world.map(function (w, i) {
+              var x = 48 + (w.year - first) / span * 700;
+              var next = world[i + 1] ? 48 + (world[i + 1].year - first) / span * 700 : x + 4;
+              var y = 0;
+              return Object.keys(w.regimes).sort().map(function (k) {
+                var h = w.regimes[k] / w.cultures * 72;
+                var rect = <rect key={w.year + k} x={x} y={y} width={Math.max(1, next - x)} height={h} fill={regimeColor(k)}><title>Y{w.year}: {REGIMES[k] ? REGIMES[k].name : k} × {w.regimes[k]}</title></rect>;
+                y += h;
+                return rect;
+              });
+            })}
+          </svg>
+        ) : (
+          run.cultures.map(function (c) {
+            return (
+              <div key={c.id} style={{ display: "flex", alignItems: "center", gap: 6, marginBottom: 2 }} onMouseEnter={function () { setFocus(c.id); }} onMouseLeave={function () { setFocus(null); }}>
+                <div style={{ width: 96, flexShrink: 0, overflow: "hidden", whiteSpace: "nowrap", textOverflow: "ellipsis", color: focus === c.id ? "#f3f4f6" : "#9ca3af" }}>{c.name}</div>
+                <svg viewBox="0 0 700 12" preserveAspectRatio="none" style={{ flex: 1, height: 12 }}>
+                  {regimeSpans(run.series, c.id).map(function (sp, i) {
+                    var r = REGIMES[sp.regime];
+                    return <rect key={i} x={(sp.from - first) / span * 700} y={0} width={Math.max(2, (sp.to - sp.from) / span * 700)} height={12} fill={regimeColor(sp.regime)}><title>{(r ? r.icon + " " + r.name : sp.regime) + ": Y" + sp.from + "–Y" + sp.to}</title></rect>;
+                  })}
+                </svg>
+              </div>
+            );
+          })
+        )}
+        <div style={{ display: "flex", justifyContent: "space-between", color: "#6b7280", fontSize: 10, marginTop: 2 }}><span>Y{first}</span><span>Y{last}</span></div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Many seeded runs of the History config, summarised as tables (logic/Batch.js). Runs in a Web Worker; where
+ * workers cannot load (e.g. index.html opened from disk) it runs on the page one run at a time instead.
+ */
+function BatchTab(props) {
+  var config = props.config;
+  var _runs = React.useState(50);
+  var runs = _runs[0];
+  var setRuns = _runs[1];
+  var _turns = React.useState(40);
+  var turns = _turns[0];
+  var setTurns = _turns[1];
+  var _dt = React.useState(25);
+  var dt = _dt[0];
+  var setDt = _dt[1];
+  var _firstSeed = React.useState(1);
+  var firstSeed = _firstSeed[0];
+  var setFirstSeed = _firstSeed[1];
+  var _progress = React.useState(null);
+  var progress = _progress[0];
+  var setProgress = _progress[1];
+  var _report = React.useState(null);
+  var report = _report[0];
+  var setReport = _report[1];
+  var _error = React.useState(null);
+  var error = _error[0];
+  var setError = _error[1];
+  var job = React.useRef(null);
+
+  React.useEffect(function () { return function () { if (job.current) job.current.stop(); }; }, []);
+
+  var runInline = function (spec) {
+    var stopped = false;
+    var sum = null;
+    var i = 0;
+    var step = function () {
+      if (stopped) return;
+      sum = mergeSummaries(sum, summarizeSeed(spec.config, spec.firstSeed + i, spec.turns, spec.dt));
+      i++;
+      setProgress(i);
+      if (i < spec.runs) setTimeout(step, 0);
+      else finish(batchReport(sum, spec));
+    };
+    setTimeout(step, 0);
+    return { stop: function () { stopped = true; } };
+  };
+
+  var finish = function (r) {
+    job.current = null;
+    setProgress(null);
+    setReport(r);
+  };
+
+  var start = function () {
+    var pack = activePack();
+    var spec = { config: config, firstSeed: firstSeed, runs: runs, turns: turns, dt: dt, pack: pack ? pack.name : null };
+    setReport(null);
+    setError(null);
+    setProgress(0);
+    var worker = null;
+    try { worker = new Worker("logic/BatchWorker.js"); } catch (e) { worker = null; }
+    if (!worker) {
+      job.current = runInline(spec);
+      return;
+    }
+    worker.onmessage = function (e) {
+      if (e.data.type === "progress") setProgress(e.data.done);
+      else if (e.data.type === "done") { worker.terminate(); finish(e.data.report); }
+      else { worker.terminate(); job.current = null; setProgress(null); setError(e.data.message); }
+    };
+    // A worker that fails to load (file://) reports here; fall back to running on the page.
+    worker.onerror = function (e) {
+      e.preventDefault();
+      worker.terminate();
+      job.current = runInline(spec);
+    };
+    worker.postMessage(Object.assign({}, spec, { pack: pack }));
+    job.current = { stop: function () { worker.terminate(); } };
+  };
+
+  var stop = function () {
+    if (job.current) job.current.stop();
+    job.current = null;
+    setProgress(null);
+  };
+
+  var box = { background: "#1f2937", borderRadius: 8, padding: 8 };
+  var btnSmall = { background: "#374151", color: "#f3f4f6", border: "none", borderRadius: 4, padding: "4px 8px", cursor: "pointer", fontSize: 11 };
+  var input = { width: 64, background: "#374151", color: "#f3f4f6", border: "none", borderRadius: 4, padding: "3px 6px", fontSize: 12, fontFamily: "monospace", marginLeft: 4 };
+  var th = { textAlign: "left", color: "#9ca3af", fontWeight: 600, padding: "2px 6px", borderBottom: "1px solid #374151" };
+  var td = { padding: "2px 6px", borderBottom: "1px solid #1f2937" };
+  var numField = function (label, value, set, min) {
+    return <label style={{ marginRight: 12 }}>{label}<input type="number" min={min} value={value} onChange={function (e) { set(Math.max(min, parseInt(e.target.value, 10) || min)); }} style={input} /></label>;
+  };
+  var regimeCols = report ? regimeKeys().filter(function (k) { return report.finalRegimes.some(function (r) { return r.regimes[k] !== undefined; }); }) : [];
+
+  return (
+    <div style={{ height: "100%", overflowY: "auto", background: "#111827", color: "#f3f4f6", fontFamily: "sans-serif", fontSize: 12, padding: 8, display: "flex", flexDirection: "column", gap: 8 }}>
+      <div style={box}>
+        <div style={{ color: "#f59e0b", fontWeight: "bold", marginBottom: 8 }}>🎲 Batch runs</div>
+        <div style={{ color: "#9ca3af", marginBottom: 8 }}>World: {config.scale} · {config.climates.join(", ")} · {config.terrains.join(", ")} · Level {config.techLevel} <span style={{ color: "#6b7280" }}>{props.fromRun ? "(the current world's configuration)" : "(the default; generate a world in the History tab to use its configuration)"}</span></div>
+        {numField("Runs", runs, setRuns, 1)}
+        {numField("Turns", turns, setTurns, 1)}
+        {numField("Years per turn", dt, setDt, 1)}
+        {numField("First seed", firstSeed, setFirstSeed, 0)}
+        {progress === null
+          ? <button type="button" onClick={start} style={{ ...btnSmall, background: "#b45309" }}>▶ Run batch</button>
+          : <button type="button" onClick={stop} style={btnSmall}>■ Stop</button>}
+        {progress !== null && (
+          <div style={{ marginTop: 8 }}>
+            <div style={{ height: 6, background: "#374151", borderRadius: 3 }}><div style={{ width: progress / runs * 100 + "%", height: 6, background: "#f59e0b", borderRadius: 3 }} /></div>
+            <div style={{ color: "#9ca3af", fontSize: 10, marginTop: 2 }}>Run {progress} of {runs}</div>
+          </div>
+        )}
+        {error && <div style={{ color: "#f87171", marginTop: 6 }}>{error}</div>}
+      </div>
+
+      {report && (
+        <>
+          <div style={{ ...box, display: "flex", alignItems: "center", gap: 8 }}>
+            <span style={{ color: "#9ca3af" }}>{report.runs} runs · {report.cultures} cultures at the end · {report.years} years each · seeds {report.job.firstSeed}–{report.job.firstSeed + report.runs - 1}</span>
+            <span style={{ flex: 1 }} />
+            <button type="button" onClick={function () { downloadText("civ-batch-seed" + report.job.firstSeed + "x" + report.runs + ".json", JSON.stringify(report, null, 2), "application/json"); }} style={btnSmall}>Report .json</button>
+            <button type="button" onClick={function () { downloadText("civ-batch-seed" + report.job.firstSeed + "x" + report.runs + ".csv", exportBatchCsv(report), "text/csv"); }} style={btnSmall}>Report .csv</button>
+          </div>
+
+          <div style={box}>
+            <div style={{ color: "#f59e0b", fontWeight: "bold", marginBottom: 8 }}>👑 Final regimes by tech level <span style={{ color: "#6b7280", fontWeight: 400 }}>% of cultures at that level</span></div>
+            <div style={{ overflowX: "auto" }}>
+              <table style={{ borderCollapse: "collapse", fontSize: 11 }}>
+                <thead><tr><th style={th}>Level</th><th style={th}>n</th>{regimeCols.map(function (k) { return <th key={k} style={th} title={REGIMES[k].name}>{REGIMES[k].icon} {REGIMES[k].name}</th>; })}</tr></thead>
+                <tbody>
+                  {report.finalRegimes.map(function (r) {
+                    return (
+                      <tr key={r.level}>
+                        <td style={td}>{r.level}</td>
+                        <td style={{ ...td, color: "#9ca3af" }}>{r.n}</td>
+                        {regimeCols.map(function (k) {
+                          var v = r.regimes[k];
+                          return <td key={k} style={{ ...td, color: v === undefined ? "#374151" : k === "failed" ? "#f87171" : "#f3f4f6", background: v ? "rgba(245,158,11," + Math.min(0.5, v / 100) + ")" : "transparent" }}>{v === undefined ? "—" : v + "%"}</td>;
+                        })}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(280px, 1fr))", gap: 8 }}>
+            <div style={box}>
+              <div style={{ color: "#f59e0b", fontWeight: "bold", marginBottom: 8 }}>🔬 Time to reach each level</div>
+              <table style={{ borderCollapse: "collapse", fontSize: 11, width: "100%" }}>
+                <thead><tr><th style={th}>Level</th><th style={th}>Reached</th><th style={th}>Mean years</th></tr></thead>
+                <tbody>
+                  {report.levels.map(function (l) {
+                    return <tr key={l.level}><td style={td}>{l.level} <span style={{ color: "#6b7280" }}>{LEVELS[l.level - 1] ? LEVELS[l.level - 1].sublabel : ""}</span></td><td style={td}>{l.reachedPct}% <span style={{ color: "#6b7280" }}>of {l.eligible}</span></td><td style={td}>{l.meanYears === null ? "—" : l.meanYears}</td></tr>;
+                  })}
+                </tbody>
+              </table>
+              <div style={{ color: "#6b7280", fontSize: 10, marginTop: 4 }}>Founding cultures that started below the level.</div>
+            </div>
+            <div style={box}>
+              <div style={{ color: "#f59e0b", fontWeight: "bold", marginBottom: 8 }}>💀 Collapse to Failed State</div>
+              <table style={{ borderCollapse: "collapse", fontSize: 11, width: "100%" }}>
+                <tbody>
+                  <tr><td style={td}>Cultures that ever failed</td><td style={td}>{report.collapse.everFailedPct}%</td></tr>
+                  <tr><td style={td}>Collapses per run</td><td style={td}>{report.collapse.collapsesPerRun}</td></tr>
+                  <tr><td style={td}>Collapses per 1,000 culture-years</td><td style={td}>{report.collapse.per1000CultureYears}</td></tr>
+                  <tr><td style={td}>Failed cultures that recovered</td><td style={td}>{report.collapse.recoveredPct}%</td></tr>
+                  <tr><td style={td}>Time spent failed</td><td style={td}>{report.collapse.timeFailedPct}%</td></tr>
+                </tbody>
+              </table>
+            </div>
+            <div style={box}>
+              <div style={{ color: "#f59e0b", fontWeight: "bold", marginBottom: 8 }}>⚔️ Wars and conquest</div>
+              <table style={{ borderCollapse: "collapse", fontSize: 11, width: "100%" }}>
+                <tbody>
+                  <tr><td style={td}>Wars per run</td><td style={td}>{report.wars.perRun}</td></tr>
+                  <tr><td style={td}>Mean length (ended wars)</td><td style={td}>{report.wars.meanYears === null ? "—" : report.wars.meanYears + " years"}</td></tr>
+                  <tr><td style={td}>Won by the attackers</td><td style={td}>{report.wars.attackerWinPct}%</td></tr>
+                  <tr><td style={td}>Conquests (vassalage) per run</td><td style={td}>{report.wars.conquestsPerRun}</td></tr>
+                  {report.wars.terms.map(function (t) { return <tr key={t.terms}><td style={{ ...td, color: "#9ca3af" }}>Ended in {t.terms}</td><td style={td}>{t.pct}%</td></tr>; })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
 function App() {
   var _tab = React.useState("history");
   var tab = _tab[0];
   var setTab = _tab[1];
-  var tabs = [["history", "🌍 History"], ["tech", "🔬 Tech Tree"], ["regime", "👑 Regimes"]];
+  var _run = React.useState(null);
+  var run = _run[0];
+  var setRun = _run[1];
+  var _pack = React.useState(activePack());
+  var pack = _pack[0];
+  var setPack = _pack[1];
+  // Counts pack changes, so that reloading a pack under the same name still lays the tabs out again.
+  var _tables = React.useState(0);
+  var tables = _tables[0];
+  var setTables = _tables[1];
+  var _packMsg = React.useState(null);
+  var packMsg = _packMsg[0];
+  var setPackMsg = _packMsg[1];
+  var packInput = React.useRef(null);
+
+  // The other tabs remount on a pack change to lay out its tables; HistoryTab stays mounted, since restoring a
+  // session changes the pack partway through.
+  var applyPack = function (p) {
+    setPack(activatePack(p));
+    setTables(function (n) { return n + 1; });
+  };
+
+  // Switching content closes the open run, which was made with other tables.
+  var switchPack = function (p, label) {
+    if (run && !window.confirm("Switching content closes the current run (your last save stays on disk). Continue?")) return;
+    applyPack(p);
+    setRun(null);
+    setPackMsg({ ok: true, text: label });
+  };
+
+  var loadPack = function (e) {
+    var file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    file.text().then(function (text) {
+      try {
+        var p = parsePack(text);
+        switchPack(p, "Loaded " + p.name + " from " + file.name);
+      } catch (err) {
+        setPackMsg({ ok: false, text: file.name + ": not loaded", problems: err.problems || [err.message] });
+      }
+    });
+  };
+  var tabs = [["history", "🌍 History"], ["charts", "📈 Charts"], ["batch", "🎲 Batch"], ["tech", "🔬 Tech Tree"], ["regime", "👑 Regimes"]];
 
   return (
     <div style={{ background: "#0f0f1a", height: "100vh", display: "flex", flexDirection: "column", fontFamily: "sans-serif" }}>
@@ -495,11 +1569,30 @@ function App() {
             </button>
           );
         })}
+        <div style={{ marginLeft: "auto", display: "flex", gap: 6, alignItems: "center", fontSize: 12, color: "#9ca3af" }}>
+          <span>📦 {pack ? pack.name : "Base content"}</span>
+          <button type="button" onClick={function () { packInput.current.click(); }} style={{ background: "#374151", color: "#f3f4f6", border: "none", borderRadius: 4, padding: "4px 8px", cursor: "pointer", fontSize: 11 }}>Load Pack…</button>
+          {pack && <button type="button" onClick={function () { switchPack(null, "Back to the base content"); }} style={{ background: "#374151", color: "#f3f4f6", border: "none", borderRadius: 4, padding: "4px 8px", cursor: "pointer", fontSize: 11 }}>Base</button>}
+          <input ref={packInput} type="file" accept=".json,application/json" onChange={loadPack} style={{ display: "none" }} />
+        </div>
       </div>
+      {packMsg && (
+        <div style={{ padding: "4px 12px", fontSize: 11, color: packMsg.ok ? "#86efac" : "#f87171", background: "#111827", borderBottom: "1px solid #1f2937", display: "flex", gap: 8 }}>
+          <div style={{ flex: 1 }}>
+            <div>{packMsg.text}</div>
+            {packMsg.problems && packMsg.problems.map(function (p, i) { return <div key={i} style={{ color: "#fca5a5" }}>• {p}</div>; })}
+          </div>
+          <button type="button" onClick={function () { setPackMsg(null); }} style={{ background: "transparent", color: "#9ca3af", border: "none", cursor: "pointer" }}>✕</button>
+        </div>
+      )}
       <div style={{ flex: 1, overflow: "hidden" }}>
-        {tab === "history" && <HistoryTab />}
-        {tab === "tech" && <TechTreeTab />}
-        {tab === "regime" && <RegimeChartTab />}
+        {tab === "history" && <HistoryTab run={run} onRun={setRun} onPack={applyPack} />}
+        <React.Fragment key={tables}>
+          {tab === "charts" && <ChartsTab run={run} />}
+          {tab === "batch" && <BatchTab config={run ? run.config : DEFAULT_CONFIG} fromRun={!!run} />}
+          {tab === "tech" && <TechTreeTab />}
+          {tab === "regime" && <RegimeChartTab cultures={run ? run.cultures : []} />}
+        </React.Fragment>
       </div>
     </div>
   );
@@ -1,5 +1,5 @@
 /** Layout for Tech Tree and Regime Chart in Integration (shared data). */
-(function () {
+(function (root) {
   "use strict";
 
   var TT_COL = 152;
@@ -10,8 +10,8 @@
   var TT_HDR = 40;
 
   function buildTechLayout() {
-    var LEVELS = window.LEVELS;
-    var TECHS = window.TECHS;
+    var LEVELS = root.LEVELS;
+    var TECHS = root.TECHS;
     var lvlCols = {};
     var i;
     for (i = 0; i < LEVELS.length; i++) lvlCols[LEVELS[i].id] = new Set();
@@ -41,7 +41,7 @@
   var RPAD = 20;
 
   function buildRegimeLayout() {
-    var R_BRACKETS = window.R_BRACKETS;
+    var R_BRACKETS = root.R_BRACKETS;
     var pos = {};
     var b, id, ri;
     for (b = 0; b < R_BRACKETS.length; b++) {
@@ -51,21 +51,22 @@
       }
     }
     var totalW = RPAD * 2 + R_BRACKETS.length * (RC + 14);
-    var totalH = RPAD * 2 + 52 + 4 * (RR + 8) + 20;
+    var rows = R_BRACKETS.reduce(function (m, br) { return Math.max(m, br.ids.length); }, 4);
+    var totalH = RPAD * 2 + 52 + rows * (RR + 8) + 20;
     return { pos: pos, totalW: totalW, totalH: totalH };
   }
 
-  window.TT_COL = TT_COL;
-  window.TT_ROW = TT_ROW;
-  window.TT_NW = TT_NW;
-  window.TT_NH = TT_NH;
-  window.TT_PAD = TT_PAD;
-  window.TT_HDR = TT_HDR;
-  window.RC = RC;
-  window.RR = RR;
-  window.RNW = RNW;
-  window.RNH = RNH;
-  window.RPAD = RPAD;
-  window.buildTechLayout = buildTechLayout;
-  window.buildRegimeLayout = buildRegimeLayout;
-})();
+  root.TT_COL = TT_COL;
+  root.TT_ROW = TT_ROW;
+  root.TT_NW = TT_NW;
+  root.TT_NH = TT_NH;
+  root.TT_PAD = TT_PAD;
+  root.TT_HDR = TT_HDR;
+  root.RC = RC;
+  root.RR = RR;
+  root.RNW = RNW;
+  root.RNH = RNH;
+  root.RPAD = RPAD;
+  root.buildTechLayout = buildTechLayout;
+  root.buildRegimeLayout = buildRegimeLayout;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -1,8 +1,10 @@
 /**
  * Shared data for Integration: LEVELS, TECHS, REGIMES, TRANSITIONS.
- * Single source of truth so Tech Tree, Regime Chart, and History sim use the same model.
+ * Single source of truth so Tech Tree, Regime Chart, and History sim use the same model. A content pack
+ * (logic/ContentPack.js) can extend or override these tables in place; code reads them when it runs.
+ * Random helpers take an injected rng (createMulberry32) so seeded runs replay exactly.
  */
-(function () {
+(function (root) {
   "use strict";
 
   var LEVELS = [
@@ -152,28 +154,32 @@
     { id: "civilnet", name: "Interstellar Network", level: 15, col: 2, row: 9, req: ["starcolony", "ftlcomm", "dyson"] },
   ];
 
+  /**
+   * `succession` is how a ruler is replaced: "hereditary" (the eldest heir), "elected" (a new ruler chosen
+   * from outside the line, with terms) or "coup" (whoever seizes power, and rulers can be overthrown).
+   */
   var REGIMES = {
-    band: { name: "Band Society", icon: "👥", minLvl: 1, maxLvl: 2, coercion: [1, 2], capacity: [1, 2], inclusiveness: [3, 5] },
-    tribal: { name: "Tribal/Chiefless", icon: "🏕️", minLvl: 1, maxLvl: 3, coercion: [1, 3], capacity: [1, 2], inclusiveness: [3, 5] },
-    chiefdom: { name: "Chiefdom", icon: "👑", minLvl: 2, maxLvl: 5, coercion: [2, 4], capacity: [1, 3], inclusiveness: [2, 4] },
-    theocracy: { name: "Theocracy", icon: "⛪", minLvl: 3, maxLvl: 9, coercion: [3, 5], capacity: [2, 4], inclusiveness: [1, 3] },
-    citystate: { name: "City-State", icon: "🏛️", minLvl: 4, maxLvl: 8, coercion: [2, 4], capacity: [2, 4], inclusiveness: [2, 4] },
-    feudal: { name: "Feudal Network", icon: "⚔️", minLvl: 4, maxLvl: 8, coercion: [2, 4], capacity: [1, 3], inclusiveness: [1, 2] },
-    patrimonial: { name: "Patrimonial Kingdom", icon: "🤴", minLvl: 4, maxLvl: 10, coercion: [3, 4], capacity: [2, 4], inclusiveness: [1, 2] },
-    empire: { name: "Bureaucratic Empire", icon: "🦅", minLvl: 5, maxLvl: 11, coercion: [4, 5], capacity: [4, 5], inclusiveness: [1, 2] },
-    republic: { name: "Aristocratic Republic", icon: "🎩", minLvl: 5, maxLvl: 12, coercion: [2, 4], capacity: [3, 5], inclusiveness: [2, 3] },
-    absolutist: { name: "Absolutist Monarchy", icon: "👸", minLvl: 6, maxLvl: 11, coercion: [4, 5], capacity: [3, 5], inclusiveness: [1, 2] },
-    constitutional: { name: "Constitutional Monarchy", icon: "📜", minLvl: 8, maxLvl: 15, coercion: [2, 4], capacity: [3, 5], inclusiveness: [3, 4] },
-    democracy: { name: "Liberal Democracy", icon: "🗳️", minLvl: 11, maxLvl: 15, coercion: [2, 3], capacity: [4, 5], inclusiveness: [4, 5] },
-    oneParty: { name: "One-Party State", icon: "⭐", minLvl: 11, maxLvl: 15, coercion: [4, 5], capacity: [3, 5], inclusiveness: [1, 2] },
-    junta: { name: "Military Junta", icon: "🎖️", minLvl: 7, maxLvl: 15, coercion: [4, 5], capacity: [2, 4], inclusiveness: [1, 2] },
-    dictator: { name: "Personalist Dictatorship", icon: "🦹", minLvl: 7, maxLvl: 15, coercion: [4, 5], capacity: [2, 4], inclusiveness: [1, 2] },
-    technocracy: { name: "Technocracy", icon: "🔬", minLvl: 11, maxLvl: 15, coercion: [3, 4], capacity: [5, 5], inclusiveness: [2, 3] },
-    corporatist: { name: "Corporate State", icon: "🏢", minLvl: 12, maxLvl: 15, coercion: [3, 5], capacity: [4, 5], inclusiveness: [2, 3] },
-    directdem: { name: "Direct Democracy", icon: "📡", minLvl: 13, maxLvl: 15, coercion: [1, 2], capacity: [4, 5], inclusiveness: [5, 5] },
-    hive: { name: "Hive Mind", icon: "🧠", minLvl: 14, maxLvl: 15, coercion: [5, 5], capacity: [5, 5], inclusiveness: [5, 5] },
-    interstellarfed: { name: "Interstellar Federation", icon: "🌌", minLvl: 15, maxLvl: 15, coercion: [2, 3], capacity: [5, 5], inclusiveness: [4, 5] },
-    failed: { name: "Failed State", icon: "💀", minLvl: 1, maxLvl: 15, coercion: [1, 3], capacity: [1, 2], inclusiveness: [1, 3] },
+    band: { name: "Band Society", icon: "👥", minLvl: 1, maxLvl: 2, coercion: [1, 2], capacity: [1, 2], inclusiveness: [3, 5], succession: "elected" },
+    tribal: { name: "Tribal/Chiefless", icon: "🏕️", minLvl: 1, maxLvl: 3, coercion: [1, 3], capacity: [1, 2], inclusiveness: [3, 5], succession: "elected" },
+    chiefdom: { name: "Chiefdom", icon: "👑", minLvl: 2, maxLvl: 5, coercion: [2, 4], capacity: [1, 3], inclusiveness: [2, 4], succession: "hereditary" },
+    theocracy: { name: "Theocracy", icon: "⛪", minLvl: 3, maxLvl: 9, coercion: [3, 5], capacity: [2, 4], inclusiveness: [1, 3], succession: "elected" },
+    citystate: { name: "City-State", icon: "🏛️", minLvl: 4, maxLvl: 8, coercion: [2, 4], capacity: [2, 4], inclusiveness: [2, 4], succession: "elected" },
+    feudal: { name: "Feudal Network", icon: "⚔️", minLvl: 4, maxLvl: 8, coercion: [2, 4], capacity: [1, 3], inclusiveness: [1, 2], succession: "hereditary" },
+    patrimonial: { name: "Patrimonial Kingdom", icon: "🤴", minLvl: 4, maxLvl: 10, coercion: [3, 4], capacity: [2, 4], inclusiveness: [1, 2], succession: "hereditary" },
+    empire: { name: "Bureaucratic Empire", icon: "🦅", minLvl: 5, maxLvl: 11, coercion: [4, 5], capacity: [4, 5], inclusiveness: [1, 2], succession: "hereditary" },
+    republic: { name: "Aristocratic Republic", icon: "🎩", minLvl: 5, maxLvl: 12, coercion: [2, 4], capacity: [3, 5], inclusiveness: [2, 3], succession: "elected" },
+    absolutist: { name: "Absolutist Monarchy", icon: "👸", minLvl: 6, maxLvl: 11, coercion: [4, 5], capacity: [3, 5], inclusiveness: [1, 2], succession: "hereditary" },
+    constitutional: { name: "Constitutional Monarchy", icon: "📜", minLvl: 8, maxLvl: 15, coercion: [2, 4], capacity: [3, 5], inclusiveness: [3, 4], succession: "hereditary" },
+    democracy: { name: "Liberal Democracy", icon: "🗳️", minLvl: 11, maxLvl: 15, coercion: [2, 3], capacity: [4, 5], inclusiveness: [4, 5], succession: "elected" },
+    oneParty: { name: "One-Party State", icon: "⭐", minLvl: 11, maxLvl: 15, coercion: [4, 5], capacity: [3, 5], inclusiveness: [1, 2], succession: "elected" },
+    junta: { name: "Military Junta", icon: "🎖️", minLvl: 7, maxLvl: 15, coercion: [4, 5], capacity: [2, 4], inclusiveness: [1, 2], succession: "coup" },
+    dictator: { name: "Personalist Dictatorship", icon: "🦹", minLvl: 7, maxLvl: 15, coercion: [4, 5], capacity: [2, 4], inclusiveness: [1, 2], succession: "coup" },
+    technocracy: { name: "Technocracy", icon: "🔬", minLvl: 11, maxLvl: 15, coercion: [3, 4], capacity: [5, 5], inclusiveness: [2, 3], succession: "elected" },
+    corporatist: { name: "Corporate State", icon: "🏢", minLvl: 12, maxLvl: 15, coercion: [3, 5], capacity: [4, 5], inclusiveness: [2, 3], succession: "elected" },
+    directdem: { name: "Direct Democracy", icon: "📡", minLvl: 13, maxLvl: 15, coercion: [1, 2], capacity: [4, 5], inclusiveness: [5, 5], succession: "elected" },
+    hive: { name: "Hive Mind", icon: "🧠", minLvl: 14, maxLvl: 15, coercion: [5, 5], capacity: [5, 5], inclusiveness: [5, 5], succession: "elected" },
+    interstellarfed: { name: "Interstellar Federation", icon: "🌌", minLvl: 15, maxLvl: 15, coercion: [2, 3], capacity: [5, 5], inclusiveness: [4, 5], succession: "elected" },
+    failed: { name: "Failed State", icon: "💀", minLvl: 1, maxLvl: 15, coercion: [1, 3], capacity: [1, 2], inclusiveness: [1, 3], succession: "coup" },
   };
 
   var TRANSITIONS = {
@@ -188,11 +194,11 @@
     republic: ["constitutional", "democracy", "empire", "failed"],
     absolutist: ["empire", "constitutional", "failed"],
     constitutional: ["republic", "democracy", "absolutist"],
-    democracy: ["junta", "dictator", "technocracy", "directdem", "corporatist", "failed"],
+    democracy: ["junta", "dictator", "technocracy", "directdem", "corporatist", "interstellarfed", "failed"],
     oneParty: ["constitutional", "dictator", "technocracy", "failed"],
     junta: ["oneParty", "absolutist", "patrimonial", "dictator", "failed"],
     dictator: ["absolutist", "junta", "failed"],
-    technocracy: ["democracy", "corporatist", "oneParty"],
+    technocracy: ["democracy", "corporatist", "oneParty", "interstellarfed"],
     corporatist: ["dictator", "democracy", "technocracy"],
     directdem: ["hive", "democracy"],
     hive: ["interstellarfed", "directdem"],
@@ -211,33 +217,44 @@
     return out;
   }
 
-  function pickRegimeForLevel(lvl, terrain) {
+  /**
+   * Starting-regime weights per tech level: { level: { regime: weight } }. A weight may be a number or
+   * { default, <terrain>: weight } for regimes that favour a terrain. Regimes not listed are not picked.
+   */
+  var REGIME_WEIGHTS = {
+    1: { band: 5, tribal: 3 },
+    2: { band: 5, tribal: 3 },
+    3: { tribal: 4, chiefdom: 4, theocracy: 2 },
+    4: { chiefdom: 3, citystate: { default: 1, Coastal: 4 }, feudal: 3, patrimonial: 2 },
+    5: { patrimonial: 3, empire: 2, republic: 2, citystate: 2 },
+    6: { absolutist: 4, empire: 3, republic: 2, feudal: 1 },
+    7: { absolutist: 3, empire: 3, republic: 3, theocracy: 1 },
+    8: { absolutist: 3, empire: 2, constitutional: 2, republic: 2, junta: 1 },
+    9: { absolutist: 2, constitutional: 3, republic: 3, empire: 1 },
+    10: { constitutional: 3, republic: 3, absolutist: 2, junta: 1 },
+    11: { democracy: 3, constitutional: 3, oneParty: 2, technocracy: 1, junta: 1 },
+    12: { democracy: 4, oneParty: 2, corporatist: 2, technocracy: 1, junta: 1 },
+    13: { democracy: 3, directdem: 2, technocracy: 2, corporatist: 2, oneParty: 1 },
+    14: { directdem: 3, technocracy: 3, hive: 2, interstellarfed: 2 },
+    15: { directdem: 3, technocracy: 3, hive: 2, interstellarfed: 2 },
+  };
+
+  function regimeWeight(lvl, id, terrain) {
+    var w = (REGIME_WEIGHTS[lvl] || {})[id];
+    if (w && typeof w === "object") w = w[terrain] !== undefined ? w[terrain] : w.default;
+    return w || 0;
+  }
+
+  function pickRegimeForLevel(lvl, terrain, rng) {
     var valid = validRegimesForLevel(lvl);
     if (!valid.length) return "failed";
-    var weights = { band: 0, tribal: 0, chiefdom: 0, theocracy: 0, citystate: 0, feudal: 0, patrimonial: 0, empire: 0, republic: 0, absolutist: 0, constitutional: 0, democracy: 0, oneParty: 0, junta: 0, dictator: 0, technocracy: 0, corporatist: 0, directdem: 0, hive: 0, interstellarfed: 0, failed: 0 };
-    if (lvl <= 2) { weights.band = 5; weights.tribal = 3; }
-    if (lvl === 3) { weights.tribal = 4; weights.chiefdom = 4; weights.theocracy = 2; }
-    if (lvl === 4) { weights.chiefdom = 3; weights.citystate = terrain === "Coastal" ? 4 : 1; weights.feudal = 3; weights.patrimonial = 2; }
-    if (lvl === 5) { weights.patrimonial = 3; weights.empire = 2; weights.republic = 2; weights.citystate = 2; }
-    if (lvl === 6) { weights.absolutist = 4; weights.empire = 3; weights.republic = 2; weights.feudal = 1; }
-    if (lvl === 7) { weights.absolutist = 3; weights.empire = 3; weights.republic = 3; weights.theocracy = 1; }
-    if (lvl === 8) { weights.absolutist = 3; weights.empire = 2; weights.constitutional = 2; weights.republic = 2; weights.junta = 1; }
-    if (lvl === 9) { weights.absolutist = 2; weights.constitutional = 3; weights.republic = 3; weights.empire = 1; }
-    if (lvl === 10) { weights.constitutional = 3; weights.republic = 3; weights.absolutist = 2; weights.junta = 1; }
-    if (lvl === 11) { weights.democracy = 3; weights.constitutional = 3; weights.oneParty = 2; weights.technocracy = 1; weights.junta = 1; }
-    if (lvl === 12) { weights.democracy = 4; weights.oneParty = 2; weights.corporatist = 2; weights.technocracy = 1; weights.junta = 1; }
-    if (lvl === 13) { weights.democracy = 3; weights.directdem = 2; weights.technocracy = 2; weights.corporatist = 2; weights.oneParty = 1; }
-    if (lvl >= 14) { weights.directdem = 3; weights.technocracy = 3; weights.hive = 2; weights.interstellarfed = 2; }
-    var pool = [];
-    for (var i = 0; i < valid.length; i++) {
-      if (weights[valid[i]] > 0) pool.push(valid[i]);
-    }
-    if (!pool.length) return valid[Math.floor(Math.random() * valid.length)];
+    var pool = valid.filter(function (id) { return regimeWeight(lvl, id, terrain) > 0; });
+    if (!pool.length) return valid[Math.floor(rng() * valid.length)];
     var total = 0;
-    for (var j = 0; j < pool.length; j++) total += weights[pool[j]];
-    var rnd = Math.random() * total;
+    for (var j = 0; j < pool.length; j++) total += regimeWeight(lvl, pool[j], terrain);
+    var rnd = rng() * total;
     for (var k = 0; k < pool.length; k++) {
-      rnd -= weights[pool[k]];
+      rnd -= regimeWeight(lvl, pool[k], terrain);
       if (rnd <= 0) return pool[k];
     }
     return pool[pool.length - 1];
@@ -264,89 +281,132 @@
     Desert: { icon: "🏜️", moveCost: 2.5, tradeCost: 2 },
     Plains: { icon: "🌾", moveCost: 1, tradeCost: 1 },
     Island: { icon: "🏝️", moveCost: 2, tradeCost: 0.8 },
+    // Between worlds rather than a terrain (logic/Space.js); the voyage adds to the trade cost.
+    Space: { icon: "🚀", moveCost: 4, tradeCost: 2 },
   };
 
-  var rand = function (a, b) { return Math.floor(Math.random() * (b - a + 1)) + a; };
-  var pick = function (arr) { return arr[rand(0, arr.length - 1)]; };
-  var pickN = function (arr, n) {
+  /** Seeded RNG (Mulberry32); same seed gives the same stream. Returns a function yielding [0, 1). */
+  function createMulberry32(seed) {
+    var a = seed >>> 0;
+    return function next() {
+      a |= 0;
+      a = (a + 0x6D2B79F5) | 0;
+      var t = Math.imul(a ^ (a >>> 15), 1 | a);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  var rand = function (rng, a, b) { return Math.floor(rng() * (b - a + 1)) + a; };
+  var pick = function (rng, arr) { return arr[rand(rng, 0, arr.length - 1)]; };
+  var pickN = function (rng, arr, n) {
     var copy = arr.slice();
-    copy.sort(function () { return Math.random() - 0.5; });
+    for (var i = copy.length - 1; i > 0; i--) {
+      var j = rand(rng, 0, i);
+      var tmp = copy[i];
+      copy[i] = copy[j];
+      copy[j] = tmp;
+    }
     return copy.slice(0, n);
   };
   var clamp = function (v, a, b) { return Math.max(a, Math.min(b, v)); };
-  var pfx = ["Al", "Kar", "Vel", "Nor", "Sul", "Zan", "Mor", "Tel", "Ash", "Bor", "Dra", "Fen", "Gal", "Hel", "Ith", "Khor", "Lum", "Myr", "Nyx", "Oth"];
-  var sfx = ["ia", "and", "or", "um", "heim", "stan", "land", "ria", "via", "nia", "mark", "gard", "oth", "ur", "ax"];
-  var rpfx = ["Aric", "Bran", "Cael", "Dorn", "Elric", "Finn", "Gorm", "Hald", "Ivar", "Jarl", "Kael", "Leif", "Morn", "Nial", "Oric"];
-  var rsfx = ["us", "or", "an", "ius", "ax", "on", "ar", "ek", "im", "os"];
-  var genName = function () { return pick(pfx) + pick(["a", "e", "i", "o", ""]) + pick(sfx); };
-  var genRuler = function () { return pick(rpfx) + pick(rsfx) + " " + pick(["I", "II", "III", "the Great", "the Wise", "the Bold", "the Cruel", "the Young"]); };
+  /** Syllables for generated names: places, battles and dynasties (`culture`) and rulers (`ruler`). */
+  var NAME_PARTS = {
+    culture: {
+      prefixes: ["Al", "Kar", "Vel", "Nor", "Sul", "Zan", "Mor", "Tel", "Ash", "Bor", "Dra", "Fen", "Gal", "Hel", "Ith", "Khor", "Lum", "Myr", "Nyx", "Oth"],
+      joins: ["a", "e", "i", "o", ""],
+      suffixes: ["ia", "and", "or", "um", "heim", "stan", "land", "ria", "via", "nia", "mark", "gard", "oth", "ur", "ax"],
+    },
+    ruler: {
+      prefixes: ["Aric", "Bran", "Cael", "Dorn", "Elric", "Finn", "Gorm", "Hald", "Ivar", "Jarl", "Kael", "Leif", "Morn", "Nial", "Oric"],
+      suffixes: ["us", "or", "an", "ius", "ax", "on", "ar", "ek", "im", "os"],
+    },
+  };
+  var genName = function (rng) { var n = NAME_PARTS.culture; return pick(rng, n.prefixes) + pick(rng, n.joins) + pick(rng, n.suffixes); };
+  /** A ruler's given name; logic/Rulers.js adds regnal numbers and epithets. */
+  var genRuler = function (rng) { var n = NAME_PARTS.ruler; return pick(rng, n.prefixes) + pick(rng, n.suffixes); };
 
-  window.LEVELS = LEVELS;
-  window.TECHS = TECHS;
-  window.REGIMES = REGIMES;
-  window.TRANSITIONS = TRANSITIONS;
-  window.validRegimesForLevel = validRegimesForLevel;
-  window.pickRegimeForLevel = pickRegimeForLevel;
-  window.techsForLevel = techsForLevel;
-  window.RELIGIONS = RELIGIONS;
-  window.LANGUAGES = LANGUAGES;
-  window.RESOURCES = RESOURCES;
-  window.CLIMATES = CLIMATES;
-  window.TERRAINS = TERRAINS;
-  window.TERRAIN_BARRIERS = TERRAIN_BARRIERS;
-  window.rand = rand;
-  window.pick = pick;
-  window.pickN = pickN;
-  window.clamp = clamp;
-  window.genName = genName;
-  window.genRuler = genRuler;
+  root.LEVELS = LEVELS;
+  root.TECHS = TECHS;
+  root.REGIMES = REGIMES;
+  root.TRANSITIONS = TRANSITIONS;
+  root.validRegimesForLevel = validRegimesForLevel;
+  root.REGIME_WEIGHTS = REGIME_WEIGHTS;
+  root.pickRegimeForLevel = pickRegimeForLevel;
+  root.techsForLevel = techsForLevel;
+  root.RELIGIONS = RELIGIONS;
+  root.LANGUAGES = LANGUAGES;
+  root.RESOURCES = RESOURCES;
+  root.CLIMATES = CLIMATES;
+  root.TERRAINS = TERRAINS;
+  root.TERRAIN_BARRIERS = TERRAIN_BARRIERS;
+  root.createMulberry32 = createMulberry32;
+  root.rand = rand;
+  root.pick = pick;
+  root.pickN = pickN;
+  root.clamp = clamp;
+  root.NAME_PARTS = NAME_PARTS;
+  root.genName = genName;
+  root.genRuler = genRuler;
 
+  /**
+   * Modelled regime transitions. `when` is the precondition: [min, max] ranges on sliders (coercion, capacity,
+   * inclusiveness), drivers (scale, revBase, threat) and stability, or a list of accepted legitimacy drivers.
+   * `p` is the chance per 25 years once the precondition holds; logic/Regimes.js turns it into per-turn odds.
+   */
   var REGIME_TRANSITIONS_LIST = [
-    { from: "band", to: "tribal", label: "pop grows" },
-    { from: "tribal", to: "chiefdom", label: "surplus+prestige" },
-    { from: "tribal", to: "theocracy", label: "priestly class" },
-    { from: "chiefdom", to: "theocracy", label: "religious legitimation" },
-    { from: "chiefdom", to: "citystate", label: "urban trade" },
-    { from: "chiefdom", to: "feudal", label: "territory expands" },
-    { from: "chiefdom", to: "patrimonial", label: "personal authority" },
-    { from: "theocracy", to: "patrimonial", label: "secular king" },
-    { from: "theocracy", to: "empire", label: "holy empire" },
-    { from: "citystate", to: "republic", label: "institutionalisation" },
-    { from: "citystate", to: "patrimonial", label: "strongman capture" },
-    { from: "feudal", to: "absolutist", label: "consolidation" },
-    { from: "feudal", to: "patrimonial", label: "partial consolidation" },
-    { from: "patrimonial", to: "absolutist", label: "tax capacity" },
-    { from: "patrimonial", to: "empire", label: "conquest+bureaucracy" },
-    { from: "empire", to: "absolutist", label: "exec dominates" },
-    { from: "absolutist", to: "empire", label: "bureaucracy grows" },
-    { from: "absolutist", to: "constitutional", label: "revenue bargain" },
-    { from: "absolutist", to: "failed", label: "fiscal collapse" },
-    { from: "republic", to: "constitutional", label: "institutions mature" },
-    { from: "constitutional", to: "republic", label: "crown weakens" },
-    { from: "constitutional", to: "democracy", label: "franchise expands" },
-    { from: "republic", to: "democracy", label: "suffrage expands" },
-    { from: "democracy", to: "junta", label: "polarisation+crisis" },
-    { from: "democracy", to: "dictator", label: "norm erosion" },
-    { from: "democracy", to: "technocracy", label: "complexity" },
-    { from: "democracy", to: "directdem", label: "digital participation" },
-    { from: "democracy", to: "corporatist", label: "regulatory capture" },
-    { from: "junta", to: "oneParty", label: "institutionalises" },
-    { from: "junta", to: "absolutist", label: "to executive" },
-    { from: "dictator", to: "absolutist", label: "builds apparatus" },
-    { from: "dictator", to: "junta", label: "military coup" },
-    { from: "dictator", to: "failed", label: "collapse" },
-    { from: "oneParty", to: "constitutional", label: "negotiated opening" },
-    { from: "oneParty", to: "technocracy", label: "meritocratic reform" },
-    { from: "technocracy", to: "democracy", label: "accountability" },
-    { from: "technocracy", to: "corporatist", label: "market capture" },
-    { from: "corporatist", to: "dictator", label: "authoritarian drift" },
-    { from: "directdem", to: "hive", label: "AI integration" },
-    { from: "hive", to: "interstellarfed", label: "expansion" },
-    { from: "failed", to: "junta", label: "army stabilises" },
-    { from: "failed", to: "patrimonial", label: "warlord consolidates" },
-    { from: "failed", to: "tribal", label: "regression" },
-    { from: "democracy", to: "interstellarfed", label: "multi-system" },
-    { from: "technocracy", to: "interstellarfed", label: "coordinated expansion" },
+    { from: "band", to: "tribal", label: "pop grows", when: { inclusiveness: [2, 5] }, p: 0.35 },
+    { from: "tribal", to: "chiefdom", label: "surplus+prestige", when: { revBase: [2, 5] }, p: 0.3 },
+    { from: "tribal", to: "theocracy", label: "priestly class", when: { legitimacy: ["Religious", "Traditional"] }, p: 0.25 },
+    { from: "chiefdom", to: "theocracy", label: "religious legitimation", when: { coercion: [2, 5], legitimacy: ["Religious"] }, p: 0.25 },
+    { from: "chiefdom", to: "citystate", label: "urban trade", when: { revBase: [3, 5], inclusiveness: [2, 5] }, p: 0.25 },
+    { from: "chiefdom", to: "feudal", label: "territory expands", when: { scale: [3, 5], capacity: [1, 3] }, p: 0.25 },
+    { from: "chiefdom", to: "patrimonial", label: "personal authority", when: { coercion: [3, 5], legitimacy: ["Traditional", "Charismatic"] }, p: 0.25 },
+    { from: "theocracy", to: "patrimonial", label: "secular king", when: { legitimacy: ["Traditional", "Charismatic", "National"] }, p: 0.2 },
+    { from: "theocracy", to: "empire", label: "holy empire", when: { coercion: [4, 5], capacity: [3, 5], scale: [3, 5] }, p: 0.2 },
+    { from: "citystate", to: "republic", label: "institutionalisation", when: { capacity: [3, 5], inclusiveness: [2, 5] }, p: 0.25 },
+    { from: "citystate", to: "patrimonial", label: "strongman capture", when: { coercion: [3, 5], stability: [0, 45] }, p: 0.25 },
+    { from: "feudal", to: "absolutist", label: "consolidation", when: { coercion: [3, 5], capacity: [3, 5] }, p: 0.2 },
+    { from: "feudal", to: "patrimonial", label: "partial consolidation", when: { capacity: [2, 5] }, p: 0.2 },
+    { from: "patrimonial", to: "absolutist", label: "tax capacity", when: { capacity: [3, 5], revBase: [2, 5] }, p: 0.2 },
+    { from: "patrimonial", to: "empire", label: "conquest+bureaucracy", when: { capacity: [4, 5], scale: [3, 5], threat: [3, 5] }, p: 0.2 },
+    { from: "empire", to: "absolutist", label: "exec dominates", when: { coercion: [4, 5], stability: [0, 40] }, p: 0.12 },
+    { from: "absolutist", to: "empire", label: "bureaucracy grows", when: { capacity: [4, 5], scale: [3, 5] }, p: 0.15 },
+    { from: "absolutist", to: "constitutional", label: "revenue bargain", when: { capacity: [3, 5], inclusiveness: [2, 5], revBase: [1, 3] }, p: 0.25 },
+    { from: "absolutist", to: "failed", label: "fiscal collapse", when: { capacity: [1, 3], stability: [0, 30] }, p: 0.3 },
+    { from: "republic", to: "constitutional", label: "institutions mature", when: { capacity: [4, 5] }, p: 0.15 },
+    { from: "constitutional", to: "republic", label: "crown weakens", when: { inclusiveness: [3, 5], stability: [0, 45] }, p: 0.15 },
+    { from: "constitutional", to: "democracy", label: "franchise expands", when: { capacity: [4, 5], inclusiveness: [3, 5] }, p: 0.25 },
+    { from: "republic", to: "democracy", label: "suffrage expands", when: { inclusiveness: [3, 5] }, p: 0.25 },
+    { from: "democracy", to: "junta", label: "polarisation+crisis", when: { threat: [3, 5], stability: [0, 35] }, p: 0.2 },
+    { from: "democracy", to: "dictator", label: "norm erosion", when: { legitimacy: ["Charismatic", "National"], stability: [0, 45] }, p: 0.2 },
+    { from: "democracy", to: "technocracy", label: "complexity", when: { capacity: [5, 5], legitimacy: ["Technocratic", "Ideological"] }, p: 0.15 },
+    { from: "democracy", to: "directdem", label: "digital participation", when: { capacity: [4, 5], inclusiveness: [5, 5] }, p: 0.15 },
+    { from: "democracy", to: "corporatist", label: "regulatory capture", when: { revBase: [3, 5], inclusiveness: [1, 4] }, p: 0.12 },
+    { from: "junta", to: "oneParty", label: "institutionalises", when: { capacity: [3, 5], legitimacy: ["Ideological", "National"] }, p: 0.2 },
+    { from: "junta", to: "absolutist", label: "to executive", when: { legitimacy: ["Traditional", "Religious"] }, p: 0.15 },
+    { from: "dictator", to: "absolutist", label: "builds apparatus", when: { capacity: [3, 5], legitimacy: ["Traditional", "Religious"] }, p: 0.15 },
+    { from: "dictator", to: "junta", label: "military coup", when: { threat: [3, 5], stability: [0, 45] }, p: 0.2 },
+    { from: "dictator", to: "failed", label: "collapse", when: { capacity: [1, 2], stability: [0, 30] }, p: 0.3 },
+    { from: "oneParty", to: "constitutional", label: "negotiated opening", when: { inclusiveness: [2, 5], threat: [1, 2] }, p: 0.12 },
+    { from: "oneParty", to: "technocracy", label: "meritocratic reform", when: { capacity: [5, 5] }, p: 0.15 },
+    { from: "technocracy", to: "democracy", label: "accountability", when: { inclusiveness: [3, 5], stability: [0, 50] }, p: 0.15 },
+    { from: "technocracy", to: "corporatist", label: "market capture", when: { revBase: [3, 5] }, p: 0.12 },
+    { from: "corporatist", to: "dictator", label: "authoritarian drift", when: { coercion: [4, 5], stability: [0, 45] }, p: 0.15 },
+    { from: "directdem", to: "hive", label: "AI integration", when: { capacity: [5, 5] }, p: 0.1 },
+    { from: "hive", to: "interstellarfed", label: "expansion", when: { scale: [3, 5] }, p: 0.2 },
+    { from: "failed", to: "junta", label: "army stabilises", when: { coercion: [2, 5], threat: [3, 5] }, p: 0.3 },
+    { from: "failed", to: "patrimonial", label: "warlord consolidates", when: { coercion: [2, 5] }, p: 0.3 },
+    { from: "failed", to: "tribal", label: "regression", when: { capacity: [1, 1] }, p: 0.3 },
+    { from: "democracy", to: "interstellarfed", label: "multi-system", when: { inclusiveness: [4, 5], scale: [3, 5] }, p: 0.2 },
+    { from: "technocracy", to: "interstellarfed", label: "coordinated expansion", when: { capacity: [5, 5], scale: [3, 5] }, p: 0.2 },
+    { from: "republic", to: "empire", label: "conquest state", when: { coercion: [3, 5], threat: [4, 5] }, p: 0.15 },
+    { from: "constitutional", to: "absolutist", label: "royal coup", when: { legitimacy: ["Traditional"], stability: [0, 40] }, p: 0.15 },
+    { from: "junta", to: "dictator", label: "strongman", when: { legitimacy: ["Charismatic"] }, p: 0.2 },
+    { from: "oneParty", to: "dictator", label: "personalisation", when: { legitimacy: ["Charismatic"], stability: [0, 45] }, p: 0.15 },
+    { from: "feudal", to: "failed", label: "fragmentation", when: { capacity: [1, 2], stability: [0, 30] }, p: 0.3 },
+    { from: "patrimonial", to: "failed", label: "succession war", when: { stability: [0, 25] }, p: 0.3 },
+    { from: "empire", to: "failed", label: "overextension", when: { scale: [4, 5], stability: [0, 30] }, p: 0.3 },
   ];
 
   var R_BRACKETS = [
@@ -360,6 +420,6 @@
     { ids: ["directdem", "hive", "interstellarfed"], col: 7, era: "Advanced/Space", lvl: "Lvl 13–15", color: "#1e1b4b" },
   ];
 
-  window.REGIME_TRANSITIONS_LIST = REGIME_TRANSITIONS_LIST;
-  window.R_BRACKETS = R_BRACKETS;
-})();
+  root.REGIME_TRANSITIONS_LIST = REGIME_TRANSITIONS_LIST;
+  root.R_BRACKETS = R_BRACKETS;
+})(typeof window !== "undefined" ? window : globalThis);
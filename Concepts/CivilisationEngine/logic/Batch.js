@@ -0,0 +1,184 @@
+/**
+ * Batch runs for Integration: many seeded History runs of one config, summarised for tuning regime weights and
+ * transitions. summarizeRun reduces a finished run to counts; mergeSummaries adds them up (so a Web Worker,
+ * logic/BatchWorker.js, can report as it goes) and batchReport turns the total into the tables the Batch tab and
+ * `HistoryCli.js --runs` show (exportBatchCsv in logic/Session.js writes them out). summarizeSeed plays and summarizes
+ * one run; runBatch does all of it in one call, and the Batch tab a seed at a time when it has no worker.
+ */
+(function (root) {
+  "use strict";
+
+  var WAR_TERMS = ["vassalage", "border", "tribute", "white peace", "collapse"];
+
+  function add(obj, key, n) {
+    obj[key] = (obj[key] || 0) + n;
+  }
+
+  /**
+   * Counts from one run: final regimes by tech level, when founding cultures first reached each level, regime
+   * collapses (from run.series), and wars by terms. Every field is a count or a sum so summaries can be added.
+   */
+  function summarizeRun(run) {
+    var series = run.series;
+    var out = {
+      runs: 1,
+      cultures: run.cultures.length,
+      years: 0,
+      finalRegimes: {},
+      reach: {},
+      failed: { collapses: 0, cultures: 0, recovered: 0, cultureYears: 0, yearsFailed: 0 },
+      wars: { total: run.wars.length, ended: 0, years: 0, attackerWins: 0, terms: {}, conquests: 0 },
+    };
+    run.cultures.forEach(function (c) {
+      out.finalRegimes[c.techLevel] = out.finalRegimes[c.techLevel] || {};
+      add(out.finalRegimes[c.techLevel], c.regime, 1);
+    });
+
+    var start = series[0];
+    var startLevel = {};
+    start.cultures.forEach(function (c) { startLevel[c.id] = c.techLevel; });
+    var firstAt = {};
+    var seen = {};
+    series.forEach(function (s, i) {
+      var dt = i > 0 ? s.year - series[i - 1].year : 0;
+      s.cultures.forEach(function (c) {
+        var prev = seen[c.id];
+        if (startLevel[c.id] !== undefined) {
+          firstAt[c.id] = firstAt[c.id] || {};
+          for (var l = startLevel[c.id] + 1; l <= c.techLevel; l++) if (firstAt[c.id][l] === undefined) firstAt[c.id][l] = s.year - start.year;
+        }
+        if (prev) {
+          out.failed.cultureYears += dt;
+          if (prev.regime === "failed") out.failed.yearsFailed += dt;
+          if (c.regime === "failed" && prev.regime !== "failed") {
+            out.failed.collapses++;
+            if (!prev.everFailed) out.failed.cultures++;
+          }
+        } else if (c.regime === "failed") {
+          out.failed.cultures++;
+        }
+        seen[c.id] = { regime: c.regime, everFailed: (prev && prev.everFailed) || c.regime === "failed" };
+      });
+    });
+    // Recovered: collapsed at some point but not a failed state at the end.
+    for (var id in seen) if (seen[id].everFailed && seen[id].regime !== "failed") out.failed.recovered++;
+    out.years = series[series.length - 1].year - start.year;
+
+    // For each level, cultures that started below it ("eligible"), how many reached it and their summed years.
+    start.cultures.forEach(function (c) {
+      for (var l = c.techLevel + 1; l <= 15; l++) {
+        var r = out.reach[l] = out.reach[l] || { eligible: 0, reached: 0, years: 0 };
+        r.eligible++;
+        var at = firstAt[c.id] && firstAt[c.id][l];
+        if (at !== undefined) {
+          r.reached++;
+          r.years += at;
+        }
+      }
+    });
+
+    run.wars.forEach(function (w) {
+      if (w.ended === null) return;
+      out.wars.ended++;
+      out.wars.years += w.ended - w.started;
+      add(out.wars.terms, w.terms || "unknown", 1);
+      if (w.winner !== null && w.winner !== undefined && w.attackers.indexOf(w.winner) >= 0) out.wars.attackerWins++;
+      if (w.terms === "vassalage") out.wars.conquests++;
+    });
+    return out;
+  }
+
+  function mergeInto(a, b) {
+    for (var k in b) {
+      if (typeof b[k] === "number") a[k] = (a[k] || 0) + b[k];
+      else a[k] = mergeInto(a[k] || {}, b[k]);
+    }
+    return a;
+  }
+
+  /** Sum of two summaries (either may be null). */
+  function mergeSummaries(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    return mergeInto(mergeInto({}, a), b);
+  }
+
+  function pct(n, d) {
+    return d > 0 ? Math.round(n / d * 1000) / 10 : 0;
+  }
+
+  function mean(n, d) {
+    return d > 0 ? Math.round(n / d) : null;
+  }
+
+  /**
+   * Tables from a merged summary: { job, runs, cultures, years, finalRegimes: [{ level, n, regimes: { regime: % } }],
+   * levels: [{ level, eligible, reachedPct, meanYears }], collapse: {...}, wars: {...} }. `job` echoes the batch
+   * settings ({ config, firstSeed, runs, turns, dt, pack }) so an exported report says what produced it; `pack` is the
+   * active content pack's name, or null.
+   */
+  function batchReport(sum, job) {
+    var levels = Object.keys(sum.finalRegimes).map(Number).sort(function (a, b) { return a - b; });
+    var f = sum.failed;
+    var w = sum.wars;
+    return {
+      job: job,
+      runs: sum.runs,
+      cultures: sum.cultures,
+      years: sum.years / sum.runs,
+      finalRegimes: levels.map(function (l) {
+        var row = sum.finalRegimes[l];
+        var n = Object.keys(row).reduce(function (t, k) { return t + row[k]; }, 0);
+        var regimes = {};
+        Object.keys(row).forEach(function (k) { regimes[k] = pct(row[k], n); });
+        return { level: l, n: n, regimes: regimes };
+      }),
+      levels: Object.keys(sum.reach).map(Number).sort(function (a, b) { return a - b; }).filter(function (l) {
+        // Up to the first level no culture reached.
+        return l === 1 || !sum.reach[l - 1] || sum.reach[l - 1].reached > 0;
+      }).map(function (l) {
+        var r = sum.reach[l];
+        return { level: l, eligible: r.eligible, reachedPct: pct(r.reached, r.eligible), meanYears: mean(r.years, r.reached) };
+      }),
+      collapse: {
+        everFailedPct: pct(f.cultures, sum.cultures),
+        collapsesPerRun: Math.round(f.collapses / sum.runs * 100) / 100,
+        per1000CultureYears: f.cultureYears > 0 ? Math.round(f.collapses / f.cultureYears * 1000 * 100) / 100 : 0,
+        recoveredPct: pct(f.recovered, f.cultures),
+        timeFailedPct: pct(f.yearsFailed, f.cultureYears),
+      },
+      wars: {
+        perRun: Math.round(w.total / sum.runs * 100) / 100,
+        meanYears: mean(w.years, w.ended),
+        attackerWinPct: pct(w.attackerWins, w.ended),
+        conquestsPerRun: Math.round(w.conquests / sum.runs * 100) / 100,
+        terms: WAR_TERMS.concat(w.terms.unknown ? ["unknown"] : []).map(function (t) { return { terms: t, pct: pct(w.terms[t] || 0, w.ended) }; }),
+      },
+    };
+  }
+
+  /** Runs one history of `turns` turns of `dt` years from `seed` and summarizes it. */
+  function summarizeSeed(config, seed, turns, dt) {
+    // Summaries never look back, so batch runs keep no timeline (logic/Timeline.js).
+    var run = Object.assign(root.createRun(config, seed), { timeline: null });
+    for (var t = 0; t < turns; t++) run = root.advanceRun(run, dt);
+    return summarizeRun(run);
+  }
+
+  /** Runs `runs` histories with seeds firstSeed, firstSeed + 1, …; `onRun(done, summary)` is told after each. */
+  function runBatch(config, firstSeed, runs, turns, dt, onRun) {
+    var sum = null;
+    for (var i = 0; i < runs; i++) {
+      sum = mergeSummaries(sum, summarizeSeed(config, firstSeed + i, turns, dt));
+      if (onRun) onRun(i + 1, sum);
+    }
+    var pack = root.activePack();
+    return batchReport(sum, { config: config, firstSeed: firstSeed, runs: runs, turns: turns, dt: dt, pack: pack ? pack.name : null });
+  }
+
+  root.summarizeRun = summarizeRun;
+  root.mergeSummaries = mergeSummaries;
+  root.batchReport = batchReport;
+  root.summarizeSeed = summarizeSeed;
+  root.runBatch = runBatch;
+})(typeof window !== "undefined" ? window : globalThis);
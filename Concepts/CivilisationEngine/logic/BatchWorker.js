@@ -0,0 +1,44 @@
+/**
+ * Web Worker for batch runs (logic/Batch.js), so the page stays responsive. Post it
+ * { config, firstSeed, runs, turns, dt, pack } (pack: the content pack to run with, or null); it answers { type: "progress", done, runs } after every run and
+ * { type: "done", report } at the end, or { type: "error", message }.
+ */
+/* global importScripts */
+importScripts(
+  "../data/SharedData.js",
+  "Validation.js",
+  "ContentPack.js",
+  "Technology.js",
+  "Territory.js",
+  "Economy.js",
+  "Demography.js",
+  "Climate.js",
+  "Identity.js",
+  "Rulers.js",
+  "Diplomacy.js",
+  "Institutions.js",
+  "Regimes.js",
+  "Wars.js",
+  "Secession.js",
+  "Space.js",
+  "Player.js",
+  "Simulation.js",
+  "Scenario.js",
+  "Statistics.js",
+  "Timeline.js",
+  "HistoryRun.js",
+  "Batch.js"
+);
+
+self.onmessage = function (e) {
+  var job = e.data;
+  try {
+    self.activatePack(job.pack || null);
+    var report = self.runBatch(job.config, job.firstSeed, job.runs, job.turns, job.dt, function (done) {
+      self.postMessage({ type: "progress", done: done, runs: job.runs });
+    });
+    self.postMessage({ type: "done", report: report });
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+};
@@ -0,0 +1,401 @@
+/**
+ * Chronicle for Integration: a run written up as prose, for setting bibles.
+ * writeChronicle groups the history's events into eras named by the LEVELS sublabel of the most advanced culture,
+ * follows each war from declaration to treaty and each dynasty from founder to last ruler, and sums up every
+ * culture and the world. It reads the structured events (logic/Simulation.js), the series and the wars; events
+ * from older saves without detail are left to the log. exportNarrativeMarkdown renders it as Markdown.
+ */
+(function (root) {
+  "use strict";
+
+  /**
+   * Crises and growths worth telling in the era prose, as the sentence for everyone they befell in one turn ($ is
+   * the list of names); the others stay in the event log.
+   */
+  var EPISODES = {
+    Plague: "plague struck $",
+    Famine: "famine struck $",
+    "Civil War": "civil war tore through $",
+    Revolt: "revolt broke out in $",
+    "Religious Schism": "religious schism divided $",
+    "Economic Collapse": "economic collapse ruined $",
+    "Golden Age": "a golden age dawned in $",
+    "Cultural Renaissance": "a cultural renaissance flowered in $",
+  };
+  /** Sentences after which era prose starts a new paragraph, at the next turn. */
+  var PARAGRAPH = 5;
+  /** Houses told under Dynasties: those with this many rulers, or that held power this many years. */
+  var DYNASTY_RULERS = 3;
+  var DYNASTY_YEARS = 50;
+  /** How a reign ended (`end` in logic/Rulers.js), as a verb. */
+  var REIGN_ENDS = { "term ended": "left office", overthrown: "was overthrown", deposed: "was deposed", "regime change": "fell with the regime" };
+
+  function reignEnd(end) {
+    return /^died/.test(end) ? end : REIGN_ENDS[end] || end;
+  }
+
+  function levelLabel(level) {
+    var lv = root.LEVELS[level - 1];
+    return lv ? lv.sublabel : "Level " + level;
+  }
+
+  function regimeName(id) {
+    return root.REGIMES[id] ? root.REGIMES[id].name : id;
+  }
+
+  function article(word) {
+    return (/^[AEIOU]/i.test(word) ? "an " : "a ") + word;
+  }
+
+  function listOf(items) {
+    return items.length < 2 ? items.join("") : items.slice(0, -1).join(", ") + " and " + items[items.length - 1];
+  }
+
+  function people(n) {
+    return n >= 1e6 ? (n / 1e6).toFixed(1) + " million" : Math.round(n / 1000) + " thousand";
+  }
+
+  /** Capitalised and closed with a full stop. */
+  function sentence(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1) + ".";
+  }
+
+  /** The event's effects that change the map, as a parenthesis. */
+  function notes(e) {
+    var kept = (e.effects || []).filter(function (x) { return / provinces /.test(x); });
+    return kept.length ? " (" + kept.join("; ") + ")" : "";
+  }
+
+  /** What the chronicle looks things up in: cultures and wars by id, and every event with its year. */
+  function contextOf(run) {
+    var byId = {};
+    run.cultures.forEach(function (c) { byId[c.id] = c; });
+    var wars = {};
+    run.wars.forEach(function (w) { wars[w.id] = w; });
+    var events = [];
+    run.history.forEach(function (h) { h.events.forEach(function (e) { events.push({ year: h.year, e: e }); }); });
+    return { run: run, byId: byId, wars: wars, events: events, name: function (id) { return byId[id] ? byId[id].name : "a people now lost"; } };
+  }
+
+  /** The run's eras, [{ level, label, from, to }]: a new one starts when the most advanced culture reaches a new level. */
+  function chronicleEras(run) {
+    var eras = [];
+    (run.series || []).forEach(function (s) {
+      var lead = s.cultures.reduce(function (m, c) { return Math.max(m, c.techLevel); }, 0);
+      var last = eras[eras.length - 1];
+      if (last && lead <= last.level) return;
+      if (last) last.to = s.year;
+      eras.push({ level: lead, label: levelLabel(lead), from: s.year, to: s.year });
+    });
+    if (!eras.length) {
+      var level = run.cultures.reduce(function (m, c) { return Math.max(m, c.techLevel); }, 0);
+      eras.push({ level: level, label: levelLabel(level), from: run.history.length ? run.history[0].year : run.year, to: run.year });
+    }
+    eras[eras.length - 1].to = run.year;
+    return eras;
+  }
+
+  /**
+   * One sentence (without the year) for an event worth telling in the era prose, or null. Tech levels are told as
+   * the eras' openings, crises and growths a turn at a time (EPISODES) and successions under Dynasties instead.
+   */
+  function eventText(e, ctx) {
+    var a = e.actors && e.actors.length ? ctx.name(e.actors[0]) : null;
+    var b = e.actors && e.actors.length > 1 ? ctx.name(e.actors[1]) : null;
+    var war = e.war !== undefined ? ctx.wars[e.war] : null;
+    switch (e.type) {
+      case "regime":
+        if (!e.from) return null;
+        if (e.to === "failed") return a + " collapsed from " + article(regimeName(e.from)) + " into a failed state" + notes(e);
+        return a + " turned from " + article(regimeName(e.from)) + " into " + article(regimeName(e.to)) + (e.cause && e.cause !== "scripted" ? " (" + e.cause + ")" : "");
+      case "war":
+        if (!e.goal) return null;
+        return a + " declared war on " + b + " " + root.WAR_GOALS[e.goal] + ", beginning the " + (war ? war.name : "war");
+      case "peace":
+        if (!e.treaty) return null;
+        return "the " + e.treaty + " ended the " + (war ? war.name : "war") + ": " + e.effects[0];
+      case "conquest":
+        return a + " conquered " + b + notes(e);
+      case "secession":
+        return a + " broke away from " + b + (e.cause ? " during " + e.cause : "");
+      case "independence":
+        return a + " won its independence from " + b + notes(e);
+      case "colony":
+        return b + " founded " + a + " on " + e.world + ", in the " + e.system + " system";
+      case "federation":
+        if (e.change === "formed") return a + " and its colonies " + listOf(e.actors.slice(1).map(ctx.name)) + " formed the " + e.federation;
+        if (e.change === "joined") return listOf(e.actors.slice(1).map(ctx.name)) + " joined the " + e.federation;
+        if (e.change === "left") return a + " left the " + e.federation;
+        return "the " + e.federation + " was dissolved";
+      case "ruler":
+        var seized = (e.effects || []).filter(function (x) { return / \(seized power\)$/.test(x); });
+        if (!seized.length) return null;
+        var last = seized[seized.length - 1].slice(0, -" (seized power)".length);
+        if (seized.length === 1) return last + " seized power in " + a + " after " + e.rulers[0] + " " + reignEnd(e.cause);
+        return "power in " + a + " changed hands by force " + seized.length + " times after " + e.rulers[0] + " " + reignEnd(e.cause) + ", ending with " + last;
+      case "climate":
+        if (e.iceAge === undefined) return null;
+        return e.iceAge ? "an ice age began, and harvests failed in the cold lands" : "the ice age ended and the glaciers retreated";
+      case "disaster":
+        if (!e.name || e.actors.length < 2) return null;
+        return article(e.name.toLowerCase()) + " struck " + listOf(e.actors.map(ctx.name));
+      case "cultural":
+        return e.spread === "religion" && e.to ? b + " took up " + e.to + ", carried there from " + a : null;
+      case "diplomacy":
+        return e.to === "Alliance" ? a + " and " + b + " became allies" : null;
+      case "scenario":
+      case "branch":
+        return e.desc;
+      default:
+        return null;
+    }
+  }
+
+  /** The prose for one era: an opening, its events a turn at a time, and where the world stood at its end. */
+  function eraParagraphs(era, first, last, ctx) {
+    var run = ctx.run;
+    var lines = [];
+    var start = (run.series || []).find(function (s) { return s.year === era.from; });
+    var leader = start ? start.cultures.find(function (c) { return c.techLevel === era.level; }) : null;
+    var breakthrough = leader ? ctx.events.find(function (x) { return x.year === era.from && x.e.type === "tech" && x.e.actors && x.e.actors[0] === leader.id; }) : null;
+    if (first) lines.push(sentence("history opens in the " + era.label + (start ? ", with " + start.cultures.length + " peoples sharing the land" : "")));
+    else {
+      lines.push(sentence("in year " + era.from + " " + (leader ? ctx.name(leader.id) : "the foremost people") + " reached the " + era.label +
+        (breakthrough && breakthrough.e.cause && breakthrough.e.cause !== "scripted" ? " through " + breakthrough.e.cause : "") + ", and a new age began"));
+    }
+
+    var paragraphs = [];
+    run.history.forEach(function (h) {
+      if (lines.length >= PARAGRAPH) {
+        paragraphs.push(lines.join(" "));
+        lines = [];
+      }
+      if (h.year < era.from || h.year > era.to || (h.year === era.to && !last)) return;
+      var told = [];
+      var episodes = {};
+      h.events.forEach(function (e) {
+        if ((e.type === "crisis" || e.type === "growth") && EPISODES[e.name]) {
+          if (!episodes[e.name]) told.push(episodes[e.name] = []);
+          if (episodes[e.name].indexOf(ctx.name(e.actors[0])) < 0) episodes[e.name].push(ctx.name(e.actors[0]));
+          return;
+        }
+        var text = eventText(e, ctx);
+        if (text) told.push(text);
+      });
+      Object.keys(episodes).forEach(function (k) {
+        told[told.indexOf(episodes[k])] = EPISODES[k].replace("$", listOf(episodes[k]));
+      });
+      told.forEach(function (text, i) { lines.push(sentence((i === 0 ? "in year " + h.year + ", " : "") + text)); });
+    });
+
+    var end = (run.series || []).filter(function (s) { return s.year <= era.to; }).pop();
+    if (end && end.cultures.length) {
+      var top = end.cultures.slice().sort(function (x, y) { return y.population - x.population; })[0];
+      lines.push(sentence("by year " + era.to + ", " + end.cultures.length + " peoples shared the world; the most populous was " + ctx.name(top.id) + ", " + article(regimeName(top.regime)) + " of " + people(top.population)));
+    }
+
+    if (lines.length) paragraphs.push(lines.join(" "));
+    return paragraphs;
+  }
+
+  /** A war from declaration to treaty (or to the present, while it lasts). */
+  function warText(w, ctx) {
+    var events = ctx.events.filter(function (x) { return x.e.war === w.id; });
+    // The sides as declared: members who became vassals of the other side drop out of them later.
+    var opening = events.find(function (x) { return x.e.type === "war" && x.e.goal; });
+    var att = opening ? opening.e.actors[0] : w.attackers[0];
+    var def = opening ? opening.e.actors[1] : w.defenders[0];
+    var lines = [];
+    lines.push(sentence(ctx.name(att) + " declared war on " + ctx.name(def) + " in year " + w.started + " " + root.WAR_GOALS[w.goal] +
+      (opening && opening.e.cause && opening.e.cause !== "scripted" ? ", out of " + opening.e.cause : "")));
+    var joined = ["attackers", "defenders"].map(function (side) {
+      var names = events.filter(function (x) { return x.e.type === "war" && x.e.side === side; }).map(function (x) { return ctx.name(x.e.actors[0]); });
+      return names.length ? listOf(names) + " joined the " + side : null;
+    }).filter(Boolean);
+    if (joined.length) lines.push(sentence(joined.join("; ")));
+    var battles = events.filter(function (x) { return x.e.type === "battle"; });
+    if (battles.length) {
+      var won = battles.filter(function (x) { return x.e.winner === "attackers"; }).length;
+      var last = battles[battles.length - 1];
+      var tally = won === battles.length || won === 0 ? "all won by the " + last.e.winner : won + " won by the attackers and " + (battles.length - won) + " by the defenders";
+      lines.push(sentence(battles.length === 1 ? "one battle was fought, the " + last.e.battle + " in year " + last.year + ", won by the " + last.e.winner
+        : battles.length + " battles were fought, " + tally + "; the last was the " + last.e.battle + " in year " + last.year));
+    } else {
+      lines.push("No pitched battle was fought.");
+    }
+    if (w.ended !== null) lines.push(sentence("it ended in year " + w.ended + ", after " + (w.ended - w.started) + " years, with the " + w.outcome));
+    else lines.push(sentence("it is still being fought in year " + ctx.run.year + ", the score standing at " + (w.score > 0 ? "+" : "") + w.score + " for the " + (w.score >= 0 ? "attackers" : "defenders")));
+    return lines.join(" ");
+  }
+
+  /** The culture's known reigns, oldest first, grouped into runs of one house: [{ house, reigns }]. */
+  function houseRuns(c) {
+    var reigns = (c.rulers || []).concat(c.ruler ? [c.ruler] : []);
+    var runs = [];
+    reigns.forEach(function (r) {
+      var last = runs[runs.length - 1];
+      if (last && last.house === r.house) last.reigns.push(r);
+      else runs.push({ house: r.house, reigns: [r] });
+    });
+    return runs.filter(function (x) { return x.house; });
+  }
+
+  function houseYears(h, run) {
+    var last = h.reigns[h.reigns.length - 1];
+    return Math.max(0, (last.to === null ? run.year : last.to) - h.reigns[0].from);
+  }
+
+  function dynastyText(c, h, next) {
+    var reigns = h.reigns;
+    var first = reigns[0];
+    var last = reigns[reigns.length - 1];
+    var text = "The " + h.house + " " + (first.how === "coup" ? "seized" : "took") + " the throne of " + c.name + " in year " + first.from + " with " + first.title + ", and ";
+    text += last.to === null ? "holds it still" : "held it until year " + Math.max(first.from, last.to);
+    text += reigns.length === 1 ? ", its only ruler." : ", through " + reigns.length + " rulers down to " + last.title + ".";
+    if (next && last.to !== null) {
+      if (next.how === "coup") text += " It fell when " + next.title + " seized power.";
+      else if (next.how === "elected") text += " Elected rulers followed it.";
+      else if (next.how === "founder") text += " The line died out, and " + (next.house ? "the " + next.house : next.title) + " followed.";
+    }
+    return text;
+  }
+
+  /** A summary of one culture: where it came from, what it became and what it went through. */
+  function cultureText(c, ctx) {
+    var run = ctx.run;
+    var lines = [];
+    lines.push(sentence(c.colony ? c.name + " was founded by " + ctx.name(c.colony.parent) + " in year " + c.colony.founded + " on " + c.colony.world + ", " + article(c.colony.kind.toLowerCase()) + " world"
+      : c.origin ? c.name + " broke away from " + ctx.name(c.origin.parent) + " in year " + c.origin.year + " during the " + c.origin.cause
+      : c.name + " was one of the founding peoples, in " + c.climate.toLowerCase() + " " + c.terrain.toLowerCase() + " country"));
+
+    var spans = root.regimeSpans(run.series || [], c.id);
+    var regimes = spans.map(function (s) { return regimeName(s.regime); });
+    if (regimes.length > 4) lines.push(sentence("it began as " + article(regimes[0]) + " and, through " + (regimes.length - 1) + " changes of regime, became " + article(regimes[regimes.length - 1])));
+    else if (regimes.length > 1) lines.push(sentence("it began as " + article(regimes[0]) + (regimes.length > 2 ? ", passed through " + listOf(regimes.slice(1, -1).map(article)) : "") + " and became " + article(regimes[regimes.length - 1])));
+    else if (regimes.length) lines.push(sentence("it has been " + article(regimes[0]) + " throughout"));
+
+    var reached = ctx.events.filter(function (x) { return x.e.type === "tech" && x.e.level === c.techLevel && x.e.actors && x.e.actors[0] === c.id; })[0];
+    var pops = (run.series || []).map(function (s) { var x = s.cultures.find(function (y) { return y.id === c.id; }); return x ? { year: s.year, n: x.population } : null; }).filter(Boolean);
+    var peak = pops.reduce(function (m, p) { return !m || p.n > m.n ? p : m; }, null);
+    lines.push(sentence("it reached the " + levelLabel(c.techLevel) + (reached ? " in year " + reached.year : "") + (peak ? ", and its numbers peaked at " + people(peak.n) + " in year " + peak.year : "")));
+
+    var fought = run.wars.filter(function (w) { return w.attackers.indexOf(c.id) >= 0 || w.defenders.indexOf(c.id) >= 0; });
+    if (fought.length) {
+      var side = function (w) { return w.attackers.indexOf(c.id) >= 0 ? w.attackers : w.defenders; };
+      var won = fought.filter(function (w) { return w.winner !== null && side(w).indexOf(w.winner) >= 0; }).length;
+      var lost = fought.filter(function (w) { return w.winner !== null && side(w).indexOf(w.winner) < 0; }).length;
+      lines.push(sentence("it fought " + (fought.length === 1 ? "one war" : fought.length + " wars") + ", winning " + won + " and losing " + lost));
+    }
+
+    var trials = {};
+    ctx.events.forEach(function (x) {
+      if (x.e.type === "crisis" && EPISODES[x.e.name] && x.e.actors[0] === c.id) trials[x.e.name] = (trials[x.e.name] || 0) + 1;
+    });
+    var kinds = Object.keys(trials).sort(function (x, y) { return trials[y] - trials[x]; });
+    if (kinds.length) lines.push(sentence("it came through " + listOf(kinds.map(function (k) { return trials[k] === 1 ? article(k.toLowerCase()) : trials[k] + " " + k.toLowerCase() + "s"; }))));
+
+    var houses = houseRuns(c);
+    if (houses.length > 3) {
+      var longest = houses.reduce(function (m, h) { return !m || houseYears(h, run) > houseYears(m, run) ? h : m; }, null);
+      lines.push(sentence(houses.length + " houses ruled it, the longest the " + longest.house + " for " + houseYears(longest, run) + " years"));
+    } else if (houses.length) {
+      lines.push(sentence(listOf(houses.map(function (h) { return "the " + h.house; })) + " ruled it"));
+    }
+
+    var now = "in year " + run.year + " it is " + article(regimeName(c.regime)) + " of " + people(c.population) + ", keeping " + c.religion + " and speaking " + c.language;
+    if (c.ruler) now += ", under " + c.ruler.title;
+    var fed = root.federationOf(run.galaxy, c);
+    if (fed) now += ", in the " + fed.name;
+    if (c.vassalOf !== null) now += ", and a vassal of " + ctx.name(c.vassalOf);
+    else if (c.vassals.length) now += ", with " + listOf(c.vassals.map(ctx.name)) + " as " + (c.vassals.length === 1 ? "its vassal" : "its vassals");
+    lines.push(sentence(now));
+    return lines.join(" ");
+  }
+
+  /** The world in a paragraph: its span, its peoples, how far it came and who leads it now. */
+  function worldText(ctx, eras) {
+    var run = ctx.run;
+    var count = function (type) { return ctx.events.filter(function (x) { return x.e.type === type; }).length; };
+    var founders = run.cultures.filter(function (c) { return !c.origin; }).length;
+    var colonies = run.cultures.filter(function (c) { return c.colony; }).length;
+    var splits = run.cultures.length - founders - colonies;
+    var from = run.history.length ? run.history[0].year : run.year;
+    var lines = [];
+    lines.push(sentence("this chronicle covers " + (run.year - from) + " years, from year " + from + " to year " + run.year + " (seed " + run.seed + ")"));
+    var grew = [splits ? splits + " more broke away along the way" : null, colonies ? colonies + " were founded on other worlds" : null].filter(Boolean);
+    lines.push(sentence(founders + " peoples began it" + (grew.length ? "; " + listOf(grew) : "")));
+    lines.push(sentence("the world passed through " + (eras.length === 1 ? "one age, the " + eras[0].label : eras.length + " ages, from the " + eras[0].label + " to the " + eras[eras.length - 1].label)));
+    var ended = run.wars.filter(function (w) { return w.ended !== null; });
+    var conquests = ended.filter(function (w) { return w.terms === "vassalage"; }).length;
+    var raging = run.wars.length - ended.length;
+    var detail = [conquests ? conquests + " ending in conquest" : null, raging ? raging + " still raging" : null].filter(Boolean);
+    lines.push(sentence(run.wars.length ? run.wars.length + (run.wars.length === 1 ? " war was" : " wars were") + " fought" + (detail.length ? " (" + detail.join(", ") + ")" : "") : "no wars were fought"));
+    lines.push(sentence("there were " + count("regime") + " changes of regime" + (count("secession") ? " and " + count("secession") + " secessions" : "")));
+    var top = run.cultures.slice().sort(function (x, y) { return y.population - x.population; }).slice(0, 3);
+    if (top.length) lines.push(sentence("in year " + run.year + " the greatest powers are " + listOf(top.map(function (c) { return c.name + " (" + regimeName(c.regime) + ", " + people(c.population) + ")"; }))));
+    return lines.join(" ");
+  }
+
+  /**
+   * The run as prose: { title, world, eras: [{ level, label, from, to, paragraphs }], wars: [{ id, name, from,
+   * to, text }], dynasties: [{ culture, house, from, to, text }], cultures: [{ id, name, text }] }.
+   */
+  function writeChronicle(run) {
+    var ctx = contextOf(run);
+    var eras = chronicleEras(run);
+    var out = {
+      title: "Chronicle of the world of seed " + run.seed + (run.scenario ? ": " + run.scenario.name : ""),
+      world: worldText(ctx, eras),
+      eras: eras.map(function (era, i) { return Object.assign({}, era, { paragraphs: eraParagraphs(era, i === 0, i === eras.length - 1, ctx) }); }),
+      wars: run.wars.slice().sort(function (a, b) { return a.started - b.started || a.id - b.id; }).map(function (w) {
+        return { id: w.id, name: w.name, from: w.started, to: w.ended, text: warText(w, ctx) };
+      }),
+      dynasties: [],
+      cultures: run.cultures.map(function (c) { return { id: c.id, name: c.name, text: cultureText(c, ctx) }; }),
+    };
+    run.cultures.forEach(function (c) {
+      var runs = houseRuns(c);
+      var reigns = (c.rulers || []).concat(c.ruler ? [c.ruler] : []);
+      runs.forEach(function (h) {
+        if (h.reigns.length < DYNASTY_RULERS && houseYears(h, run) < DYNASTY_YEARS) return;
+        var last = h.reigns[h.reigns.length - 1];
+        var next = reigns[reigns.indexOf(last) + 1] || null;
+        out.dynasties.push({ culture: c.id, house: h.house, from: h.reigns[0].from, to: last.to, text: dynastyText(c, h, next) });
+      });
+    });
+    out.dynasties.sort(function (a, b) { return a.from - b.from || a.culture - b.culture; });
+    return out;
+  }
+
+  /** One culture's summary, as in writeChronicle. */
+  function cultureChronicle(run, id) {
+    var c = run.cultures.find(function (x) { return x.id === id; });
+    return c ? cultureText(c, contextOf(run)) : "";
+  }
+
+  function exportNarrativeMarkdown(run) {
+    var ch = writeChronicle(run);
+    var name = function (id) { var c = run.cultures.find(function (x) { return x.id === id; }); return c ? c.name : String(id); };
+    var lines = ["# " + ch.title, "", ch.world, "", "## Ages", ""];
+    ch.eras.forEach(function (era) {
+      lines.push("### The " + era.label + " (years " + era.from + "–" + era.to + ")", "");
+      era.paragraphs.forEach(function (p) { lines.push(p, ""); });
+    });
+    if (ch.wars.length) {
+      lines.push("## Wars", "");
+      ch.wars.forEach(function (w) { lines.push("### " + w.name + " (years " + w.from + "–" + (w.to === null ? "" : w.to) + ")", "", w.text, ""); });
+    }
+    if (ch.dynasties.length) {
+      lines.push("## Dynasties", "");
+      ch.dynasties.forEach(function (d) { lines.push("### " + d.house + " (" + name(d.culture) + ")", "", d.text, ""); });
+    }
+    lines.push("## Peoples", "");
+    ch.cultures.forEach(function (c) { lines.push("### " + c.name, "", c.text, ""); });
+    return lines.join("\n");
+  }
+
+  root.chronicleEras = chronicleEras;
+  root.writeChronicle = writeChronicle;
+  root.cultureChronicle = cultureChronicle;
+  root.exportNarrativeMarkdown = exportNarrativeMarkdown;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,182 @@
+/**
+ * Climate for Integration: a world climate that swings over centuries, and regional disasters.
+ * `run.climate` is { phases, anomaly, iceAge, disasters: [{ id, type, x, y, radius, severity, from, until }], nextId }.
+ * `anomaly` is the world's departure from its usual temperature (about ±2): three slow cycles with seeded phases
+ * plus the cooling of recent eruptions. An ice age sets in while it stays below ICE_AGE.
+ * Each turn sets every culture's `harvest: { factor, causes }`, the share of a normal harvest its land yields
+ * (logic/Economy.js). The factor comes from the anomaly, the culture's climate and any disaster over its provinces.
+ * Long cold or warm spells move cultures' climates, and disasters cost stability and drive refugees.
+ */
+(function (root) {
+  "use strict";
+
+  var CYCLES = [{ period: 700, amplitude: 0.6 }, { period: 1900, amplitude: 0.5 }, { period: 4200, amplitude: 1 }];
+  var ICE_AGE = -1.4;
+  /** Anomaly beyond which climates start to shift, colder or warmer. */
+  var SHIFT = 1.2;
+  var SHIFT_CHANCE = 0.025;
+
+  /** Harvest change per degree of anomaly by climate: cold lands gain from warmth, dry and hot ones lose. */
+  var SENSITIVITY = { Polar: 0.25, Continental: 0.15, Temperate: 0.05, Mediterranean: -0.08, Arid: -0.15, Tropical: -0.08 };
+  var COLDER = { Tropical: "Mediterranean", Arid: "Mediterranean", Mediterranean: "Temperate", Temperate: "Continental", Continental: "Polar" };
+  var WARMER = { Polar: "Continental", Continental: "Temperate", Temperate: "Mediterranean", Mediterranean: "Arid" };
+
+  /**
+   * Disaster kinds. `chance` is per culture per 25 years (by climate for droughts, scaled by river and coast
+   * provinces for floods; per world for eruptions). `years` is how long it lasts (0: this turn only), `severity`
+   * the harvest lost at its centre, `radius` its reach on the map. Eruptions also cool the world by `cooling`.
+   */
+  var DISASTERS = {
+    drought: { label: "Drought", icon: "🌵", chance: { Arid: 0.06, Mediterranean: 0.05, Tropical: 0.035, Temperate: 0.025, Continental: 0.025, Polar: 0.01 }, years: [5, 20], severity: [20, 40], radius: [40, 100] },
+    flood: { label: "Flood", icon: "🌊", chance: 0.04, years: [0, 0], severity: [15, 35], radius: [30, 60], deaths: [1, 3] },
+    volcano: { label: "Volcanic winter", icon: "🌋", chance: 0.03, years: [5, 15], severity: [30, 50], radius: [120, 200], cooling: 0.8 },
+  };
+
+  function cycleAnomaly(phases, year) {
+    return CYCLES.reduce(function (sum, c, i) { return sum + c.amplitude * Math.sin(2 * Math.PI * year / c.period + phases[i]); }, 0);
+  }
+
+  function worldAnomaly(state, year) {
+    var cooling = state.disasters.reduce(function (sum, d) { return sum + (DISASTERS[d.type].cooling || 0) * d.severity; }, 0);
+    return cycleAnomaly(state.phases, year) - cooling;
+  }
+
+  /** A new world climate; its cycles are seeded from the run seed on their own stream. */
+  function createClimate(seed, year) {
+    var rng = root.createMulberry32((seed ^ 0xc11a7e) >>> 0);
+    var state = { phases: CYCLES.map(function () { return rng() * 2 * Math.PI; }), anomaly: 0, iceAge: false, disasters: [], nextId: 0 };
+    state.anomaly = Math.round(worldAnomaly(state, year) * 100) / 100;
+    state.iceAge = state.anomaly <= ICE_AGE;
+    return state;
+  }
+
+  /** Share of the culture's provinces inside the disaster's circle. */
+  function exposure(map, id, d) {
+    var held = 0;
+    var hit = 0;
+    for (var i = 0; i < map.owner.length; i++) {
+      if (map.owner[i] !== id) continue;
+      held++;
+      var dx = (i % map.cols) * map.cell + map.cell / 2 - d.x;
+      var dy = Math.floor(i / map.cols) * map.cell + map.cell / 2 - d.y;
+      if (dx * dx + dy * dy <= d.radius * d.radius) hit++;
+    }
+    return held ? hit / held : 0;
+  }
+
+  function wetShare(map, id) {
+    var held = 0;
+    var wet = 0;
+    for (var i = 0; i < map.owner.length; i++) {
+      if (map.owner[i] !== id) continue;
+      held++;
+      if (map.terrain[i] === "Riverine" || map.terrain[i] === "Coastal") wet++;
+    }
+    return held ? wet / held : 0;
+  }
+
+  function startDisaster(s, type, x, y) {
+    var rand = root.rand;
+    var k = DISASTERS[type];
+    var d = { id: s.state.nextId++, type: type, x: x, y: y, radius: rand(s.rng, k.radius[0], k.radius[1]), severity: rand(s.rng, k.severity[0], k.severity[1]) / 100, from: s.year, until: s.year + rand(s.rng, k.years[0], k.years[1]) };
+    s.state.disasters.push(d);
+    s.fresh.push(d);
+    return d;
+  }
+
+  /** New droughts, floods and eruptions for the turn; a region already in drought gets no second one. */
+  function rollDisasters(s) {
+    var pick = root.pick;
+    var scale = s.dt / 25;
+    var warm = 1 + Math.max(0, s.state.anomaly) / 2;
+    s.world.cultures.forEach(function (c) {
+      if (c.colony) return;
+      var dry = s.state.disasters.some(function (d) { return d.type === "drought" && (c.x - d.x) * (c.x - d.x) + (c.y - d.y) * (c.y - d.y) <= d.radius * d.radius; });
+      if (!dry && s.rng() < (DISASTERS.drought.chance[c.climate] || 0.025) * warm * scale) startDisaster(s, "drought", c.x + root.rand(s.rng, -40, 40), c.y + root.rand(s.rng, -40, 40));
+      var wet = wetShare(s.world.map, c.id);
+      if (wet > 0 && s.rng() < DISASTERS.flood.chance * Math.min(1, wet * 2) * (1 + Math.abs(s.state.anomaly) / 3) * scale) startDisaster(s, "flood", c.x, c.y);
+    });
+    if (s.rng() < DISASTERS.volcano.chance * scale) {
+      var map = s.world.map;
+      var peaks = map.terrain.map(function (t, i) { return i; }).filter(function (i) { return map.terrain[i] === "Mountain" || map.terrain[i] === "Island"; });
+      var tile = peaks.length ? pick(s.rng, peaks) : root.rand(s.rng, 0, map.terrain.length - 1);
+      startDisaster(s, "volcano", (tile % map.cols) * map.cell + map.cell / 2, Math.floor(tile / map.cols) * map.cell + map.cell / 2);
+    }
+  }
+
+  /**
+   * One turn of climate for `world` ({ cultures, map, distress }); cultures are updated in place. Returns
+   * { climate, events }. A null climate (a world without one) leaves harvests as they are.
+   */
+  function advanceClimate(climate, world, year, dt, rng) {
+    if (!climate) return { climate: climate, events: [] };
+    var rand = root.rand;
+    var state = { phases: climate.phases, anomaly: climate.anomaly, iceAge: climate.iceAge, nextId: climate.nextId, disasters: climate.disasters.filter(function (d) { return d.until > year - dt; }) };
+    var s = { state: state, world: world, year: year, dt: dt, rng: rng, fresh: [] };
+    var events = [];
+    rollDisasters(s);
+    state.anomaly = Math.round(worldAnomaly(state, year) * 100) / 100;
+
+    if (state.anomaly <= ICE_AGE !== state.iceAge) {
+      state.iceAge = !state.iceAge;
+      events.push({
+        type: "climate", iceAge: state.iceAge, desc: state.iceAge ? "❄️ An ice age begins: glaciers advance and harvests fail in the cold lands" : "The ice age ends: the glaciers retreat", actors: [],
+        cause: "world climate " + (state.anomaly > 0 ? "+" : "") + state.anomaly.toFixed(1), effects: [state.iceAge ? "harvests fail in the cold lands" : "harvests recover"],
+      });
+    }
+
+    var hit = {};
+    world.cultures.forEach(function (c) {
+      // The homeworld's weather does not reach colonies on other worlds (logic/Space.js).
+      if (c.colony) {
+        c.harvest = { factor: 1, causes: [] };
+        return;
+      }
+      var factor = Math.max(0.3, Math.min(1.3, 1 + (SENSITIVITY[c.climate] || 0) * state.anomaly - 0.04 * Math.abs(state.anomaly)));
+      var causes = state.iceAge ? ["Ice age"] : [];
+      state.disasters.forEach(function (d) {
+        var share = exposure(world.map, c.id, d);
+        if (share <= 0) return;
+        factor *= 1 - d.severity * share;
+        if (causes.indexOf(DISASTERS[d.type].label) < 0) causes.push(DISASTERS[d.type].label);
+        if (s.fresh.indexOf(d) >= 0 && share >= 0.2) (hit[d.id] = hit[d.id] || []).push({ culture: c, share: share });
+      });
+      c.harvest = { factor: Math.round(factor * 100) / 100, causes: causes };
+
+      // A long cold or warm spell moves the culture's climate one step.
+      var next = state.anomaly <= -SHIFT ? COLDER[c.climate] : state.anomaly >= SHIFT ? WARMER[c.climate] : null;
+      if (next && rng() < SHIFT_CHANCE * Math.abs(state.anomaly) * dt / 25) {
+        events.push({ type: "climate", desc: c.name + ": the climate turns from " + c.climate + " to " + next + " as the world " + (state.anomaly < 0 ? "cools" : "warms"), actors: [c.id], cause: "a " + (state.anomaly < 0 ? "cold" : "warm") + " spell", effects: [c.climate + " → " + next] });
+        c.history.push({ year: year, event: "Climate shift: " + c.climate + " → " + next });
+        c.climate = next;
+      }
+    });
+
+    s.fresh.forEach(function (d) {
+      var k = DISASTERS[d.type];
+      var struck = hit[d.id] || [];
+      if (!struck.length) return;
+      struck.forEach(function (h) {
+        var c = h.culture;
+        var lost = d.severity * h.share;
+        if (k.deaths) c.population = Math.max(1000, Math.round(c.population * (1 - rand(rng, k.deaths[0], k.deaths[1]) / 100 * h.share)));
+        c.stability -= rand(rng, 2, 6) * h.share;
+        root.addDistress(world.distress, c.id, k.label, lost);
+        c.history.push({ year: year, event: k.label + " (harvest -" + Math.round(lost * 100) + "%)" });
+      });
+      var names = struck.map(function (h) { return h.culture.name; });
+      events.push({
+        type: "disaster", disaster: d.id, name: k.label, cause: null,
+        effects: struck.map(function (h) { return h.culture.name + " harvest -" + Math.round(d.severity * h.share * 100) + "%"; }),
+        desc: k.icon + " " + k.label + " strikes " + names.slice(0, 3).join(", ") + (names.length > 3 ? " and " + (names.length - 3) + " more" : "") + (d.until > year ? " (" + (d.until - year) + " years)" : ""), actors: struck.map(function (h) { return h.culture.id; }),
+      });
+    });
+    state.nextId = s.state.nextId;
+    return { climate: state, events: events };
+  }
+
+  root.DISASTERS = DISASTERS;
+  root.ICE_AGE = ICE_AGE;
+  root.createClimate = createClimate;
+  root.advanceClimate = advanceClimate;
+})(typeof window !== "undefined" ? window : globalThis);
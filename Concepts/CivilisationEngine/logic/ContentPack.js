@@ -0,0 +1,260 @@
+/**
+ * Content packs for Integration: JSON that extends or overrides the shared tables in data/SharedData.js.
+ *
+ *   { format: "civ-engine-pack", name, replace?: [table, ...],
+ *     regimes: { id: regime | partial | null }, techs: [tech | partial | { id, remove: true }],
+ *     transitions: { from: [to, ...] }, regimeTransitions: [{ from, to, label, when, p } | { from, to, remove: true }],
+ *     regimeWeights: { level: { regime: weight | { default, <terrain>: weight } | null } },
+ *     religions: [...], languages: [...], resources: [...],
+ *     names: { culture: { prefixes, joins, suffixes }, ruler: { prefixes, suffixes } } }
+ *
+ * Entries are merged into the base tables: a known id is updated field by field, a new one is added, and `null`
+ * (or `remove: true`) takes one out. Lists are extended; a table named in `replace` is replaced instead.
+ * activatePack rewrites the live tables in place, so the Tech Tree, Regime Chart and History sim, and any code
+ * that reads root.REGIMES and the like, all see the active pack. A run records its pack in `run.pack`.
+ */
+(function (root) {
+  "use strict";
+
+  var PACK_FORMAT = "civ-engine-pack";
+
+  /** Pack keys and the shared table each one merges into. */
+  var PACK_TABLES = {
+    regimes: "REGIMES",
+    techs: "TECHS",
+    transitions: "TRANSITIONS",
+    regimeTransitions: "REGIME_TRANSITIONS_LIST",
+    regimeWeights: "REGIME_WEIGHTS",
+    religions: "RELIGIONS",
+    languages: "LANGUAGES",
+    resources: "RESOURCES",
+    names: "NAME_PARTS",
+  };
+  var LIVE = ["REGIMES", "TECHS", "TRANSITIONS", "REGIME_TRANSITIONS_LIST", "REGIME_WEIGHTS", "R_BRACKETS", "RELIGIONS", "LANGUAGES", "RESOURCES", "NAME_PARTS"];
+
+  function copy(v) {
+    return JSON.parse(JSON.stringify(v));
+  }
+
+  /** The tables as SharedData.js defines them, before any pack. */
+  var BASE = {};
+  LIVE.forEach(function (k) { BASE[k] = copy(root[k]); });
+  var active = null;
+
+  function union(list, more) {
+    return list.concat(more.filter(function (x, i) { return list.indexOf(x) < 0 && more.indexOf(x) === i; }));
+  }
+
+  /**
+   * Puts regime `id` in the Regime Chart column `bracket`, or, when it has none yet, after the latest column
+   * holding a regime that starts at or below its level.
+   */
+  function placeRegime(brackets, regimes, id, bracket) {
+    var placed = brackets.some(function (b) { return b.ids.indexOf(id) >= 0; });
+    if (typeof bracket === "number") brackets.forEach(function (b) { b.ids = b.ids.filter(function (x) { return x !== id; }); });
+    else if (placed) return;
+    var at = 0;
+    if (typeof bracket === "number") at = bracket;
+    else brackets.forEach(function (b, i) { if (b.ids.some(function (x) { return regimes[x].minLvl <= regimes[id].minLvl; })) at = i; });
+    brackets[at].ids.push(id);
+  }
+
+  /** `tables` (a copy of the live tables) with the pack merged in. */
+  function mergePack(tables, pack) {
+    var replace = pack.replace || [];
+    var t = tables;
+    var regimes = pack.regimes || {};
+    if (replace.indexOf("regimes") >= 0) t.REGIMES = {};
+    Object.keys(regimes).forEach(function (id) {
+      var r = regimes[id];
+      if (r === null) {
+        delete t.REGIMES[id];
+        return;
+      }
+      var fields = Object.assign({}, r);
+      delete fields.bracket;
+      t.REGIMES[id] = Object.assign({}, t.REGIMES[id] || {}, fields);
+    });
+    t.R_BRACKETS.forEach(function (b) { b.ids = b.ids.filter(function (id) { return t.REGIMES[id]; }); });
+    Object.keys(t.REGIMES).forEach(function (id) { placeRegime(t.R_BRACKETS, t.REGIMES, id, regimes[id] && regimes[id].bracket); });
+
+    if (replace.indexOf("techs") >= 0) t.TECHS = [];
+    (pack.techs || []).forEach(function (tech) {
+      var i = t.TECHS.findIndex(function (x) { return x.id === tech.id; });
+      if (tech.remove) {
+        if (i >= 0) t.TECHS.splice(i, 1);
+      } else if (i >= 0) {
+        t.TECHS[i] = Object.assign({}, t.TECHS[i], tech);
+      } else {
+        t.TECHS.push(Object.assign({ req: [] }, tech));
+      }
+    });
+
+    if (replace.indexOf("transitions") >= 0) t.TRANSITIONS = {};
+    var transitions = pack.transitions || {};
+    Object.keys(transitions).forEach(function (from) {
+      if (transitions[from] === null) delete t.TRANSITIONS[from];
+      else t.TRANSITIONS[from] = union(t.TRANSITIONS[from] || [], transitions[from]);
+    });
+
+    if (replace.indexOf("regimeTransitions") >= 0) t.REGIME_TRANSITIONS_LIST = [];
+    (pack.regimeTransitions || []).forEach(function (rt) {
+      var i = t.REGIME_TRANSITIONS_LIST.findIndex(function (x) { return x.from === rt.from && x.to === rt.to; });
+      if (rt.remove) {
+        if (i >= 0) t.REGIME_TRANSITIONS_LIST.splice(i, 1);
+      } else if (i >= 0) {
+        t.REGIME_TRANSITIONS_LIST[i] = Object.assign({}, t.REGIME_TRANSITIONS_LIST[i], rt);
+      } else {
+        t.REGIME_TRANSITIONS_LIST.push(rt);
+      }
+    });
+
+    if (replace.indexOf("regimeWeights") >= 0) t.REGIME_WEIGHTS = {};
+    var weights = pack.regimeWeights || {};
+    Object.keys(weights).forEach(function (lvl) {
+      var row = t.REGIME_WEIGHTS[lvl] = Object.assign({}, t.REGIME_WEIGHTS[lvl] || {});
+      Object.keys(weights[lvl]).forEach(function (id) {
+        if (weights[lvl][id] === null) delete row[id];
+        else row[id] = weights[lvl][id];
+      });
+    });
+
+    ["religions", "languages", "resources"].forEach(function (key) {
+      if (!pack[key]) return;
+      var name = PACK_TABLES[key];
+      t[name] = replace.indexOf(key) >= 0 ? pack[key].slice() : union(t[name], pack[key]);
+    });
+    var names = pack.names || {};
+    Object.keys(names).forEach(function (kind) {
+      Object.keys(names[kind]).forEach(function (part) {
+        t.NAME_PARTS[kind][part] = replace.indexOf("names") >= 0 ? names[kind][part].slice() : union(t.NAME_PARTS[kind][part], names[kind][part]);
+      });
+    });
+    return t;
+  }
+
+  function isStrings(v) {
+    return Array.isArray(v) && v.length > 0 && v.every(function (x) { return typeof x === "string" && x; });
+  }
+
+  /** Problems with the pack's shape, before merging. */
+  function shapeProblems(raw) {
+    var out = [];
+    Object.keys(raw).forEach(function (k) {
+      if (k !== "format" && k !== "name" && k !== "replace" && !PACK_TABLES[k]) out.push("unknown field " + k);
+    });
+    if (typeof raw.name !== "string" || !raw.name) out.push("needs a name");
+    if (raw.replace !== undefined && (!Array.isArray(raw.replace) || raw.replace.some(function (k) { return !PACK_TABLES[k]; }))) {
+      out.push("replace must list tables among " + Object.keys(PACK_TABLES).join(", "));
+    }
+    ["regimes", "transitions", "regimeWeights", "names"].forEach(function (k) {
+      if (raw[k] !== undefined && (!raw[k] || typeof raw[k] !== "object" || Array.isArray(raw[k]))) out.push(k + " must be an object");
+    });
+    ["techs", "regimeTransitions"].forEach(function (k) {
+      if (raw[k] !== undefined && (!Array.isArray(raw[k]) || raw[k].some(function (x) { return !x || typeof x !== "object"; }))) out.push(k + " must be a list of objects");
+    });
+    ["religions", "languages", "resources"].forEach(function (k) {
+      if (raw[k] !== undefined && !isStrings(raw[k])) out.push(k + " must be a non-empty list of names");
+    });
+    if (Array.isArray(raw.techs)) raw.techs.forEach(function (t, i) { if (t && typeof t.id !== "string") out.push("techs[" + i + "] needs an id"); });
+    if (Array.isArray(raw.regimeTransitions)) {
+      raw.regimeTransitions.forEach(function (t, i) { if (t && (typeof t.from !== "string" || typeof t.to !== "string")) out.push("regimeTransitions[" + i + "] needs from and to"); });
+    }
+    if (raw.regimeWeights && typeof raw.regimeWeights === "object") {
+      Object.keys(raw.regimeWeights).forEach(function (lvl) {
+        var row = raw.regimeWeights[lvl];
+        if (!row || typeof row !== "object" || Array.isArray(row)) out.push("regimeWeights." + lvl + " must be an object of regime weights");
+      });
+    }
+    if (raw.regimes && typeof raw.regimes === "object") {
+      Object.keys(raw.regimes).forEach(function (id) {
+        var r = raw.regimes[id];
+        if (r !== null && (typeof r !== "object" || Array.isArray(r))) out.push("regimes." + id + " must be an object or null");
+        else if (r && r.bracket !== undefined && !(typeof r.bracket === "number" && root.R_BRACKETS[r.bracket])) out.push("regimes." + id + ".bracket must be 0–" + (root.R_BRACKETS.length - 1));
+      });
+    }
+    if (raw.transitions && typeof raw.transitions === "object") {
+      Object.keys(raw.transitions).forEach(function (k) {
+        if (raw.transitions[k] !== null && !isStrings(raw.transitions[k])) out.push("transitions." + k + " must be a list of regime ids or null");
+      });
+    }
+    if (raw.names && typeof raw.names === "object") {
+      Object.keys(raw.names).forEach(function (kind) {
+        if (!BASE.NAME_PARTS[kind]) {
+          out.push("names." + kind + " is not one of " + Object.keys(BASE.NAME_PARTS).join(", "));
+          return;
+        }
+        if (!raw.names[kind] || typeof raw.names[kind] !== "object") {
+          out.push("names." + kind + " must be an object");
+          return;
+        }
+        Object.keys(raw.names[kind]).forEach(function (part) {
+          if (!BASE.NAME_PARTS[kind][part]) out.push("names." + kind + "." + part + " is not one of " + Object.keys(BASE.NAME_PARTS[kind]).join(", "));
+          else if (!Array.isArray(raw.names[kind][part]) || !raw.names[kind][part].every(function (x) { return typeof x === "string"; })) out.push("names." + kind + "." + part + " must be a list of syllables");
+        });
+      });
+    }
+    return out;
+  }
+
+  /** Problems with merged tables: the errors logic/Validation.js finds in them. */
+  function tableProblems(t) {
+    return root.validateTables(Object.assign({ LEVELS: root.LEVELS }, t))
+      .filter(function (i) { return i.severity === "error"; })
+      .map(root.formatIssue);
+  }
+
+  function baseTables() {
+    return copy(BASE);
+  }
+
+  /**
+   * Parses and checks a pack (string or object) against the base tables. Returns the pack; on failure throws an
+   * Error listing every problem found, with the list itself in `error.problems`.
+   */
+  function parsePack(input) {
+    var raw = input;
+    var problems = [];
+    if (typeof input === "string") {
+      try { raw = JSON.parse(input); } catch (e) { problems.push("not valid JSON: " + e.message); }
+    }
+    if (!problems.length && (!raw || raw.format !== PACK_FORMAT)) problems.push("not a content pack (format must be \"" + PACK_FORMAT + "\")");
+    if (!problems.length) problems = shapeProblems(raw);
+    if (!problems.length) problems = tableProblems(mergePack(baseTables(), copy(raw)));
+    if (problems.length) {
+      var err = new Error("Content pack: " + problems.join("; "));
+      err.problems = problems;
+      throw err;
+    }
+    return copy(raw);
+  }
+
+  function fill(live, next) {
+    if (Array.isArray(live)) {
+      live.length = 0;
+      next.forEach(function (x) { live.push(x); });
+      return;
+    }
+    Object.keys(live).forEach(function (k) { delete live[k]; });
+    Object.keys(next).forEach(function (k) { live[k] = next[k]; });
+  }
+
+  /** Makes `pack` (checked with parsePack) the active content, or restores the base tables for null. Returns it. */
+  function activatePack(pack) {
+    var p = pack ? parsePack(pack) : null;
+    var tables = p ? mergePack(baseTables(), p) : baseTables();
+    LIVE.forEach(function (k) { fill(root[k], tables[k]); });
+    active = p;
+    return p;
+  }
+
+  /** The active pack, or null for the base tables. */
+  function activePack() {
+    return active;
+  }
+
+  root.PACK_FORMAT = PACK_FORMAT;
+  root.parsePack = parsePack;
+  root.activatePack = activatePack;
+  root.activePack = activePack;
+})(typeof window !== "undefined" ? window : globalThis);
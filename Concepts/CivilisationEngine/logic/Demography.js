@@ -0,0 +1,235 @@
+/**
+ * Demography for Integration: population growth towards a carrying capacity, migration between neighbours,
+ * refugee flights and plague. Carrying capacity is the population the culture's food supply (terrain, climate
+ * and tech, after trade; logic/Economy.js) can feed. Each culture holds a mixed population in
+ * `peoples: [{ religion, language, share }]`; migrants bring their own mix, and `religion` / `language` name
+ * the largest group. `migration: { arrived, left }` counts the people who moved last turn.
+ */
+(function (root) {
+  "use strict";
+
+  /** Yearly growth at low density for stable and unstable cultures. */
+  var GROWTH = 0.008;
+  var UNSTABLE_GROWTH = 0.002;
+  /** Fastest yearly decline of a population above its carrying capacity, before famine. */
+  var MAX_DECLINE = 0.01;
+  /** Yearly share of a population that moves to a neighbour twice as rich per head. */
+  var ECONOMIC_MIGRATION = 0.0004;
+  /** Share of a population that flees a distress of severity 1. */
+  var REFUGEE_SHARE = 0.08;
+  /** Longest voyage, in years, people make to another world (logic/Space.js). */
+  var MIGRATION_YEARS = 10;
+  var PLAGUE_SPREAD = 0.35;
+  var MIN_GROUP = 0.005;
+  var MAX_GROUPS = 8;
+
+  /** How readily people cross into the other culture, by relation status. */
+  var OPENNESS = { Alliance: 1, "Trade Partners": 0.8, Vassal: 0.8, Neutral: 0.5, Hostile: 0.15, War: 0 };
+
+  /** Severity of each crisis as a reason to flee (0–1). */
+  var CRISIS_SEVERITY = { "Civil War": 0.6, Revolt: 0.3, Plague: 0.3, "Military Defeat": 0.2, "Religious Schism": 0.1 };
+
+  /** People the culture's food supply can feed. */
+  function carryingCapacity(culture) {
+    var food = culture.ledger && culture.ledger.Food;
+    if (!food) return culture.population;
+    return Math.max(1000, (food.made + food.imported - food.exported) / root.FOOD_NEED * 100000);
+  }
+
+  /** Logistic growth over `dt` years: fast while there is room, declining above capacity. */
+  function growPopulation(culture, dt) {
+    var k = carryingCapacity(culture);
+    var fill = culture.population / k;
+    var rate = fill < 1 ? (culture.stability > 50 ? GROWTH : UNSTABLE_GROWTH) * (1 - fill) : -Math.min(MAX_DECLINE, MAX_DECLINE * (fill - 1));
+    culture.population = Math.max(1000, Math.round(culture.population * Math.pow(1 + rate, dt)));
+  }
+
+  /** Shares by religion or language: { name: share }. */
+  function sharesBy(culture, key) {
+    var out = {};
+    culture.peoples.forEach(function (g) { out[g[key]] = (out[g[key]] || 0) + g.share; });
+    return out;
+  }
+
+  function largest(shares) {
+    var best = null;
+    for (var k in shares) if (best === null || shares[k] > shares[best]) best = k;
+    return best;
+  }
+
+  /** Merges equal groups, drops tiny ones and renormalises; then names the majority religion and language. */
+  function tidyPeoples(culture) {
+    var merged = {};
+    culture.peoples.forEach(function (g) {
+      var k = g.religion + "|" + g.language;
+      if (merged[k]) merged[k].share += g.share;
+      else merged[k] = { religion: g.religion, language: g.language, share: g.share };
+    });
+    var groups = Object.keys(merged).map(function (k) { return merged[k]; });
+    groups.sort(function (x, y) { return y.share - x.share; });
+    groups = groups.filter(function (g, i) { return i === 0 || g.share >= MIN_GROUP; }).slice(0, MAX_GROUPS);
+    var total = groups.reduce(function (s, g) { return s + g.share; }, 0);
+    groups.forEach(function (g) { g.share /= total; });
+    culture.peoples = groups;
+    culture.religion = largest(sharesBy(culture, "religion"));
+    culture.language = largest(sharesBy(culture, "language"));
+  }
+
+  /** Adds `count` people of `from`'s mix to `culture` (whose population must not include them yet). */
+  function mixPeoples(culture, from, count) {
+    var total = culture.population + count;
+    if (total <= 0) return;
+    var own = culture.population / total;
+    culture.peoples = culture.peoples.map(function (g) { return { religion: g.religion, language: g.language, share: g.share * own }; })
+      .concat(from.map(function (g) { return { religion: g.religion, language: g.language, share: g.share * (1 - own) }; }));
+    tidyPeoples(culture);
+  }
+
+  /** The whole population takes up `value` as its religion or language (a state conversion or schism). */
+  function convertPeoples(culture, key, value) {
+    culture.peoples.forEach(function (g) { g[key] = value; });
+    tidyPeoples(culture);
+  }
+
+  /** Moves `fraction` of the people not yet of `value` over to it as their religion or language. */
+  function shiftPeoples(culture, key, value, fraction) {
+    var moved = [];
+    culture.peoples.forEach(function (g) {
+      if (g[key] === value || fraction <= 0) return;
+      var m = { religion: g.religion, language: g.language, share: g.share * fraction };
+      m[key] = value;
+      g.share -= m.share;
+      moved.push(m);
+    });
+    culture.peoples = culture.peoples.concat(moved);
+    tidyPeoples(culture);
+  }
+
+  /** `share` of `from`'s people pass to `to` with ceded provinces, bringing their faiths and languages. */
+  function cedePeople(from, to, share) {
+    var n = Math.min(from.population - 1000, Math.round(from.population * share));
+    if (n <= 0) return;
+    from.population -= n;
+    mixPeoples(to, from.peoples, n);
+    to.population += n;
+  }
+
+  /** Records a reason for people to leave culture `id` this turn, keeping the most severe. */
+  function addDistress(distress, id, cause, severity) {
+    if (!distress[id] || distress[id].severity < severity) distress[id] = { cause: cause, severity: severity };
+  }
+
+  /** Kills a share of the population falling with medicine; returns the share that died. */
+  function strikePlague(culture, rng) {
+    var share = root.rand(rng, 10, 30) / 100 * Math.max(0.2, 1 - culture.techLevel / 15);
+    culture.population = Math.max(1000, Math.round(culture.population * (1 - share)));
+    return share;
+  }
+
+  function perHead(c) {
+    return c.gdp / Math.max(1, c.population);
+  }
+
+  /** Where people can go: neighbours at peace with the culture, weighted by openness, wealth and room over the barrier. */
+  function destinations(c, s) {
+    var out = [];
+    s.relations.forEach(function (rel) {
+      if (rel.a !== c.id && rel.b !== c.id) return;
+      var other = s.byId[rel.a === c.id ? rel.b : rel.a];
+      var open = OPENNESS[rel.status] !== undefined ? OPENNESS[rel.status] : 0.5;
+      if (!other || open <= 0 || (rel.travel ? rel.travel > MIGRATION_YEARS : rel.border <= 0 && rel.dist > 150) || root.warBetween(s.wars, c.id, other.id)) return;
+      var bar = root.TERRAIN_BARRIERS[rel.barrier] || root.TERRAIN_BARRIERS.Plains;
+      var room = other.population < carryingCapacity(other) ? 1 : 0.3;
+      out.push({ culture: other, weight: open * room * perHead(other) / bar.moveCost, open: open, moveCost: bar.moveCost });
+    });
+    return out;
+  }
+
+  /**
+   * One turn of movement: plague spreads one step from where it broke out, the distressed flee to peaceful
+   * neighbours, and people drift towards richer neighbours. `world.distress` maps culture id to
+   * { cause, severity }. Flows are worked out from the populations at the start and then applied together.
+   * Returns the turn's plague and migration events.
+   */
+  function advanceDemography(world, year, dt, rng) {
+    var byId = {};
+    world.cultures.forEach(function (c) {
+      byId[c.id] = c;
+      c.migration = { arrived: 0, left: 0 };
+    });
+    var s = { byId: byId, relations: world.relations, wars: world.wars };
+    var distress = world.distress;
+    var events = [];
+
+    world.cultures.forEach(function (c) {
+      if (!distress[c.id] || distress[c.id].cause !== "Plague" || distress[c.id].spread) return;
+      destinations(c, s).forEach(function (d) {
+        var nb = d.culture;
+        if (distress[nb.id] || rng() > PLAGUE_SPREAD * d.open * Math.max(0.2, 1 - nb.techLevel / 15)) return;
+        var dead = strikePlague(nb, rng);
+        var fall = root.rand(rng, 3, 8);
+        nb.stability -= fall;
+        distress[nb.id] = { cause: "Plague", severity: 0.2, spread: true };
+        events.push({
+          type: "crisis", name: "Plague", desc: nb.name + ": Plague spreads from " + c.name + " (" + Math.round(dead * 100) + "% die)", actors: [nb.id, c.id],
+          cause: "contact with " + c.name, effects: [Math.round(dead * 100) + "% die", "stability -" + fall],
+        });
+        nb.history.push({ year: year, event: "Plague from " + c.name });
+      });
+    });
+
+    var flows = [];
+    world.cultures.forEach(function (c) {
+      var ds = destinations(c, s);
+      var total = ds.reduce(function (sum, d) { return sum + d.weight; }, 0);
+      var d = distress[c.id];
+      if (d && total > 0) {
+        var fleeing = Math.round(c.population * Math.min(1, d.severity) * REFUGEE_SHARE * (0.5 + rng()));
+        var ranked = ds.slice().sort(function (x, y) { return y.weight - x.weight; });
+        var names = [];
+        ranked.forEach(function (dest) {
+          var n = Math.round(fleeing * dest.weight / total);
+          if (n <= 0) return;
+          flows.push({ from: c, to: dest.culture, count: n });
+          if (names.length < 3) names.push(dest.culture.name);
+        });
+        if (fleeing >= 1000 && names.length) {
+          events.push({ type: "migration", desc: Math.round(fleeing / 1000) + "k refugees flee the " + d.cause + " in " + c.name + " for " + names.join(", "), actors: [c.id, ranked[0].culture.id], cause: "the " + d.cause, effects: [Math.round(fleeing / 1000) + "k leave for " + names.join(", ")] });
+          c.history.push({ year: year, event: Math.round(fleeing / 1000) + "k refugees fled the " + d.cause });
+        }
+      }
+      ds.forEach(function (dest) {
+        var ratio = perHead(dest.culture) / Math.max(1e-9, perHead(c));
+        if (ratio <= 1.1) return;
+        var room = dest.culture.population < carryingCapacity(dest.culture) ? 1 : 0.3;
+        var n = Math.round(c.population * Math.min(0.05, ECONOMIC_MIGRATION * Math.min(1, Math.log(ratio) / Math.LN2) * dest.open * room * dt / dest.moveCost));
+        if (n > 0) flows.push({ from: c, to: dest.culture, count: n });
+      });
+    });
+
+    var mixes = flows.map(function (f) { return f.from.peoples.map(function (g) { return { religion: g.religion, language: g.language, share: g.share }; }); });
+    flows.forEach(function (f, i) {
+      var n = Math.min(f.count, f.from.population - 1000);
+      if (n <= 0) return;
+      var before = f.to.religion + "|" + f.to.language;
+      f.from.population -= n;
+      f.from.migration.left += n;
+      mixPeoples(f.to, mixes[i], n);
+      f.to.population += n;
+      f.to.migration.arrived += n;
+      if (f.to.religion + "|" + f.to.language !== before) f.to.history.push({ year: year, event: "Newcomers now the majority: " + f.to.religion + ", " + f.to.language });
+    });
+    return events;
+  }
+
+  root.carryingCapacity = carryingCapacity;
+  root.growPopulation = growPopulation;
+  root.sharesBy = sharesBy;
+  root.convertPeoples = convertPeoples;
+  root.shiftPeoples = shiftPeoples;
+  root.cedePeople = cedePeople;
+  root.addDistress = addDistress;
+  root.strikePlague = strikePlague;
+  root.advanceDemography = advanceDemography;
+  root.CRISIS_SEVERITY = CRISIS_SEVERITY;
+})(typeof window !== "undefined" ? window : globalThis);
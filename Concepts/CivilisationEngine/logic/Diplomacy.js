@@ -0,0 +1,276 @@
+/**
+ * Diplomacy for Integration: relations between cultures as stateful objects that carry over between turns.
+ * buildRelations seeds them at world generation; updateRelations folds each turn's events into their memory
+ * (grievances, statusYears = treaty or war duration, tradeYears = trade history) and moves status only
+ * when that memory justifies it. Cultures on different worlds (logic/Space.js) are `travel` years apart instead of
+ * `dist` pixels on the map, and trade and move across space.
+ */
+(function (root) {
+  "use strict";
+
+  var MAX_RANGE = 320;
+  /** Longest voyage, in years, between worlds whose cultures still have dealings. */
+  var MAX_TRAVEL = 50;
+  var GRIEVANCE_HALF_LIFE = 100;
+  var MAX_CHANGES = 8;
+  var MAX_ALLIANCES = 3;
+  /** Tension below which a culture accepts an alliance the player proposes (logic/Player.js). */
+  var PROPOSAL_TENSION = 4.5;
+
+  /** Grievance added to a pair per event type between them. */
+  var GRIEVANCE = { battle: 3, conquest: 8, independence: 4, secession: 6 };
+
+  /**
+   * Barrier from the terrain actually between two cultures (terrainBetween): the most common terrain names the
+   * barrier, and move/trade costs are averaged over every tile counted. `shared` is true when they share a border.
+   */
+  function barrierBetween(a, b, map) {
+    var TB = root.TERRAIN_BARRIERS;
+    var between = root.terrainBetween(map, a, b);
+    var t = "Plains";
+    var n = 0;
+    var move = 0;
+    var trade = 0;
+    for (var terrain in between.counts) {
+      var k = between.counts[terrain];
+      var bar = TB[terrain] || TB.Plains;
+      if (k > (between.counts[t] || 0) || (k === (between.counts[t] || 0) && bar.moveCost > TB[t].moveCost)) t = terrain;
+      n += k;
+      move += bar.moveCost * k;
+      trade += bar.tradeCost * k;
+    }
+    var main = TB[t] || TB.Plains;
+    return { type: t, icon: main.icon, moveCost: n ? move / n : main.moveCost, tradeCost: n ? trade / n : main.tradeCost, shared: between.shared, borderLength: between.length };
+  }
+
+  /** The barrier of space: trade costs more the longer the voyage. */
+  function spaceBarrier(travel) {
+    var TB = root.TERRAIN_BARRIERS;
+    return { type: "Space", icon: TB.Space.icon, moveCost: TB.Space.moveCost, tradeCost: TB.Space.tradeCost + travel / 10, shared: false, borderLength: 0 };
+  }
+
+  /** Structural factors of a pair, recomputed every turn from the two cultures and the map. */
+  function pairFactors(a, b, map) {
+    var travel = root.travelYears(a, b);
+    var dist = travel ? null : Math.sqrt((a.x - b.x) * (a.x - b.x) + (a.y - b.y) * (a.y - b.y));
+    var bar = travel ? spaceBarrier(travel) : barrierBetween(a, b, map);
+    var relOverlap = root.identityOverlap(a, b, "religion");
+    var langOverlap = root.identityOverlap(a, b, "language");
+    var tradeBonus = (a.economy.indexOf("Trade") >= 0 || b.economy.indexOf("Trade") >= 0) ? 2 : 0;
+    var tradePot = Math.max(0, 5 - bar.tradeCost + tradeBonus + relOverlap + langOverlap);
+    var friction = Math.abs(a.sliders.coercion - b.sliders.coercion) + (a.drivers.threat + b.drivers.threat) / 4;
+    return { dist: dist, travel: travel, icon: bar.icon, barrier: bar.type, border: bar.borderLength, relOverlap: relOverlap, langOverlap: langOverlap, tradePot: tradePot, friction: friction };
+  }
+
+  /** Years of trade turn into goodwill, capped so old partners can still fall out; shared faith and tongue add by overlap. */
+  function goodwill(rel) {
+    return Math.min(3, rel.tradeYears / 60) + rel.relOverlap + rel.langOverlap * 0.5;
+  }
+
+  function computeTension(rel, f) {
+    return f.friction + rel.grievances - goodwill(rel);
+  }
+
+  function initialStatus(rel) {
+    if (rel.tension > 7) return "War";
+    if (rel.tension > 5) return "Hostile";
+    if (rel.tradePot > 5) return "Alliance";
+    if (rel.tradePot > 2) return "Trade Partners";
+    return "Neutral";
+  }
+
+  function newRelation(a, b, f, grievances, year) {
+    var rel = {
+      a: a.id, b: b.id, icon: f.icon, barrier: f.barrier, border: f.border, dist: f.dist === null ? null : Math.round(f.dist), travel: f.travel, status: "Neutral", tension: 0, tradePot: f.tradePot,
+      relOverlap: f.relOverlap, langOverlap: f.langOverlap, grievances: grievances, statusYears: 0, tradeYears: 0, since: year, changes: [],
+    };
+    rel.tension = computeTension(rel, f);
+    return rel;
+  }
+
+  /** Pairs within range or sharing a border have a relation; pairs on different worlds, within MAX_TRAVEL. */
+  function inContact(f) {
+    return f.travel ? f.travel <= MAX_TRAVEL : f.dist <= MAX_RANGE || f.border > 0;
+  }
+
+  function buildRelations(cultures, rng, map) {
+    var rand = root.rand;
+    var rels = [];
+    for (var i = 0; i < cultures.length; i++) {
+      for (var j = i + 1; j < cultures.length; j++) {
+        var a = cultures[i];
+        var b = cultures[j];
+        var f = pairFactors(a, b, map);
+        if (!inContact(f)) continue;
+        // Old grudges at founding give the starting map some variety without per-turn noise.
+        var rel = newRelation(a, b, f, rand(rng, 0, 3), 0);
+        rel.status = (a.vassalOf === b.id || b.vassalOf === a.id) ? "Vassal" : initialStatus(rel);
+        rels.push(rel);
+      }
+    }
+    return rels;
+  }
+
+  function pairKey(x, y) {
+    return x < y ? x + ":" + y : y + ":" + x;
+  }
+
+  /** Collects this turn's pairwise incidents from event actors: { key: [{ type, reason }] }. */
+  function incidentsByPair(events, cultures) {
+    var byId = {};
+    cultures.forEach(function (c) { byId[c.id] = c; });
+    var out = {};
+    events.forEach(function (e) {
+      if (!e.actors || e.actors.length < 2) return;
+      var x = byId[e.actors[0]];
+      var y = byId[e.actors[1]];
+      if (!x || !y) return;
+      var reason;
+      if (e.type === "battle") reason = "battle between " + x.name + " and " + y.name;
+      else if (e.type === "conquest") reason = x.name + " conquered " + y.name;
+      else if (e.type === "independence") reason = x.name + " broke free from " + y.name;
+      else if (e.type === "secession") reason = x.name + " broke away from " + y.name;
+      else if (e.type === "cultural" && e.spread === "religion") reason = "shared faith spread from " + x.name;
+      else if (e.type === "cultural") reason = "shared language spread from " + x.name;
+      else if (e.type === "policy" && e.policy === "alliance") reason = "alliance proposed by " + x.name;
+      else return;
+      var k = pairKey(x.id, y.id);
+      (out[k] = out[k] || []).push({ type: e.type, spread: e.spread, reason: reason });
+    });
+    return out;
+  }
+
+  /**
+   * Next status for a relation, or null to keep it. Thresholds leave a band between entering and
+   * leaving each status so small drifts do not flip it back and forth.
+   */
+  function nextStatus(rel, vassalPair, incidents, ctx, rng) {
+    var s = rel.status;
+    var t = rel.tension;
+    var conquest = incidents.some(function (x) { return x.type === "conquest"; });
+    var independence = incidents.some(function (x) { return x.type === "independence"; });
+    var faith = incidents.some(function (x) { return x.spread === "religion"; });
+    var proposal = incidents.find(function (x) { return x.type === "policy"; });
+
+    if (vassalPair) return s === "Vassal" ? null : { to: "Vassal", why: conquest ? "conquest" : "subjugation" };
+    if (s === "Vassal") return { to: independence ? "Hostile" : "Neutral", why: independence ? "war of independence" : "overlordship lapses" };
+
+    // War status follows the war entities (logic/Wars.js): on opposite sides of an active war, or not.
+    if (ctx.war) return s === "War" ? null : { to: "War", why: "fighting in the " + ctx.war };
+    if (s === "War") return { to: "Hostile", why: ctx.peace || "the fighting ends" };
+    if (ctx.federated) return s === "Alliance" ? null : { to: "Alliance", why: "fellow members of a federation" };
+    if (proposal && s !== "Alliance" && s !== "Hostile" && t < PROPOSAL_TENSION && ctx.alliesA < MAX_ALLIANCES && ctx.alliesB < MAX_ALLIANCES) return { to: "Alliance", why: proposal.reason };
+    if (s === "Hostile") {
+      if (t < 3.5) return { to: "Neutral", why: "tensions ease" };
+      return null;
+    }
+    if (t > 7.5 && (s === "Neutral" || s === "Trade Partners")) return { to: "Hostile", why: "rising grievances" };
+    if (s === "Alliance") {
+      if (t > 4.5) return { to: "Trade Partners", why: "alliance strained by grievances" };
+      if (rel.tradePot <= 2) return { to: "Neutral", why: "alliance loses its purpose as trade dries up" };
+      if (!ctx.sharedFoe && rel.statusYears >= 150 && rng() < 0.2) return { to: "Trade Partners", why: "no common enemy left to bind the alliance" };
+      return null;
+    }
+    if (s === "Trade Partners") {
+      if (t > 5.5) return { to: "Neutral", why: "trade broken off amid tensions" };
+      if (rel.tradePot <= 2) return { to: "Neutral", why: "trade no longer pays" };
+      if (!ctx.played && rel.tradePot > 5 && t < 3 && (rel.statusYears >= 50 || faith || ctx.sharedFoe) && ctx.alliesA < MAX_ALLIANCES && ctx.alliesB < MAX_ALLIANCES) return { to: "Alliance", why: ctx.sharedFoe ? "common enemy " + ctx.sharedFoe : faith ? "shared faith seals the partnership" : rel.statusYears + " years of trade" };
+      return null;
+    }
+    // Neutral
+    if (t > 5.5) return { to: "Hostile", why: "rising grievances" };
+    if (rel.tradePot > 2 && t < 4) return { to: "Trade Partners", why: faith ? "shared faith opens trade" : "trade opportunities" };
+    return null;
+  }
+
+  function mainIncidentReason(incidents) {
+    var order = ["conquest", "secession", "independence", "battle", "cultural"];
+    for (var i = 0; i < order.length; i++) {
+      var hit = incidents.find(function (x) { return x.type === order[i]; });
+      if (hit) return hit.reason;
+    }
+    return null;
+  }
+
+  /**
+   * Carries relations from the previous turn into the new one. Returns { relations, events } where events
+   * explain every status change. Pairs that come into contact start fresh; pairs that lose contact are dropped.
+   * `wars` (this turn's, from advanceWars) decides which pairs are at War. `player` is the played culture's id, which
+   * only allies on its orders (logic/Player.js).
+   */
+  function updateRelations(cultures, prevRelations, turnEvents, year, dt, rng, map, wars, player) {
+    var prev = {};
+    prevRelations.forEach(function (r) { prev[pairKey(r.a, r.b)] = r; });
+    var incidents = incidentsByPair(turnEvents, cultures);
+    var names = {};
+    cultures.forEach(function (c) { names[c.id] = c.name; });
+    var allies = {};
+    var foes = {};
+    prevRelations.forEach(function (r) {
+      if (r.status === "Alliance") {
+        allies[r.a] = (allies[r.a] || 0) + 1;
+        allies[r.b] = (allies[r.b] || 0) + 1;
+      } else if (r.status === "War" || r.status === "Hostile") {
+        (foes[r.a] = foes[r.a] || []).push(r.b);
+        (foes[r.b] = foes[r.b] || []).push(r.a);
+      }
+    });
+    var decay = Math.pow(0.5, dt / GRIEVANCE_HALF_LIFE);
+    var rels = [];
+    var events = [];
+
+    for (var i = 0; i < cultures.length; i++) {
+      for (var j = i + 1; j < cultures.length; j++) {
+        var a = cultures[i];
+        var b = cultures[j];
+        var f = pairFactors(a, b, map);
+        if (!inContact(f)) continue;
+        var k = pairKey(a.id, b.id);
+        var old = prev[k];
+        var rel = old ? Object.assign({}, old, { changes: old.changes.slice() }) : newRelation(a, b, f, 0, year);
+        var inc = incidents[k] || [];
+
+        rel.icon = f.icon;
+        rel.barrier = f.barrier;
+        rel.border = f.border;
+        rel.dist = f.dist === null ? null : Math.round(f.dist);
+        rel.travel = f.travel;
+        rel.tradePot = f.tradePot;
+        rel.relOverlap = f.relOverlap;
+        rel.langOverlap = f.langOverlap;
+        rel.grievances = rel.grievances * decay;
+        inc.forEach(function (x) { if (GRIEVANCE[x.type]) rel.grievances += GRIEVANCE[x.type]; });
+        // Neighbours with mismatched regimes pile up border incidents over time.
+        if (f.border > 0 && a.vassalOf === null && b.vassalOf === null) rel.grievances += rng() * Math.max(0, f.friction - 1) * dt / 50;
+        if (rel.status === "Trade Partners" || rel.status === "Alliance") rel.tradeYears += dt;
+        if (old) rel.statusYears += dt;
+        rel.tension = computeTension(rel, f);
+
+        var vassalPair = a.vassalOf === b.id || b.vassalOf === a.id;
+        var shared = (foes[a.id] || []).find(function (x) { return (foes[b.id] || []).indexOf(x) >= 0; });
+        var war = root.warBetween(wars || [], a.id, b.id);
+        var ended = root.peaceBetween(wars || [], a.id, b.id, year);
+        var ctx = { alliesA: allies[a.id] || 0, alliesB: allies[b.id] || 0, sharedFoe: shared !== undefined ? names[shared] : null, war: war ? war.name : null, peace: ended ? ended.outcome : null, federated: root.sameFederation(a, b), played: a.id === player || b.id === player };
+        var next = nextStatus(rel, vassalPair, inc, ctx, rng);
+        if (next) {
+          var why = mainIncidentReason(inc) || next.why;
+          if (why !== next.why) why = next.why + " (" + why + ")";
+          var change = { year: year, from: rel.status, to: next.to, reason: why };
+          events.push({ type: "diplomacy", from: rel.status, to: next.to, desc: a.name + " & " + b.name + ": " + rel.status + " → " + next.to + " — " + why, actors: [a.id, b.id], cause: why, effects: [] });
+          rel.changes.push(change);
+          if (rel.changes.length > MAX_CHANGES) rel.changes.shift();
+          rel.status = next.to;
+          rel.since = year;
+          rel.statusYears = 0;
+        }
+        rels.push(rel);
+      }
+    }
+    return { relations: rels, events: events };
+  }
+
+  root.PROPOSAL_TENSION = PROPOSAL_TENSION;
+  root.barrierBetween = barrierBetween;
+  root.buildRelations = buildRelations;
+  root.updateRelations = updateRelations;
+})(typeof window !== "undefined" ? window : globalThis);
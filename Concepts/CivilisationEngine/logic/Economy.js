@@ -0,0 +1,194 @@
+/**
+ * Economy for Integration: per-resource production from owned provinces, bilateral trade along trade and
+ * alliance ties, and a treasury fed by taxes and drained by military upkeep.
+ * Amounts are per year in abstract units; demand is per 100,000 people. Grain, Livestock and Fish are pooled
+ * as "Food". Each culture carries `ledger` ({ resource: { made, used, imported, exported } }) and `treasury`.
+ */
+(function (root) {
+  "use strict";
+
+  var FOOD = ["Grain", "Livestock", "Fish"];
+
+  /** Food per province by terrain, before tech and held food resources. */
+  var TILE_FOOD = { Plains: 1, Riverine: 1.2, Coastal: 0.8, Forest: 0.5, Mountain: 0.3, Desert: 0.15, Island: 0.6 };
+  /** Multiplier on a culture's food by its climate. */
+  var CLIMATE_FOOD = { Temperate: 1, Mediterranean: 1, Tropical: 0.9, Continental: 0.8, Arid: 0.6, Polar: 0.35 };
+
+  /**
+   * Non-food resources. `common` ones every culture gathers a little of (holding the resource triples it);
+   * the rest come only from cultures that hold them. `tiles` is yield per province by terrain (`other` elsewhere),
+   * `from` the tech level at which the resource is worked and needed, `need` the demand per 100,000 people,
+   * `value` the export price and `luxury` marks goods whose shortage costs no stability.
+   */
+  var RESOURCE_PROFILES = {
+    Timber: { common: true, from: 1, need: 0.2, value: 1, tiles: { Forest: 0.6, Riverine: 0.2, Mountain: 0.15 }, other: 0.05 },
+    Stone: { common: true, from: 3, need: 0.1, value: 0.8, tiles: { Mountain: 0.5, Desert: 0.2 }, other: 0.05 },
+    Metals: { from: 3, need: 0.15, value: 2, tiles: { Mountain: 0.8, Desert: 0.3, Forest: 0.2 }, other: 0.15 },
+    Salt: { from: 2, need: 0.05, value: 1.5, tiles: { Coastal: 0.5, Desert: 0.5, Island: 0.4 }, other: 0.1 },
+    Spices: { from: 4, need: 0.05, value: 3, luxury: true, tiles: { Coastal: 0.4, Island: 0.5, Forest: 0.3 }, other: 0.1 },
+    Gold: { from: 4, need: 0.03, value: 4, luxury: true, tiles: { Mountain: 0.3, Riverine: 0.3 }, other: 0.05 },
+    Gems: { from: 4, need: 0.03, value: 4, luxury: true, tiles: { Mountain: 0.3, Desert: 0.2 }, other: 0.05 },
+    Coal: { from: 10, need: 0.2, value: 1.5, tiles: { Mountain: 0.8, Forest: 0.4, Plains: 0.3 }, other: 0.2 },
+    Oil: { from: 12, need: 0.3, value: 3, tiles: { Desert: 1, Coastal: 0.6, Plains: 0.4 }, other: 0.2 },
+    Uranium: { from: 12, need: 0.03, value: 5, tiles: { Mountain: 0.2, Desert: 0.2 }, other: 0.05 },
+    "Rare Earths": { from: 13, need: 0.05, value: 4, tiles: { Mountain: 0.3 }, other: 0.1 },
+  };
+
+  var FOOD_NEED = 8;
+  var FOOD_VALUE = 0.25;
+  /** Goods a trade tie can carry per resource per year at tradePot 1 over tradeCost-1 terrain. */
+  var TRADE_CAPACITY = 0.4;
+
+  function techFactor(culture, from) {
+    return 1 + 0.12 * Math.max(0, culture.techLevel - from);
+  }
+
+  /** Farming gains compound: every three tech levels feed half again as many people. */
+  function foodTechFactor(culture) {
+    return Math.pow(1.5, (culture.techLevel - 1) / 3);
+  }
+
+  function ownedTerrain(map, id) {
+    var counts = {};
+    for (var i = 0; i < map.owner.length; i++) if (map.owner[i] === id) counts[map.terrain[i]] = (counts[map.terrain[i]] || 0) + 1;
+    return counts;
+  }
+
+  /** Yearly production: { Food, <resource>: amount }. */
+  function produceResources(culture, map) {
+    // A colony works the land of its own world (logic/Space.js) rather than provinces on the map.
+    var terrain = culture.colony ? culture.colony.land : ownedTerrain(map, culture.id);
+    var held = FOOD.filter(function (r) { return culture.resources.indexOf(r) >= 0; }).length;
+    var out = { Food: 0 };
+    for (var t in terrain) out.Food += terrain[t] * (TILE_FOOD[t] !== undefined ? TILE_FOOD[t] : 0.5);
+    // This turn's weather and disasters (logic/Climate.js) scale the harvest in full and other output by half.
+    var harvest = culture.harvest ? culture.harvest.factor : 1;
+    out.Food *= foodTechFactor(culture) * (CLIMATE_FOOD[culture.climate] || 0.8) * (1 + 0.3 * held) * harvest;
+    Object.keys(RESOURCE_PROFILES).forEach(function (r) {
+      var p = RESOURCE_PROFILES[r];
+      var has = culture.resources.indexOf(r) >= 0;
+      if (culture.techLevel < p.from || (!has && !p.common)) return;
+      var made = 0;
+      for (var t2 in terrain) made += terrain[t2] * (p.tiles[t2] !== undefined ? p.tiles[t2] : p.other);
+      out[r] = made * techFactor(culture, p.from) * (has && p.common ? 3 : 1) * (0.5 + harvest / 2);
+    });
+    return out;
+  }
+
+  /** Yearly demand: { Food, <resource>: amount } for resources worked at the culture's tech level. */
+  function resourceDemand(culture) {
+    var units = culture.population / 100000;
+    var out = { Food: units * FOOD_NEED };
+    Object.keys(RESOURCE_PROFILES).forEach(function (r) {
+      var p = RESOURCE_PROFILES[r];
+      if (culture.techLevel >= p.from) out[r] = units * p.need;
+    });
+    return out;
+  }
+
+  function resourceValue(r) {
+    return r === "Food" ? FOOD_VALUE : RESOURCE_PROFILES[r].value;
+  }
+
+  function net(line) {
+    return line.made + line.imported - line.exported - line.used;
+  }
+
+  /**
+   * Sets `ledger`, `tradeIncome` and `gdp` on every culture for this turn. Surplus flows to partners in
+   * deficit along Trade Partners / Alliance ties, strongest ties first, each tie carrying up to
+   * tradePot × TRADE_CAPACITY / tradeCost of every resource. Returns the flows: [{ from, to, resource, amount }].
+   */
+  function settleEconomy(cultures, relations, map) {
+    var TB = root.TERRAIN_BARRIERS;
+    var byId = {};
+    cultures.forEach(function (c) {
+      byId[c.id] = c;
+      var made = produceResources(c, map);
+      var used = resourceDemand(c);
+      var ledger = {};
+      Object.keys(made).concat(Object.keys(used)).forEach(function (r) {
+        if (!ledger[r]) ledger[r] = { made: made[r] || 0, used: used[r] || 0, imported: 0, exported: 0 };
+      });
+      c.ledger = ledger;
+      c.tradeIncome = 0;
+    });
+
+    var ties = relations.filter(function (rel) { return (rel.status === "Trade Partners" || rel.status === "Alliance") && byId[rel.a] && byId[rel.b]; });
+    ties.sort(function (x, y) { return y.tradePot - x.tradePot || x.a - y.a || x.b - y.b; });
+    var flows = [];
+    ties.forEach(function (rel) {
+      var cap = rel.tradePot * TRADE_CAPACITY / (TB[rel.barrier] || TB.Plains).tradeCost;
+      [[byId[rel.a], byId[rel.b]], [byId[rel.b], byId[rel.a]]].forEach(function (pair) {
+        var from = pair[0];
+        var to = pair[1];
+        Object.keys(from.ledger).forEach(function (r) {
+          var src = from.ledger[r];
+          var dst = to.ledger[r];
+          if (!dst) return;
+          var amount = Math.min(cap, net(src), -net(dst));
+          if (amount <= 0) return;
+          src.exported += amount;
+          dst.imported += amount;
+          from.tradeIncome += amount * resourceValue(r) * 1e6 * (1 + from.techLevel / 5);
+          flows.push({ from: from.id, to: to.id, resource: r, amount: amount });
+        });
+      });
+    });
+
+    cultures.forEach(function (c) {
+      c.gdp = c.population * (50 + c.techLevel * 30) * (1 - 0.5 * shortage(c, "Food")) + c.tradeIncome;
+    });
+    return flows;
+  }
+
+  /** Share of demand for `resource` left unmet after trade (0 when covered). */
+  function shortage(culture, resource) {
+    var line = culture.ledger && culture.ledger[resource];
+    if (!line || line.used <= 0) return 0;
+    return Math.max(0, Math.min(1, -net(line) / line.used));
+  }
+
+  /** Mean shortage over the non-luxury, non-food resources the culture needs; `names` lists those short by more than a quarter. */
+  function strategicShortage(culture) {
+    var keys = Object.keys(culture.ledger || {}).filter(function (r) { return r !== "Food" && !RESOURCE_PROFILES[r].luxury && culture.ledger[r].used > 0; });
+    var total = 0;
+    var names = [];
+    keys.forEach(function (r) {
+      var s = shortage(culture, r);
+      total += s;
+      if (s > 0.25) names.push(r);
+    });
+    return { share: keys.length ? total / keys.length : 0, names: names };
+  }
+
+  /** Yearly tax take: a share of GDP that grows with state capacity. */
+  function taxRevenue(culture) {
+    return culture.gdp * (0.03 + 0.025 * culture.sliders.capacity);
+  }
+
+  /** Yearly military upkeep; soldiers cost more as tech rises. */
+  function militaryUpkeep(culture) {
+    return culture.military * 100 * (1 + culture.techLevel / 3);
+  }
+
+  /**
+   * Books `dt` years of taxes and upkeep into the treasury; `rate` scales taxes (a player's tax policy,
+   * logic/Player.js). Returns { revenue, upkeep } per year.
+   */
+  function updateTreasury(culture, dt, rate) {
+    var revenue = taxRevenue(culture) * (rate || 1);
+    var upkeep = militaryUpkeep(culture);
+    culture.treasury = (culture.treasury || 0) + (revenue - upkeep) * dt;
+    return { revenue: revenue, upkeep: upkeep };
+  }
+
+  root.RESOURCE_PROFILES = RESOURCE_PROFILES;
+  root.FOOD_NEED = FOOD_NEED;
+  root.produceResources = produceResources;
+  root.resourceDemand = resourceDemand;
+  root.settleEconomy = settleEconomy;
+  root.shortage = shortage;
+  root.strategicShortage = strategicShortage;
+  root.updateTreasury = updateTreasury;
+})(typeof window !== "undefined" ? window : globalThis);
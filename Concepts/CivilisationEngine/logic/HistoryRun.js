@@ -0,0 +1,81 @@
+/**
+ * History run for Integration: world generation from a config and turn advancement.
+ * Shared by HistoryTab and the headless entry point (Headless.js / HistoryCli.js).
+ * A run is plain data: { seed, config, year, pack, cultures, relations, map, wars, scenario, climate, galaxy, player, series, history, timeline };
+ * `pack` is the content pack active when it was made (logic/ContentPack.js) or null, `scenario` is null unless the run was made from a scenario (createScenarioRun, logic/Scenario.js), `climate` is the
+ * world climate and its disasters (logic/Climate.js), `galaxy` the stars beyond it (logic/Space.js), `player` the played culture and its orders or null (logic/Player.js),
+ * `series` samples every culture each turn (logic/Statistics.js), and `timeline` holds a delta per turn to rewind it (logic/Timeline.js; null keeps none).
+ */
+(function (root) {
+  "use strict";
+
+  var SCALE_COUNTS = { local: [2, 4], regional: [5, 9], continental: [10, 16], planetary: [16, 24] };
+
+  /** Per-turn stream keyed on the run seed and year, so a replay with the same dt sequence matches. */
+  function turnRng(seed, year) {
+    return root.createMulberry32((seed * 9973 + year) >>> 0);
+  }
+
+  function createRun(config, seed) {
+    var rand = root.rand;
+    var pick = root.pick;
+    var generateCulture = root.generateCulture;
+    var buildRelations = root.buildRelations;
+
+    var rng = root.createMulberry32(seed >>> 0);
+    var range = SCALE_COUNTS[config.scale] || SCALE_COUNTS.regional;
+    var count = rand(rng, range[0], range[1]);
+    var cultures = [];
+    for (var i = 0; i < count; i++) cultures.push(generateCulture(i, pick(rng, config.climates), pick(rng, config.terrains), config.techLevel, rng));
+    var map = root.generateMap(cultures, config, rng);
+    var relations = buildRelations(cultures, rng, map);
+    root.settleEconomy(cultures, relations, map);
+    return {
+      seed: seed,
+      config: config,
+      year: 0,
+      pack: root.activePack(),
+      cultures: cultures,
+      relations: relations,
+      map: map,
+      wars: [],
+      scenario: null,
+      climate: root.createClimate(seed, 0),
+      galaxy: root.createGalaxy(seed),
+      player: null,
+      series: root.recordSample([], 0, cultures),
+      history: [{ year: 0, dt: 0, events: [{ type: "start", desc: "History begins... (seed " + seed + ")", actors: [], cause: null, effects: [] }] }],
+      timeline: [],
+    };
+  }
+
+  function advanceRun(run, dt) {
+    var ny = run.year + dt;
+    var rng = turnRng(run.seed, ny);
+    var before = root.beforeTurn(run);
+    var result = root.simulateTurn(run, ny, dt, rng);
+    var next = {
+      seed: run.seed,
+      config: run.config,
+      year: ny,
+      pack: run.pack,
+      cultures: result.cultures,
+      relations: result.relations,
+      map: result.map,
+      wars: result.wars,
+      scenario: result.scenario,
+      climate: result.climate,
+      galaxy: result.galaxy,
+      player: result.player,
+      series: root.recordSample(run.series, ny, result.cultures),
+      history: run.history.concat([{ year: ny, dt: dt, events: result.events }]),
+    };
+    next.timeline = root.recordTurn(run, before, next);
+    return next;
+  }
+
+  root.SCALE_COUNTS = SCALE_COUNTS;
+  root.turnRng = turnRng;
+  root.createRun = createRun;
+  root.advanceRun = advanceRun;
+})(typeof window !== "undefined" ? window : globalThis);
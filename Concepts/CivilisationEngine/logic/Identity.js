@@ -0,0 +1,108 @@
+/**
+ * Identity for Integration: how a culture's mix of religions and languages (`peoples`, logic/Demography.js)
+ * changes. Each turn some of the people outside a faith or tongue take it up: the culture's own majority
+ * converts and assimilates its minorities, the most influential neighbour and trade partners spread theirs, and
+ * overlords theirs to vassals. Overlap scores (0–1) compare two cultures' mixes for relations.
+ */
+(function (root) {
+  "use strict";
+
+  /** Yearly share of minorities won over by the culture's own majority, at coercion / capacity 5. */
+  var STATE_FAITH = 0.01;
+  var ASSIMILATION = 0.01;
+  /** Yearly share won over by the most influential neighbour, when 100 influence points ahead. */
+  var INFLUENCE = 0.005;
+  /** Yearly share won over along a trade tie of tradePot 5. */
+  var TRADE = 0.0003;
+  var OVERLORD = 0.002;
+  var INFLUENCE_RANGE = 200;
+  /** The same reach between worlds, in years of travel (logic/Space.js). */
+  var INFLUENCE_YEARS = 20;
+
+  /** Shared share of two cultures' religions or languages: 1 for identical mixes, 0 for nothing in common. */
+  function identityOverlap(a, b, key) {
+    var x = root.sharesBy(a, key);
+    var y = root.sharesBy(b, key);
+    var total = 0;
+    for (var k in x) if (y[k]) total += Math.min(x[k], y[k]);
+    return total;
+  }
+
+  /** Chance that two people drawn at random follow different faiths: 0 for one religion, rising with division. */
+  function religiousTension(culture) {
+    var shares = root.sharesBy(culture, "religion");
+    var same = 0;
+    for (var k in shares) same += shares[k] * shares[k];
+    return 1 - same;
+  }
+
+  function majorityOf(c) {
+    return { religion: c.religion, language: c.language };
+  }
+
+  /** Yearly pulls on `c`: [{ source, religion, language, rate }]; `source` is null for the culture's own majority. */
+  function pullsOn(c, s) {
+    var own = s.majority[c.id];
+    var pulls = [
+      { source: null, religion: own.religion, language: null, rate: STATE_FAITH * c.sliders.coercion / 5 },
+      { source: null, religion: null, language: own.language, rate: ASSIMILATION * c.sliders.capacity / 5 },
+    ];
+    var leader = null;
+    s.relations.forEach(function (rel) {
+      if (rel.a !== c.id && rel.b !== c.id) return;
+      var other = s.byId[rel.a === c.id ? rel.b : rel.a];
+      if (!other) return;
+      var m = s.majority[other.id];
+      var ahead = other.culturalInfluence - c.culturalInfluence;
+      if (ahead > 0 && (rel.travel ? rel.travel <= INFLUENCE_YEARS : rel.border > 0 || rel.dist < INFLUENCE_RANGE) && rel.status !== "War" && (!leader || other.culturalInfluence > leader.culturalInfluence)) leader = other;
+      if (rel.status === "Trade Partners" || rel.status === "Alliance") pulls.push({ source: other, religion: m.religion, language: m.language, rate: TRADE * rel.tradePot / 5 });
+      if (c.vassalOf === other.id) pulls.push({ source: other, religion: m.religion, language: m.language, rate: OVERLORD });
+    });
+    if (leader) {
+      var lm = s.majority[leader.id];
+      pulls.push({ source: leader, religion: lm.religion, language: lm.language, rate: INFLUENCE * Math.min(1, (leader.culturalInfluence - c.culturalInfluence) / 100) });
+    }
+    return pulls;
+  }
+
+  /**
+   * One turn of conversion and assimilation across `cultures` (updated in place). Pulls are worked out from
+   * the majorities at the start of the turn. When a neighbour's faith or tongue becomes a culture's majority,
+   * returns a cultural event naming them ("X adopts Y", "L spreads to X").
+   */
+  function spreadIdentity(cultures, relations, year, dt) {
+    var s = { byId: {}, majority: {}, relations: relations };
+    cultures.forEach(function (c) {
+      s.byId[c.id] = c;
+      s.majority[c.id] = majorityOf(c);
+    });
+    var events = [];
+    cultures.forEach(function (c) {
+      var pulls = pullsOn(c, s);
+      var before = majorityOf(c);
+      ["religion", "language"].forEach(function (key) {
+        pulls.forEach(function (p) {
+          if (p[key]) root.shiftPeoples(c, key, p[key], 1 - Math.pow(1 - Math.min(0.5, p.rate), dt));
+        });
+        if (c[key] === before[key]) return;
+        var by = pulls.filter(function (p) { return p.source && p[key] === c[key]; }).sort(function (x, y) { return y.rate - x.rate; })[0];
+        if (!by) {
+          c.history.push({ year: year, event: c[key] + " now the majority " + key });
+          return;
+        }
+        if (key === "religion") {
+          events.push({ type: "cultural", desc: c.name + " adopts " + c.religion, actors: [by.source.id, c.id], spread: "religion", to: c.religion, cause: "converts from " + by.source.name, effects: [c.religion + " the majority faith"] });
+          c.history.push({ year: year, event: "Adopted " + c.religion });
+        } else {
+          events.push({ type: "cultural", desc: c.language + " spreads to " + c.name, actors: [by.source.id, c.id], spread: "language", to: c.language, cause: "speakers from " + by.source.name, effects: [c.language + " the majority language"] });
+          c.history.push({ year: year, event: c.language + " now the majority language" });
+        }
+      });
+    });
+    return events;
+  }
+
+  root.identityOverlap = identityOverlap;
+  root.religiousTension = religiousTension;
+  root.spreadIdentity = spreadIdentity;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,94 @@
+/**
+ * Institutions for Integration: a culture's sliders (coercion, capacity, inclusiveness, 1–5) drift every turn.
+ * Wars and crises harden the state, trade opens it, reforms and rulers push it their way, and the regime's own
+ * ranges pull it back, weakly. Sliders that have drifted out of the regime's ranges strain it (sliderMisfit);
+ * logic/Regimes.js turns that strain into pressure toward the transitions whose targets fit them.
+ */
+(function (root) {
+  "use strict";
+
+  var SLIDERS = ["coercion", "capacity", "inclusiveness"];
+
+  /** Drift per 25 years from the turn's crisis or growth (logic/Simulation.js). */
+  var EPISODE_DRIFT = {
+    "Civil War": { coercion: 0.6, capacity: -0.4 },
+    Revolt: { coercion: 0.4, inclusiveness: 0.2 },
+    Plague: { capacity: -0.3 },
+    "Succession Crisis": { coercion: 0.3, capacity: -0.2 },
+    "Religious Schism": { coercion: 0.2, inclusiveness: -0.2 },
+    "Corruption Scandal": { capacity: -0.4, inclusiveness: -0.1 },
+    "Military Defeat": { coercion: -0.2, capacity: -0.2 },
+    "Golden Age": { capacity: 0.2, inclusiveness: 0.1 },
+    "Trade Expansion": { capacity: 0.1, inclusiveness: 0.2 },
+    "Military Victory": { coercion: 0.2 },
+    "Cultural Renaissance": { inclusiveness: 0.2 },
+    "Reform Movement": { coercion: -0.3, capacity: 0.2, inclusiveness: 0.5 },
+    "Technological Breakthrough": { capacity: 0.2 },
+  };
+
+  /** Drift per 25 years from each ruler trait (logic/Rulers.js). */
+  var TRAIT_DRIFT = {
+    ambitious: { coercion: 0.1, capacity: 0.15 },
+    pious: { inclusiveness: -0.1 },
+    incompetent: { capacity: -0.25 },
+    wise: { capacity: 0.2 },
+    cruel: { coercion: 0.3, inclusiveness: -0.15 },
+    reformer: { coercion: -0.1, inclusiveness: 0.3 },
+    warlike: { coercion: 0.2 },
+    just: { coercion: -0.15, inclusiveness: 0.1 },
+    decadent: { capacity: -0.15 },
+  };
+
+  /** Share of the way back into the regime's ranges that a turn of 25 years closes. */
+  var REGIME_PULL = 0.3;
+
+  /** How far the sliders lie outside the regime's ranges, summed over the three (0 when they fit). */
+  function sliderMisfit(sliders, regime) {
+    if (!regime) return 0;
+    return SLIDERS.reduce(function (sum, k) {
+      return sum + Math.max(0, regime[k][0] - sliders[k], sliders[k] - regime[k][1]);
+    }, 0);
+  }
+
+  /** "coercion 4.3 (regime 1–3)" for each slider outside the regime's ranges. */
+  function misfitSliders(sliders, regime) {
+    return SLIDERS.filter(function (k) { return sliders[k] < regime[k][0] || sliders[k] > regime[k][1]; }).map(function (k) {
+      return k + " " + sliders[k].toFixed(1) + " (regime " + regime[k][0] + "–" + regime[k][1] + ")";
+    });
+  }
+
+  /**
+   * One turn of drift for `culture`, in place. `ctx` is { atWar, episode (the turn's crisis or growth, or null),
+   * distress (0–1), partners (trade and alliance partners) }. Returns an "institutions" event when the sliders
+   * leave the regime's ranges.
+   */
+  function driftSliders(culture, ctx, year, dt, rng) {
+    var regime = root.REGIMES[culture.regime];
+    var before = sliderMisfit(culture.sliders, regime);
+    var push = { coercion: 0, capacity: 0, inclusiveness: 0 };
+    var add = function (d, k) { Object.keys(d).forEach(function (s) { push[s] += d[s] * k; }); };
+    if (ctx.atWar) add({ coercion: 0.3, capacity: 0.1, inclusiveness: -0.15 }, 1);
+    if (ctx.episode && EPISODE_DRIFT[ctx.episode]) add(EPISODE_DRIFT[ctx.episode], 1);
+    if (ctx.distress) add({ coercion: 0.3, capacity: -0.2 }, ctx.distress);
+    add({ coercion: -0.05, capacity: 0.05, inclusiveness: 0.08 }, Math.min(4, ctx.partners));
+    (culture.ruler && culture.ruler.traits || []).forEach(function (t) { if (TRAIT_DRIFT[t]) add(TRAIT_DRIFT[t], 1); });
+
+    SLIDERS.forEach(function (k) {
+      var v = culture.sliders[k];
+      var back = regime ? root.clamp(v, regime[k][0], regime[k][1]) - v : 0;
+      v += (push[k] + back * REGIME_PULL + (rng() - 0.5) * 0.3) * dt / 25;
+      culture.sliders[k] = Math.round(root.clamp(v, 1, 5) * 100) / 100;
+    });
+
+    var after = sliderMisfit(culture.sliders, regime);
+    if (before > 0 || after <= 0.5) return [];
+    var off = misfitSliders(culture.sliders, regime);
+    culture.history.push({ year: year, event: "Institutions strain against the " + regime.name });
+    var why = [ctx.atWar ? "war" : null, ctx.episode, ctx.distress ? "hardship" : null].filter(Boolean);
+    return [{ type: "institutions", desc: culture.name + ": institutions strain against the " + regime.name + ": " + off.join("; "), actors: [culture.id], cause: why.length ? why.join(", ") : "drift", effects: off }];
+  }
+
+  root.sliderMisfit = sliderMisfit;
+  root.misfitSliders = misfitSliders;
+  root.driftSliders = driftSliders;
+})(typeof window !== "undefined" ? window : globalThis);
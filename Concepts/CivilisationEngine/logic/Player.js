@@ -0,0 +1,224 @@
+/**
+ * Player for Integration: follow-a-culture play. `run.player` is { culture, orders } or null: `culture` is the id of
+ * the culture the user plays and `orders` its policies for the coming turn:
+ *
+ *   { taxes: "raise" | "lower" | null, research: bool, reform: regime id | null,
+ *     war: { target, goal? } | null, alliance: culture id | null }
+ *
+ * simulateTurn applies them in place of that culture's own rolls. A war order replaces its declaration roll
+ * (it declares no war of its own), an alliance order its drift into alliances (it forms none unasked), and a
+ * reform its regime transition roll for the turn; everything else — crises, battles, rulers — still happens to it.
+ * Each order reports what it did as a `policy` event ({ policy, desc, actors, cause, effects }). War and alliance
+ * orders are spent once given; taxes and research stand until changed, a reform until the target is reached or
+ * out of reach.
+ */
+(function (root) {
+  "use strict";
+
+  var SLIDERS = ["coercion", "capacity", "inclusiveness"];
+  var CAUSE = "the player's orders";
+
+  /** Tax policies: `rate` scales taxes, `stability` is the change per 25 years. */
+  var TAX_POLICIES = {
+    raise: { rate: 1.5, stability: -6, verb: "raises" },
+    lower: { rate: 0.6, stability: 4, verb: "lowers" },
+  };
+
+  /** Share of a year's taxes that funds research each year, and the extra techs per 25 years it buys. */
+  var RESEARCH_SHARE = 0.25;
+  var RESEARCH_BOOST = 0.5;
+
+  /** Slider steps a reform takes per 25 years, and what it costs in stability over that time. */
+  var REFORM_STEP = 1;
+  var REFORM_COST = 4;
+
+  function blankOrders() {
+    return { taxes: null, research: false, reform: null, war: null, alliance: null };
+  }
+
+  /** A player for the culture with id `culture`, with no orders given yet. */
+  function createPlayer(culture) {
+    return { culture: culture, orders: blankOrders() };
+  }
+
+  function policyEvent(c, policy, desc, effects, other) {
+    return { type: "policy", policy: policy, desc: c.name + " " + desc, actors: other === undefined ? [c.id] : [c.id, other], cause: CAUSE, effects: effects };
+  }
+
+  function relationOf(relations, x, y) {
+    return relations.find(function (r) { return (r.a === x && r.b === y) || (r.a === y && r.b === x); }) || null;
+  }
+
+  /**
+   * The regimes a reform passes through from `from` to `to`, both included, along Regime Chart and modelled
+   * transitions between regimes of the culture's level (never through a failed state); null when there is no way.
+   */
+  function reformPath(from, to, level) {
+    var valid = root.validRegimesForLevel(level);
+    if (valid.indexOf(to) < 0 || to === "failed") return null;
+    var next = {};
+    Object.keys(root.TRANSITIONS).forEach(function (id) { next[id] = root.TRANSITIONS[id].slice(); });
+    root.REGIME_TRANSITIONS_LIST.forEach(function (t) { (next[t.from] = next[t.from] || []).push(t.to); });
+    var came = {};
+    came[from] = null;
+    var queue = [from];
+    while (queue.length) {
+      var at = queue.shift();
+      if (at === to) {
+        var path = [];
+        for (var id = to; id !== null; id = came[id]) path.unshift(id);
+        return path;
+      }
+      (next[at] || []).forEach(function (id) {
+        if (came[id] !== undefined || id === "failed" || valid.indexOf(id) < 0) return;
+        came[id] = at;
+        queue.push(id);
+      });
+    }
+    return null;
+  }
+
+  /**
+   * Starts the turn for `player` (null passes through): a war order declares its war and an alliance order puts
+   * its proposal in the turn's events, for logic/Diplomacy.js to answer. `world` is { cultures, relations, map,
+   * wars } as simulateTurn stages it; `wars` may be replaced. Returns { culture, orders, events } for the turn.
+   */
+  function openOrders(player, world, year, rng) {
+    if (!player) return { culture: null, orders: null, events: [] };
+    var orders = player.orders;
+    var c = world.cultures.find(function (x) { return x.id === player.culture; });
+    var events = [];
+    if (!c) return { culture: player.culture, orders: orders, events: events };
+    var named = function (id) { return world.cultures.find(function (x) { return x.id === id; }) || null; };
+    if (orders.war) {
+      var foe = orders.war.target === c.id ? null : named(orders.war.target);
+      var why = !foe ? "no such enemy" : !relationOf(world.relations, c.id, foe.id) ? "out of reach" : foe.vassalOf === c.id || c.vassalOf === foe.id ? "bound to it as vassal and overlord" : root.warBetween(world.wars, c.id, foe.id) ? "already at war with it" : null;
+      if (why) {
+        events.push(policyEvent(c, "war", "cannot declare war on " + (foe ? foe.name : "it") + " (" + why + ")", [], foe ? foe.id : undefined));
+      } else {
+        var res = root.declareWar(world, c.id, foe.id, orders.war.goal, year, rng, CAUSE);
+        world.wars = res.wars;
+        var joined = res.events.filter(function (e) { return e.side; });
+        var war = res.wars[res.wars.length - 1];
+        events.push(policyEvent(c, "war", "declares war on " + foe.name, ["the " + war.name + " begins", joined.length ? joined.length + " allies join in" : "no allies join in"], foe.id));
+        events = events.concat(res.events);
+      }
+    }
+    if (orders.alliance !== null) {
+      // Only a proposal names the other side, so only a proposal reaches logic/Diplomacy.js.
+      var ally = named(orders.alliance);
+      var tie = ally && ally !== c ? relationOf(world.relations, c.id, ally.id) : null;
+      if (!ally || ally === c) events.push(policyEvent(c, "alliance", "cannot propose an alliance (no such partner)", []));
+      else if (tie && tie.status === "Alliance") events.push(policyEvent(c, "alliance", "is already allied with " + ally.name, []));
+      else events.push(policyEvent(c, "alliance", "proposes an alliance to " + ally.name, [], ally.id));
+    }
+    return { culture: c.id, orders: orders, events: events };
+  }
+
+  /** The turn's orders for `c`, or null when it is not the played culture. */
+  function ordersFor(play, c) {
+    return play.orders && c.id === play.culture ? play.orders : null;
+  }
+
+  /** What the played culture's tax policy scales its taxes by (1 for everyone else). */
+  function taxRate(orders) {
+    return orders && TAX_POLICIES[orders.taxes] ? TAX_POLICIES[orders.taxes].rate : 1;
+  }
+
+  /**
+   * Pays for the turn's research from the treasury when so ordered. Returns { boost, cost }: the techs per 25 years
+   * it adds to researchTechs (0 without an order or the money), and what it cost.
+   */
+  function fundResearch(c, orders, fiscal, dt) {
+    if (!orders || !orders.research) return { boost: 0, cost: 0 };
+    var cost = fiscal.revenue * RESEARCH_SHARE * dt;
+    if (c.treasury < cost) return { boost: 0, cost: 0 };
+    c.treasury -= cost;
+    return { boost: RESEARCH_BOOST, cost: cost };
+  }
+
+  /**
+   * One turn of reform toward `orders.reform`, in place of the transition roll: the sliders move toward the next
+   * regime on the way, and once they fit it the regime changes. Returns { change, path, moved }: `change` as
+   * rollTransition's ({ to, label }) or null, `path` null when the target is out of reach, `moved` the sliders shifted.
+   */
+  function reformStep(c, orders, dt) {
+    var path = reformPath(c.regime, orders.reform, c.techLevel);
+    if (!path || path.length < 2) return { change: null, path: path, moved: [] };
+    var next = root.REGIMES[path[1]];
+    var moved = [];
+    SLIDERS.forEach(function (k) {
+      var v = c.sliders[k];
+      var to = root.clamp(v, next[k][0], next[k][1]);
+      if (to === v) return;
+      var step = Math.min(Math.abs(to - v), REFORM_STEP * dt / 25);
+      c.sliders[k] = Math.round((v + (to > v ? step : -step)) * 100) / 100;
+      moved.push(k + " " + (to > v ? "+" : "-") + step.toFixed(1));
+    });
+    var fits = root.sliderMisfit(c.sliders, next) === 0;
+    return { change: fits ? { to: path[1], label: "reform toward " + root.REGIMES[orders.reform].name } : null, path: path, moved: moved };
+  }
+
+  /**
+   * The events that report the played culture's taxes, research and reform for the turn, with the stability they
+   * cost or bring. `done` is { funding (fundResearch), researched (tech ids), reform (reformStep or null) }.
+   */
+  function reportOrders(c, orders, done, dt) {
+    var events = [];
+    var tax = TAX_POLICIES[orders.taxes];
+    if (tax) {
+      var shift = Math.round(tax.stability * dt / 25);
+      c.stability += shift;
+      events.push(policyEvent(c, "taxes", tax.verb + " taxes", ["revenue " + (tax.rate > 1 ? "+" : "") + Math.round((tax.rate - 1) * 100) + "%", "stability " + (shift > 0 ? "+" : "") + shift]));
+    }
+    if (orders.research) {
+      var names = done.researched.map(root.techName);
+      events.push(done.funding.boost ?
+        policyEvent(c, "research", "funds research", [Math.round(RESEARCH_SHARE * 100) + "% of taxes spent", names.length ? "researched " + names.join(", ") : "no breakthrough yet"]) :
+        policyEvent(c, "research", "cannot fund research (the treasury is short)", names.length ? ["researched " + names.join(", ")] : []));
+    }
+    if (orders.reform && done.reform) {
+      var target = root.REGIMES[orders.reform];
+      if (!done.reform.path) {
+        events.push(policyEvent(c, "reform", "cannot reform toward " + (target ? target.name : orders.reform) + " (no way there at Level " + c.techLevel + ")", []));
+      } else if (done.reform.path.length > 1) {
+        var cost = Math.round(REFORM_COST * dt / 25);
+        c.stability -= cost;
+        var via = done.reform.change ? "becomes " + root.REGIMES[done.reform.change.to].name : "prepares the way to " + root.REGIMES[done.reform.path[1]].name;
+        events.push(policyEvent(c, "reform", "reforms toward " + target.name + ": " + via, done.reform.moved.concat(["stability -" + cost])));
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Ends the turn: says whether the alliance proposal was taken up, from the turn's `relations`, and returns the
+   * player for the next turn with its spent orders cleared (null when `player` is null).
+   */
+  function closeOrders(player, play, relations, cultures) {
+    if (!player) return null;
+    var orders = play.orders;
+    var c = cultures.find(function (x) { return x.id === player.culture; });
+    var proposal = play.events.find(function (e) { return e.policy === "alliance" && e.actors.length > 1; });
+    if (proposal) {
+      var other = cultures.find(function (x) { return x.id === proposal.actors[1]; });
+      var rel = relationOf(relations, proposal.actors[0], proposal.actors[1]);
+      proposal.effects.push(!rel ? other.name + " is out of reach" : rel.status === "Alliance" ? "allied with " + other.name :
+        rel.status === "War" || rel.status === "Hostile" || rel.status === "Vassal" ? other.name + " refuses (" + rel.status + ")" :
+        rel.tension >= root.PROPOSAL_TENSION ? other.name + " refuses (tension " + rel.tension.toFixed(1) + ")" : other.name + " refuses (too many allies)");
+    }
+    var reform = orders.reform && c && (c.regime === orders.reform || !reformPath(c.regime, orders.reform, c.techLevel)) ? null : orders.reform;
+    return { culture: player.culture, orders: Object.assign({}, orders, { war: null, alliance: null, reform: reform }) };
+  }
+
+  root.TAX_POLICIES = TAX_POLICIES;
+  root.createPlayer = createPlayer;
+  root.reformPath = reformPath;
+  root.openOrders = openOrders;
+  root.ordersFor = ordersFor;
+  root.taxRate = taxRate;
+  root.fundResearch = fundResearch;
+  root.reformStep = reformStep;
+  root.reportOrders = reportOrders;
+  root.closeOrders = closeOrders;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,89 @@
+/**
+ * Regimes for Integration: modelled regime transitions.
+ * Each REGIME_TRANSITIONS_LIST entry is a cause ("revenue bargain", "norm erosion") with a precondition on the
+ * culture's sliders, drivers and stability and a chance per 25 years. transitionOdds lists every outgoing
+ * transition with its unmet conditions and per-turn chance; rollTransition picks at most one. Sliders that have
+ * drifted out of the regime's ranges (logic/Institutions.js) raise the odds of transitions to regimes they fit better.
+ */
+(function (root) {
+  "use strict";
+
+  var SLIDERS = ["coercion", "capacity", "inclusiveness"];
+  var DRIVERS = ["scale", "revBase", "threat", "legitimacy"];
+  /** Extra odds per point of slider misfit that a transition's target removes. */
+  var STRAIN_PULL = 1.5;
+
+  function conditionValue(culture, key) {
+    if (SLIDERS.indexOf(key) >= 0) return culture.sliders[key];
+    if (DRIVERS.indexOf(key) >= 0) return culture.drivers[key];
+    return culture[key];
+  }
+
+  /** Readable list of the conditions in `when` the culture does not meet, e.g. "capacity 2 (needs 3–5)". */
+  function unmetConditions(culture, when) {
+    var out = [];
+    for (var key in when) {
+      if (!when.hasOwnProperty(key)) continue;
+      var need = when[key];
+      var v = conditionValue(culture, key);
+      if (typeof need[0] === "string") {
+        if (need.indexOf(v) < 0) out.push(key + " " + v + " (needs " + need.join("/") + ")");
+      } else if (!(v >= need[0] && v <= need[1])) {
+        out.push(key + " " + Math.round(v) + " (needs " + need[0] + "–" + need[1] + ")");
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Multiplier on every transition: unstable states change faster, settled ones slower, outgrown regimes much
+   * faster; reforming rulers hurry change and cautious ones hold it back.
+   */
+  function pressure(culture) {
+    var m = (culture.stability < 35 ? 2 : culture.stability > 70 ? 0.5 : 1) * root.rulerEffect(culture, "reform");
+    if (root.validRegimesForLevel(culture.techLevel).indexOf(culture.regime) < 0) m *= 3;
+    return m;
+  }
+
+  /**
+   * Outgoing transitions from the culture's regime: [{ from, to, label, unmet: [], chance, pull }].
+   * `chance` is the probability of that transition this turn (0 when any condition is unmet or the target
+   * regime does not exist at the culture's tech level). `pull` is the factor the sliders' strain adds to it.
+   */
+  function transitionOdds(culture, dt) {
+    var REGIMES = root.REGIMES;
+    var valid = root.validRegimesForLevel(culture.techLevel);
+    var m = pressure(culture);
+    var strain = root.sliderMisfit(culture.sliders, REGIMES[culture.regime]);
+    return root.REGIME_TRANSITIONS_LIST.filter(function (t) { return t.from === culture.regime; }).map(function (t) {
+      var unmet = unmetConditions(culture, t.when || {});
+      if (valid.indexOf(t.to) < 0 && REGIMES[t.to]) unmet.push("tech level " + culture.techLevel + " (needs " + REGIMES[t.to].minLvl + "–" + REGIMES[t.to].maxLvl + ")");
+      var pull = strain > 0 && REGIMES[t.to] ? 1 + STRAIN_PULL * Math.max(0, strain - root.sliderMisfit(culture.sliders, REGIMES[t.to])) : 1;
+      var chance = unmet.length ? 0 : 1 - Math.pow(1 - Math.min(0.95, (t.p || 0) * m * pull), dt / 25);
+      return { from: t.from, to: t.to, label: t.label, unmet: unmet, chance: chance, pull: pull };
+    });
+  }
+
+  /** Rolls this turn's transition, or null. When the chances add up past 1 they are scaled down to share it. */
+  function rollTransition(culture, dt, rng) {
+    var odds = transitionOdds(culture, dt).filter(function (o) { return o.chance > 0; });
+    var total = odds.reduce(function (s, o) { return s + o.chance; }, 0);
+    var x = rng() * Math.max(1, total);
+    for (var i = 0; i < odds.length; i++) {
+      x -= odds[i].chance;
+      if (x < 0) return odds[i];
+    }
+    return null;
+  }
+
+  /** Pulls the culture's sliders into its (new) regime's ranges. */
+  function fitSlidersToRegime(culture) {
+    var r = root.REGIMES[culture.regime];
+    if (!r) return;
+    SLIDERS.forEach(function (k) { culture.sliders[k] = root.clamp(culture.sliders[k], r[k][0], r[k][1]); });
+  }
+
+  root.transitionOdds = transitionOdds;
+  root.rollTransition = rollTransition;
+  root.fitSlidersToRegime = fitSlidersToRegime;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,233 @@
+/**
+ * Rulers for Integration: rulers as people with an age, traits, a reign and heirs, grouped in houses.
+ * A culture's `ruler` is the reigning person and `rulers` the last MAX_PAST who reigned before, which the
+ * detail panel draws as a dynasty tree (`parent` links a successor to the ruler whose heir they were).
+ * Rulers age and die, elected ones serve terms and coup regimes overthrow them; who comes next follows the
+ * regime's `succession` rule (REGIMES). Traits scale war declarations (logic/Wars.js), reform chances
+ * (logic/Regimes.js) and stability drift.
+ */
+(function (root) {
+  "use strict";
+
+  /** `war` and `reform` multiply declaration and regime-transition odds; `stability` is points per 25 years. */
+  var TRAITS = {
+    ambitious: { epithet: "the Ambitious", war: 1.5, reform: 1.3, stability: -1 },
+    pious: { epithet: "the Pious", war: 0.8, reform: 0.7, stability: 1 },
+    incompetent: { epithet: "the Unready", war: 1, reform: 0.6, stability: -3 },
+    wise: { epithet: "the Wise", war: 0.8, reform: 1.3, stability: 2 },
+    cruel: { epithet: "the Cruel", war: 1.3, reform: 0.8, stability: -2 },
+    cautious: { epithet: "the Cautious", war: 0.6, reform: 0.8, stability: 1 },
+    reformer: { epithet: "the Reformer", war: 1, reform: 2, stability: -1 },
+    warlike: { epithet: "the Conqueror", war: 2, reform: 1, stability: 0 },
+    just: { epithet: "the Just", war: 0.9, reform: 1.1, stability: 2 },
+    decadent: { epithet: "the Idle", war: 0.7, reform: 0.7, stability: -2 },
+  };
+
+  /** Term in years for elected offices; elected regimes not listed choose for life. */
+  var TERMS = { citystate: 10, republic: 10, democracy: 8, directdem: 4, technocracy: 12, corporatist: 10, oneParty: 15, interstellarfed: 10 };
+
+  var MAX_PAST = 40;
+  var MAX_HEIRS = 4;
+  var ADULT = 16;
+
+  function rule(culture) {
+    var r = root.REGIMES[culture.regime];
+    return r ? r.succession : "elected";
+  }
+
+  function roman(n) {
+    var out = "";
+    [[10, "X"], [9, "IX"], [5, "V"], [4, "IV"], [1, "I"]].forEach(function (p) {
+      while (n >= p[0]) {
+        out += p[1];
+        n -= p[0];
+      }
+    });
+    return out;
+  }
+
+  function rollTraits(rng) {
+    return root.pickN(rng, Object.keys(TRAITS), root.rand(rng, 1, 2));
+  }
+
+  /** An heir, or a newcomer to power when no heir is given. */
+  function newPerson(rng, born) {
+    return { name: root.genRuler(rng), born: born, traits: rollTraits(rng) };
+  }
+
+  function newHouse(rng) {
+    return root.genName(rng) + " Dynasty";
+  }
+
+  /**
+   * Adds a line to the culture's history in year order: rulers change in the middle of a turn, after the turn's
+   * other entries went in at its end.
+   */
+  function record(culture, year, event) {
+    var at = culture.history.length;
+    while (at > 0 && culture.history[at - 1].year > year) at--;
+    culture.history.splice(at, 0, { year: year, event: event });
+  }
+
+  /** Ends the current reign (if any) and seats `person` of `house`. `how` is founder / hereditary / elected / coup. */
+  function crown(culture, person, house, how, parent, year) {
+    var old = culture.ruler;
+    if (old) {
+      culture.rulers = culture.rulers.concat([Object.assign({}, old, { to: year, heirs: [] })]).slice(-MAX_PAST);
+    }
+    var hereditary = rule(culture) === "hereditary";
+    var regnal = hereditary ? culture.rulers.filter(function (r) { return r.name === person.name && r.regnal; }).length + 1 : 0;
+    var epithet = TRAITS[person.traits[0]] ? " " + TRAITS[person.traits[0]].epithet : "";
+    culture.ruler = {
+      id: old ? old.id + 1 : 0,
+      name: person.name,
+      title: person.name + (regnal ? " " + roman(regnal) : "") + epithet,
+      regnal: regnal,
+      house: house,
+      born: person.born,
+      traits: person.traits,
+      parent: parent,
+      from: year,
+      to: null,
+      how: how,
+      end: null,
+      termEnds: how === "elected" && TERMS[culture.regime] ? year + TERMS[culture.regime] : null,
+      heirs: [],
+    };
+    culture.dynasty = house;
+  }
+
+  /**
+   * Seats a first ruler for a new culture: an adult founder, of a new house unless the regime elects.
+   * `given` ({ name, born, traits, house }, any subset) fixes parts of the founder, as scenarios do.
+   */
+  function foundRuler(culture, year, rng, given) {
+    var g = given || {};
+    culture.rulers = culture.rulers || [];
+    var person = newPerson(rng, year - root.rand(rng, 20, 45));
+    var house = rule(culture) === "elected" ? null : newHouse(rng);
+    crown(culture, Object.assign(person, pickGiven(g, ["name", "born", "traits"])), g.house !== undefined ? g.house : house, "founder", null, year);
+  }
+
+  function pickGiven(g, keys) {
+    var out = {};
+    keys.forEach(function (k) { if (g[k] !== undefined) out[k] = g[k]; });
+    return out;
+  }
+
+  /**
+   * Replaces the ruler by the regime's rule and returns a short note ("hereditary", "elected", "coup" …).
+   * `rival` forces a new house (a disputed succession). Costs stability for minors, extinct lines and coups.
+   */
+  function succeed(culture, year, cause, rival, rng) {
+    var rand = root.rand;
+    var old = culture.ruler;
+    old.end = cause;
+    var kind = rule(culture);
+    if (kind === "hereditary" && !rival) {
+      var heir = old.heirs.slice().sort(function (x, y) { return x.born - y.born; })[0];
+      if (heir) {
+        crown(culture, heir, old.house, "hereditary", old.id, year);
+        if (year - heir.born < ADULT) {
+          culture.stability -= 5;
+          record(culture, year, culture.ruler.title + " inherits as a minor under a regency");
+          return "a minor, under a regency";
+        }
+        return "hereditary";
+      }
+      crown(culture, newPerson(rng, year - rand(rng, 25, 50)), newHouse(rng), "founder", null, year);
+      culture.stability -= rand(rng, 5, 15);
+      record(culture, year, "The " + old.house + " dies out; the " + culture.dynasty + " takes the throne");
+      return "the line died out";
+    }
+    if (kind === "elected" && !rival) {
+      crown(culture, newPerson(rng, year - rand(rng, 35, 65)), null, "elected", null, year);
+      return "elected";
+    }
+    crown(culture, newPerson(rng, year - rand(rng, 30, 55)), newHouse(rng), "coup", null, year);
+    culture.stability -= rand(rng, 3, 10);
+    return "seized power";
+  }
+
+  /** Product of the ruler's trait multipliers for "war" or "reform"; sum of trait points for "stability". */
+  function rulerEffect(culture, key) {
+    var traits = culture.ruler && culture.ruler.traits ? culture.ruler.traits : [];
+    return traits.reduce(function (acc, t) {
+      var v = TRAITS[t] ? TRAITS[t][key] : undefined;
+      if (v === undefined) return acc;
+      return key === "stability" ? acc + v : acc * v;
+    }, key === "stability" ? 0 : 1);
+  }
+
+  /**
+   * Lives `dt` years of the culture's rulers, a year at a time: heirs are born, rulers die of age, elected terms
+   * run out and coup regimes (or any regime in deep crisis) overthrow their rulers. Returns a ruler event
+   * when the turn saw a coup, a regency or a line dying out; its `rulers` lists the titles in order.
+   */
+  function advanceRuler(culture, year, dt, rng) {
+    var first = culture.ruler.title;
+    var chain = [];
+    for (var y = year - dt + 1; y <= year; y++) {
+      var r = culture.ruler;
+      var age = y - r.born;
+      var kind = rule(culture);
+      if (kind === "hereditary" && age >= 20 && age <= 50 && r.heirs.length < MAX_HEIRS && rng() < 0.08) {
+        r.heirs = r.heirs.concat([newPerson(rng, y)]);
+      }
+      var mortality = (0.01 + Math.max(0, age - 40) * 0.004) * Math.max(0.3, 1 - culture.techLevel / 25);
+      var coup = (kind === "coup" ? 0.008 : culture.stability < 25 ? 0.003 : 0) * (culture.stability < 35 ? 2 : 1);
+      var how = null;
+      if (rng() < mortality) how = succeed(culture, y, "died at " + age, false, rng);
+      else if (r.termEnds !== null && y >= r.termEnds) how = succeed(culture, y, "term ended", false, rng);
+      else if (rng() < coup) how = succeed(culture, y, "overthrown", true, rng);
+      if (how) {
+        chain.push({ from: r, to: culture.ruler, how: how });
+        if (how !== "elected") record(culture, y, culture.ruler.title + " " + (how === "seized power" ? "seizes power" : "ascends") + (how === "hereditary" || how === "seized power" ? "" : " (" + how + ")"));
+      }
+    }
+    // Routine elections and successions are kept in `rulers` and the history but not announced.
+    if (chain.every(function (c) { return c.how === "elected" || c.how === "hereditary"; })) return [];
+    var last = chain[chain.length - 1];
+    var desc = chain.length === 1
+      ? culture.name + ": " + first + " " + (last.from.end.indexOf("died") === 0 ? "dies" + last.from.end.slice(4) : last.from.end === "term ended" ? "leaves office" : "is overthrown") + "; " + last.to.title + " " + (last.how === "seized power" ? "seizes power" : "succeeds (" + last.how + ")")
+      : culture.name + ": " + [first].concat(chain.map(function (c) { return c.to.title; })).join(" → ");
+    return [{
+      type: "ruler", rulers: [first].concat(chain.map(function (c) { return c.to.title; })), house: culture.ruler.house, desc: desc, actors: [culture.id],
+      cause: chain[0].from.end, effects: chain.map(function (c) { return c.to.title + " (" + c.how + ")"; }),
+    }];
+  }
+
+  /**
+   * Keeps or replaces the ruler after a regime change: hereditary regimes keep the ruler who brought them in
+   * (founding a house if needed), coup regimes keep a strongman, and otherwise a new ruler takes over.
+   */
+  function changeRegimeRuler(culture, oldRegime, year, rng) {
+    var before = root.REGIMES[oldRegime] ? root.REGIMES[oldRegime].succession : "elected";
+    var kind = rule(culture);
+    if (kind === "hereditary") {
+      if (!culture.ruler.house) {
+        culture.ruler.house = newHouse(rng);
+        culture.dynasty = culture.ruler.house;
+      }
+      culture.ruler.termEnds = null;
+      return;
+    }
+    if (kind === "coup" && before === "coup") return;
+    culture.ruler.end = "regime change";
+    if (kind === "elected") crown(culture, newPerson(rng, year - root.rand(rng, 35, 65)), null, "elected", null, year);
+    else crown(culture, newPerson(rng, year - root.rand(rng, 30, 55)), newHouse(rng), "coup", null, year);
+  }
+
+  /** A disputed succession: a rival house takes over. Returns the new ruler's title. */
+  function contestSuccession(culture, year, rng) {
+    succeed(culture, year, "deposed", true, rng);
+    return culture.ruler.title;
+  }
+
+  root.RULER_TRAITS = TRAITS;
+  root.foundRuler = foundRuler;
+  root.rulerEffect = rulerEffect;
+  root.advanceRuler = advanceRuler;
+  root.changeRegimeRuler = changeRegimeRuler;
+  root.contestSuccession = contestSuccession;
+})(typeof window !== "undefined" ? window : globalThis);
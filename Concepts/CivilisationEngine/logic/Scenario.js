@@ -0,0 +1,357 @@
+/**
+ * Scenarios for Integration: scripted History runs. A scenario file names its starting cultures instead of
+ * rolling them, schedules events for given years and sets triggers ("when X happens, do Y"):
+ *
+ *   { format: "civ-engine-scenario", name, seed, config?,
+ *     cultures: [{ name, climate, terrain, techLevel, regime?, religion?, language?, population?, ... }],
+ *     events: [{ year, action, culture, ... }],
+ *     triggers: [{ when: { type?, culture?, text? }, then: action | [actions], after?, once? }] }
+ *
+ * A run made from a scenario keeps what is left of the script in `run.scenario: { name, events, triggers, fired }`;
+ * simulateTurn applies due events at the start of a turn and fires triggers on the turn's events at its end.
+ * Actions are plague, climate, regime, tech, war, adjust and note (see ACTIONS); `culture` is a culture's name
+ * or id, "*" for all of them, or "$actor" / "$other" for the two sides of the event that fired a trigger.
+ */
+(function (root) {
+  "use strict";
+
+  var SCENARIO_FORMAT = "civ-engine-scenario";
+
+  /** Fields a culture entry may fix; the rest of the culture is rolled from the scenario seed. */
+  var CULTURE_FIELDS = ["name", "climate", "terrain", "techLevel", "resources", "regime", "religion", "language", "population", "military", "stability", "culturalInfluence", "treasury", "x", "y", "legitimacy", "sliders", "ruler"];
+
+  function clampStability(c) {
+    c.stability = root.clamp(c.stability, 10, 95);
+  }
+
+  /**
+   * Each action applies to one culture and returns its events (or none). `a` is the action entry; `w` is the
+   * world being simulated ({ cultures, relations, map, wars, distress }) and is updated in place.
+   */
+  var ACTIONS = {
+    // { action: "plague" }: an outbreak, as the Plague crisis.
+    plague: function (c, a, w, year, rng) {
+      var dead = root.strikePlague(c, rng);
+      var fall = root.rand(rng, 10, 25);
+      c.stability -= fall;
+      clampStability(c);
+      root.addDistress(w.distress, c.id, "Plague", root.CRISIS_SEVERITY.Plague);
+      c.history.push({ year: year, event: "Plague" });
+      return [{ type: "crisis", name: "Plague", desc: c.name + ": Plague (" + Math.round(dead * 100) + "% die)", effects: [Math.round(dead * 100) + "% die", "stability -" + fall] }];
+    },
+    // { action: "climate", climate }: the culture's climate shifts, changing what its land yields.
+    climate: function (c, a, w, year) {
+      if (c.climate === a.climate) return [];
+      var was = c.climate;
+      c.climate = a.climate;
+      c.history.push({ year: year, event: "Climate shift: " + was + " → " + a.climate });
+      return [{ type: "scenario", desc: c.name + ": the climate turns from " + was + " to " + a.climate, effects: [was + " → " + a.climate] }];
+    },
+    // { action: "regime", regime }: an imposed regime change, ruler handled as for any change.
+    regime: function (c, a, w, year, rng) {
+      if (c.regime === a.regime) return [];
+      var old = c.regime;
+      c.regime = a.regime;
+      root.fitSlidersToRegime(c);
+      root.changeRegimeRuler(c, old, year, rng);
+      c.history.push({ year: year, event: "Regime change: " + root.REGIMES[a.regime].name + " (scripted)" });
+      return [{ type: "regime", from: old, to: a.regime, desc: c.name + ": " + root.REGIMES[old].name + " → " + root.REGIMES[a.regime].name + " (scripted)" }];
+    },
+    // { action: "tech", level }: the culture jumps (or falls back) to a tech level with a starting set of techs.
+    tech: function (c, a, w, year, rng) {
+      if (c.techLevel === a.level) return [];
+      var base = root.initialTechs(a.level, c, rng);
+      c.techs = a.level > c.techLevel ? c.techs.concat(base.filter(function (t) { return c.techs.indexOf(t) < 0; })) : base;
+      c.techLevel = a.level;
+      var lv = root.LEVELS[a.level - 1];
+      c.history.push({ year: year, event: "Tech level set to " + a.level + " (scripted)" });
+      return [{ type: "tech", level: a.level, desc: c.name + " reaches " + (lv ? lv.sublabel : "?") + " (Level " + a.level + ")" }];
+    },
+    // { action: "war", target, goal? }: the culture declares war on `target`; allies are called as usual.
+    war: function (c, a, w, year, rng) {
+      return resolve(w.cultures, a.target).reduce(function (out, t) {
+        var res = root.declareWar(w, c.id, t.id, a.goal, year, rng);
+        w.wars = res.wars;
+        return out.concat(res.events);
+      }, []);
+    },
+    // { action: "adjust", stability?, population?, military? }: adds stability points and scales population and army.
+    adjust: function (c, a, w, year) {
+      var parts = [];
+      if (a.stability) {
+        c.stability += a.stability;
+        clampStability(c);
+        parts.push("stability " + (a.stability > 0 ? "+" : "") + a.stability);
+      }
+      if (a.population !== undefined) {
+        c.population = Math.max(1000, Math.round(c.population * a.population));
+        parts.push("population ×" + a.population);
+      }
+      if (a.military !== undefined) {
+        c.military = Math.max(500, Math.round(c.military * a.military));
+        parts.push("army ×" + a.military);
+      }
+      c.history.push({ year: year, event: a.text || "Scripted: " + parts.join(", ") });
+      return [{ type: "scenario", desc: c.name + ": " + parts.join(", "), effects: parts }];
+    },
+    // { action: "note", text }: only records the text, in the culture's history and the year's events.
+    note: function (c, a, w, year) {
+      c.history.push({ year: year, event: a.text });
+      return [{ type: "scenario", desc: c.name + ": " + a.text }];
+    },
+  };
+
+  /** Cultures a reference names: an id, a name, "*" for all; [] when none matches (e.g. it was conquered). */
+  function resolve(cultures, ref) {
+    if (ref === "*") return cultures.slice();
+    return cultures.filter(function (c) { return c.id === ref || c.name === ref; });
+  }
+
+  /**
+   * Runs one action entry for each culture it names; events carry `scripted: true` and, when given, `a.text`.
+   * Their cause is "scripted" unless the action gave one (a declared war keeps its own event shape).
+   */
+  function applyAction(a, w, year, rng) {
+    var events = [];
+    resolve(w.cultures, a.culture).forEach(function (c) {
+      ACTIONS[a.action](c, a, w, year, rng).forEach(function (e) {
+        if (a.text && a.action !== "note" && a.action !== "war") e.desc = c.name + ": " + a.text;
+        events.push(Object.assign({ actors: [c.id], cause: "scripted", effects: [] }, e, { scripted: true }));
+      });
+    });
+    return events;
+  }
+
+  /** A trigger's action with "$actor" / "$other" replaced by the ids from the event that fired it. */
+  function bind(action, e) {
+    var out = Object.assign({}, action);
+    ["culture", "target"].forEach(function (k) {
+      if (out[k] === "$actor") out[k] = e.actors ? e.actors[0] : null;
+      else if (out[k] === "$other") out[k] = e.actors && e.actors.length > 1 ? e.actors[1] : null;
+    });
+    return out;
+  }
+
+  function matches(when, e, cultures) {
+    if (when.type && e.type !== when.type) return false;
+    if (when.text && e.desc.indexOf(when.text) < 0) return false;
+    if (when.culture === undefined) return true;
+    var ids = resolve(cultures, when.culture).map(function (c) { return c.id; });
+    return (e.actors || []).some(function (id) { return ids.indexOf(id) >= 0; });
+  }
+
+  /**
+   * Applies the events due by `year` (updating `world` in place; `world.wars` may be replaced).
+   * Returns { scenario, events } with the applied events dropped from the script; a null scenario passes through.
+   */
+  function runScheduled(scenario, world, year, rng) {
+    if (!scenario) return { scenario: scenario, events: [] };
+    var due = scenario.events.filter(function (a) { return a.year <= year; });
+    if (!due.length) return { scenario: scenario, events: [] };
+    var events = [];
+    due.forEach(function (a) { events = events.concat(applyAction(a, world, year, rng)); });
+    return { scenario: Object.assign({}, scenario, { events: scenario.events.filter(function (a) { return a.year > year; }) }), events: events };
+  }
+
+  /**
+   * Fires the triggers whose `when` matches one of the turn's events, at most once a turn each; `once` triggers
+   * (the default) are then spent. Actions with `after` are scheduled that many years on, the rest apply now.
+   * Returns { scenario, events }; the events triggers cause do not fire further triggers this turn.
+   */
+  function runTriggers(scenario, world, turnEvents, year, rng) {
+    if (!scenario || !scenario.triggers.length) return { scenario: scenario, events: [] };
+    var fired = scenario.fired.slice();
+    var scheduled = scenario.events.slice();
+    var events = [];
+    var any = false;
+    scenario.triggers.forEach(function (t, i) {
+      if (t.once && fired.indexOf(i) >= 0) return;
+      var e = turnEvents.find(function (x) { return matches(t.when, x, world.cultures); });
+      if (!e) return;
+      any = true;
+      if (fired.indexOf(i) < 0) fired.push(i);
+      t.then.forEach(function (action) {
+        var a = bind(action, e);
+        if (t.after) scheduled.push(Object.assign(a, { year: year + t.after }));
+        else events = events.concat(applyAction(a, world, year, rng));
+      });
+    });
+    if (!any) return { scenario: scenario, events: events };
+    return { scenario: Object.assign({}, scenario, { events: scheduled, fired: fired }), events: events };
+  }
+
+  function fail(msg) {
+    throw new Error("Scenario: " + msg);
+  }
+
+  function oneOf(where, value, list) {
+    if (list.indexOf(value) < 0) fail(where + " must be one of " + list.join(", ") + " (got " + JSON.stringify(value) + ")");
+  }
+
+  function checkLevel(where, v) {
+    if (typeof v !== "number" || v < 1 || v > 15 || Math.floor(v) !== v) fail(where + " must be a whole number 1–15");
+  }
+
+  function checkCulture(spec, i) {
+    var where = "cultures[" + i + "]";
+    if (!spec || typeof spec !== "object") fail(where + " must be an object");
+    Object.keys(spec).forEach(function (k) { if (CULTURE_FIELDS.indexOf(k) < 0) fail(where + " has unknown field " + k); });
+    if (typeof spec.name !== "string" || !spec.name) fail(where + " needs a name");
+    oneOf(where + ".climate", spec.climate, root.CLIMATES);
+    oneOf(where + ".terrain", spec.terrain, root.TERRAINS);
+    checkLevel(where + ".techLevel", spec.techLevel);
+    if (spec.regime !== undefined) oneOf(where + ".regime", spec.regime, Object.keys(root.REGIMES));
+    if (spec.religion !== undefined) oneOf(where + ".religion", spec.religion, root.RELIGIONS);
+    if (spec.language !== undefined) oneOf(where + ".language", spec.language, root.LANGUAGES);
+    if (spec.resources !== undefined) {
+      if (!Array.isArray(spec.resources) || !spec.resources.length) fail(where + ".resources must be a non-empty list");
+      spec.resources.forEach(function (r) { oneOf(where + ".resources", r, root.RESOURCES); });
+    }
+    ["population", "military", "stability", "culturalInfluence", "treasury", "x", "y"].forEach(function (k) {
+      if (spec[k] !== undefined && (typeof spec[k] !== "number" || !isFinite(spec[k]))) fail(where + "." + k + " must be a number");
+    });
+    if (spec.x !== undefined && (spec.x < 0 || spec.x >= 600)) fail(where + ".x must be within the 600-wide map");
+    if (spec.y !== undefined && (spec.y < 0 || spec.y >= 400)) fail(where + ".y must be within the 400-high map");
+    if (spec.sliders !== undefined) {
+      Object.keys(spec.sliders).forEach(function (k) {
+        oneOf(where + ".sliders", k, ["coercion", "capacity", "inclusiveness"]);
+        var v = spec.sliders[k];
+        if (typeof v !== "number" || v < 1 || v > 5) fail(where + ".sliders." + k + " must be 1–5");
+      });
+    }
+    if (spec.ruler !== undefined) {
+      var r = spec.ruler;
+      if (!r || typeof r !== "object") fail(where + ".ruler must be an object");
+      if (r.traits !== undefined) {
+        if (!Array.isArray(r.traits)) fail(where + ".ruler.traits must be a list");
+        r.traits.forEach(function (t) { oneOf(where + ".ruler.traits", t, Object.keys(root.RULER_TRAITS)); });
+      }
+    }
+  }
+
+  function checkRef(where, ref, names, bound) {
+    if (ref === "*" || (bound && (ref === "$actor" || ref === "$other"))) return;
+    if (names.indexOf(ref) < 0 && !(typeof ref === "number" && ref >= 0 && ref < names.length)) {
+      fail(where + " names no starting culture: " + JSON.stringify(ref));
+    }
+  }
+
+  function checkAction(where, a, names, bound) {
+    if (!a || typeof a !== "object") fail(where + " must be an object");
+    oneOf(where + ".action", a.action, Object.keys(ACTIONS));
+    checkRef(where + ".culture", a.culture, names, bound);
+    if (a.text !== undefined && typeof a.text !== "string") fail(where + ".text must be a string");
+    if (a.action === "climate") oneOf(where + ".climate", a.climate, root.CLIMATES);
+    if (a.action === "regime") oneOf(where + ".regime", a.regime, Object.keys(root.REGIMES));
+    if (a.action === "tech") checkLevel(where + ".level", a.level);
+    if (a.action === "war") {
+      checkRef(where + ".target", a.target, names, bound);
+      if (a.goal !== undefined) oneOf(where + ".goal", a.goal, ["vassalage", "border", "tribute"]);
+    }
+    if (a.action === "note" && (typeof a.text !== "string" || !a.text)) fail(where + " needs a text");
+    if (a.action === "adjust") {
+      ["stability", "population", "military"].forEach(function (k) {
+        if (a[k] !== undefined && (typeof a[k] !== "number" || !isFinite(a[k]) || (k !== "stability" && a[k] < 0))) fail(where + "." + k + " must be a " + (k === "stability" ? "number" : "factor >= 0"));
+      });
+      if (a.stability === undefined && a.population === undefined && a.military === undefined) fail(where + " adjusts nothing");
+    }
+  }
+
+  /** Checks a scenario's `config`; the keys it leaves out are built from the cultures. */
+  function checkConfig(config) {
+    if (!config || typeof config !== "object" || Array.isArray(config)) fail("config must be an object");
+    Object.keys(config).forEach(function (k) { oneOf("config", k, ["scale", "climates", "terrains", "techLevel"]); });
+    if (config.scale !== undefined) oneOf("config.scale", config.scale, Object.keys(root.SCALE_COUNTS));
+    [["climates", root.CLIMATES], ["terrains", root.TERRAINS]].forEach(function (p) {
+      var list = config[p[0]];
+      if (list === undefined) return;
+      if (!Array.isArray(list) || !list.length) fail("config." + p[0] + " must be a non-empty list");
+      list.forEach(function (v) { oneOf("config." + p[0], v, p[1]); });
+    });
+    if (config.techLevel !== undefined) checkLevel("config.techLevel", config.techLevel);
+    return config;
+  }
+
+  /**
+   * Parses and checks a scenario (string or object). Returns it with defaults filled in (seed 1, a config built
+   * from the cultures where it gives none, no events or triggers, triggers `once`). Throws Error with a readable message on failure.
+   */
+  function parseScenario(input) {
+    var raw = input;
+    if (typeof input === "string") {
+      try { raw = JSON.parse(input); } catch (e) { fail("not valid JSON: " + e.message); }
+    }
+    if (!raw || raw.format !== SCENARIO_FORMAT) fail("not a scenario file (format must be \"" + SCENARIO_FORMAT + "\")");
+    if (!Array.isArray(raw.cultures) || !raw.cultures.length) fail("needs at least one culture");
+    raw.cultures.forEach(checkCulture);
+    var names = raw.cultures.map(function (c) { return c.name; });
+    names.forEach(function (n, i) { if (names.indexOf(n) !== i) fail("two cultures are named " + n); });
+    var seed = raw.seed === undefined ? 1 : raw.seed;
+    if (typeof seed !== "number" || Math.floor(seed) !== seed) fail("seed must be a whole number");
+
+    var events = raw.events || [];
+    if (!Array.isArray(events)) fail("events must be a list");
+    events.forEach(function (a, i) {
+      if (typeof (a && a.year) !== "number" || a.year < 1) fail("events[" + i + "].year must be a year after 0");
+      checkAction("events[" + i + "]", a, names, false);
+    });
+    var triggers = raw.triggers || [];
+    if (!Array.isArray(triggers)) fail("triggers must be a list");
+    triggers = triggers.map(function (t, i) {
+      var where = "triggers[" + i + "]";
+      if (!t || typeof t.when !== "object" || !t.when) fail(where + " needs a when");
+      if (t.when.culture !== undefined) checkRef(where + ".when.culture", t.when.culture, names, false);
+      var then = Array.isArray(t.then) ? t.then : t.then ? [t.then] : [];
+      if (!then.length) fail(where + " needs a then");
+      then.forEach(function (a, j) { checkAction(where + ".then[" + j + "]", a, names, true); });
+      if (t.after !== undefined && (typeof t.after !== "number" || t.after < 0)) fail(where + ".after must be years >= 0");
+      return { when: t.when, then: then, after: t.after || 0, once: t.once !== false };
+    });
+
+    var config = {
+      scale: "regional",
+      climates: raw.cultures.map(function (c) { return c.climate; }).filter(function (c, i, all) { return all.indexOf(c) === i; }),
+      terrains: raw.cultures.map(function (c) { return c.terrain; }).filter(function (t, i, all) { return all.indexOf(t) === i; }),
+      techLevel: Math.min.apply(null, raw.cultures.map(function (c) { return c.techLevel; })),
+    };
+    if (raw.config !== undefined) config = Object.assign(config, checkConfig(raw.config));
+    return { name: raw.name || "Untitled scenario", seed: seed, config: config, cultures: raw.cultures, events: events, triggers: triggers };
+  }
+
+  /** A new run from a scenario (parsed here if needed): its cultures as given, then map, relations and economy as createRun. */
+  function createScenarioRun(input) {
+    var scenario = parseScenario(input);
+    var rng = root.createMulberry32(scenario.seed >>> 0);
+    var cultures = scenario.cultures.map(function (spec, i) {
+      var c = root.generateCulture(i, spec.climate, spec.terrain, spec.techLevel, rng, spec);
+      if (spec.regime && !spec.sliders) root.fitSlidersToRegime(c);
+      return c;
+    });
+    var map = root.generateMap(cultures, scenario.config, rng);
+    var relations = root.buildRelations(cultures, rng, map);
+    root.settleEconomy(cultures, relations, map);
+    return {
+      seed: scenario.seed,
+      config: scenario.config,
+      year: 0,
+      pack: root.activePack(),
+      cultures: cultures,
+      relations: relations,
+      map: map,
+      wars: [],
+      scenario: { name: scenario.name, events: scenario.events, triggers: scenario.triggers, fired: [] },
+      climate: root.createClimate(scenario.seed, 0),
+      galaxy: root.createGalaxy(scenario.seed),
+      player: null,
+      series: root.recordSample([], 0, cultures),
+      history: [{ year: 0, dt: 0, events: [{ type: "start", desc: "History begins: " + scenario.name + " (seed " + scenario.seed + ")", actors: [], cause: null, effects: [] }] }],
+      timeline: [],
+    };
+  }
+
+  root.SCENARIO_FORMAT = SCENARIO_FORMAT;
+  root.parseScenario = parseScenario;
+  root.createScenarioRun = createScenarioRun;
+  root.runScheduled = runScheduled;
+  root.runTriggers = runTriggers;
+})(typeof window !== "undefined" ? window : globalThis);
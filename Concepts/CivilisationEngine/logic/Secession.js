@@ -0,0 +1,99 @@
+/**
+ * Secession for Integration: Civil War, Revolt and Religious Schism crises can split a culture in two.
+ * The successor takes the provinces around the parent's far edge with a share of its population, army,
+ * treasury and resources, gets its own regime (pickRegimeForLevel) and founding ruler (foundRuler), and records its
+ * lineage in `origin: { parent, year, cause }`.
+ */
+(function (root) {
+  "use strict";
+
+  /** Chance a crisis of this kind splits the culture, before the instability bonus. */
+  var SPLIT_CHANCE = { "Civil War": 0.3, "Revolt": 0.15, "Religious Schism": 0.12 };
+  var MIN_PROVINCES = 10;
+  var MAX_CULTURES = 40;
+  var MIN_DISSENT = 0.15;
+
+  /** Whether `crisis` splits `culture` this turn. */
+  function splitsOver(culture, crisis, map, count, rng) {
+    var p = SPLIT_CHANCE[crisis];
+    if (!p || count >= MAX_CULTURES || root.provinceCount(map, culture.id) < MIN_PROVINCES) return false;
+    return rng() < p * (culture.stability < 30 ? 1.5 : 1);
+  }
+
+  /** The largest minority faith, when it holds at least MIN_DISSENT of the people. */
+  function dissentingFaith(culture) {
+    var shares = root.sharesBy(culture, "religion");
+    var best = null;
+    for (var k in shares) if (k !== culture.religion && shares[k] >= MIN_DISSENT && (best === null || shares[k] > shares[best])) best = k;
+    return best;
+  }
+
+  /**
+   * Splits `parent` (updated in place) and returns the successor culture with id `id`, or null when there is
+   * no territory to give. The successor's regime, ruler and name are new; after a schism it takes the
+   * largest minority faith, or a new one.
+   */
+  function splitCulture(parent, cultures, map, id, crisis, year, rng) {
+    var rand = root.rand;
+    var pick = root.pick;
+    var pickN = root.pickN;
+    var share = rand(rng, 30, 45) / 100;
+    var split = root.splitTerritory(map, cultures, parent.id, id, share);
+    if (!split.moved) return null;
+
+    var regime = root.pickRegimeForLevel(parent.techLevel, parent.terrain, rng);
+    var religion = parent.religion;
+    if (crisis === "Religious Schism") religion = dissentingFaith(parent) || pick(rng, root.RELIGIONS.filter(function (r) { return r !== parent.religion; }));
+    var child = {
+      id: id,
+      name: root.genName(rng),
+      climate: parent.climate,
+      terrain: parent.terrain,
+      resources: pickN(rng, parent.resources, Math.max(1, Math.ceil(parent.resources.length / 2))),
+      regime: regime,
+      religion: religion,
+      language: parent.language,
+      peoples: parent.peoples.map(function (g) { return { religion: g.religion, language: g.language, share: g.share }; }),
+      ruler: null,
+      rulers: [],
+      dynasty: null,
+      sliders: { coercion: parent.sliders.coercion, capacity: parent.sliders.capacity, inclusiveness: parent.sliders.inclusiveness },
+      drivers: { scale: Math.max(1, parent.drivers.scale - 1), revBase: parent.drivers.revBase, threat: parent.drivers.threat, legitimacy: crisis === "Religious Schism" ? "Religious" : parent.drivers.legitimacy },
+      economy: parent.economy.slice(),
+      techLevel: parent.techLevel,
+      techs: parent.techs.slice(),
+      gdp: parent.gdp * share,
+      tradeIncome: 0,
+      treasury: Math.max(0, parent.treasury) * share,
+      ledger: {},
+      tribute: null,
+      harvest: parent.harvest,
+      population: Math.round(parent.population * share),
+      migration: { arrived: 0, left: 0 },
+      military: Math.round(parent.military * share),
+      stability: rand(rng, 40, 60),
+      culturalInfluence: Math.round(parent.culturalInfluence / 2),
+      history: [{ year: year, event: "Broke away from " + parent.name + " in the " + crisis + " as a " + root.REGIMES[regime].name }],
+      x: split.capital.x,
+      y: split.capital.y,
+      vassalOf: null,
+      vassals: [],
+      origin: { parent: parent.id, year: year, cause: crisis },
+      colony: null,
+      federation: null,
+    };
+    root.fitSlidersToRegime(child);
+    root.foundRuler(child, year, rng);
+    if (religion !== parent.religion) root.convertPeoples(child, "religion", religion);
+
+    parent.population -= child.population;
+    parent.military -= child.military;
+    if (parent.treasury > 0) parent.treasury -= child.treasury;
+    parent.stability -= rand(rng, 5, 10);
+    parent.history.push({ year: year, event: "Lost " + split.moved + " provinces to the breakaway " + child.name });
+    return child;
+  }
+
+  root.splitsOver = splitsOver;
+  root.splitCulture = splitCulture;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,251 @@
+/**
+ * Session persistence for Integration: versioned save/load of a whole History run,
+ * plus Markdown / CSV export of the per-culture chronicles and CSV export of the time series and batch reports.
+ * A save is { format, version, dt, run }; older versions are migrated on load.
+ */
+(function (root) {
+  "use strict";
+
+  var SESSION_FORMAT = "civ-engine-session";
+  var SESSION_VERSION = 19;
+  var AUTOSAVE_KEY = "civEngine.history.autosave";
+
+  /**
+   * MIGRATIONS[v] upgrades a version-v save to version v + 1.
+   * Version 0 is a bare run object ({ seed, config, year, cultures, relations, history }), e.g. HistoryCli output.
+   */
+  var MIGRATIONS = {
+    0: function (raw) {
+      return { format: SESSION_FORMAT, version: 1, dt: 25, run: raw };
+    },
+    // v2: relations carry memory between turns.
+    1: function (raw) {
+      var run = raw.run;
+      var relations = (run.relations || []).map(function (r) {
+        return Object.assign({ grievances: 0, statusYears: 0, tradeYears: 0, since: run.year, changes: [] }, r);
+      });
+      return { format: SESSION_FORMAT, version: 2, dt: raw.dt, run: Object.assign({}, run, { relations: relations }) };
+    },
+    // v3: territory map. Older runs get a map grown around their existing capitals.
+    2: function (raw) {
+      var run = raw.run;
+      var map = run.map || root.generateMap(run.cultures, run.config, root.createMulberry32((run.seed ^ 0x5eed) >>> 0));
+      return { format: SESSION_FORMAT, version: 3, dt: raw.dt, run: Object.assign({}, run, { map: map }) };
+    },
+    // v4: cultures track unlocked techs. Older cultures get a starting set for their current level.
+    3: function (raw) {
+      var run = raw.run;
+      var rng = root.createMulberry32((run.seed ^ 0x7ec4) >>> 0);
+      var cultures = run.cultures.map(function (c) {
+        return c.techs ? c : Object.assign({}, c, { techs: root.initialTechs(c.techLevel, c, rng) });
+      });
+      return { format: SESSION_FORMAT, version: 4, dt: raw.dt, run: Object.assign({}, run, { cultures: cultures }) };
+    },
+    // v5: economy. Older cultures start with an empty treasury and this turn's resource ledger.
+    4: function (raw) {
+      var run = raw.run;
+      var cultures = run.cultures.map(function (c) { return Object.assign({ treasury: 0 }, c); });
+      root.settleEconomy(cultures, run.relations, run.map);
+      return { format: SESSION_FORMAT, version: 5, dt: raw.dt, run: Object.assign({}, run, { cultures: cultures }) };
+    },
+    // v6: wars are tracked as entities. Pairs already at War get a war declared on the next turn.
+    5: function (raw) {
+      var run = raw.run;
+      var cultures = run.cultures.map(function (c) { return Object.assign({ tribute: null }, c); });
+      return { format: SESSION_FORMAT, version: 6, dt: raw.dt, run: Object.assign({ wars: [] }, run, { cultures: cultures }) };
+    },
+    // v7: cultures record their lineage; founding cultures have none.
+    6: function (raw) {
+      var run = raw.run;
+      var cultures = run.cultures.map(function (c) { return Object.assign({ origin: null }, c); });
+      return { format: SESSION_FORMAT, version: 7, dt: raw.dt, run: Object.assign({}, run, { cultures: cultures }) };
+    },
+    // v8: mixed populations. Older cultures are a single people of their religion and language.
+    7: function (raw) {
+      var run = raw.run;
+      var cultures = run.cultures.map(function (c) {
+        return Object.assign({ peoples: [{ religion: c.religion, language: c.language, share: 1 }], migration: { arrived: 0, left: 0 } }, c);
+      });
+      return { format: SESSION_FORMAT, version: 8, dt: raw.dt, run: Object.assign({}, run, { cultures: cultures }) };
+    },
+    // v9: relations score religious and linguistic overlap (0–1) instead of flagging a shared majority.
+    8: function (raw) {
+      var run = raw.run;
+      var relations = run.relations.map(function (r) {
+        var rel = Object.assign({ relOverlap: r.sameRel ? 1 : 0, langOverlap: r.sameLang ? 1 : 0 }, r);
+        delete rel.sameRel;
+        delete rel.sameLang;
+        return rel;
+      });
+      return { format: SESSION_FORMAT, version: 9, dt: raw.dt, run: Object.assign({}, run, { relations: relations }) };
+    },
+    // v10: rulers are people. An old ruler's name becomes a ruler of unknown age and traits, founder of its house.
+    9: function (raw) {
+      var run = raw.run;
+      var cultures = run.cultures.map(function (c) {
+        if (typeof c.ruler !== "string") return c;
+        var ruler = { id: 0, name: c.ruler, title: c.ruler, regnal: 0, house: c.dynasty, born: run.year - 40, traits: [], parent: null, from: run.year, to: null, how: "founder", end: null, termEnds: null, heirs: [] };
+        return Object.assign({}, c, { ruler: ruler, rulers: [] });
+      });
+      return { format: SESSION_FORMAT, version: 10, dt: raw.dt, run: Object.assign({}, run, { cultures: cultures }) };
+    },
+    // v11: runs may follow a scripted scenario; older runs have none.
+    10: function (raw) {
+      return { format: SESSION_FORMAT, version: 11, dt: raw.dt, run: Object.assign({ scenario: null }, raw.run) };
+    },
+    // v12: runs record a time series. Older runs start theirs at the year they were saved.
+    11: function (raw) {
+      var run = raw.run;
+      return { format: SESSION_FORMAT, version: 12, dt: raw.dt, run: Object.assign({ series: root.recordSample([], run.year, run.cultures) }, run) };
+    },
+    // v13: ended wars record their terms and winner. Older wars get terms read from their outcome, winner unknown.
+    12: function (raw) {
+      var run = raw.run;
+      var TERMS = [["becomes a vassal", "vassalage"], ["border provinces", "border"], ["of its revenue", "tribute"], ["white peace", "white peace"], ["no one left", "collapse"]];
+      var wars = run.wars.map(function (w) {
+        if (w.terms !== undefined) return w;
+        var found = w.outcome ? TERMS.find(function (t) { return w.outcome.indexOf(t[0]) >= 0; }) : null;
+        return Object.assign({}, w, { terms: found ? found[1] : null, winner: null });
+      });
+      return { format: SESSION_FORMAT, version: 13, dt: raw.dt, run: Object.assign({}, run, { wars: wars }) };
+    },
+    // v14: world climate and harvests. Older runs start their climate at the save year with normal harvests.
+    13: function (raw) {
+      var run = raw.run;
+      var cultures = run.cultures.map(function (c) { return Object.assign({ harvest: { factor: 1, causes: [] } }, c); });
+      return { format: SESSION_FORMAT, version: 14, dt: raw.dt, run: Object.assign({ climate: root.createClimate(run.seed, run.year) }, run, { cultures: cultures }) };
+    },
+    // v15: runs record their content pack. Older runs were made with the base tables.
+    14: function (raw) {
+      return { format: SESSION_FORMAT, version: 15, dt: raw.dt, run: Object.assign({ pack: null }, raw.run) };
+    },
+    // v16: runs keep a timeline of deltas to rewind. Older runs can be rewound no further than the save year.
+    15: function (raw) {
+      return { format: SESSION_FORMAT, version: 16, dt: raw.dt, run: Object.assign({ timeline: [] }, raw.run) };
+    },
+    // v17: events carry actors, a cause and effects. Older events get none; the chronicle leaves them to the log.
+    16: function (raw) {
+      var run = raw.run;
+      var history = run.history.map(function (h) {
+        return Object.assign({}, h, { events: h.events.map(function (e) { return Object.assign({ actors: [], cause: null, effects: [] }, e); }) });
+      });
+      return { format: SESSION_FORMAT, version: 17, dt: raw.dt, run: Object.assign({}, run, { history: history }) };
+    },
+    // v18: the galaxy beyond the homeworld. Older runs get their stars, no colonies, and relations on one world.
+    17: function (raw) {
+      var run = raw.run;
+      var cultures = run.cultures.map(function (c) { return Object.assign({ colony: null, federation: null }, c); });
+      var relations = run.relations.map(function (r) { return Object.assign({ travel: 0 }, r); });
+      return { format: SESSION_FORMAT, version: 18, dt: raw.dt, run: Object.assign({ galaxy: root.createGalaxy(run.seed) }, run, { cultures: cultures, relations: relations }) };
+    },
+    // v19: follow-a-culture play. Older runs are watched, not played.
+    18: function (raw) {
+      return { format: SESSION_FORMAT, version: 19, dt: raw.dt, run: Object.assign({ player: null }, raw.run) };
+    },
+  };
+
+  function serializeSession(run, dt) {
+    return JSON.stringify({ format: SESSION_FORMAT, version: SESSION_VERSION, dt: dt, run: run });
+  }
+
+  function detectVersion(raw) {
+    if (raw && raw.format === SESSION_FORMAT) return raw.version;
+    if (raw && Array.isArray(raw.cultures) && Array.isArray(raw.history)) return 0;
+    return null;
+  }
+
+  function checkRun(run) {
+    var missing = ["seed", "config", "year", "cultures", "relations", "map", "wars", "history"].filter(function (k) { return run[k] === undefined; });
+    if (missing.length) throw new Error("Save file is missing run fields: " + missing.join(", "));
+    if (!Array.isArray(run.cultures) || !Array.isArray(run.relations) || !Array.isArray(run.wars) || !Array.isArray(run.history)) throw new Error("Save file has malformed cultures, relations, wars or history");
+  }
+
+  /** Parses a save (string or object), migrating older versions. Throws Error with a readable message on failure. */
+  function parseSession(input) {
+    var raw = input;
+    if (typeof input === "string") {
+      try { raw = JSON.parse(input); } catch (e) { throw new Error("Save file is not valid JSON: " + e.message); }
+    }
+    var version = detectVersion(raw);
+    if (version === null) throw new Error("Not a Civilisation Engine save file");
+    if (typeof version !== "number" || version < 0 || Math.floor(version) !== version) throw new Error("Save file has an invalid version: " + version);
+    if (version > SESSION_VERSION) throw new Error("Save file is version " + version + " but this build reads up to version " + SESSION_VERSION + "; update the Civilisation Engine");
+    while (version < SESSION_VERSION) {
+      if (!MIGRATIONS[version]) throw new Error("No migration from save version " + version);
+      raw = MIGRATIONS[version](raw);
+      version = raw.version;
+    }
+    checkRun(raw.run);
+    return { dt: raw.dt, run: raw.run };
+  }
+
+  function cultureName(run, id) {
+    var c = run.cultures.find(function (x) { return x.id === id; });
+    return c ? c.name : String(id);
+  }
+
+  function exportChronicleMarkdown(run) {
+    var REGIMES = root.REGIMES;
+    var lines = ["# Chronicle (seed " + run.seed + ", year " + run.year + ")", ""];
+    run.cultures.forEach(function (c) {
+      var r = REGIMES[c.regime] || REGIMES.failed;
+      lines.push("## " + c.name);
+      lines.push("");
+      lines.push("*" + r.name + " · " + c.climate + " " + c.terrain + (c.colony ? " · on " + c.colony.world : "") + " · Level " + c.techLevel + (c.vassalOf !== null ? " · vassal of " + cultureName(run, c.vassalOf) : "") + "*");
+      lines.push("");
+      c.history.forEach(function (h) { lines.push("- **Year " + h.year + ":** " + h.event); });
+      lines.push("");
+    });
+    return lines.join("\n");
+  }
+
+  function csvCell(v) {
+    var s = String(v);
+    return /[",\r\n]/.test(s) ? "\"" + s.replace(/"/g, "\"\"") + "\"" : s;
+  }
+
+  function exportChronicleCsv(run) {
+    var rows = [["year", "culture_id", "culture", "event"]];
+    run.cultures.forEach(function (c) {
+      c.history.forEach(function (h) { rows.push([h.year, c.id, c.name, h.event]); });
+    });
+    return rows.map(function (row) { return row.map(csvCell).join(","); }).join("\n") + "\n";
+  }
+
+  /** One row per culture per sample of `run.series`. */
+  function exportSeriesCsv(run) {
+    var rows = [["year", "culture_id", "culture", "population", "gdp", "military", "stability", "tech_level", "regime"]];
+    run.series.forEach(function (s) {
+      s.cultures.forEach(function (c) { rows.push([s.year, c.id, cultureName(run, c.id), c.population, c.gdp, c.military, c.stability, c.techLevel, c.regime]); });
+    });
+    return rows.map(function (row) { return row.map(csvCell).join(","); }).join("\n") + "\n";
+  }
+
+  /** The report in long form: one `table,row,column,value` line per cell. */
+  function exportBatchCsv(report) {
+    var rows = [["table", "row", "column", "value"]];
+    report.finalRegimes.forEach(function (r) {
+      rows.push(["final_regimes", "level " + r.level, "cultures", r.n]);
+      Object.keys(r.regimes).forEach(function (k) { rows.push(["final_regimes", "level " + r.level, k, r.regimes[k]]); });
+    });
+    report.levels.forEach(function (l) {
+      rows.push(["reach_level", "level " + l.level, "eligible", l.eligible]);
+      rows.push(["reach_level", "level " + l.level, "reached_pct", l.reachedPct]);
+      rows.push(["reach_level", "level " + l.level, "mean_years", l.meanYears === null ? "" : l.meanYears]);
+    });
+    Object.keys(report.collapse).forEach(function (k) { rows.push(["collapse", "all", k, report.collapse[k]]); });
+    ["perRun", "meanYears", "attackerWinPct", "conquestsPerRun"].forEach(function (k) { rows.push(["wars", "all", k, report.wars[k] === null ? "" : report.wars[k]]); });
+    report.wars.terms.forEach(function (t) { rows.push(["war_terms", t.terms, "pct", t.pct]); });
+    return rows.map(function (row) { return row.map(csvCell).join(","); }).join("\n") + "\n";
+  }
+
+  root.SESSION_FORMAT = SESSION_FORMAT;
+  root.SESSION_VERSION = SESSION_VERSION;
+  root.AUTOSAVE_KEY = AUTOSAVE_KEY;
+  root.serializeSession = serializeSession;
+  root.parseSession = parseSession;
+  root.exportChronicleMarkdown = exportChronicleMarkdown;
+  root.exportChronicleCsv = exportChronicleCsv;
+  root.exportSeriesCsv = exportSeriesCsv;
+  root.exportBatchCsv = exportBatchCsv;
+})(typeof window !== "undefined" ? window : globalThis);
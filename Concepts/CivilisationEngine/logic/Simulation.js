@@ -1,45 +1,48 @@
 /**
- * Simulation for Integration: generateCulture, buildRelations, simulateTurn.
- * Uses shared REGIMES/TRANSITIONS and validRegimesForLevel / pickRegimeForLevel.
+ * Simulation for Integration: generateCulture, simulateTurn.
+ * Population grows towards carrying capacity and moves between neighbours (logic/Demography.js); religions and
+ * languages spread through it by share (logic/Identity.js). Rulers live, reign and pass power on (logic/Rulers.js).
+ * Regime changes follow the modelled causes in REGIME_TRANSITIONS_LIST (logic/Regimes.js); relations carry over via updateRelations.
+ * simulateTurn takes a world { cultures, relations, map, wars, scenario?, climate?, galaxy?, player? } (a run works as-is) and returns the next one plus events;
+ * a scripted scenario's events and triggers (logic/Scenario.js) apply at the start and end of the turn, and the played
+ * culture's orders (logic/Player.js) through it.
+ * An event is { type, desc, actors, cause, effects } plus details by type (regime: from, to; tech: level; crisis and
+ * growth: name; war events: war): `desc` is the one-line log entry, `cause` why it happened (or null) and `effects`
+ * short notes on what it changed. logic/Chronicle.js writes them up as prose.
+ * All randomness comes from the injected rng; same seed + config + dt sequence → same history.
  */
-(function () {
+(function (root) {
   "use strict";
 
-  function barrierBetween(a, b) {
-    var TB = window.TERRAIN_BARRIERS;
-    var t = (a.terrain === "Mountain" || b.terrain === "Mountain") ? "Mountain"
-      : (a.terrain === "Coastal" && b.terrain === "Coastal") ? "Coastal"
-      : (a.terrain === "Riverine" || b.terrain === "Riverine") ? "Riverine"
-      : (a.terrain === "Forest" || b.terrain === "Forest") ? "Forest"
-      : (a.terrain === "Desert" || b.terrain === "Desert") ? "Desert"
-      : (a.terrain === "Island" || b.terrain === "Island") ? "Island"
-      : "Plains";
-    var bar = TB[t] || TB.Plains;
-    return { type: t, icon: bar.icon, moveCost: bar.moveCost, tradeCost: bar.tradeCost };
-  }
-
-  function generateCulture(id, climate, terrain, techLevel) {
-    var REGIMES = window.REGIMES;
-    var pickN = window.pickN;
-    var pick = window.pick;
-    var rand = window.rand;
-    var clamp = window.clamp;
-    var genName = window.genName;
-    var genRuler = window.genRuler;
-    var pickRegimeForLevel = window.pickRegimeForLevel;
-    var RESOURCES = window.RESOURCES;
-    var RELIGIONS = window.RELIGIONS;
-    var LANGUAGES = window.LANGUAGES;
+  /**
+   * A new founding culture. `fixed` (optional, used by scripted scenarios) gives values to use as they are —
+   * name, resources, regime, religion, language, population, military, stability, culturalInfluence, treasury,
+   * x, y, legitimacy, sliders and ruler, and `year` dates its founding (0 by default; colonies, logic/Space.js); the
+   * rest are rolled as usual.
+   */
+  function generateCulture(id, climate, terrain, techLevel, rng, fixed) {
+    var REGIMES = root.REGIMES;
+    var pickN = root.pickN;
+    var pick = root.pick;
+    var rand = root.rand;
+    var clamp = root.clamp;
+    var genName = root.genName;
+    var pickRegimeForLevel = root.pickRegimeForLevel;
+    var RESOURCES = root.RESOURCES;
+    var RELIGIONS = root.RELIGIONS;
+    var LANGUAGES = root.LANGUAGES;
+    var f = fixed || {};
+    var given = function (key, roll) { return f[key] !== undefined ? f[key] : roll(); };
 
-    var resources = pickN(RESOURCES, rand(2, 4));
-    var revBase = resources.some(function (r) { return ["Gold", "Metals", "Oil", "Uranium"].indexOf(r) >= 0; }) ? rand(2, 5) : rand(1, 4);
-    var threat = rand(1, 5);
-    var scale = clamp(rand(1, techLevel) + (terrain === "Riverine" ? 1 : 0), 1, 5);
+    var resources = given("resources", function () { return pickN(rng, RESOURCES, rand(rng, 2, 4)); });
+    var revBase = resources.some(function (r) { return ["Gold", "Metals", "Oil", "Uranium"].indexOf(r) >= 0; }) ? rand(rng, 2, 5) : rand(rng, 1, 4);
+    var threat = rand(rng, 1, 5);
+    var scale = clamp(rand(rng, 1, techLevel) + (terrain === "Riverine" ? 1 : 0), 1, 5);
     var coercion = clamp(Math.round((scale + threat) / 2), 1, 5);
     var capacity = clamp(Math.round((techLevel / 3 + revBase + scale) / 3), 1, 5);
-    var inclusiveness = clamp(rand(1, 3) + (terrain === "Coastal" ? 1 : 0), 1, 5);
-    var regime = pickRegimeForLevel(techLevel, terrain);
-    var pop = scale * rand(100, 500) * 1000 * Math.pow(1.5, techLevel / 3);
+    var inclusiveness = clamp(rand(rng, 1, 3) + (terrain === "Coastal" ? 1 : 0), 1, 5);
+    var regime = given("regime", function () { return pickRegimeForLevel(techLevel, terrain, rng); });
+    var pop = given("population", function () { return scale * rand(rng, 100, 500) * 1000 * Math.pow(1.5, techLevel / 3); });
 
     var economies = [];
     if (resources.some(function (r) { return ["Grain", "Livestock"].indexOf(r) >= 0; })) economies.push("Agricultural");
@@ -50,79 +53,68 @@
     if (techLevel >= 13) economies.push("Digital");
     if (!economies.length) economies.push("Pastoral");
 
-    return {
+    var techs = root.initialTechs(techLevel, { resources: resources, economy: economies }, rng);
+    var religion = given("religion", function () { return pick(rng, RELIGIONS); });
+    var language = given("language", function () { return pick(rng, LANGUAGES); });
+
+    var culture = {
       id: id,
-      name: genName(),
+      name: given("name", function () { return genName(rng); }),
       climate: climate,
       terrain: terrain,
       resources: resources,
       regime: regime,
-      religion: pick(RELIGIONS),
-      language: pick(LANGUAGES),
-      ruler: genRuler(),
-      dynasty: genName() + " Dynasty",
-      sliders: { coercion: coercion, capacity: capacity, inclusiveness: inclusiveness },
-      drivers: { scale: scale, revBase: revBase, threat: threat, legitimacy: pick(["Religious", "Traditional", "Ideological", "National", "Charismatic", "Technocratic"]) },
+      religion: religion,
+      language: language,
+      peoples: [{ religion: religion, language: language, share: 1 }],
+      ruler: null,
+      rulers: [],
+      dynasty: null,
+      sliders: Object.assign({ coercion: coercion, capacity: capacity, inclusiveness: inclusiveness }, f.sliders),
+      drivers: { scale: scale, revBase: revBase, threat: threat, legitimacy: given("legitimacy", function () { return pick(rng, ["Religious", "Traditional", "Ideological", "National", "Charismatic", "Technocratic"]); }) },
       economy: economies,
       techLevel: techLevel,
+      techs: techs,
       gdp: pop * (50 + techLevel * 30),
       tradeIncome: 0,
+      treasury: f.treasury || 0,
+      ledger: {},
+      tribute: null,
+      harvest: { factor: 1, causes: [] },
       population: Math.round(pop),
-      military: coercion * rand(5, 15) * 1000 * (1 + techLevel / 5),
-      stability: rand(45, 85),
-      culturalInfluence: rand(10, 50),
-      history: [{ year: 0, event: "Founded as a " + REGIMES[regime].name }],
-      x: rand(60, 540),
-      y: rand(60, 340),
+      migration: { arrived: 0, left: 0 },
+      military: given("military", function () { return coercion * rand(rng, 5, 15) * 1000 * (1 + techLevel / 5); }),
+      stability: given("stability", function () { return rand(rng, 45, 85); }),
+      culturalInfluence: given("culturalInfluence", function () { return rand(rng, 10, 50); }),
+      history: [{ year: f.year || 0, event: "Founded as a " + REGIMES[regime].name }],
+      x: given("x", function () { return rand(rng, 60, 540); }),
+      y: given("y", function () { return rand(rng, 60, 340); }),
       vassalOf: null,
       vassals: [],
+      origin: null,
+      colony: null,
+      federation: null,
     };
+    root.foundRuler(culture, f.year || 0, rng, f.ruler);
+    return culture;
   }
 
-  function buildRelations(cultures) {
-    var rand = window.rand;
-    var rels = [];
-    for (var i = 0; i < cultures.length; i++) {
-      for (var j = i + 1; j < cultures.length; j++) {
-        var a = cultures[i];
-        var b = cultures[j];
-        var dist = Math.sqrt((a.x - b.x) * (a.x - b.x) + (a.y - b.y) * (a.y - b.y));
-        if (dist > 320) continue;
-        var bar = barrierBetween(a, b);
-        var sameRel = a.religion === b.religion;
-        var sameLang = a.language === b.language;
-        var tradeBonus = (a.economy.indexOf("Trade") >= 0 || b.economy.indexOf("Trade") >= 0) ? 2 : 0;
-        var tradePot = Math.max(0, 5 - bar.tradeCost + tradeBonus + (sameRel ? 1 : 0) + (sameLang ? 1 : 0));
-        var tension = Math.abs(a.sliders.coercion - b.sliders.coercion) + a.drivers.threat / 2 + rand(-2, 2);
-        var status;
-        if (a.vassalOf === b.id || b.vassalOf === a.id) status = "Vassal";
-        else if (tension > 7) status = "War";
-        else if (tension > 5) status = "Hostile";
-        else if (tradePot > 5) status = "Alliance";
-        else if (tradePot > 2) status = "Trade Partners";
-        else status = "Neutral";
-        rels.push({ a: a.id, b: b.id, icon: bar.icon, dist: Math.round(dist), status: status, tension: tension, tradePot: tradePot, sameRel: sameRel, sameLang: sameLang });
-      }
-    }
-    return rels;
-  }
-
-  var CRISES = ["Famine", "Plague", "Revolt", "Succession Crisis", "Religious Schism", "Economic Collapse", "Civil War", "Drought", "Corruption Scandal", "Military Defeat"];
+  var CRISES = ["Plague", "Revolt", "Succession Crisis", "Religious Schism", "Civil War", "Corruption Scandal", "Military Defeat"];
   var GROWTHS = ["Golden Age", "Population Boom", "Trade Expansion", "Military Victory", "Cultural Renaissance", "Reform Movement", "Technological Breakthrough", "Diplomatic Alliance"];
 
-  function simulateTurn(cultures, relations, year, dt) {
-    var REGIMES = window.REGIMES;
-    var TRANSITIONS = window.TRANSITIONS;
-    var LEVELS = window.LEVELS;
-    var validRegimesForLevel = window.validRegimesForLevel;
-    var pickRegimeForLevel = window.pickRegimeForLevel;
-    var RELIGIONS = window.RELIGIONS;
-    var pick = window.pick;
-    var rand = window.rand;
-    var clamp = window.clamp;
-    var genRuler = window.genRuler;
-    var genName = window.genName;
+  function simulateTurn(world, year, dt, rng) {
+    var cultures = world.cultures;
+    var relations = world.relations;
+    var REGIMES = root.REGIMES;
+    var LEVELS = root.LEVELS;
+    var validRegimesForLevel = root.validRegimesForLevel;
+    var pickRegimeForLevel = root.pickRegimeForLevel;
+    var RELIGIONS = root.RELIGIONS;
+    var pick = root.pick;
+    var rand = root.rand;
+    var clamp = root.clamp;
 
+    var map = root.copyMap(world.map);
     var events = [];
     var updated = cultures.map(function (c) {
       var copy = {};
@@ -131,145 +123,239 @@
       copy.sliders = { coercion: c.sliders.coercion, capacity: c.sliders.capacity, inclusiveness: c.sliders.inclusiveness };
       copy.history = c.history.slice();
       copy.vassals = c.vassals.slice();
+      copy.techs = c.techs.slice();
+      copy.ruler = Object.assign({}, c.ruler, { heirs: c.ruler.heirs.slice() });
+      copy.peoples = c.peoples.map(function (g) { return { religion: g.religion, language: g.language, share: g.share }; });
       return copy;
     });
+    // What drives people out this turn (famine, crises, disasters, lost battles), for advanceDemography.
+    var distress = {};
+    // The world's climate and disasters set this turn's harvests before the economy settles (logic/Climate.js).
+    var weather = root.advanceClimate(world.climate || null, { cultures: updated, map: map, distress: distress }, year, dt, rng);
+    events = events.concat(weather.events);
+    root.settleEconomy(updated, relations, map);
+    // Successor states from this turn's splits join the world after every existing culture has moved.
+    var born = [];
+    var nextId = updated.reduce(function (m, c) { return Math.max(m, c.id + 1); }, 0);
+    // A scripted scenario's events for this year happen before the turn plays out (logic/Scenario.js).
+    var staged = { cultures: updated, relations: relations, map: map, wars: world.wars || [], distress: distress };
+    var script = root.runScheduled(world.scenario || null, staged, year, rng);
+    events = events.concat(script.events);
+    // The played culture's orders stand in for its own rolls; its wars and proposals open the turn (logic/Player.js).
+    var play = root.openOrders(world.player || null, staged, year, rng);
+    events = events.concat(play.events);
 
     updated.forEach(function (c) {
-      var r = Math.random();
+      var r = rng();
       var myRels = relations.filter(function (rel) { return rel.a === c.id || rel.b === c.id; });
-      var wars = myRels.filter(function (rel) { return rel.status === "War"; });
       var trades = myRels.filter(function (rel) { return rel.status === "Trade Partners" || rel.status === "Alliance"; });
+      var orders = root.ordersFor(play, c);
 
-      c.tradeIncome = trades.reduce(function (s, t) { return s + t.tradePot * 500000 * c.techLevel; }, 0);
-      c.gdp = c.population * (50 + c.techLevel * 30) + c.tradeIncome;
-
-      var techChance = 0.06 + trades.length * 0.025 + (c.stability > 65 ? 0.04 : 0) + (c.vassals.length > 0 ? 0.02 : 0);
-      if (r < techChance && c.techLevel < 15) {
-        c.techLevel = clamp(c.techLevel + 1, 1, 15);
-        c.sliders.capacity = clamp(c.sliders.capacity + 1, 1, 5);
-        var validR = validRegimesForLevel(c.techLevel);
-        if (validR.indexOf(c.regime) < 0) {
-          var newR = pickRegimeForLevel(c.techLevel, c.terrain);
-          var ev = c.name + " advances to " + (LEVELS[c.techLevel - 1] ? LEVELS[c.techLevel - 1].sublabel : "?") + "; government transitions to " + REGIMES[newR].name;
-          events.push({ type: "tech", desc: ev });
-          c.history.push({ year: year, event: "Tech " + c.techLevel + ": " + REGIMES[newR].name });
-          c.regime = newR;
+      var fiscal = root.updateTreasury(c, dt, root.taxRate(orders));
+      root.payTribute(c, updated, fiscal.revenue, year, dt);
+      // Shortages left after trade: hunger brings famine, missing strategic goods wear on stability.
+      var hunger = root.shortage(c, "Food");
+      if (hunger > 0.1 && rng() < Math.min(0.9, hunger * 2 * dt / 25)) {
+        var starved = Math.min(0.25, hunger / 2);
+        c.population = Math.round(c.population * (1 - starved));
+        var shaken = rand(rng, 8, 15);
+        c.stability -= shaken;
+        root.addDistress(distress, c.id, "Famine", hunger);
+        // A famine names what failed the harvest, when something did.
+        var failed = c.harvest && c.harvest.factor < 0.9 && c.harvest.causes.length ? c.harvest.causes.join(" and ") : null;
+        var cause = failed ? " after the " + failed : "";
+        events.push({
+          type: "crisis", name: "Famine", desc: c.name + ": Famine" + cause + " (" + Math.round(hunger * 100) + "% of food short)", actors: [c.id],
+          cause: failed ? "the " + failed : "food shortage", effects: ["population -" + Math.round(starved * 100) + "%", "stability -" + shaken],
+        });
+        c.history.push({ year: year, event: "Famine" + cause });
+      } else {
+        c.stability -= hunger * 10 * dt / 25;
+      }
+      c.stability -= root.strategicShortage(c).share * 8 * dt / 25;
+      if (c.treasury < 0) {
+        // Unpaid troops are let go, down towards what taxes can carry; a deep enough debt is repudiated.
+        c.military = Math.max(500, Math.round(c.military * Math.max(0.7, Math.min(0.95, fiscal.revenue / fiscal.upkeep))));
+        if (-c.treasury > fiscal.revenue * 20) {
+          var crash = rand(rng, 10, 20);
+          events.push({
+            type: "crisis", name: "Economic Collapse", desc: c.name + ": Economic Collapse (the treasury defaults on its debts)", actors: [c.id],
+            cause: "debts past twenty years of revenue", effects: ["the treasury defaults", "stability -" + crash],
+          });
+          c.history.push({ year: year, event: "Economic Collapse" });
+          c.stability -= crash;
+          c.treasury = 0;
         } else {
-          var ev2 = c.name + " reaches " + (LEVELS[c.techLevel - 1] ? LEVELS[c.techLevel - 1].sublabel : "?") + " (Level " + c.techLevel + ")";
-          events.push({ type: "tech", desc: ev2 });
-          c.history.push({ year: year, event: "Tech advance → Level " + c.techLevel });
+          c.stability -= rand(rng, 1, 4);
         }
+      } else if (c.treasury > fiscal.revenue * 10) {
+        c.military = Math.round(c.military * 1.1);
+        c.treasury *= 0.8;
       }
 
-      var validR = validRegimesForLevel(c.techLevel);
-      if (validR.indexOf(c.regime) < 0 && Math.random() < 0.6) {
-        var newR = pickRegimeForLevel(c.techLevel, c.terrain);
-        var ev3 = c.name + ": " + REGIMES[c.regime].name + " → " + REGIMES[newR].name + " (tech pressure)";
-        events.push({ type: "regime", desc: ev3 });
-        c.history.push({ year: year, event: "Regime change: " + REGIMES[newR].name });
-        c.regime = newR;
-        c.ruler = genRuler();
+      var partners = trades.map(function (t) { return updated.find(function (x) { return x.id === (t.a === c.id ? t.b : t.a); }); }).filter(Boolean);
+      var funding = root.fundResearch(c, orders, fiscal, dt);
+      var researched = root.researchTechs(c, partners, dt, rng, funding.boost);
+      if (researched.length) c.history.push({ year: year, event: "Researched " + researched.map(root.techName).join(", ") });
+      var learned = [];
+      var teachers = [];
+      var learn = function (id, from) {
+        if (!id) return;
+        learned.push(root.techName(id) + " from " + from.name);
+        if (teachers.indexOf(from.name) < 0) teachers.push(from.name);
+      };
+      trades.forEach(function (t, i) {
+        learn(partners[i] ? root.diffuseTech(c, partners[i], t.tradePot * 0.02, dt, rng) : null, partners[i]);
+      });
+      // Vassal ties carry techs both ways: the overlord's administration down, local know-how up.
+      updated.filter(function (x) { return x.id === c.vassalOf || x.vassalOf === c.id; }).forEach(function (x) {
+        learn(root.diffuseTech(c, x, 0.3, dt, rng), x);
+      });
+      if (learned.length) {
+        events.push({ type: "diffusion", desc: c.name + " adopts " + learned.join(", "), actors: [c.id], cause: "contact with " + teachers.join(", "), effects: learned });
+        c.history.push({ year: year, event: "Adopted " + learned.join(", ") });
       }
 
-      if (c.stability < 35 && Math.random() < 0.35) {
-        var options = (TRANSITIONS[c.regime] || ["failed"]).filter(function (id) { return validRegimesForLevel(c.techLevel).indexOf(id) >= 0; });
-        if (options.length) {
-          var newR = pick(options);
-          var ev4 = c.name + ": " + REGIMES[c.regime].name + " → " + REGIMES[newR].name + " (crisis)";
-          events.push({ type: "regime", desc: ev4 });
-          c.history.push({ year: year, event: REGIMES[newR].name + " after crisis" });
-          c.regime = newR;
-          c.ruler = genRuler();
-          c.dynasty = Math.random() < 0.5 ? genName() + " Dynasty" : c.dynasty;
-          c.stability = rand(40, 60);
-        }
+      var newLevel = Math.min(15, root.techLevelFromTechs(c.techs));
+      if (newLevel > c.techLevel) {
+        c.techLevel = newLevel;
+        c.sliders.capacity = clamp(c.sliders.capacity + 1, 1, 5);
+        events.push({
+          type: "tech", level: c.techLevel, desc: c.name + " reaches " + (LEVELS[c.techLevel - 1] ? LEVELS[c.techLevel - 1].sublabel : "?") + " (Level " + c.techLevel + ")", actors: [c.id],
+          cause: researched.length ? "research into " + researched.map(root.techName).join(", ") : learned.length ? "techs learned from " + teachers.join(", ") : null, effects: ["capacity +1"],
+        });
+        c.history.push({ year: year, event: "Tech advance → Level " + c.techLevel });
       }
 
-      wars.forEach(function (war) {
-        var enemy = updated.find(function (x) { return x.id === (war.a === c.id ? war.b : war.a); });
-        if (!enemy || enemy.vassalOf === c.id) return;
-        if (Math.random() < 0.25) {
-          var cPow = c.military * (c.sliders.capacity / 3) * (c.stability / 50) * (1 + c.techLevel / 15);
-          var ePow = enemy.military * (enemy.sliders.capacity / 3) * (enemy.stability / 50) * (1 + enemy.techLevel / 15);
-          if (cPow > ePow * 1.5 && Math.random() < 0.35) {
-            enemy.vassalOf = c.id;
-            c.vassals.push(enemy.id);
-            var ev5 = c.name + " conquers " + enemy.name;
-            events.push({ type: "conquest", desc: ev5 });
-            c.history.push({ year: year, event: "Conquered " + enemy.name });
-            enemy.history.push({ year: year, event: "Subjugated by " + c.name });
-            c.culturalInfluence += 15;
-            enemy.stability -= 20;
-          } else {
-            c.military = Math.max(1000, c.military - rand(5, 15) * 1000);
-            enemy.military = Math.max(1000, enemy.military - rand(5, 15) * 1000);
-            c.stability -= rand(3, 8);
-            enemy.stability -= rand(3, 8);
-            events.push({ type: "battle", desc: "Battle: " + c.name + " vs " + enemy.name });
+      // Regime change follows a modelled cause when its preconditions hold; an outgrown regime with no
+      // modelled way out falls back to the level's usual regimes. A reform the player can carry out replaces both.
+      var reform = orders && orders.reform && orders.reform !== c.regime ? root.reformStep(c, orders, dt) : null;
+      var reforming = reform !== null && reform.path !== null;
+      var change = reforming ? reform.change : root.rollTransition(c, dt, rng);
+      var outgrown = validRegimesForLevel(c.techLevel).indexOf(c.regime) < 0;
+      if (!change && !reforming && outgrown && rng() < 0.6 && !root.transitionOdds(c, dt).some(function (o) { return o.chance > 0; })) {
+        change = { to: pickRegimeForLevel(c.techLevel, c.terrain, rng), label: "tech pressure" };
+      }
+      if (change && change.to !== c.regime) {
+        var shift = { type: "regime", from: c.regime, to: change.to, desc: c.name + ": " + REGIMES[c.regime].name + " → " + REGIMES[change.to].name + " (" + change.label + ")", actors: [c.id], cause: change.label, effects: [] };
+        events.push(shift);
+        c.history.push({ year: year, event: "Regime change: " + REGIMES[change.to].name + " (" + change.label + ")" });
+        if (change.to === "failed") {
+          var lost = root.collapseTerritory(map, updated, c.id, 0.35);
+          if (lost) {
+            events.push({ type: "territory", desc: c.name + " loses control of " + lost + " outer provinces", actors: [c.id], cause: "state failure", effects: [lost + " provinces lost"] });
+            shift.effects.push(lost + " provinces lost");
           }
         }
-      });
-
-      if (c.culturalInfluence > 40) {
-        myRels.filter(function (rel) { return rel.dist < 200; }).forEach(function (n) {
-          var nb = updated.find(function (x) { return x.id === (n.a === c.id ? n.b : n.a); });
-          if (!nb || Math.random() > 0.07 * (c.culturalInfluence / 100)) return;
-          if (!n.sameRel && Math.random() < 0.5) {
-            events.push({ type: "cultural", desc: nb.name + " adopts " + c.religion });
-            nb.history.push({ year: year, event: "Adopted " + c.religion });
-            nb.religion = c.religion;
-          } else if (!n.sameLang) {
-            events.push({ type: "cultural", desc: c.language + " spreads to " + nb.name });
-            nb.language = c.language;
-          }
-        });
+        var oldRegime = c.regime;
+        var oldRuler = c.ruler.title;
+        c.regime = change.to;
+        root.fitSlidersToRegime(c);
+        root.changeRegimeRuler(c, oldRegime, year, rng);
+        if (c.ruler.title !== oldRuler) shift.effects.push(c.ruler.title + " takes power");
+        if (c.stability < 35) {
+          c.stability = rand(rng, 40, 60);
+          shift.effects.push("stability restored to " + c.stability);
+        }
       }
 
+      var episode = null;
       if (r < 0.12) {
-        var crisis = pick(CRISES);
-        events.push({ type: "crisis", desc: c.name + ": " + crisis });
+        // A divided faith makes schism the likelier crisis.
+        var divided = rng() < root.religiousTension(c) / 3;
+        var crisis = divided ? "Religious Schism" : pick(rng, CRISES);
+        var dead = crisis === "Plague" ? root.strikePlague(c, rng) : 0;
+        var blow = { type: "crisis", name: crisis, desc: c.name + ": " + crisis + (dead ? " (" + Math.round(dead * 100) + "% die)" : ""), actors: [c.id], cause: divided ? "a divided faith" : null, effects: dead ? [Math.round(dead * 100) + "% die"] : [] };
+        events.push(blow);
         c.history.push({ year: year, event: crisis });
-        c.stability -= rand(10, 25);
-        if (crisis === "Succession Crisis") c.ruler = genRuler();
-        if (crisis === "Religious Schism") c.religion = pick(RELIGIONS);
+        episode = crisis;
+        var fall = rand(rng, 10, 25);
+        c.stability -= fall;
+        blow.effects.push("stability -" + fall);
+        if (crisis === "Succession Crisis") {
+          var claimant = root.contestSuccession(c, year, rng);
+          c.history.push({ year: year, event: claimant + " takes power" });
+          blow.effects.push(claimant + " takes power");
+        }
+        if (root.CRISIS_SEVERITY[crisis]) root.addDistress(distress, c.id, crisis, root.CRISIS_SEVERITY[crisis]);
+        var successor = root.splitsOver(c, crisis, map, updated.length + born.length, rng) ? root.splitCulture(c, updated.concat(born), map, nextId, crisis, year, rng) : null;
+        if (successor) {
+          nextId++;
+          born.push(successor);
+          events.push({ type: "secession", desc: successor.name + " breaks away from " + c.name + " in the " + crisis, actors: [successor.id, c.id], cause: "the " + crisis, effects: [successor.name + " founded"] });
+          blow.effects.push(successor.name + " breaks away");
+        } else if (crisis === "Religious Schism") {
+          var sect = pick(rng, RELIGIONS.filter(function (x) { return x !== c.religion; }));
+          var share = rand(rng, 10, 25) / 100;
+          root.shiftPeoples(c, "religion", sect, share);
+          c.history.push({ year: year, event: Math.round(share * 100) + "% turn to " + sect });
+          blow.effects.push(Math.round(share * 100) + "% turn to " + sect);
+        }
       } else if (r < 0.22) {
-        var growth = pick(GROWTHS);
-        events.push({ type: "growth", desc: c.name + ": " + growth });
+        var growth = pick(rng, GROWTHS);
+        var lift = rand(rng, 5, 12);
+        var reach = rand(rng, 3, 8);
+        var gains = ["stability +" + lift, "influence +" + reach];
         c.history.push({ year: year, event: growth });
-        c.stability += rand(5, 12);
-        c.culturalInfluence += rand(3, 8);
-        if (growth === "Population Boom") c.population = Math.round(c.population * 1.12);
-        if (growth === "Military Victory") c.military = Math.round(c.military * 1.15);
+        episode = growth;
+        c.stability += lift;
+        c.culturalInfluence += reach;
+        if (growth === "Population Boom") {
+          c.population = Math.round(c.population * 1.12);
+          gains.push("population +12%");
+        }
+        if (growth === "Military Victory") {
+          c.military = Math.round(c.military * 1.15);
+          gains.push("army +15%");
+        }
+        events.push({ type: "growth", name: growth, desc: c.name + ": " + growth, actors: [c.id], cause: null, effects: gains });
       }
 
-      if (Math.random() < 0.05) {
-        var oldR = c.ruler;
-        c.ruler = genRuler();
-        events.push({ type: "ruler", desc: c.name + ": " + oldR + " → " + c.ruler });
-        c.history.push({ year: year, event: c.ruler + " ascends" });
-        if (Math.random() < 0.3) c.stability -= rand(5, 12);
-      }
+      if (orders) events = events.concat(root.reportOrders(c, orders, { funding: funding, researched: researched, reform: reform }, dt));
+      events = events.concat(root.advanceRuler(c, year, dt, rng));
+      // Wars, the turn's crisis or growth, hardship, trade and the ruler move the sliders (logic/Institutions.js).
+      var atWar = staged.wars.some(function (w) { return w.ended === null && (w.attackers.indexOf(c.id) >= 0 || w.defenders.indexOf(c.id) >= 0); });
+      events = events.concat(root.driftSliders(c, { atWar: atWar, episode: episode, distress: distress[c.id] ? distress[c.id].severity : 0, partners: partners.length }, year, dt, rng));
 
-      if (c.vassalOf !== null && c.stability > 72 && Math.random() < 0.15) {
+      if (c.vassalOf !== null && c.stability > 72 && rng() < 0.15) {
         var ol = updated.find(function (x) { return x.id === c.vassalOf; });
         if (ol) {
           ol.vassals = ol.vassals.filter(function (v) { return v !== c.id; });
-          events.push({ type: "independence", desc: c.name + " breaks free from " + ol.name });
+          var regained = root.transferProvinces(map, updated, ol.id, c.id, 0.15);
+          events.push({ type: "independence", desc: c.name + " breaks free from " + ol.name, actors: [c.id, ol.id], cause: "a stable vassal (stability " + Math.round(c.stability) + ")", effects: regained ? [regained + " provinces regained"] : [] });
           c.history.push({ year: year, event: "Independence from " + ol.name });
           c.vassalOf = null;
         }
       }
 
-      c.stability = clamp(c.stability + rand(-2, 3), 10, 95);
-      var growthRate = (c.stability > 50 ? 0.008 : -0.003) * (dt / 10);
-      c.population = Math.max(1000, Math.round(c.population * (1 + growthRate)));
+      c.stability = clamp(c.stability + rand(rng, -2, 3) + root.rulerEffect(c, "stability") * dt / 25, 10, 95);
+      root.growPopulation(c, dt);
       c.military = Math.max(500, Math.round(c.military * (1 + (c.stability > 50 ? 0.003 : -0.008) * (dt / 10))));
+      // Stable states settle adjacent wilderness, a little per decade.
+      if (c.stability > 55 && c.regime !== "failed") root.expandTerritory(map, c.id, Math.floor(rng() * (1 + c.drivers.scale) * dt / 25));
     });
 
-    return { cultures: updated, events: events.length ? events : [{ type: "quiet", desc: "A quiet era passes." }] };
+    updated = updated.concat(born);
+    // From Level 14 cultures settle other worlds, and colonies break free or federate (logic/Space.js).
+    var space = root.advanceSpace(world.galaxy || null, { cultures: updated, nextId: nextId }, year, dt, rng);
+    updated = updated.concat(space.born);
+    events = events.concat(space.events);
+    events = events.concat(root.spreadIdentity(updated, relations, year, dt));
+    var war = root.advanceWars({ cultures: updated, relations: relations, wars: staged.wars, map: map, player: play.culture }, year, dt, rng);
+    events = events.concat(war.events);
+    war.events.forEach(function (e) {
+      if (e.type === "battle") root.addDistress(distress, e.actors[1], war.wars.find(function (w) { return w.id === e.war; }).name, 0.25);
+    });
+    events = events.concat(root.advanceDemography({ cultures: updated, relations: relations, wars: war.wars, distress: distress }, year, dt, rng));
+    var diplomacy = root.updateRelations(updated, relations, events, year, dt, rng, map, war.wars, play.culture);
+    events = events.concat(diplomacy.events);
+    var after = { cultures: updated, relations: diplomacy.relations, map: map, wars: war.wars, distress: {} };
+    var triggered = root.runTriggers(script.scenario, after, events, year, rng);
+    events = events.concat(triggered.events);
+    var player = root.closeOrders(world.player || null, play, diplomacy.relations, updated);
+    return { cultures: updated, relations: diplomacy.relations, map: map, wars: after.wars, scenario: triggered.scenario, climate: weather.climate, galaxy: space.galaxy, player: player, events: events.length ? events : [{ type: "quiet", desc: "A quiet era passes.", actors: [], cause: null, effects: [] }] };
   }
 
-  window.generateCulture = generateCulture;
-  window.buildRelations = buildRelations;
-  window.simulateTurn = simulateTurn;
-})();
+  root.generateCulture = generateCulture;
+  root.simulateTurn = simulateTurn;
+})(typeof window !== "undefined" ? window : globalThis);
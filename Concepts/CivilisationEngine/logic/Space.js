@@ -0,0 +1,307 @@
+/**
+ * Space for Integration: the interstellar phase. `run.galaxy` is { systems, federations, nextFederation }: star
+ * systems at light-year coordinates around the home system (id 0, at 0,0), each { id, name, star, x, y, planets:
+ * [{ name, kind, size, habitability, colony }] }, where `colony` is the id of the culture settled there (or null).
+ * The home system's first planet is the homeworld the planetary map shows.
+ * From Level 14 (Interplanetary) stable cultures settle the other worlds of reach; at Level 14 ships only cross
+ * their own system, at Level 15 (Interstellar) they reach the nearer stars. A colony is a culture made by
+ * generateCulture with `colony: { system, planet, world, kind, x, y, parent, founded, land }` (`land` counts its usable
+ * provinces by terrain, for logic/Economy.js) and starts as a vassal of its founder. Long voyages pull colonies
+ * free; a Level 15 founder with colonies of its level may federate with them into an Interstellar Federation
+ * (`federations: [{ id, name, members, founded, ended }]`, and `federation` on each member). Cultures on
+ * different worlds relate by travelYears rather than by distance on the map (logic/Diplomacy.js).
+ */
+(function (root) {
+  "use strict";
+
+  var SYSTEMS = 24;
+  /** Radius of the galaxy around the home system and the least gap between two stars, in light years. */
+  var RADIUS = 60;
+  var MIN_GAP = 4;
+
+  /** Star classes: `weight` how common, `planets` the range of worlds, `hab` added to their habitability. */
+  var STARS = {
+    M: { color: "#f87171", weight: 5, planets: [1, 3], hab: -0.1 },
+    K: { color: "#fb923c", weight: 3, planets: [1, 4], hab: 0 },
+    G: { color: "#fde047", weight: 2, planets: [2, 5], hab: 0.1 },
+    F: { color: "#fef9c3", weight: 1, planets: [2, 5], hab: 0 },
+    A: { color: "#bfdbfe", weight: 1, planets: [1, 3], hab: -0.15 },
+  };
+
+  /**
+   * World kinds: the climate and terrain a colony there is generated with, how its usable provinces divide
+   * between terrains, the habitability range and how common it is.
+   */
+  var WORLDS = {
+    Terran: { icon: "🌍", climate: "Temperate", terrain: "Plains", land: { Plains: 0.5, Forest: 0.3, Riverine: 0.2 }, hab: [0.6, 0.9], weight: 1 },
+    Ocean: { icon: "🌊", climate: "Tropical", terrain: "Island", land: { Island: 0.6, Coastal: 0.4 }, hab: [0.4, 0.7], weight: 2 },
+    Desert: { icon: "🏜️", climate: "Arid", terrain: "Desert", land: { Desert: 0.7, Mountain: 0.3 }, hab: [0.25, 0.5], weight: 3 },
+    Ice: { icon: "🧊", climate: "Polar", terrain: "Mountain", land: { Plains: 0.4, Mountain: 0.6 }, hab: [0.1, 0.4], weight: 3 },
+    Barren: { icon: "🌑", climate: "Polar", terrain: "Mountain", land: { Mountain: 0.7, Desert: 0.3 }, hab: [0.05, 0.2], weight: 4 },
+  };
+
+  /** Ship speed in light years a year by tech level; below Level 14 there is no travel between worlds worth the name. */
+  var SPEED = { 14: 0.05, 15: 0.5 };
+  var SLOWEST = 0.01;
+  /** The least distance a voyage counts, so worlds of one system are a year apart at Level 14. */
+  var HOP = 0.05;
+
+  /** Longest voyage, in years, to a world a culture will settle. */
+  var COLONY_REACH = 40;
+  var MIN_HABITABILITY = 0.25;
+  /** Least stability at which a culture sends settlers out; below it, as elsewhere, it is unsettled. */
+  var COLONY_STABILITY = 35;
+  /** Chance per 25 years that a culture able to settle founds a colony. */
+  var COLONY_CHANCE = 0.3;
+  /** Share of the founder's people who leave, between MIN_SETTLERS and MAX_SETTLERS; smaller peoples send none. */
+  var SETTLERS = 0.01;
+  var MIN_SETTLERS = 20000;
+  var MAX_SETTLERS = 50000;
+  var MAX_CULTURES = 60;
+  /** Chance per 25 years, per year of travel from the overlord, that a colony breaks free (at most BREAKAWAY_CAP). */
+  var BREAKAWAY = 0.006;
+  var BREAKAWAY_CAP = 0.5;
+  /** Chance per 25 years that a founder with enough colonies federates with them, and that a member drifts out. */
+  var FEDERATE_CHANCE = 0.3;
+  var FEDERATE_COLONIES = 2;
+  var LEAVE = 0.005;
+  var LEAVE_CAP = 0.3;
+
+  var HOME = { system: 0, planet: 0, x: 0, y: 0 };
+  var NUMERALS = ["I", "II", "III", "IV", "V", "VI"];
+
+  function weighted(rng, table) {
+    var keys = Object.keys(table);
+    var total = keys.reduce(function (s, k) { return s + table[k].weight; }, 0);
+    var r = rng() * total;
+    for (var i = 0; i < keys.length; i++) {
+      r -= table[keys[i]].weight;
+      if (r < 0) return keys[i];
+    }
+    return keys[keys.length - 1];
+  }
+
+  function newPlanet(rng, name, star) {
+    var kind = weighted(rng, WORLDS);
+    var hab = WORLDS[kind].hab;
+    var habitability = root.clamp(hab[0] + rng() * (hab[1] - hab[0]) + STARS[star].hab, 0.05, 1);
+    return { name: name, kind: kind, size: root.rand(rng, 8, 30), habitability: Math.round(habitability * 100) / 100, colony: null };
+  }
+
+  function newSystem(rng, id, x, y, home) {
+    var name = root.genName(rng);
+    var star = home ? "G" : weighted(rng, STARS);
+    var n = home ? root.rand(rng, 2, 4) : root.rand(rng, STARS[star].planets[0], STARS[star].planets[1]);
+    var planets = [];
+    if (home) planets.push({ name: "Homeworld", kind: "Homeworld", size: 0, habitability: 1, colony: null });
+    for (var i = planets.length; i <= n; i++) planets.push(newPlanet(rng, name + " " + NUMERALS[i], star));
+    return { id: id, name: name, star: star, x: x, y: y, planets: planets };
+  }
+
+  /** A new galaxy; its stars are seeded from the run seed on their own stream. */
+  function createGalaxy(seed) {
+    var rng = root.createMulberry32((seed ^ 0x57a125) >>> 0);
+    var systems = [newSystem(rng, 0, 0, 0, true)];
+    for (var tries = 0; systems.length < SYSTEMS && tries < 500; tries++) {
+      var r = RADIUS * Math.sqrt(rng());
+      var a = rng() * 2 * Math.PI;
+      var x = Math.round(r * Math.cos(a) * 10) / 10;
+      var y = Math.round(r * Math.sin(a) * 10) / 10;
+      if (systems.some(function (s) { return lightYears(s, { x: x, y: y }) < MIN_GAP; })) continue;
+      systems.push(newSystem(rng, systems.length, x, y, false));
+    }
+    return { systems: systems, federations: [], nextFederation: 0 };
+  }
+
+  function lightYears(p, q) {
+    return Math.sqrt((p.x - q.x) * (p.x - q.x) + (p.y - q.y) * (p.y - q.y));
+  }
+
+  /** Where a culture lives: its colony, or the homeworld. */
+  function worldOf(c) {
+    return c.colony || HOME;
+  }
+
+  function voyage(from, to, level) {
+    return Math.round(Math.max(HOP, lightYears(from, to)) / (SPEED[level] || SLOWEST) * 10) / 10;
+  }
+
+  /** Years between two cultures' worlds at the faster one's speed; 0 when they share a world. */
+  function travelYears(a, b) {
+    var wa = worldOf(a);
+    var wb = worldOf(b);
+    if (wa.system === wb.system && wa.planet === wb.planet) return 0;
+    return voyage(wa, wb, Math.max(a.techLevel, b.techLevel));
+  }
+
+  /** Whether two cultures belong to the same federation. */
+  function sameFederation(a, b) {
+    return a.federation !== undefined && a.federation !== null && a.federation === b.federation;
+  }
+
+  function copyGalaxy(g) {
+    return {
+      systems: g.systems.map(function (s) { return Object.assign({}, s, { planets: s.planets.map(function (p) { return Object.assign({}, p); }) }); }),
+      federations: g.federations.map(function (f) { return Object.assign({}, f, { members: f.members.slice() }); }),
+      nextFederation: g.nextFederation,
+    };
+  }
+
+  /** Usable provinces of a world by terrain: its size scaled by habitability. */
+  function landOf(planet) {
+    var land = {};
+    var shares = WORLDS[planet.kind].land;
+    Object.keys(shares).forEach(function (t) { land[t] = Math.max(1, Math.round(planet.size * planet.habitability * shares[t])); });
+    return land;
+  }
+
+  /** The free world `c` would settle: the most habitable within reach of a world it holds, nearer first; or null. */
+  function colonySite(s, c) {
+    var held = [worldOf(c)].concat(c.vassals.map(function (id) { return s.byId[id]; }).filter(function (v) { return v && v.colony; }).map(worldOf));
+    var best = null;
+    s.galaxy.systems.forEach(function (sys) {
+      sys.planets.forEach(function (p, i) {
+        if (p.colony !== null || !WORLDS[p.kind] || p.habitability < MIN_HABITABILITY) return;
+        var years = Math.min.apply(null, held.map(function (w) { return voyage(w, sys, c.techLevel); }));
+        if (years > COLONY_REACH) return;
+        var score = p.habitability - years / 100;
+        if (!best || score > best.score) best = { system: sys, planet: p, index: i, years: years, score: score };
+      });
+    });
+    return best;
+  }
+
+  /** A stable, free culture of Level 14 or more may found a colony on the best world in reach. */
+  function foundColony(s, c) {
+    if (c.techLevel < 14 || c.regime === "failed" || c.vassalOf !== null || c.stability < COLONY_STABILITY || c.population * SETTLERS < MIN_SETTLERS) return;
+    if (s.cultures.length + s.born.length >= MAX_CULTURES || s.rng() >= COLONY_CHANCE * s.dt / 25) return;
+    var site = colonySite(s, c);
+    if (!site) return;
+    var kind = WORLDS[site.planet.kind];
+    var settlers = Math.min(MAX_SETTLERS, Math.round(c.population * SETTLERS));
+    var regime = root.validRegimesForLevel(c.techLevel).indexOf(c.regime) >= 0 ? c.regime : undefined;
+    var child = root.generateCulture(s.nextId++, kind.climate, kind.terrain, c.techLevel, s.rng, {
+      regime: regime, religion: c.religion, language: c.language, population: settlers, military: Math.round(c.military * settlers / c.population),
+      x: c.x, y: c.y, sliders: { coercion: c.sliders.coercion, capacity: c.sliders.capacity, inclusiveness: c.sliders.inclusiveness }, year: s.year,
+    });
+    child.peoples = c.peoples.map(function (g) { return { religion: g.religion, language: g.language, share: g.share }; });
+    child.colony = { system: site.system.id, planet: site.index, world: site.planet.name, kind: site.planet.kind, x: site.system.x, y: site.system.y, parent: c.id, founded: s.year, land: landOf(site.planet) };
+    child.origin = { parent: c.id, year: s.year, cause: "colonisation" };
+    child.history = [{ year: s.year, event: "Founded by " + c.name + " on " + site.planet.name + " (" + site.planet.kind + ") as a " + root.REGIMES[child.regime].name }];
+    child.vassalOf = c.id;
+    c.vassals.push(child.id);
+    c.population -= settlers;
+    c.history.push({ year: s.year, event: "Founded the colony of " + child.name + " on " + site.planet.name });
+    site.planet.colony = child.id;
+    s.born.push(child);
+    s.byId[child.id] = child;
+    s.events.push({
+      type: "colony", world: site.planet.name, system: site.system.name, desc: c.name + " founds " + child.name + " on " + site.planet.name + " (" + kind.icon + " " + site.planet.kind + ", " + site.years + " years away)",
+      actors: [child.id, c.id], cause: "settlers from " + c.name, effects: [child.name + " founded", Math.round(settlers / 1000) + "k settlers"],
+    });
+  }
+
+  /** Colonies far from their overlord may break free, more readily when unsettled. */
+  function breakAway(s, c) {
+    var ol = c.colony && c.vassalOf !== null ? s.byId[c.vassalOf] : null;
+    if (!ol) return;
+    var years = travelYears(c, ol);
+    if (s.rng() >= Math.min(BREAKAWAY_CAP, BREAKAWAY * years) * (c.stability < 50 ? 1.5 : 1) * s.dt / 25) return;
+    ol.vassals = ol.vassals.filter(function (v) { return v !== c.id; });
+    c.vassalOf = null;
+    c.history.push({ year: s.year, event: "Broke free from " + ol.name });
+    ol.history.push({ year: s.year, event: "Lost the colony of " + c.name });
+    s.events.push({ type: "independence", desc: c.name + " breaks free from " + ol.name + ", " + years + " years away", actors: [c.id, ol.id], cause: years + " years' travel from " + ol.name, effects: ["rule from " + ol.name + " ends"] });
+  }
+
+  /** Makes `c` an Interstellar Federation member, changing its regime and ruler when it has to. */
+  function enlist(s, c, fed) {
+    c.federation = fed.id;
+    if (fed.members.indexOf(c.id) < 0) fed.members.push(c.id);
+    c.history.push({ year: s.year, event: "Joined the " + fed.name });
+    if (c.regime === "interstellarfed") return;
+    var old = c.regime;
+    c.regime = "interstellarfed";
+    root.fitSlidersToRegime(c);
+    root.changeRegimeRuler(c, old, s.year, s.rng);
+  }
+
+  /**
+   * A Level 15 founder federates with its colonies of that level once it has FEDERATE_COLONIES of them; one already
+   * federated brings in the colonies it has founded since. The colonies stop being vassals and become members.
+   */
+  function federate(s, c) {
+    if (c.techLevel < 15 || c.vassalOf !== null || c.regime === "failed") return;
+    var colonies = c.vassals.map(function (id) { return s.byId[id]; }).filter(function (v) { return v && v.colony && v.colony.parent === c.id && v.techLevel >= 15; });
+    var fed = s.galaxy.federations.find(function (f) { return f.ended === null && f.id === c.federation; });
+    if (!colonies.length || (!fed && (colonies.length < FEDERATE_COLONIES || c.sliders.inclusiveness < 3))) return;
+    if (s.rng() >= FEDERATE_CHANCE * s.dt / 25) return;
+    var formed = !fed;
+    if (formed) {
+      fed = { id: s.galaxy.nextFederation++, name: c.name + " Federation", members: [], founded: s.year, ended: null };
+      s.galaxy.federations.push(fed);
+      enlist(s, c, fed);
+    }
+    colonies.forEach(function (v) {
+      c.vassals = c.vassals.filter(function (x) { return x !== v.id; });
+      v.vassalOf = null;
+      enlist(s, v, fed);
+    });
+    var names = colonies.map(function (v) { return v.name; });
+    s.events.push({
+      type: "federation", change: formed ? "formed" : "joined", federation: fed.name, desc: formed ? c.name + " and its colonies " + names.join(", ") + " form the " + fed.name : names.join(", ") + " join the " + fed.name,
+      actors: [c.id].concat(colonies.map(function (v) { return v.id; })), cause: formed ? colonies.length + " colonies at the Interstellar level" : "colonies of " + c.name, effects: names.map(function (n) { return n + " becomes a member"; }),
+    });
+  }
+
+  /** Members that are no longer federations leave; distant ones may drift out. A federation of one is over. */
+  function loosen(s, fed) {
+    var capital = s.byId[fed.members[0]];
+    fed.members.slice().forEach(function (id) {
+      var c = s.byId[id];
+      var years = c && capital && c !== capital ? travelYears(c, capital) : 0;
+      var why = !c ? null : c.regime !== "interstellarfed" ? "no longer a federation" : years && s.rng() < Math.min(LEAVE_CAP, LEAVE * years) * (c.stability < 40 ? 2 : 1) * s.dt / 25 ? years + " years from " + capital.name : null;
+      if (c && !why) return;
+      fed.members = fed.members.filter(function (x) { return x !== id; });
+      if (!c) return;
+      c.federation = null;
+      c.history.push({ year: s.year, event: "Left the " + fed.name });
+      s.events.push({ type: "federation", change: "left", federation: fed.name, desc: c.name + " leaves the " + fed.name + " (" + why + ")", actors: [c.id].concat(capital && capital !== c ? [capital.id] : []), cause: why, effects: [] });
+    });
+    if (fed.members.length > 1) return;
+    fed.ended = s.year;
+    fed.members.forEach(function (id) { if (s.byId[id]) s.byId[id].federation = null; });
+    s.events.push({ type: "federation", change: "dissolved", federation: fed.name, desc: "The " + fed.name + " is dissolved", actors: fed.members.slice(), cause: "too few members", effects: [] });
+  }
+
+  /**
+   * One turn of the space phase for `world` ({ cultures, nextId }); cultures are updated in place. Returns
+   * { galaxy, born, events }, `born` being the new colonies. Draws nothing from `rng` while no culture is at
+   * Level 14 and there are no colonies, so planet-bound histories play out as they always have.
+   */
+  function advanceSpace(galaxy, world, year, dt, rng) {
+    if (!galaxy) return { galaxy: galaxy, born: [], events: [] };
+    var byId = {};
+    world.cultures.forEach(function (c) { byId[c.id] = c; });
+    var s = { galaxy: copyGalaxy(galaxy), cultures: world.cultures, byId: byId, nextId: world.nextId, year: year, dt: dt, rng: rng, born: [], events: [] };
+    world.cultures.forEach(function (c) { foundColony(s, c); });
+    world.cultures.forEach(function (c) { breakAway(s, c); });
+    s.galaxy.federations.forEach(function (f) { if (f.ended === null) loosen(s, f); });
+    world.cultures.forEach(function (c) { federate(s, c); });
+    return { galaxy: s.galaxy, born: s.born, events: s.events };
+  }
+
+  /** The federation `c` belongs to, or null. */
+  function federationOf(galaxy, c) {
+    if (!galaxy || c.federation === undefined || c.federation === null) return null;
+    return galaxy.federations.find(function (f) { return f.id === c.federation; }) || null;
+  }
+
+  root.STARS = STARS;
+  root.WORLDS = WORLDS;
+  root.createGalaxy = createGalaxy;
+  root.travelYears = travelYears;
+  root.sameFederation = sameFederation;
+  root.federationOf = federationOf;
+  root.advanceSpace = advanceSpace;
+})(typeof window !== "undefined" ? window : globalThis);
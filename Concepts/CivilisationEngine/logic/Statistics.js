@@ -0,0 +1,78 @@
+/**
+ * Statistics for Integration: the run's time series. `run.series` holds one sample per turn,
+ * { year, cultures: [{ id, population, gdp, military, stability, techLevel, regime }] }, recorded by
+ * createRun / advanceRun. The helpers below read it back per culture, as world totals and as regime spans.
+ */
+(function (root) {
+  "use strict";
+
+  /** Charted metrics; `world` says how the world view combines cultures (sum, or mean weighted by population). */
+  var STAT_METRICS = [
+    { key: "population", label: "Population", world: "sum" },
+    { key: "gdp", label: "GDP", world: "sum" },
+    { key: "military", label: "Military", world: "sum" },
+    { key: "stability", label: "Stability", world: "mean" },
+    { key: "techLevel", label: "Tech level", world: "mean" },
+  ];
+
+  function sampleOf(year, cultures) {
+    return {
+      year: year,
+      cultures: cultures.map(function (c) {
+        return { id: c.id, population: c.population, gdp: Math.round(c.gdp), military: Math.round(c.military), stability: Math.round(c.stability * 10) / 10, techLevel: c.techLevel, regime: c.regime };
+      }),
+    };
+  }
+
+  /** `series` with a sample of `cultures` at `year` appended (replacing one already taken that year). */
+  function recordSample(series, year, cultures) {
+    var kept = series && series.length && series[series.length - 1].year === year ? series.slice(0, -1) : series || [];
+    return kept.concat([sampleOf(year, cultures)]);
+  }
+
+  /** One culture's values of `key` over time: [{ year, value }], for the samples it appears in. */
+  function metricSeries(series, id, key) {
+    var out = [];
+    series.forEach(function (s) {
+      var c = s.cultures.find(function (x) { return x.id === id; });
+      if (c) out.push({ year: s.year, value: c[key] });
+    });
+    return out;
+  }
+
+  /** World figures per sample: each metric combined as STAT_METRICS says, plus culture count and regime counts. */
+  function worldSeries(series) {
+    return series.map(function (s) {
+      var people = s.cultures.reduce(function (sum, c) { return sum + c.population; }, 0);
+      var out = { year: s.year, cultures: s.cultures.length, regimes: {} };
+      STAT_METRICS.forEach(function (m) {
+        var total = s.cultures.reduce(function (sum, c) { return sum + (m.world === "sum" ? c[m.key] : c[m.key] * c.population); }, 0);
+        out[m.key] = m.world === "sum" ? total : people > 0 ? total / people : 0;
+      });
+      s.cultures.forEach(function (c) { out.regimes[c.regime] = (out.regimes[c.regime] || 0) + 1; });
+      return out;
+    });
+  }
+
+  /** A culture's regimes as [{ regime, from, to }]: `to` is the sample year the next regime was seen, or the last sample's. */
+  function regimeSpans(series, id) {
+    var spans = [];
+    series.forEach(function (s) {
+      var c = s.cultures.find(function (x) { return x.id === id; });
+      if (!c) return;
+      var last = spans[spans.length - 1];
+      if (last && last.regime === c.regime) last.to = s.year;
+      else {
+        if (last) last.to = s.year;
+        spans.push({ regime: c.regime, from: s.year, to: s.year });
+      }
+    });
+    return spans;
+  }
+
+  root.STAT_METRICS = STAT_METRICS;
+  root.recordSample = recordSample;
+  root.metricSeries = metricSeries;
+  root.worldSeries = worldSeries;
+  root.regimeSpans = regimeSpans;
+})(typeof window !== "undefined" ? window : globalThis);
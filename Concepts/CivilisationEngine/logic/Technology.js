@@ -0,0 +1,197 @@
+/**
+ * Technology for Integration: each culture tracks the TECHS it has unlocked (culture.techs, an id array).
+ * Research picks techs whose `req` are all known, weighted by resources, economy and what trade partners know;
+ * diffusion copies techs across trade, alliance and vassal ties. techLevel follows from what is unlocked.
+ */
+(function (root) {
+  "use strict";
+
+  /** Share of a level's techs a culture must know for that level to count as reached. */
+  var LEVEL_THRESHOLD = 0.6;
+
+  /** Techs a resource makes more attractive to research. */
+  var RESOURCE_TECHS = {
+    Grain: ["farming", "storage", "irrigation", "plough", "windmill", "horsecollar"],
+    Livestock: ["domestication", "draft", "stirrup", "horsecollar"],
+    Timber: ["shelter", "boats", "sailing", "shipbuilding", "navy"],
+    Metals: ["copper", "bronze", "bronze2", "iron", "ironweap", "steel1", "blast", "steel2"],
+    Spices: ["trade", "sailing", "oceannav", "banking"],
+    Fish: ["fishhook", "boats", "sailing"],
+    Stone: ["masonry", "aqueduct", "roads", "engineering"],
+    Salt: ["storage", "trade", "coinage"],
+    Gold: ["coinage", "finance1", "banking", "accounting"],
+    Gems: ["glasswork", "optics", "trade"],
+    Coal: ["blast", "steam", "railroad", "steel2"],
+    Oil: ["chemind", "combustion", "flight", "automation1"],
+    Uranium: ["nuclear", "fusion", "materials1"],
+    "Rare Earths": ["elec2", "computing1", "computing2", "renewable", "quantum"],
+  };
+
+  /** Techs an economy type makes more attractive to research. */
+  var ECONOMY_TECHS = {
+    Agricultural: ["farming", "irrigation", "plough", "storage", "calendar", "windmill", "horsecollar"],
+    Trade: ["trade", "sailing", "coinage", "finance1", "banking", "accounting", "oceannav", "mapmaking"],
+    Extractive: ["copper", "bronze", "iron", "blast", "steam", "spacemining"],
+    Manufacturing: ["engineering", "windmill", "clockwork", "steam", "automation1"],
+    Industrial: ["steel2", "railroad", "chemind", "combustion", "elec2"],
+    Digital: ["computing1", "computing2", "internet", "AI1", "AI2"],
+    Pastoral: ["domestication", "tracking", "stirrup"],
+  };
+
+  function knownSet(techs) {
+    var set = {};
+    techs.forEach(function (id) { set[id] = true; });
+    return set;
+  }
+
+  function availableTechs(known) {
+    return root.TECHS.filter(function (t) { return !known[t.id] && t.req.every(function (r) { return known[r]; }); });
+  }
+
+  /** Highest level L such that every level 1..L has at least LEVEL_THRESHOLD of its techs known (minimum 1). */
+  function techLevelFromTechs(techs) {
+    var known = knownSet(techs);
+    var lvl = 0;
+    for (var i = 0; i < root.LEVELS.length; i++) {
+      var id = root.LEVELS[i].id;
+      var atLevel = root.TECHS.filter(function (t) { return t.level === id; });
+      var have = atLevel.filter(function (t) { return known[t.id]; }).length;
+      if (!atLevel.length || have < Math.ceil(atLevel.length * LEVEL_THRESHOLD)) break;
+      lvl = id;
+    }
+    return Math.max(1, lvl);
+  }
+
+  /** Research weight of a tech for a culture: cheap catch-up techs first, then resource/economy/partner affinity. */
+  function techWeight(t, culture, partnerKnows) {
+    var w = 1 / (1 + Math.max(0, t.level - culture.techLevel) * 2);
+    culture.resources.forEach(function (r) { if ((RESOURCE_TECHS[r] || []).indexOf(t.id) >= 0) w *= 2; });
+    culture.economy.forEach(function (e) { if ((ECONOMY_TECHS[e] || []).indexOf(t.id) >= 0) w *= 1.5; });
+    if (partnerKnows[t.id]) w *= 1 + partnerKnows[t.id];
+    return w;
+  }
+
+  function weightedPick(rng, items, weights) {
+    var total = 0;
+    for (var i = 0; i < weights.length; i++) total += weights[i];
+    var x = rng() * total;
+    for (var k = 0; k < items.length; k++) {
+      x -= weights[k];
+      if (x <= 0) return items[k];
+    }
+    return items[items.length - 1];
+  }
+
+  /** Starting techs for a culture founded at `techLevel`: every lower level, plus enough of its own level to reach it. */
+  function initialTechs(techLevel, culture, rng) {
+    var known = {};
+    var techs = [];
+    root.TECHS.forEach(function (t) {
+      if (t.level < techLevel) { known[t.id] = true; techs.push(t.id); }
+    });
+    var atLevel = root.TECHS.filter(function (t) { return t.level === techLevel; });
+    var need = Math.ceil(atLevel.length * LEVEL_THRESHOLD);
+    var probe = { techLevel: techLevel, resources: culture.resources, economy: culture.economy };
+    for (var n = 0; n < need; n++) {
+      var options = availableTechs(known).filter(function (t) { return t.level === techLevel; });
+      if (!options.length) break;
+      var t = weightedPick(rng, options, options.map(function (o) { return techWeight(o, probe, {}); }));
+      known[t.id] = true;
+      techs.push(t.id);
+    }
+    return techs;
+  }
+
+  /**
+   * Researches techs for one turn. Returns the ids unlocked (culture.techs is updated in place).
+   * `partners` are the cultures it trades or allies with; techs they know are easier to pick up. `boost` adds
+   * techs per 25 years (funded research, logic/Player.js).
+   */
+  function researchTechs(culture, partners, dt, rng, boost) {
+    var known = knownSet(culture.techs);
+    var partnerKnows = {};
+    partners.forEach(function (p) { p.techs.forEach(function (id) { partnerKnows[id] = (partnerKnows[id] || 0) + 1; }); });
+    var rate = (0.2 + partners.length * 0.06 + (culture.stability > 65 ? 0.15 : culture.stability < 35 ? -0.15 : 0) + culture.sliders.capacity * 0.05 + (boost || 0)) * dt / 25;
+    var count = Math.floor(Math.max(0, rate)) + (rng() < Math.max(0, rate) % 1 ? 1 : 0);
+    var gained = [];
+    for (var n = 0; n < count; n++) {
+      var options = availableTechs(known);
+      if (!options.length) break;
+      var t = weightedPick(rng, options, options.map(function (o) { return techWeight(o, culture, partnerKnows); }));
+      known[t.id] = true;
+      culture.techs.push(t.id);
+      gained.push(t.id);
+    }
+    return gained;
+  }
+
+  /**
+   * Diffusion along one tie: `learner` may adopt one tech `teacher` knows whose prerequisites it already has.
+   * `strength` scales the chance (trade potential, vassal ties). Returns the tech id learned or null.
+   */
+  function diffuseTech(learner, teacher, strength, dt, rng) {
+    if (rng() > Math.min(0.9, strength * dt / 25)) return null;
+    var known = knownSet(learner.techs);
+    var options = availableTechs(known).filter(function (t) { return teacher.techs.indexOf(t.id) >= 0; });
+    if (!options.length) return null;
+    options.sort(function (a, b) { return a.level - b.level || (a.id < b.id ? -1 : 1); });
+    learner.techs.push(options[0].id);
+    return options[0].id;
+  }
+
+  function techName(id) {
+    var t = root.TECHS.find(function (x) { return x.id === id; });
+    return t ? t.name : id;
+  }
+
+  /**
+   * The techs still missing for `targetId` given `known` (id -> true): every unknown prerequisite, transitively, and
+   * the target itself, in an order they can be researched (each tech's reqs in Tech Tree order, before it). Empty
+   * when the target is known.
+   */
+  function researchPath(targetId, known) {
+    var byId = {};
+    root.TECHS.forEach(function (t) { byId[t.id] = t; });
+    var layoutOrder = function (a, b) { return byId[a].level - byId[b].level || byId[a].col - byId[b].col || byId[a].row - byId[b].row; };
+    var path = [];
+    var seen = {};
+    var visit = function (id) {
+      if (seen[id] || known[id] || !byId[id]) return;
+      seen[id] = true;
+      byId[id].req.slice().sort(layoutOrder).forEach(visit);
+      path.push(id);
+    };
+    visit(targetId);
+    return path;
+  }
+
+  /** Known techs that need `id`, directly or through others, in Tech Tree order: what re-locking it takes with it. */
+  function dependentTechs(id, known) {
+    var gone = {};
+    gone[id] = true;
+    var out = [];
+    var changed = true;
+    while (changed) {
+      changed = false;
+      root.TECHS.forEach(function (t) {
+        if (!gone[t.id] && known[t.id] && t.req.some(function (r) { return gone[r]; })) {
+          gone[t.id] = true;
+          out.push(t);
+          changed = true;
+        }
+      });
+    }
+    out.sort(function (a, b) { return a.level - b.level || a.col - b.col || a.row - b.row; });
+    return out.map(function (t) { return t.id; });
+  }
+
+  root.LEVEL_THRESHOLD = LEVEL_THRESHOLD;
+  root.availableTechs = availableTechs;
+  root.techLevelFromTechs = techLevelFromTechs;
+  root.initialTechs = initialTechs;
+  root.researchTechs = researchTechs;
+  root.diffuseTech = diffuseTech;
+  root.techName = techName;
+  root.researchPath = researchPath;
+  root.dependentTechs = dependentTechs;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,268 @@
+/**
+ * Territory for Integration: a tile map on the 600×400 History canvas.
+ * Each tile is a province with a terrain from TERRAINS and an owner culture id (or null for wilderness).
+ * Map shape: { cols, rows, cell, terrain: [], owner: [] } — flat arrays indexed row * cols + col.
+ */
+(function (root) {
+  "use strict";
+
+  var MAP_W = 600;
+  var MAP_H = 400;
+  var CELL = 20;
+  var TERRAIN_PATCHES = 18;
+
+  function tileIndex(map, x, y) {
+    var col = Math.max(0, Math.min(map.cols - 1, Math.floor(x / map.cell)));
+    var row = Math.max(0, Math.min(map.rows - 1, Math.floor(y / map.cell)));
+    return row * map.cols + col;
+  }
+
+  function tileCenter(map, i) {
+    return { x: (i % map.cols) * map.cell + map.cell / 2, y: Math.floor(i / map.cols) * map.cell + map.cell / 2 };
+  }
+
+  function neighbours(map, i) {
+    var col = i % map.cols;
+    var row = Math.floor(i / map.cols);
+    var out = [];
+    if (col > 0) out.push(i - 1);
+    if (col < map.cols - 1) out.push(i + 1);
+    if (row > 0) out.push(i - map.cols);
+    if (row < map.rows - 1) out.push(i + map.cols);
+    return out;
+  }
+
+  function moveCost(terrain) {
+    var TB = root.TERRAIN_BARRIERS;
+    return (TB[terrain] || TB.Plains).moveCost;
+  }
+
+  /** Terrain patches (nearest-centre regions) seeded from the config terrains, with capitals forced to their culture's terrain. */
+  function generateTerrain(map, cultures, config, rng) {
+    var pick = root.pick;
+    var rand = root.rand;
+    var TERRAINS = root.TERRAINS;
+    var centres = [];
+    for (var p = 0; p < TERRAIN_PATCHES; p++) {
+      var pool = rng() < 0.7 && config.terrains.length ? config.terrains : TERRAINS;
+      centres.push({ x: rand(rng, 0, MAP_W), y: rand(rng, 0, MAP_H), terrain: pick(rng, pool) });
+    }
+    cultures.forEach(function (c) { centres.push({ x: c.x, y: c.y, terrain: c.terrain }); });
+    for (var i = 0; i < map.cols * map.rows; i++) {
+      var at = tileCenter(map, i);
+      var best = null;
+      var bestD = Infinity;
+      for (var k = 0; k < centres.length; k++) {
+        var dx = centres[k].x - at.x;
+        var dy = centres[k].y - at.y;
+        var d = dx * dx + dy * dy;
+        if (d < bestD) { bestD = d; best = centres[k]; }
+      }
+      map.terrain[i] = best.terrain;
+    }
+  }
+
+  /** Grows every culture out from its capital by terrain move cost until its claim budget runs out. */
+  function claimInitialTerritory(map, cultures) {
+    var cost = [];
+    var i;
+    for (i = 0; i < map.cols * map.rows; i++) cost[i] = Infinity;
+    var frontier = [];
+    cultures.forEach(function (c) {
+      var t = tileIndex(map, c.x, c.y);
+      map.owner[t] = c.id;
+      cost[t] = 0;
+      frontier.push({ i: t, cost: 0, id: c.id, budget: 3 + c.drivers.scale * 1.5 });
+    });
+    while (frontier.length) {
+      frontier.sort(function (a, b) { return a.cost - b.cost; });
+      var cur = frontier.shift();
+      if (cur.cost > cost[cur.i]) continue;
+      neighbours(map, cur.i).forEach(function (n) {
+        var nc = cur.cost + moveCost(map.terrain[n]);
+        if (nc > cur.budget || nc >= cost[n]) return;
+        cost[n] = nc;
+        map.owner[n] = cur.id;
+        frontier.push({ i: n, cost: nc, id: cur.id, budget: cur.budget });
+      });
+    }
+  }
+
+  function generateMap(cultures, config, rng) {
+    var cols = MAP_W / CELL;
+    var rows = MAP_H / CELL;
+    var map = { cols: cols, rows: rows, cell: CELL, terrain: [], owner: [] };
+    for (var i = 0; i < cols * rows; i++) map.owner.push(null);
+    generateTerrain(map, cultures, config, rng);
+    claimInitialTerritory(map, cultures);
+    return map;
+  }
+
+  function copyMap(map) {
+    return { cols: map.cols, rows: map.rows, cell: map.cell, terrain: map.terrain, owner: map.owner.slice() };
+  }
+
+  function provinceCount(map, id) {
+    var n = 0;
+    for (var i = 0; i < map.owner.length; i++) if (map.owner[i] === id) n++;
+    return n;
+  }
+
+  function isCapital(map, cultures, i) {
+    return cultures.some(function (c) { return tileIndex(map, c.x, c.y) === i; });
+  }
+
+  /** Tiles owned by `fromId` that touch a tile owned by `toId` (or unowned land when toId is null). */
+  function frontierTiles(map, fromId, toId) {
+    var out = [];
+    for (var i = 0; i < map.owner.length; i++) {
+      if (map.owner[i] !== fromId) continue;
+      if (neighbours(map, i).some(function (n) { return map.owner[n] === toId; })) out.push(i);
+    }
+    return out;
+  }
+
+  /**
+   * Moves up to `fraction` of `fromId`'s provinces to `toId`, starting at their shared border and
+   * spreading inward. Capitals never change hands. Returns the number of provinces moved.
+   */
+  function transferProvinces(map, cultures, fromId, toId, fraction) {
+    var total = provinceCount(map, fromId);
+    var want = Math.max(1, Math.floor(total * fraction));
+    var moved = 0;
+    while (moved < want) {
+      var edge = frontierTiles(map, fromId, toId).filter(function (i) { return !isCapital(map, cultures, i); });
+      if (!edge.length) break;
+      for (var k = 0; k < edge.length && moved < want; k++) {
+        map.owner[edge[k]] = toId;
+        moved++;
+      }
+    }
+    return moved;
+  }
+
+  /** Claims up to `n` adjacent wilderness tiles, cheapest terrain first. */
+  function expandTerritory(map, id, n) {
+    var claimed = 0;
+    while (claimed < n) {
+      var options = [];
+      for (var i = 0; i < map.owner.length; i++) {
+        if (map.owner[i] !== null) continue;
+        if (neighbours(map, i).some(function (x) { return map.owner[x] === id; })) options.push(i);
+      }
+      if (!options.length) break;
+      options.sort(function (a, b) { return moveCost(map.terrain[a]) - moveCost(map.terrain[b]) || a - b; });
+      map.owner[options[0]] = id;
+      claimed++;
+    }
+    return claimed;
+  }
+
+  /** A collapsing state loses `fraction` of its outer provinces to wilderness. */
+  function collapseTerritory(map, cultures, id, fraction) {
+    var want = Math.floor(provinceCount(map, id) * fraction);
+    var lost = 0;
+    while (lost < want) {
+      var edge = frontierTiles(map, id, null);
+      if (!edge.length) {
+        edge = [];
+        for (var i = 0; i < map.owner.length; i++) {
+          if (map.owner[i] === id && neighbours(map, i).some(function (n) { return map.owner[n] !== id; })) edge.push(i);
+        }
+      }
+      edge = edge.filter(function (i) { return !isCapital(map, cultures, i); });
+      if (!edge.length) break;
+      for (var k = 0; k < edge.length && lost < want; k++) {
+        map.owner[edge[k]] = null;
+        lost++;
+      }
+    }
+    return lost;
+  }
+
+  /**
+   * Hands `fraction` of `fromId`'s provinces to a breakaway `toId`: the region grown outward from the province
+   * farthest from `fromId`'s capital. Returns { moved, capital: { x, y } } with the breakaway's new capital.
+   */
+  function splitTerritory(map, cultures, fromId, toId, fraction) {
+    var from = cultures.find(function (c) { return c.id === fromId; });
+    var home = tileCenter(map, tileIndex(map, from.x, from.y));
+    var start = -1;
+    var far = -1;
+    for (var i = 0; i < map.owner.length; i++) {
+      if (map.owner[i] !== fromId || isCapital(map, cultures, i)) continue;
+      var at = tileCenter(map, i);
+      var d = (at.x - home.x) * (at.x - home.x) + (at.y - home.y) * (at.y - home.y);
+      if (d > far) { far = d; start = i; }
+    }
+    if (start < 0) return { moved: 0, capital: null };
+    var want = Math.max(1, Math.floor(provinceCount(map, fromId) * fraction));
+    var queue = [start];
+    var seen = {};
+    seen[start] = true;
+    var moved = 0;
+    while (queue.length && moved < want) {
+      var t = queue.shift();
+      map.owner[t] = toId;
+      moved++;
+      neighbours(map, t).forEach(function (n) {
+        if (seen[n] || map.owner[n] !== fromId || isCapital(map, cultures, n)) return;
+        seen[n] = true;
+        queue.push(n);
+      });
+    }
+    return { moved: moved, capital: tileCenter(map, start) };
+  }
+
+  /**
+   * Terrain between two cultures: the tiles on either side of their shared border, or, when they do not
+   * touch, the tiles along the straight line between their capitals. Returns { counts, length, shared }.
+   */
+  function terrainBetween(map, a, b) {
+    var counts = {};
+    var length = 0;
+    var i;
+    for (i = 0; i < map.owner.length; i++) {
+      if (map.owner[i] !== a.id) continue;
+      var ns = neighbours(map, i);
+      for (var k = 0; k < ns.length; k++) {
+        if (map.owner[ns[k]] !== b.id) continue;
+        counts[map.terrain[i]] = (counts[map.terrain[i]] || 0) + 1;
+        counts[map.terrain[ns[k]]] = (counts[map.terrain[ns[k]]] || 0) + 1;
+        length++;
+      }
+    }
+    if (length > 0) return { counts: counts, length: length, shared: true };
+    var steps = Math.max(2, Math.ceil(Math.sqrt((a.x - b.x) * (a.x - b.x) + (a.y - b.y) * (a.y - b.y)) / (map.cell / 2)));
+    for (var s = 0; s <= steps; s++) {
+      var t = map.terrain[tileIndex(map, a.x + (b.x - a.x) * s / steps, a.y + (b.y - a.y) * s / steps)];
+      counts[t] = (counts[t] || 0) + 1;
+    }
+    return { counts: counts, length: 0, shared: false };
+  }
+
+  /** Edges between tiles of different owners, for drawing borders: [{ x1, y1, x2, y2 }]. */
+  function borderSegments(map) {
+    var segs = [];
+    var c = map.cell;
+    for (var i = 0; i < map.owner.length; i++) {
+      var col = i % map.cols;
+      var row = Math.floor(i / map.cols);
+      var o = map.owner[i];
+      if (col < map.cols - 1 && map.owner[i + 1] !== o && (o !== null || map.owner[i + 1] !== null)) segs.push({ x1: (col + 1) * c, y1: row * c, x2: (col + 1) * c, y2: (row + 1) * c });
+      if (row < map.rows - 1 && map.owner[i + map.cols] !== o && (o !== null || map.owner[i + map.cols] !== null)) segs.push({ x1: col * c, y1: (row + 1) * c, x2: (col + 1) * c, y2: (row + 1) * c });
+    }
+    return segs;
+  }
+
+  root.tileIndex = tileIndex;
+  root.generateMap = generateMap;
+  root.copyMap = copyMap;
+  root.provinceCount = provinceCount;
+  root.transferProvinces = transferProvinces;
+  root.expandTerritory = expandTerritory;
+  root.collapseTerritory = collapseTerritory;
+  root.splitTerritory = splitTerritory;
+  root.terrainBetween = terrainBetween;
+  root.borderSegments = borderSegments;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,141 @@
+/**
+ * Timeline for Integration: per-turn snapshots of a History run, kept as deltas so any past year can be redrawn.
+ * `run.timeline` is [{ year, back }], oldest first: `back` is the patch that turns the state after that turn into
+ * the state at `year`, so the run itself is the latest snapshot and going back applies patches newest first.
+ * A patch is a number, string, boolean or null (replace with it), { v: value } (replace), { o: { key: patch },
+ * d: [deleted keys] } (object) or { n: length, k: shift, i: { index: patch } } (array, its items first moved `k`
+ * places). runAt rebuilds the run as it stood in a past
+ * year; branchRun forks it there.
+ */
+(function (root) {
+  "use strict";
+
+  /** The run fields a snapshot covers; series and history are cut by year instead. */
+  var SNAPSHOT_FIELDS = ["year", "cultures", "relations", "map", "wars", "scenario", "climate", "galaxy", "player"];
+
+  function copy(v) {
+    return v === undefined ? v : JSON.parse(JSON.stringify(v));
+  }
+
+  function isObject(v) {
+    return v !== null && typeof v === "object";
+  }
+
+  function snapshotOf(run) {
+    var s = {};
+    SNAPSHOT_FIELDS.forEach(function (k) { s[k] = run[k]; });
+    return s;
+  }
+
+  function same(x, y) {
+    return x === y || (isObject(x) && isObject(y) && JSON.stringify(x) === JSON.stringify(y));
+  }
+
+  /**
+   * How far `b`'s items sit from where they were in `a`: 1 when one was put in front, -2 when two were dropped
+   * from the front, as in a list kept to its last N entries. 0 when neither end moved.
+   */
+  function shiftOf(a, b) {
+    if (!a.length || !b.length || same(a[0], b[0])) return 0;
+    for (var k = 1; k <= 3; k++) {
+      if (k < b.length && same(a[0], b[k])) return k;
+      if (k < a.length && same(a[k], b[0])) return -k;
+    }
+    return 0;
+  }
+
+  /** The patch that turns `a` into `b`, or undefined when they are equal. */
+  function diff(a, b) {
+    if (a === b) return undefined;
+    if (!isObject(b)) return b;
+    if (!isObject(a) || Array.isArray(a) !== Array.isArray(b)) return { v: b };
+    var any = false;
+    if (Array.isArray(a)) {
+      var k = shiftOf(a, b);
+      var items = {};
+      for (var i = 0; i < b.length; i++) {
+        var ip = i - k >= 0 && i - k < a.length ? diff(a[i - k], b[i]) : { v: b[i] };
+        if (ip !== undefined) { items[i] = ip; any = true; }
+      }
+      if (!any && !k && a.length === b.length) return undefined;
+      return k ? { n: b.length, k: k, i: items } : { n: b.length, i: items };
+    }
+    var fields = {};
+    var gone = Object.keys(a).filter(function (k) { return !(k in b); });
+    Object.keys(b).forEach(function (k) {
+      var kp = k in a ? diff(a[k], b[k]) : { v: b[k] };
+      if (kp !== undefined) { fields[k] = kp; any = true; }
+    });
+    if (!any && !gone.length) return undefined;
+    return gone.length ? { o: fields, d: gone } : { o: fields };
+  }
+
+  /** Applies `p` to `a` in place where it can; returns the result. Replaced values are copied in. */
+  function patch(a, p) {
+    if (!isObject(p)) return p;
+    if ("v" in p) return copy(p.v);
+    if (p.o) {
+      Object.keys(p.o).forEach(function (k) { a[k] = patch(a[k], p.o[k]); });
+      (p.d || []).forEach(function (k) { delete a[k]; });
+      return a;
+    }
+    if (p.k) a = p.k > 0 ? new Array(p.k).concat(a) : a.slice(-p.k);
+    a.length = p.n;
+    Object.keys(p.i).forEach(function (i) { a[i] = patch(a[i], p.i[i]); });
+    return a;
+  }
+
+  /**
+   * A copy of the run's state to diff against once the turn has run (simulateTurn may reuse objects), or null when
+   * the run keeps no timeline.
+   */
+  function beforeTurn(run) {
+    return run.timeline ? copy(snapshotOf(run)) : null;
+  }
+
+  /** The run's timeline with the turn from `before` (beforeTurn) to `next` added. */
+  function recordTurn(run, before, next) {
+    if (!before) return null;
+    return run.timeline.concat([{ year: before.year, back: diff(snapshotOf(next), before) || { o: {} } }]);
+  }
+
+  /** Years the run can be viewed at: every recorded turn and the present. */
+  function timelineYears(run) {
+    return (run.timeline || []).map(function (f) { return f.year; }).concat([run.year]);
+  }
+
+  /**
+   * The run as it stood at the end of `year`: its state, series, history and timeline cut there. Returns the run
+   * itself for its own year, and throws for a year the timeline does not hold.
+   */
+  function runAt(run, year) {
+    if (year === run.year) return run;
+    var frames = run.timeline || [];
+    if (!frames.some(function (f) { return f.year === year; })) throw new Error("No snapshot for year " + year);
+    var state = copy(snapshotOf(run));
+    for (var i = frames.length - 1; i >= 0 && frames[i].year >= year; i--) state = patch(state, frames[i].back);
+    return Object.assign({}, run, state, {
+      series: run.series.filter(function (s) { return s.year <= year; }),
+      history: run.history.filter(function (h) { return h.year <= year; }),
+      timeline: frames.filter(function (f) { return f.year < year; }),
+    });
+  }
+
+  /** A new run forked from `run` at `year` that plays on with `seed` (logic/HistoryRun.js draws each turn from it). */
+  function branchRun(run, year, seed) {
+    var at = runAt(run, year);
+    var note = { type: "branch", desc: "Branched at year " + year + " from seed " + run.seed + " with seed " + seed, actors: [], cause: null, effects: [] };
+    var last = at.history[at.history.length - 1];
+    var history = at.history.slice(0, -1).concat([Object.assign({}, last, { events: last.events.concat([note]) })]);
+    return Object.assign({}, at, { seed: seed, history: history, timeline: at.timeline.slice() });
+  }
+
+  root.SNAPSHOT_FIELDS = SNAPSHOT_FIELDS;
+  root.diffState = diff;
+  root.patchState = patch;
+  root.beforeTurn = beforeTurn;
+  root.recordTurn = recordTurn;
+  root.timelineYears = timelineYears;
+  root.runAt = runAt;
+  root.branchRun = branchRun;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,190 @@
+/**
+ * Validation for Integration: integrity checks over the shared tables in data/SharedData.js, or the tables a
+ * content pack produces (logic/ContentPack.js). validateTables returns issues as data,
+ * { severity, table, id, field, message }: "error" for what breaks the sim or the charts (unknown ids, cycles,
+ * overlapping tech cells, regimes missing from the Regime Chart) and "warning" for what is only suspicious.
+ * `node --test test/` runs the checks over the shipped tables.
+ */
+(function (root) {
+  "use strict";
+
+  /** The shared tables validateTables reads, by their global names. */
+  var TABLES = ["LEVELS", "TECHS", "REGIMES", "TRANSITIONS", "REGIME_TRANSITIONS_LIST", "REGIME_WEIGHTS", "R_BRACKETS", "RELIGIONS", "LANGUAGES", "RESOURCES", "NAME_PARTS"];
+  var SLIDERS = ["coercion", "capacity", "inclusiveness"];
+  var WHEN_KEYS = ["coercion", "capacity", "inclusiveness", "scale", "revBase", "threat", "stability", "legitimacy"];
+  var SUCCESSIONS = ["hereditary", "elected", "coup"];
+
+  function liveTables() {
+    var t = {};
+    TABLES.forEach(function (k) { t[k] = root[k]; });
+    return t;
+  }
+
+  function isLevel(v) {
+    return typeof v === "number" && v >= 1 && v <= 15 && Math.floor(v) === v;
+  }
+
+  function isRange(v, lo, hi) {
+    return Array.isArray(v) && v.length === 2 && typeof v[0] === "number" && typeof v[1] === "number" && v[0] >= lo && v[1] <= hi && v[0] <= v[1];
+  }
+
+  function isStrings(v) {
+    return Array.isArray(v) && v.length > 0 && v.every(function (x) { return typeof x === "string" && x; });
+  }
+
+  function checkRegimes(t, add) {
+    if (!t.REGIMES.failed) add("error", "regimes", "failed", null, "is needed: collapses fall back to it");
+    Object.keys(t.REGIMES).forEach(function (id) {
+      var r = t.REGIMES[id];
+      if (typeof r.name !== "string" || !r.name) add("error", "regimes", id, "name", "is missing");
+      if (typeof r.icon !== "string" || !r.icon) add("error", "regimes", id, "icon", "is missing");
+      if (!isLevel(r.minLvl)) add("error", "regimes", id, "minLvl", "must be a whole number 1–15");
+      if (!isLevel(r.maxLvl)) add("error", "regimes", id, "maxLvl", "must be a whole number 1–15");
+      if (isLevel(r.minLvl) && isLevel(r.maxLvl) && r.minLvl > r.maxLvl) add("error", "regimes", id, "minLvl", "minLvl " + r.minLvl + " is above maxLvl " + r.maxLvl);
+      SLIDERS.forEach(function (s) { if (!isRange(r[s], 1, 5)) add("error", "regimes", id, s, "must be a [min, max] range within 1–5"); });
+      if (SUCCESSIONS.indexOf(r.succession) < 0) add("error", "regimes", id, "succession", "must be one of " + SUCCESSIONS.join(", "));
+    });
+  }
+
+  /** Unknown and later-level reqs, duplicate ids, shared layout cells and req cycles. */
+  function checkTechs(t, add) {
+    var byId = {};
+    var cells = {};
+    var levels = t.LEVELS.map(function (l) { return l.id; });
+    t.TECHS.forEach(function (tech) {
+      if (byId[tech.id]) add("error", "techs", tech.id, "id", "is defined twice");
+      byId[tech.id] = tech;
+    });
+    t.TECHS.forEach(function (tech) {
+      if (typeof tech.name !== "string" || !tech.name) add("error", "techs", tech.id, "name", "is missing");
+      if (levels.indexOf(tech.level) < 0) add("error", "techs", tech.id, "level", "must be one of the LEVELS ids (1–" + levels.length + ")");
+      ["col", "row"].forEach(function (k) { if (typeof tech[k] !== "number" || tech[k] < 1 || Math.floor(tech[k]) !== tech[k]) add("error", "techs", tech.id, k, "must be a whole number from 1"); });
+      var cell = tech.level + "/" + tech.col + "/" + tech.row;
+      if (cells[cell]) add("error", "techs", tech.id, "row", "shares level " + tech.level + ", col " + tech.col + ", row " + tech.row + " with " + cells[cell] + " in the Tech Tree");
+      else cells[cell] = tech.id;
+      if (!Array.isArray(tech.req)) {
+        add("error", "techs", tech.id, "req", "must be a list of tech ids");
+        return;
+      }
+      tech.req.forEach(function (r) {
+        if (!byId[r]) add("error", "techs", tech.id, "req", "unknown req id " + JSON.stringify(r));
+        else if (byId[r].level > tech.level) add("error", "techs", tech.id, "req", "req " + r + " is at a later level (" + byId[r].level + ")");
+      });
+    });
+
+    // A cycle in the req graph makes its techs unresearchable; report each cycle once, at its first tech.
+    var state = {};
+    var stack = [];
+    var visit = function (id) {
+      state[id] = "open";
+      stack.push(id);
+      (byId[id].req || []).forEach(function (r) {
+        if (!byId[r]) return;
+        if (state[r] === "open") add("error", "techs", r, "req", "is in a req cycle: " + stack.slice(stack.indexOf(r)).concat([r]).join(" → "));
+        else if (!state[r]) visit(r);
+      });
+      stack.pop();
+      state[id] = "done";
+    };
+    t.TECHS.forEach(function (tech) { if (!state[tech.id] && Array.isArray(tech.req)) visit(tech.id); });
+  }
+
+  /** TRANSITIONS (the chart's arrows), REGIME_TRANSITIONS_LIST (modelled causes) and R_BRACKETS against REGIMES. */
+  function checkTransitions(t, add) {
+    var known = function (id) { return !!t.REGIMES[id]; };
+    Object.keys(t.TRANSITIONS).forEach(function (from) {
+      if (!known(from)) add("error", "transitions", from, null, "unknown regime " + JSON.stringify(from));
+      t.TRANSITIONS[from].forEach(function (to) {
+        if (!known(to)) add("error", "transitions", from, null, "unknown target " + JSON.stringify(to));
+        else if (known(from) && !t.REGIME_TRANSITIONS_LIST.some(function (rt) { return rt.from === from && rt.to === to; })) {
+          add("warning", "transitions", from + " → " + to, null, "is drawn but has no modelled cause in REGIME_TRANSITIONS_LIST");
+        }
+      });
+    });
+    t.REGIME_TRANSITIONS_LIST.forEach(function (rt) {
+      var id = rt.from + " → " + rt.to;
+      if (!known(rt.from)) add("error", "regimeTransitions", id, "from", "unknown regime " + JSON.stringify(rt.from));
+      if (!known(rt.to)) add("error", "regimeTransitions", id, "to", "unknown target " + JSON.stringify(rt.to));
+      if (known(rt.from) && known(rt.to) && (t.TRANSITIONS[rt.from] || []).indexOf(rt.to) < 0) {
+        add("warning", "regimeTransitions", id, null, "is not drawn: add " + rt.to + " to TRANSITIONS." + rt.from);
+      }
+      if (typeof rt.label !== "string" || !rt.label) add("error", "regimeTransitions", id, "label", "is missing");
+      if (typeof rt.p !== "number" || rt.p <= 0 || rt.p > 1) add("error", "regimeTransitions", id, "p", "must be a chance in (0, 1]");
+      if (!rt.when || typeof rt.when !== "object") {
+        add("error", "regimeTransitions", id, "when", "is missing");
+        return;
+      }
+      Object.keys(rt.when).forEach(function (k) {
+        if (WHEN_KEYS.indexOf(k) < 0) add("error", "regimeTransitions", id, "when." + k, "is not one of " + WHEN_KEYS.join(", "));
+        else if (k === "legitimacy" ? !isStrings(rt.when[k]) : !isRange(rt.when[k], k === "stability" ? 0 : 1, k === "stability" ? 100 : 5)) add("error", "regimeTransitions", id, "when." + k, "is not a valid condition");
+      });
+    });
+
+    var placed = {};
+    t.R_BRACKETS.forEach(function (b, i) {
+      if (b.col !== i) add("error", "brackets", String(i), "col", "is " + b.col + " but the bracket is at position " + i);
+      b.ids.forEach(function (id) {
+        if (!known(id)) add("error", "brackets", String(i), "ids", "unknown regime " + JSON.stringify(id) + " (drawn as ?)");
+        else if (placed[id] !== undefined) add("error", "brackets", String(i), "ids", id + " is already in bracket " + placed[id]);
+        else placed[id] = i;
+      });
+    });
+    Object.keys(t.REGIMES).forEach(function (id) {
+      if (placed[id] === undefined) add("error", "regimes", id, null, "is in no R_BRACKETS column, so the Regime Chart leaves it out");
+    });
+  }
+
+  function checkWeights(t, add) {
+    Object.keys(t.REGIME_WEIGHTS).forEach(function (lvl) {
+      if (!isLevel(+lvl)) add("error", "regimeWeights", lvl, null, "is not a level 1–15");
+      Object.keys(t.REGIME_WEIGHTS[lvl]).forEach(function (id) {
+        var w = t.REGIME_WEIGHTS[lvl][id];
+        var r = t.REGIMES[id];
+        if (!r) add("error", "regimeWeights", lvl, id, "unknown regime " + JSON.stringify(id));
+        else if (+lvl < r.minLvl || +lvl > r.maxLvl) add("warning", "regimeWeights", lvl, id, "is ignored: " + id + " is not valid at level " + lvl);
+        var values = w && typeof w === "object" ? Object.keys(w).map(function (k) {
+          if (k !== "default" && root.TERRAINS.indexOf(k) < 0) add("error", "regimeWeights", lvl, id + "." + k, "is not default or a terrain");
+          return w[k];
+        }) : [w];
+        if (values.some(function (v) { return typeof v !== "number" || v < 0; })) add("error", "regimeWeights", lvl, id, "must be a weight >= 0 or { default, <terrain>: weight }");
+      });
+    });
+  }
+
+  function checkLists(t, add) {
+    ["RELIGIONS", "LANGUAGES", "RESOURCES"].forEach(function (k) {
+      var list = t[k];
+      if (!isStrings(list)) add("error", k.toLowerCase(), null, null, "must be a non-empty list of names");
+      else list.forEach(function (x, i) { if (list.indexOf(x) !== i) add("warning", k.toLowerCase(), x, null, "is listed twice"); });
+    });
+    Object.keys(t.NAME_PARTS).forEach(function (kind) {
+      Object.keys(t.NAME_PARTS[kind]).forEach(function (part) {
+        if (!t.NAME_PARTS[kind][part].length) add("error", "names", kind, part, "cannot be empty");
+      });
+    });
+  }
+
+  /** Issues in `tables` ({ TECHS, REGIMES, … } by global name; the live tables when omitted), errors first. */
+  function validateTables(tables) {
+    var t = tables || liveTables();
+    var issues = [];
+    var add = function (severity, table, id, field, message) {
+      issues.push({ severity: severity, table: table, id: id, field: field, message: message });
+    };
+    checkRegimes(t, add);
+    checkTechs(t, add);
+    checkTransitions(t, add);
+    checkWeights(t, add);
+    checkLists(t, add);
+    return issues.filter(function (i) { return i.severity === "error"; }).concat(issues.filter(function (i) { return i.severity === "warning"; }));
+  }
+
+  /** "techs.warp.req: unknown req id "x"" for an issue. */
+  function formatIssue(issue) {
+    return [issue.table, issue.id, issue.field].filter(function (x) { return x !== null && x !== undefined; }).join(".") + ": " + issue.message;
+  }
+
+  root.VALIDATED_TABLES = TABLES;
+  root.validateTables = validateTables;
+  root.formatIssue = formatIssue;
+})(typeof window !== "undefined" ? window : globalThis);
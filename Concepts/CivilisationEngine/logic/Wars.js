@@ -0,0 +1,268 @@
+/**
+ * Wars for Integration: wars as entities that run over several turns.
+ * A war is { id, name, goal, attackers: [ids], defenders: [ids], score, started, ended, battles: [], outcome, terms, winner }.
+ * Ended wars record `terms` (vassalage, border, tribute, white peace or collapse) and the `winner` id (null without one).
+ * Hostile pairs whose tension boils over declare war; allies answer through Alliance relations and vassals follow
+ * their overlord. Battles move the war score (positive favours the attackers) until one side can impose terms —
+ * vassalage, tribute or a border change — or exhaustion brings a white peace. Every war event carries `war: id`;
+ * declarations add the `goal`, allies joining the `side`, battles the `battle` name and `winner` side, and peace the
+ * `treaty`, `terms` and `winner` id.
+ */
+(function (root) {
+  "use strict";
+
+  var DECLARE_TENSION = 5.5;
+  var TRUCE_YEARS = 50;
+  var VICTORY_SCORE = 50;
+  var MAX_BATTLES = 12;
+  var TRIBUTE_SHARE = 0.2;
+  var TRIBUTE_YEARS = 50;
+
+  var GOAL_TEXT = { vassalage: "to make it a vassal", border: "over the border provinces", tribute: "to extract tribute" };
+
+  function power(c) {
+    return c.military * (c.sliders.capacity / 3) * (c.stability / 50) * (1 + c.techLevel / 15);
+  }
+
+  function sidePower(ids, byId) {
+    return ids.reduce(function (s, id) { return s + (byId[id] ? power(byId[id]) : 0); }, 0);
+  }
+
+  function inWar(war, id) {
+    return war.attackers.indexOf(id) >= 0 || war.defenders.indexOf(id) >= 0;
+  }
+
+  function opposes(war, x, y) {
+    return (war.attackers.indexOf(x) >= 0 && war.defenders.indexOf(y) >= 0) || (war.defenders.indexOf(x) >= 0 && war.attackers.indexOf(y) >= 0);
+  }
+
+  /** The active war with x and y on opposite sides, or null. */
+  function warBetween(wars, x, y) {
+    return wars.find(function (w) { return w.ended === null && opposes(w, x, y); }) || null;
+  }
+
+  /** The war between x and y (opposite sides) that ended in `year`, or null. */
+  function peaceBetween(wars, x, y, year) {
+    return wars.find(function (w) { return w.ended === year && opposes(w, x, y); }) || null;
+  }
+
+  function sideLabel(ids, byId) {
+    var lead = byId[ids[0]] ? byId[ids[0]].name : "?";
+    return ids.length > 1 ? lead + " and allies" : lead;
+  }
+
+  function warName(att, def, wars) {
+    var base = att.name + "–" + def.name + " War";
+    var n = wars.filter(function (w) { return w.name === base || w.name.slice(-base.length - 1) === " " + base; }).length;
+    return n ? ["Second", "Third", "Fourth", "Fifth"][Math.min(3, n - 1)] + " " + base : base;
+  }
+
+  function declareWars(s) {
+    s.relations.forEach(function (rel) {
+      var a = s.byId[rel.a];
+      var b = s.byId[rel.b];
+      if (!a || !b || a.vassalOf === b.id || b.vassalOf === a.id) return;
+      if (rel.status !== "War" && rel.status !== "Hostile") return;
+      if (warBetween(s.wars, a.id, b.id)) return;
+      // Open war for pairs already at War; hostile pairs go to war more readily the higher their tension and
+      // the more warlike their rulers.
+      var hawk = (root.rulerEffect(a, "war") + root.rulerEffect(b, "war")) / 2;
+      if (rel.status === "Hostile" && s.rng() >= Math.min(1, (rel.tension - DECLARE_TENSION) / 4 * hawk) * s.dt / 25) return;
+      var truce = s.wars.some(function (w) { return w.ended !== null && s.year - w.ended < TRUCE_YEARS && opposes(w, a.id, b.id); });
+      if (truce) return;
+      // The played culture only goes to war on its orders (logic/Player.js), so its rival is the one to declare.
+      var att = b.id === s.player || (a.id !== s.player && power(a) * a.sliders.coercion >= power(b) * b.sliders.coercion) ? a : b;
+      var def = att === a ? b : a;
+      openWar(s, att, def, power(att) > power(def) * 1.5 ? "vassalage" : rel.border > 0 ? "border" : "tribute", rel.status === "War" ? "open war" : "hostile relations (tension " + rel.tension.toFixed(1) + ")");
+    });
+  }
+
+  /** Opens a war; `cause` is why it was declared, for the event. */
+  function openWar(s, att, def, goal, cause) {
+    var war = { id: s.nextId++, name: warName(att, def, s.wars), goal: goal, attackers: [att.id], defenders: [def.id], score: 0, started: s.year, ended: null, battles: [], outcome: null, terms: null, winner: null };
+    s.wars.push(war);
+    s.events.push({ type: "war", war: war.id, goal: goal, desc: att.name + " declares war on " + def.name + " " + GOAL_TEXT[goal], actors: [att.id, def.id], cause: cause, effects: [war.name + " begins"] });
+    att.history.push({ year: s.year, event: "Declared the " + war.name });
+    def.history.push({ year: s.year, event: "Attacked: " + war.name });
+    callAllies(s, war, 0.7);
+  }
+
+  /** Allies of each side may join (`chance` each); overlords defend their vassals and vassals follow their overlord. */
+  function callAllies(s, war, chance) {
+    ["attackers", "defenders"].forEach(function (side) {
+      var other = side === "attackers" ? war.defenders : war.attackers;
+      war[side].slice().forEach(function (id) {
+        var member = s.byId[id];
+        var candidates = [];
+        s.relations.forEach(function (rel) {
+          if (rel.status !== "Alliance" || (rel.a !== id && rel.b !== id)) return;
+          candidates.push({ id: rel.a === id ? rel.b : rel.a, chance: chance, why: "beside its ally " + member.name });
+        });
+        if (member.vassalOf !== null) candidates.push({ id: member.vassalOf, chance: side === "defenders" ? 1 : chance, why: "to defend its vassal " + member.name });
+        member.vassals.forEach(function (v) { candidates.push({ id: v, chance: 1, why: "behind its overlord " + member.name }); });
+        candidates.forEach(function (cand) {
+          var ally = s.byId[cand.id];
+          if (!ally || inWar(war, ally.id)) return;
+          var torn = other.some(function (o) {
+            return s.byId[o] && (s.byId[o].vassalOf === ally.id || ally.vassalOf === o || s.relations.some(function (r) { return r.status === "Alliance" && ((r.a === o && r.b === ally.id) || (r.b === o && r.a === ally.id)); }));
+          });
+          if (torn || s.rng() >= cand.chance) return;
+          war[side].push(ally.id);
+          s.events.push({ type: "war", war: war.id, side: side, desc: ally.name + " joins the " + war.name + " " + cand.why, actors: [ally.id, id], cause: cand.why, effects: [ally.name + " joins the " + side] });
+          ally.history.push({ year: s.year, event: "Joined the " + war.name });
+        });
+      });
+    });
+  }
+
+  function fightBattle(s, war) {
+    var rand = root.rand;
+    if (s.rng() > Math.min(1, 0.8 * s.dt / 25)) return;
+    var aP = sidePower(war.attackers, s.byId);
+    var dP = sidePower(war.defenders, s.byId);
+    var attWin = s.rng() < aP / Math.max(1, aP + dP);
+    var winners = attWin ? war.attackers : war.defenders;
+    var losers = attWin ? war.defenders : war.attackers;
+    var swing = Math.round(15 + 20 * (attWin ? dP : aP) / Math.max(1, aP + dP));
+    war.score = Math.max(-100, Math.min(100, war.score + (attWin ? swing : -swing)));
+    losers.forEach(function (id) {
+      var c = s.byId[id];
+      c.military = Math.max(1000, Math.round(c.military * (1 - rand(s.rng, 8, 15) / 100)));
+      c.stability -= rand(s.rng, 3, 8);
+    });
+    winners.forEach(function (id) {
+      var c = s.byId[id];
+      c.military = Math.max(1000, Math.round(c.military * (1 - rand(s.rng, 3, 8) / 100)));
+      c.stability -= rand(s.rng, 0, 3);
+    });
+    var name = "Battle of " + root.genName(s.rng);
+    war.battles.push({ year: s.year, name: name, winner: attWin ? "attackers" : "defenders", score: war.score });
+    if (war.battles.length > MAX_BATTLES) war.battles.shift();
+    s.events.push({
+      type: "battle", war: war.id, battle: name, winner: attWin ? "attackers" : "defenders", desc: war.name + ": " + sideLabel(winners, s.byId) + (winners.length > 1 ? " win the " : " wins the ") + name + " (score " + (war.score > 0 ? "+" : "") + war.score + ")", actors: [winners[0], losers[0]],
+      cause: null, effects: ["war score " + (war.score > 0 ? "+" : "") + war.score],
+    });
+  }
+
+  function endWar(s, war, outcome, actors, terms, winner) {
+    var treaty = "Treaty of " + root.genName(s.rng);
+    war.ended = s.year;
+    war.outcome = treaty + ": " + outcome;
+    war.terms = terms;
+    war.winner = winner;
+    var why = winner !== null ? "a war score of " + (war.score > 0 ? "+" : "") + war.score : terms === "white peace" ? "exhaustion" : "no one left to fight";
+    s.events.push({ type: "peace", war: war.id, treaty: treaty, terms: terms, winner: winner, desc: treaty + " ends the " + war.name + ": " + outcome, actors: actors, cause: why, effects: [outcome] });
+    war.attackers.concat(war.defenders).forEach(function (id) { s.byId[id].history.push({ year: s.year, event: treaty + " ends the " + war.name + ": " + outcome }); });
+  }
+
+  /** The winning leader imposes the goal of its side on the losing leader. */
+  function imposeTerms(s, war, attackersWon) {
+    var W = s.byId[attackersWon ? war.attackers[0] : war.defenders[0]];
+    var L = s.byId[attackersWon ? war.defenders[0] : war.attackers[0]];
+    var goal = attackersWon ? war.goal : (root.provinceCount(s.map, L.id) > 1 && s.relations.some(function (r) { return r.border > 0 && ((r.a === W.id && r.b === L.id) || (r.b === W.id && r.a === L.id)); }) ? "border" : "tribute");
+    if (goal === "vassalage") {
+      var old = L.vassalOf !== null ? s.byId[L.vassalOf] : null;
+      if (old) old.vassals = old.vassals.filter(function (v) { return v !== L.id; });
+      L.vassalOf = W.id;
+      W.vassals.push(L.id);
+      W.culturalInfluence += 15;
+      L.stability -= 20;
+      var held = root.provinceCount(s.map, L.id);
+      var taken = root.transferProvinces(s.map, s.cultures, L.id, W.id, 0.3);
+      root.cedePeople(L, W, taken / Math.max(1, held));
+      s.events.push({ type: "conquest", war: war.id, desc: W.name + " conquers " + L.name, actors: [W.id, L.id], cause: "victory in the " + war.name, effects: taken ? [taken + " provinces ceded"] : [] });
+      endWar(s, war, L.name + " becomes a vassal of " + W.name + (taken ? " and cedes " + taken + " provinces" : ""), [W.id, L.id], "vassalage", W.id);
+    } else if (goal === "border") {
+      var before = root.provinceCount(s.map, L.id);
+      var moved = root.transferProvinces(s.map, s.cultures, L.id, W.id, 0.2);
+      root.cedePeople(L, W, moved / Math.max(1, before));
+      endWar(s, war, L.name + " cedes " + moved + " border provinces to " + W.name, [W.id, L.id], "border", W.id);
+    } else {
+      L.tribute = { to: W.id, share: TRIBUTE_SHARE, until: s.year + TRIBUTE_YEARS };
+      endWar(s, war, L.name + " pays " + Math.round(TRIBUTE_SHARE * 100) + "% of its revenue to " + W.name + " until year " + L.tribute.until, [W.id, L.id], "tribute", W.id);
+    }
+  }
+
+  function checkPeace(s, war) {
+    // Members subjugated by the other side during the war drop out of it.
+    ["attackers", "defenders"].forEach(function (side) {
+      var other = side === "attackers" ? war.defenders : war.attackers;
+      war[side] = war[side].filter(function (id) { return other.indexOf(s.byId[id].vassalOf) < 0; });
+    });
+    if (!war.attackers.length || !war.defenders.length) {
+      endWar(s, war, "one side has no one left to fight", war.attackers.concat(war.defenders).slice(0, 2), "collapse", null);
+      return;
+    }
+    if (war.score >= VICTORY_SCORE) return imposeTerms(s, war, true);
+    if (war.score <= -VICTORY_SCORE) return imposeTerms(s, war, false);
+    var years = s.year - war.started;
+    if (years >= 75 && s.rng() < Math.min(0.9, years / 250 * s.dt / 25)) endWar(s, war, "white peace after " + years + " years of exhaustion", [war.attackers[0], war.defenders[0]], "white peace", null);
+  }
+
+  /**
+   * One turn of war for `world` ({ cultures, relations, wars, map, player? }, `player` the played culture's id);
+   * cultures and map are updated in place.
+   * Returns { wars, events }. Ended wars stay in the list so truces and the war log can refer to them.
+   */
+  function advanceWars(world, year, dt, rng) {
+    var byId = {};
+    world.cultures.forEach(function (c) { byId[c.id] = c; });
+    var wars = (world.wars || []).map(function (w) {
+      return w.ended !== null ? w : Object.assign({}, w, { attackers: w.attackers.slice(), defenders: w.defenders.slice(), battles: w.battles.slice() });
+    });
+    var s = {
+      cultures: world.cultures, byId: byId, relations: world.relations, map: world.map, wars: wars, year: year, dt: dt, rng: rng, events: [], player: world.player,
+      nextId: wars.reduce(function (m, w) { return Math.max(m, w.id + 1); }, 0),
+    };
+    declareWars(s);
+    wars.forEach(function (war) {
+      if (war.ended !== null) return;
+      if (war.started < year) callAllies(s, war, 0.15 * dt / 25);
+      fightBattle(s, war);
+      checkPeace(s, war);
+    });
+    return { wars: wars, events: s.events };
+  }
+
+  /**
+   * Opens a war of `attacker` on `defender` (ids) outside the usual declaration rules, as scripted scenarios and
+   * the player do; `goal` defaults to what the attacker could win and `cause` to "scripted". Allies are called as
+   * for any war. Returns { wars, events }, with no war added when the two are already fighting.
+   */
+  function declareWar(world, attacker, defender, goal, year, rng, cause) {
+    var byId = {};
+    world.cultures.forEach(function (c) { byId[c.id] = c; });
+    var s = {
+      cultures: world.cultures, byId: byId, relations: world.relations, map: world.map, wars: world.wars.slice(), year: year, dt: 0, rng: rng, events: [],
+      nextId: world.wars.reduce(function (m, w) { return Math.max(m, w.id + 1); }, 0),
+    };
+    var att = byId[attacker];
+    var def = byId[defender];
+    if (!att || !def || att === def || warBetween(s.wars, att.id, def.id)) return { wars: world.wars, events: [] };
+    var border = world.relations.some(function (r) { return r.border > 0 && ((r.a === att.id && r.b === def.id) || (r.b === att.id && r.a === def.id)); });
+    openWar(s, att, def, GOAL_TEXT[goal] ? goal : power(att) > power(def) * 1.5 ? "vassalage" : border ? "border" : "tribute", cause || "scripted");
+    return { wars: s.wars, events: s.events };
+  }
+
+  /** Books `dt` years of tribute from `culture` to its overlord in victory, and lapses it when due. */
+  function payTribute(culture, cultures, revenue, year, dt) {
+    var t = culture.tribute;
+    if (!t) return;
+    var payee = cultures.find(function (c) { return c.id === t.to; });
+    if (!payee || year >= t.until) {
+      culture.tribute = null;
+      culture.history.push({ year: year, event: "Tribute" + (payee ? " to " + payee.name : "") + " ends" });
+      return;
+    }
+    var paid = revenue * t.share * dt;
+    culture.treasury -= paid;
+    payee.treasury += paid;
+  }
+
+  root.WAR_GOALS = GOAL_TEXT;
+  root.warBetween = warBetween;
+  root.peaceBetween = peaceBetween;
+  root.advanceWars = advanceWars;
+  root.declareWar = declareWar;
+  root.payTribute = payTribute;
+})(typeof window !== "undefined" ? window : globalThis);
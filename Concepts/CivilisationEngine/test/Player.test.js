@@ -0,0 +1,123 @@
+/**
+ * Checks for logic/Player.js: where a reform can go, which orders a turn spends, and that orders take the place of
+ * the played culture's own rolls and no one else's.
+ * Run with `node --test test/` from Concepts/CivilisationEngine.
+ */
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var civ = require("../Headless.js");
+
+var CONFIG = { scale: "regional", climates: ["Temperate", "Arid"], terrains: ["Plains", "Riverine", "Coastal"], techLevel: 6 };
+
+function copy(v) {
+  return JSON.parse(JSON.stringify(v));
+}
+
+/** A fresh run whose first culture (an Absolutist Monarchy at Level 6) is played. */
+function played() {
+  var run = civ.createRun(CONFIG, 3);
+  run.player = civ.createPlayer(run.cultures[0].id);
+  return run;
+}
+
+test("reformPath finds the way to a reachable regime and none to the rest", function () {
+  assert.deepStrictEqual(civ.reformPath("absolutist", "absolutist", 6), ["absolutist"]);
+  assert.deepStrictEqual(civ.reformPath("absolutist", "republic", 6), ["absolutist", "empire", "republic"]);
+  assert.deepStrictEqual(civ.reformPath("failed", "patrimonial", 6), ["failed", "patrimonial"]);
+  assert.strictEqual(civ.reformPath("absolutist", "theocracy", 6), null, "no transitions lead there");
+  assert.strictEqual(civ.reformPath("absolutist", "democracy", 6), null, "not a regime of Level 6");
+  assert.strictEqual(civ.reformPath("empire", "failed", 6), null, "a failed state is no target");
+});
+
+test("reformStep moves toward the next regime on the way, or nowhere", function () {
+  var c = copy(played().cultures[0]);
+  var before = copy(c.sliders);
+  var step = civ.reformStep(c, { reform: "republic" }, 25);
+  assert.deepStrictEqual(step.path, ["absolutist", "empire", "republic"]);
+  assert.ok(step.change ? step.change.to === "empire" : step.moved.length > 0);
+  if (step.change) assert.strictEqual(step.change.label, "reform toward Aristocratic Republic");
+  ["theocracy", "failed"].forEach(function (to) {
+    var d = copy(c);
+    d.sliders = copy(before);
+    var none = civ.reformStep(d, { reform: to }, 25);
+    assert.deepStrictEqual(none, { change: null, path: null, moved: [] }, to);
+    assert.deepStrictEqual(d.sliders, before, to);
+  });
+});
+
+test("closeOrders clears spent war and alliance orders and keeps standing ones", function () {
+  var run = played();
+  var c = run.cultures[0];
+  var other = run.cultures[1];
+  var orders = { taxes: "raise", research: true, reform: "republic", war: { target: other.id }, alliance: other.id };
+  var proposal = { type: "policy", policy: "alliance", desc: "", actors: [c.id, other.id], cause: "the player's orders", effects: [] };
+  var relations = [{ a: c.id, b: other.id, status: "Alliance", tension: 0 }];
+  var next = civ.closeOrders(run.player, { culture: c.id, orders: orders, events: [proposal] }, relations, run.cultures);
+  assert.deepStrictEqual(next, { culture: c.id, orders: { taxes: "raise", research: true, reform: "republic", war: null, alliance: null } });
+  assert.deepStrictEqual(proposal.effects, ["allied with " + other.name]);
+  assert.strictEqual(orders.war.target, other.id, "the turn's orders are left as given");
+  assert.strictEqual(civ.closeOrders(null, { culture: null, orders: null, events: [] }, relations, run.cultures), null);
+});
+
+test("closeOrders drops a reform once it is reached or out of reach", function () {
+  var run = played();
+  var c = run.cultures[0];
+  var close = function (reform) {
+    var orders = { taxes: null, research: false, reform: reform, war: null, alliance: null };
+    return civ.closeOrders(run.player, { culture: c.id, orders: orders, events: [] }, run.relations, run.cultures).orders.reform;
+  };
+  assert.strictEqual(close("republic"), "republic");
+  assert.strictEqual(close("absolutist"), null, "reached");
+  assert.strictEqual(close("theocracy"), null, "out of reach");
+});
+
+test("a reform order replaces the played culture's transition roll and no one else's", function () {
+  var run = played();
+  var id = run.cultures[0].id;
+  run.player.orders.reform = "republic";
+  run = civ.advanceRun(civ.advanceRun(run, 25), 25);
+  var events = run.history.slice(1).reduce(function (all, h) { return all.concat(h.events); }, []);
+  var shifts = events.filter(function (e) { return e.type === "regime"; });
+  assert.deepStrictEqual(shifts.filter(function (e) { return e.actors[0] === id; }).map(function (e) { return [e.to, e.cause]; }),
+    [["empire", "reform toward Aristocratic Republic"], ["republic", "reform toward Aristocratic Republic"]]);
+  assert.ok(shifts.filter(function (e) { return e.actors[0] !== id; }).every(function (e) { return e.cause.indexOf("reform") < 0; }));
+  assert.ok(events.filter(function (e) { return e.type === "policy"; }).every(function (e) { return e.actors[0] === id; }));
+  assert.strictEqual(run.cultures[0].regime, "republic");
+  assert.strictEqual(run.player.orders.reform, null);
+});
+
+/** Wars declared in one turn when the played culture's first pair has `status` and everyone else is at peace. */
+function declared(status, player) {
+  var base = played();
+  // Tension high enough that a Hostile roll always declares.
+  var pair = base.relations.find(function (r) { return r.a === base.cultures[0].id || r.b === base.cultures[0].id; });
+  base.relations.forEach(function (r) {
+    if (r === pair) Object.assign(r, { status: status, tension: 100 });
+    else if (r.status === "War" || r.status === "Hostile") r.status = "Neutral";
+  });
+  var world = copy({ cultures: base.cultures, relations: base.relations, map: base.map, wars: [] });
+  world.player = player === undefined ? null : player;
+  return civ.advanceWars(world, base.year + 25, 25, function () { return 0; }).events
+    .filter(function (e) { return e.type === "war" && e.goal; })
+    .map(function (e) { return e.actors; });
+}
+
+test("the played culture declares no war of its own, but a hostile neighbour still declares on it", function () {
+  var wars = declared("Hostile");
+  assert.strictEqual(wars.length, 1);
+  var attacker = wars[0][0];
+  var defender = wars[0][1];
+  assert.deepStrictEqual(declared("Hostile", attacker), [[defender, attacker]]);
+  assert.deepStrictEqual(declared("Hostile", defender), [[attacker, defender]]);
+});
+
+test("a pair at War opens no war for the played culture without an order", function () {
+  var wars = declared("War");
+  assert.strictEqual(wars.length, 1);
+  var attacker = wars[0][0];
+  var defender = wars[0][1];
+  assert.deepStrictEqual(declared("War", attacker), [[defender, attacker]]);
+  assert.deepStrictEqual(declared("War", defender), [[attacker, defender]]);
+});
@@ -0,0 +1,21 @@
+/**
+ * Checks for logic/Rulers.js: successions in the middle of a turn land in a culture's history in year order.
+ * Run with `node --test test/` from Concepts/CivilisationEngine.
+ */
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var civ = require("../Headless.js");
+
+test("culture histories stay in year order across successions", function () {
+  var run = civ.createRun({ scale: "regional", climates: ["Temperate", "Arid"], terrains: ["Plains", "Riverine", "Coastal"], techLevel: 4 }, 7);
+  for (var i = 0; i < 20; i++) run = civ.advanceRun(run, 25);
+  var successions = 0;
+  run.cultures.forEach(function (c) {
+    var years = c.history.map(function (h) { return h.year; });
+    assert.deepStrictEqual(years, years.slice().sort(function (a, b) { return a - b; }), c.name);
+    successions += c.history.filter(function (h) { return h.year % 25 !== 0; }).length;
+  });
+  assert.ok(successions > 0, "some rulers changed between turns");
+});
@@ -0,0 +1,40 @@
+/**
+ * Checks for logic/Scenario.js: a scenario's config is checked like its cultures, and what it leaves out is filled in.
+ * Run with `node --test test/` from Concepts/CivilisationEngine.
+ */
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var fs = require("fs");
+var path = require("path");
+var civ = require("../Headless.js");
+
+/** The example scenario with `config` set to `config`. */
+function withConfig(config) {
+  var raw = JSON.parse(fs.readFileSync(path.join(__dirname, "../data/ExampleScenario.json"), "utf8"));
+  raw.config = config;
+  return raw;
+}
+
+test("a partial config is filled in from the cultures", function () {
+  var scenario = civ.parseScenario(withConfig({ scale: "planetary" }));
+  assert.strictEqual(scenario.config.scale, "planetary");
+  assert.ok(scenario.config.climates.length && scenario.config.terrains.length);
+  assert.strictEqual(typeof scenario.config.techLevel, "number");
+  var run = civ.createScenarioRun(withConfig({ scale: "planetary" }));
+  assert.strictEqual(run.config.scale, "planetary");
+});
+
+test("a bad config is a scenario error", function () {
+  [
+    [[], "config must be an object"],
+    [{ scale: "galactic" }, "config.scale must be one of"],
+    [{ climates: [] }, "config.climates must be a non-empty list"],
+    [{ terrains: ["Swamp"] }, "config.terrains must be one of"],
+    [{ techLevel: 0 }, "config.techLevel must be a whole number"],
+    [{ size: 3 }, "config must be one of"],
+  ].forEach(function (c) {
+    assert.throws(function () { civ.parseScenario(withConfig(c[0])); }, function (e) { return e.message.indexOf("Scenario: " + c[1]) === 0; }, JSON.stringify(c[0]));
+  });
+});
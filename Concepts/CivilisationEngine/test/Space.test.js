@@ -0,0 +1,62 @@
+/**
+ * Checks for logic/Space.js: an interstellar run founds colonies, forms a federation and loses a colony to the
+ * distance, and scenario cultures at Level 15 settle other worlds too.
+ * Run with `node --test test/` from Concepts/CivilisationEngine.
+ */
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var fs = require("fs");
+var path = require("path");
+var civ = require("../Headless.js");
+
+var CONFIG = { scale: "regional", climates: ["Temperate", "Arid"], terrains: ["Plains", "Riverine", "Coastal"], techLevel: 15 };
+
+/** Plays `turns` turns of 25 years and returns the run with every event of them. */
+function play(run, turns) {
+  for (var i = 0; i < turns; i++) run = civ.advanceRun(run, 25);
+  var events = run.history.reduce(function (all, h) { return all.concat(h.events); }, []);
+  return { run: run, events: events };
+}
+
+function byId(run, id) {
+  return run.cultures.find(function (c) { return c.id === id; });
+}
+
+test("a Level 15 run founds colonies, federates with them and loses one to the distance", function () {
+  var r = play(civ.createRun(CONFIG, 8), 6);
+  var colonies = r.events.filter(function (e) { return e.type === "colony"; });
+  assert.ok(colonies.length >= 2, colonies.length + " colonies");
+  colonies.forEach(function (e) {
+    var child = byId(r.run, e.actors[0]);
+    assert.ok(child.colony, child.name + " is a colony");
+    assert.strictEqual(child.colony.parent, e.actors[1]);
+    assert.strictEqual(child.origin.cause, "colonisation");
+  });
+  var formed = r.events.find(function (e) { return e.type === "federation" && e.change === "formed"; });
+  assert.ok(formed, "a federation forms");
+  assert.ok(formed.actors.length >= 3, "a founder and its colonies");
+  assert.ok(r.run.galaxy.federations.some(function (f) { return f.name === formed.federation; }));
+  var breakaway = r.events.find(function (e) { return e.type === "independence" && / years' travel from /.test(e.cause); });
+  assert.ok(breakaway, "a colony breaks free");
+  var free = byId(r.run, breakaway.actors[0]);
+  assert.ok(free.colony);
+  assert.ok(byId(r.run, breakaway.actors[1]).vassals.indexOf(free.id) < 0);
+});
+
+test("scenario cultures at Level 15 keep founding colonies", function () {
+  var raw = JSON.parse(fs.readFileSync(path.join(__dirname, "../data/ExampleScenario.json"), "utf8"));
+  raw.cultures.forEach(function (c) {
+    c.techLevel = 15;
+    delete c.regime;
+  });
+  raw.events = [];
+  raw.triggers = [];
+  var r = play(civ.createScenarioRun(raw), 20);
+  // Not just in the first turn, while every culture is still as stable as it starts.
+  var later = r.run.history.filter(function (h) { return h.year > 25; }).filter(function (h) {
+    return h.events.some(function (e) { return e.type === "colony"; });
+  });
+  assert.ok(later.length >= 2, "colonies founded in " + later.length + " later turns");
+});
@@ -0,0 +1,77 @@
+/**
+ * Checks for logic/Technology.js's planning helpers: researchPath lists just what a goal still needs, in an order
+ * that can be researched, and dependentTechs everything re-locking a tech takes with it.
+ * Run with `node --test test/` from Concepts/CivilisationEngine.
+ */
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var civ = require("../Headless.js");
+
+var byId = {};
+civ.TECHS.forEach(function (t) { byId[t.id] = t; });
+
+function knownOf(ids) {
+  var known = {};
+  ids.forEach(function (id) { known[id] = true; });
+  return known;
+}
+
+/** `id` and every prerequisite under it, stopping at known techs. */
+function needed(id, known) {
+  var out = {};
+  var visit = function (x) {
+    if (out[x] || known[x]) return;
+    out[x] = true;
+    byId[x].req.forEach(visit);
+  };
+  visit(id);
+  return Object.keys(out).sort();
+}
+
+/** The tech with the most prerequisites under it: the longest path to plan. */
+var DEEP = civ.TECHS.reduce(function (best, t) { return needed(t.id, {}).length > needed(best.id, {}).length ? t : best; });
+
+test("researchPath lists exactly the missing techs", function () {
+  assert.deepStrictEqual(civ.researchPath(DEEP.id, {}).slice().sort(), needed(DEEP.id, {}));
+  var known = knownOf([DEEP.req[0]].concat(civ.TECHS.filter(function (t) { return t.level === 1; }).map(function (t) { return t.id; })));
+  var path = civ.researchPath(DEEP.id, known);
+  assert.deepStrictEqual(path.slice().sort(), needed(DEEP.id, known));
+  assert.ok(path.every(function (id) { return !known[id]; }));
+  assert.ok(path.length < needed(DEEP.id, {}).length);
+  assert.deepStrictEqual(civ.researchPath(DEEP.id, knownOf([DEEP.id])), []);
+  assert.deepStrictEqual(civ.researchPath("no such tech", {}), []);
+});
+
+test("researchPath puts every tech after its prerequisites", function () {
+  var known = knownOf([DEEP.req[0]]);
+  civ.TECHS.forEach(function (t) {
+    var have = Object.assign({}, known);
+    civ.researchPath(t.id, known).forEach(function (id) {
+      assert.ok(byId[id].req.every(function (r) { return have[r]; }), t.id + ": " + id + " before its prerequisites");
+      have[id] = true;
+    });
+  });
+});
+
+test("dependentTechs lists what re-locking a tech cascades to", function () {
+  var all = knownOf(civ.TECHS.map(function (t) { return t.id; }));
+  var base = byId[needed(DEEP.id, {}).find(function (id) { return !byId[id].req.length; })];
+  var deps = civ.dependentTechs(base.id, all);
+  assert.ok(deps.indexOf(DEEP.id) >= 0);
+  assert.ok(deps.indexOf(base.id) < 0);
+  // What is left after re-locking is consistent, and nothing more than needed went.
+  var left = Object.assign({}, all);
+  [base.id].concat(deps).forEach(function (id) { delete left[id]; });
+  civ.TECHS.forEach(function (t) {
+    if (left[t.id]) assert.ok(t.req.every(function (r) { return left[r]; }), t.id + " kept without its prerequisites");
+    else if (t.id !== base.id) assert.ok(t.req.some(function (r) { return !left[r]; }), t.id + " re-locked for nothing");
+  });
+  // Unknown techs are not listed.
+  var partial = knownOf(needed(DEEP.id, {}));
+  assert.ok(civ.dependentTechs(base.id, partial).every(function (id) { return partial[id]; }));
+  // Listed in Tech Tree order.
+  var order = deps.map(function (id) { return [byId[id].level, byId[id].col, byId[id].row]; });
+  assert.deepStrictEqual(order, order.slice().sort(function (a, b) { return a[0] - b[0] || a[1] - b[1] || a[2] - b[2]; }));
+});
@@ -0,0 +1,71 @@
+/**
+ * Checks for logic/Timeline.js: every recorded turn rewinds to the state the run had that year, and a branch plays
+ * on the same way each time.
+ * Run with `node --test test/` from Concepts/CivilisationEngine.
+ */
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var civ = require("../Headless.js");
+
+var CONFIG = { scale: "regional", climates: ["Temperate", "Arid"], terrains: ["Plains", "Riverine", "Coastal"], techLevel: 4 };
+var TURNS = 12;
+
+function copy(v) {
+  return JSON.parse(JSON.stringify(v));
+}
+
+/** A run of TURNS turns with varying dt, and a copy of the run as it stood after each turn, by year. */
+function recorded() {
+  var run = civ.createRun(CONFIG, 11);
+  var states = {};
+  states[run.year] = copy(run);
+  for (var i = 0; i < TURNS; i++) {
+    run = civ.advanceRun(run, [25, 10, 50][i % 3]);
+    states[run.year] = copy(run);
+  }
+  return { run: run, states: states };
+}
+
+test("runAt matches the state recorded at every year", function () {
+  var r = recorded();
+  var years = civ.timelineYears(r.run);
+  assert.deepStrictEqual(years, Object.keys(r.states).map(Number).sort(function (a, b) { return a - b; }));
+  years.forEach(function (y) {
+    assert.deepStrictEqual(copy(civ.runAt(r.run, y)), r.states[y], "year " + y);
+  });
+  assert.throws(function () { civ.runAt(r.run, 1); }, /No snapshot for year 1/);
+});
+
+test("runAt leaves the run itself untouched", function () {
+  var r = recorded();
+  var before = copy(r.run);
+  civ.timelineYears(r.run).forEach(function (y) { civ.runAt(r.run, y); });
+  assert.deepStrictEqual(copy(r.run), before);
+});
+
+test("branchRun forks at a year and plays on the same way each time", function () {
+  var r = recorded();
+  var year = civ.timelineYears(r.run)[4];
+  var play = function () {
+    var b = civ.branchRun(r.run, year, 99);
+    for (var i = 0; i < 4; i++) b = civ.advanceRun(b, 25);
+    return b;
+  };
+  var a = play();
+  assert.deepStrictEqual(a, play());
+  assert.strictEqual(a.seed, 99);
+  assert.strictEqual(a.year, year + 100);
+  assert.deepStrictEqual(civ.timelineYears(a).filter(function (y) { return y <= year; }), civ.timelineYears(r.run).filter(function (y) { return y <= year; }));
+  // Up to the fork the branch is the original run; after it, it plays its own seed.
+  var at = copy(civ.runAt(a, year));
+  var original = copy(r.states[year]);
+  var note = at.history[at.history.length - 1].events.pop();
+  assert.strictEqual(note.type, "branch");
+  delete at.seed;
+  delete original.seed;
+  assert.deepStrictEqual(at, original);
+  var next = civ.advanceRun(civ.branchRun(r.run, year, 99), 25);
+  assert.notDeepStrictEqual(next.cultures, civ.advanceRun(r.states[year], 25).cultures);
+});
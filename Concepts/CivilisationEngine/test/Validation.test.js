@@ -0,0 +1,154 @@
+/**
+ * Checks for logic/Validation.js: the shipped tables are clean, and each planted fault is found.
+ * Run with `node --test test/` from Concepts/CivilisationEngine.
+ */
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var fs = require("fs");
+var path = require("path");
+var civ = require("../Headless.js");
+
+var g = globalThis;
+
+/** A JSON copy of the live tables, safe to break. */
+function tables() {
+  var t = {};
+  g.VALIDATED_TABLES.forEach(function (k) { t[k] = JSON.parse(JSON.stringify(g[k])); });
+  return t;
+}
+
+function errors(t) {
+  return civ.validateTables(t).filter(function (i) { return i.severity === "error"; });
+}
+
+/** The one error matching `table` and a message fragment. */
+function findError(t, table, text) {
+  var found = errors(t).filter(function (i) { return i.table === table && i.message.indexOf(text) >= 0; });
+  assert.ok(found.length, "expected a " + table + " error containing " + JSON.stringify(text) + ", got " + JSON.stringify(errors(t).map(civ.formatIssue)));
+  return found[0];
+}
+
+function tech(t, id) {
+  return t.TECHS.find(function (x) { return x.id === id; });
+}
+
+test("the shipped tables have no errors", function () {
+  assert.deepStrictEqual(errors().map(civ.formatIssue), []);
+});
+
+test("issues are structured and errors come first", function () {
+  var t = tables();
+  t.REGIMES.band.maxLvl = 0;
+  var issues = civ.validateTables(t);
+  issues.forEach(function (i) {
+    assert.ok(i.severity === "error" || i.severity === "warning");
+    assert.strictEqual(typeof i.table, "string");
+    assert.strictEqual(typeof i.message, "string");
+  });
+  var firstWarning = issues.findIndex(function (i) { return i.severity === "warning"; });
+  assert.ok(issues.slice(firstWarning).every(function (i) { return i.severity === "warning"; }));
+  assert.strictEqual(civ.formatIssue({ table: "techs", id: "fire", field: "req", message: "x" }), "techs.fire.req: x");
+});
+
+test("an unknown req id", function () {
+  var t = tables();
+  tech(t, "fire").req = ["nothing"];
+  var e = findError(t, "techs", "unknown req id \"nothing\"");
+  assert.strictEqual(e.id, "fire");
+  assert.strictEqual(e.field, "req");
+});
+
+test("a req at a later level", function () {
+  var t = tables();
+  var early = t.TECHS.find(function (x) { return x.level === 1; });
+  var late = t.TECHS.find(function (x) { return x.level === 3; });
+  early.req = [late.id];
+  assert.strictEqual(findError(t, "techs", "later level").id, early.id);
+});
+
+test("a req cycle", function () {
+  var t = tables();
+  var a = t.TECHS.find(function (x) { return x.level === 2 && x.req.length; });
+  var b = tech(t, a.req[0]);
+  b.level = a.level;
+  b.req = [a.id];
+  var e = findError(t, "techs", "req cycle");
+  assert.ok(e.message.indexOf(a.id) >= 0 && e.message.indexOf(b.id) >= 0);
+});
+
+test("two techs in one Tech Tree cell", function () {
+  var t = tables();
+  var a = t.TECHS[0];
+  var b = t.TECHS.find(function (x) { return x.level === a.level && x.id !== a.id; });
+  b.col = a.col;
+  b.row = a.row;
+  assert.strictEqual(findError(t, "techs", "shares level").id, b.id);
+});
+
+test("a tech level outside LEVELS", function () {
+  var t = tables();
+  t.TECHS[0].level = t.LEVELS.length + 1;
+  findError(t, "techs", "LEVELS ids");
+});
+
+test("a regime whose minLvl is above its maxLvl", function () {
+  var t = tables();
+  t.REGIMES.feudal.minLvl = 9;
+  t.REGIMES.feudal.maxLvl = 5;
+  var e = findError(t, "regimes", "above maxLvl");
+  assert.strictEqual(e.id, "feudal");
+});
+
+test("unknown regimes in TRANSITIONS and REGIME_TRANSITIONS_LIST", function () {
+  var t = tables();
+  t.TRANSITIONS.band.push("utopia");
+  findError(t, "transitions", "unknown target \"utopia\"");
+  t = tables();
+  t.REGIME_TRANSITIONS_LIST[0].to = "utopia";
+  findError(t, "regimeTransitions", "unknown target \"utopia\"");
+});
+
+test("a modelled transition the Regime Chart does not draw", function () {
+  var t = tables();
+  var rt = t.REGIME_TRANSITIONS_LIST[0];
+  t.TRANSITIONS[rt.from] = t.TRANSITIONS[rt.from].filter(function (to) { return to !== rt.to; });
+  var found = civ.validateTables(t).filter(function (i) { return i.message.indexOf("is not drawn") >= 0; });
+  assert.deepStrictEqual(found.map(function (i) { return [i.severity, i.id]; }), [["warning", rt.from + " → " + rt.to]]);
+});
+
+test("R_BRACKETS against REGIMES", function () {
+  var t = tables();
+  t.R_BRACKETS[0].ids.push("utopia");
+  findError(t, "brackets", "unknown regime \"utopia\"");
+  t = tables();
+  t.R_BRACKETS[1].ids.push("band");
+  findError(t, "brackets", "already in bracket 0");
+  t = tables();
+  t.R_BRACKETS[0].ids = t.R_BRACKETS[0].ids.filter(function (id) { return id !== "band"; });
+  assert.strictEqual(findError(t, "regimes", "no R_BRACKETS column").id, "band");
+});
+
+test("weights for unknown regimes, and empty lists", function () {
+  var t = tables();
+  t.REGIME_WEIGHTS[3].utopia = 2;
+  findError(t, "regimeWeights", "unknown regime");
+  t.RELIGIONS = [];
+  findError(t, "religions", "non-empty");
+});
+
+test("the example pack loads, and a broken pack lists its problems", function () {
+  var json = fs.readFileSync(path.join(__dirname, "../data/ExamplePack.json"), "utf8");
+  civ.activatePack(civ.parsePack(json));
+  try {
+    assert.deepStrictEqual(errors().map(civ.formatIssue), []);
+  } finally {
+    civ.activatePack(null);
+  }
+  var bad = JSON.parse(json);
+  bad.techs.push({ id: "loop", name: "Loop", level: 5, col: 1, row: 1, req: ["loop"] });
+  assert.throws(function () { civ.parsePack(bad); }, function (err) {
+    return err.problems.some(function (p) { return p.indexOf("req cycle") >= 0; });
+  });
+});